@@ -3,6 +3,8 @@
  * 
  * Provides the primary user interface for the bug tracker application.
  * Manages tab-based navigation between bug list view and bug report form.
+ * The project switcher in the header picks whose backlog both work on,
+ * and the notification bell shows activity on watched bugs.
  * Integrates error boundary for crash prevention.
  */
 
@@ -10,6 +12,8 @@ import React, { useState } from 'react';
 import ErrorBoundary from './components/ErrorBoundary';
 import ReportBugForm from './components/ReportBugForm';
 import BugList from './components/BugList';
+import ProjectSwitcher from './components/ProjectSwitcher';
+import NotificationBell from './components/NotificationBell';
 import './App.css';
 
 /**
@@ -28,6 +32,9 @@ function App() {
   // Incremented in handleBugCreated to cause BugList to re-fetch data
   const [refreshBugList, setRefreshBugList] = useState(0);
 
+  // Key of the project being worked on (null until the projects load)
+  const [projectKey, setProjectKey] = useState(null);
+
   /**
    * Handle successful bug creation
    * 
@@ -47,6 +54,10 @@ function App() {
           <div className="header-content">
             <h1>Bug Tracker</h1>
             <p className="tagline">Report, track, and resolve bugs efficiently</p>
+            <div className="header-controls">
+              <ProjectSwitcher value={projectKey} onChange={setProjectKey} />
+              <NotificationBell />
+            </div>
           </div>
         </header>
 
@@ -67,15 +78,17 @@ function App() {
 
         <main className="app-main">
           <div className="content-container">
-            {activeTab === 'list' && (
+            {projectKey === null && <p className="loading">Loading projects...</p>}
+
+            {projectKey !== null && activeTab === 'list' && (
               <section className="content-section">
-                <BugList refreshTrigger={refreshBugList} />
+                <BugList refreshTrigger={refreshBugList} projectKey={projectKey} />
               </section>
             )}
 
-            {activeTab === 'report' && (
+            {projectKey !== null && activeTab === 'report' && (
               <section className="content-section">
-                <ReportBugForm onBugCreated={handleBugCreated} />
+                <ReportBugForm onBugCreated={handleBugCreated} projectKey={projectKey} />
               </section>
             )}
           </div>
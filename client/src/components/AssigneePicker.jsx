@@ -0,0 +1,130 @@
+/**
+ * Assignee Picker Component
+ *
+ * Assigns a bug to the current user ("Assign to me") or to a user found
+ * by searching usernames, and removes the assignee. The server decides
+ * who may assign whom and its errors are shown inline.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+import { getCurrentUser } from '../utils/auth';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import '../styles/AssigneePicker.css';
+
+/**
+ * Delay before a typed username is searched, in milliseconds
+ */
+const SEARCH_DELAY = 250;
+
+/**
+ * AssigneePicker Component
+ *
+ * @param {Object} bug - Bug with populated assignedTo
+ * @param {function} onAssigned - Called with the updated bug
+ * @returns {React.ReactElement} Assignment controls
+ */
+export function AssigneePicker({ bug, onAssigned }) {
+  const [search, setSearch] = useState('');
+  const [users, setUsers] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const query = useDebouncedValue(search.trim(), SEARCH_DELAY);
+
+  const currentUser = getCurrentUser();
+  const assigneeId = bug.assignedTo?._id || bug.assignedTo || null;
+
+  /**
+   * Search users as the name is typed
+   */
+  useEffect(() => {
+    if (!query) {
+      setUsers([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    apiRequest(`/api/users?q=${encodeURIComponent(query)}`, 'GET')
+      .then((response) => {
+        if (!cancelled) setUsers(Array.isArray(response) ? response : []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to search users');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  /**
+   * Send an assignment request and pass the updated bug up
+   *
+   * @param {string} action - 'assign' or 'unassign'
+   * @param {Object} [body] - Request body ({ userId })
+   */
+  const update = async (action, body = {}) => {
+    setSaving(true);
+    setError('');
+    try {
+      const updated = await apiRequest(`/api/bugs/${bug._id}/${action}`, 'POST', body);
+      setSearch('');
+      onAssigned(updated);
+    } catch (err) {
+      setError(err.data?.error || err.message || 'Failed to update assignee');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!currentUser) {
+    return <p className="assignee-picker">Log in to assign bugs.</p>;
+  }
+
+  return (
+    <div className="assignee-picker">
+      <div className="assignee-current">
+        Assignee: <strong>{bug.assignedTo?.username || 'Unassigned'}</strong>
+        {assigneeId !== currentUser.id && (
+          <button type="button" className="link-btn" onClick={() => update('assign')} disabled={saving}>
+            Assign to me
+          </button>
+        )}
+        {assigneeId && (
+          <button type="button" className="link-btn" onClick={() => update('unassign')} disabled={saving}>
+            Unassign
+          </button>
+        )}
+      </div>
+
+      <input
+        type="search"
+        aria-label="Find a user to assign"
+        placeholder="Assign someone else..."
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        disabled={saving}
+      />
+
+      {users.length > 0 && (
+        <ul className="assignee-results">
+          {users.map((user) => (
+            <li key={user._id}>
+              <button
+                type="button"
+                onClick={() => update('assign', { userId: user._id })}
+                disabled={saving || user._id === assigneeId}
+              >
+                {user.username} <span className="assignee-role">{user.role}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="error-text">{error}</p>}
+    </div>
+  );
+}
+
+export default AssigneePicker;
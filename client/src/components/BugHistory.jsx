@@ -0,0 +1,128 @@
+/**
+ * Bug History Component
+ *
+ * Displays a bug's change history as a timeline: who changed which
+ * fields, when, and from what to what, and who edited or deleted
+ * comments.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+import '../styles/BugHistory.css';
+
+/**
+ * Human-readable names for tracked fields
+ */
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  assignedTo: 'assignee',
+  tags: 'tags',
+  resolution: 'resolution',
+};
+
+/**
+ * What each kind of history event says the actor did
+ */
+const ACTION_TEXT = {
+  created: 'reported this bug',
+  updated: 'updated this bug',
+  'comment.updated': 'edited a comment',
+  'comment.deleted': 'deleted a comment',
+};
+
+/**
+ * Format a history value for display
+ *
+ * @param {string} field - Field name
+ * @param {*} value - Old or new value
+ * @returns {string} Display text
+ */
+export function formatHistoryValue(field, value) {
+  if (value === null || value === undefined || value === '') return 'none';
+  if (field === 'assignedTo') return value.username || 'unknown user';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  return String(value);
+}
+
+/**
+ * BugHistory Component
+ *
+ * Fetches the history when mounted and renders it oldest first.
+ *
+ * @param {string} bugId - ID of the bug whose history to show
+ * @returns {React.ReactElement} Timeline of changes
+ */
+export function BugHistory({ bugId }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the history for the bug
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError('');
+    apiRequest(`/api/bugs/${bugId}/history`, 'GET')
+      .then((response) => {
+        if (!cancelled) setEvents(Array.isArray(response) ? response : []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load history');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId]);
+
+  if (loading) {
+    return <div className="bug-history"><p className="loading">Loading history...</p></div>;
+  }
+
+  return (
+    <div className="bug-history">
+      <h4>History</h4>
+
+      {error && <p className="error-text">{error}</p>}
+
+      {!error && events.length === 0 && <p className="no-history">No history yet</p>}
+
+      <ol className="history-timeline">
+        {events.map((event) => (
+          <li key={event._id} className="history-event">
+            <div className="history-event-header">
+              <strong>{event.actor?.username || 'Unknown'}</strong>
+              {' '}{ACTION_TEXT[event.action] || ACTION_TEXT.updated}
+              <time dateTime={event.createdAt}>
+                {new Date(event.createdAt).toLocaleString()}
+              </time>
+            </div>
+            {event.action === 'updated' && (
+              <ul className="history-changes">
+                {event.changes.map((change) => (
+                  <li key={change.field}>
+                    Changed {FIELD_LABELS[change.field] || change.field} from{' '}
+                    <span className="history-value">{formatHistoryValue(change.field, change.from)}</span>
+                    {' '}to{' '}
+                    <span className="history-value">{formatHistoryValue(change.field, change.to)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default BugHistory;
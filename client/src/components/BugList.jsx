@@ -3,13 +3,63 @@
  * 
  * Displays a list of bug reports with filtering, sorting, and management capabilities.
  * Provides real-time statistics and allows users to update bug statuses or delete bugs.
+ * Bugs are filtered, searched and paged on the server; more pages load on demand.
+ * The search query and filter expression are kept in the page URL (?q=,
+ * ?query=) so they can be shared; links to a bug use ?query=key:WEB-12.
+ * Filters are a query expression (e.g. `status:open priority:>=high`) that
+ * the dropdowns and the expression input both edit. Filter, search, sort
+ * and visible columns can be saved as views (see SavedViews). Logged-in
+ * users can watch bugs to be notified of changes (see NotificationBell).
+ * Changes made by others arrive over the bug stream and are applied in place.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { apiRequest } from '../utils/api';
 import StatusUpdater from './StatusUpdater';
+import BugHistory from './BugHistory';
+import CommentPanel from './CommentPanel';
+import SearchSnippets from './SearchSnippets';
+import MarkdownBody from './MarkdownBody';
+import SavedViews from './SavedViews';
+import AssigneePicker from './AssigneePicker';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import useBugStream from '../hooks/useBugStream';
+import { getCurrentUser } from '../utils/auth';
+import { getFieldValue, setFieldValue } from '../utils/bugQuery';
+import { BUG_COLUMNS, SORT_OPTIONS, DEFAULT_SORT } from '../utils/bugListOptions';
 import '../styles/BugList.css';
 
+/**
+ * Number of bugs requested per page
+ */
+const PAGE_SIZE = 20;
+
+/**
+ * Delay before a typed search is sent, in milliseconds
+ */
+const SEARCH_DELAY = 300;
+
+/**
+ * Read a parameter from the page URL
+ * 
+ * @param {string} name - Parameter name ('q' or 'query')
+ * @returns {string} Value of the parameter, or ''
+ */
+const getUrlParam = (name) => new URLSearchParams(window.location.search).get(name) || '';
+
+/**
+ * Write a parameter to the page URL without adding a history entry
+ * 
+ * @param {string} name - Parameter name ('q' or 'query')
+ * @param {string} value - Value; removed from the URL when empty
+ */
+const setUrlParam = (name, value) => {
+  const url = new URL(window.location.href);
+  if (value) url.searchParams.set(name, value);
+  else url.searchParams.delete(name);
+  window.history.replaceState(window.history.state, '', url.toString());
+};
+
 /**
  * BugList Component
  * 
@@ -17,99 +67,274 @@ import '../styles/BugList.css';
  * Handles bug deletion and status updates with user-friendly interactions.
  * 
  * @param {number} refreshTrigger - Dependency to trigger re-fetch of bugs
+ * @param {string} [projectKey] - Only list this project's bugs
  * @returns {React.ReactElement} Organized list of bugs with filters and controls
  */
-export function BugList({ refreshTrigger }) {
+export function BugList({ refreshTrigger, projectKey }) {
   // Bug data state
   const [bugs, setBugs] = useState([]);
-  const [filteredBugs, setFilteredBugs] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+
+  // Totals across all pages, from the server
+  const [total, setTotal] = useState(0);
+  const [counts, setCounts] = useState({});
 
   // UI state
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState('');
 
   // Filter state
-  const [statusFilter, setStatusFilter] = useState('');
-  const [priorityFilter, setPriorityFilter] = useState('');
+  const [expression, setExpression] = useState(() => getUrlParam('query'));
+  const [expressionError, setExpressionError] = useState(null);
+  const queryExpression = useDebouncedValue(expression.trim(), SEARCH_DELAY);
+  const [searchInput, setSearchInput] = useState(() => getUrlParam('q'));
+  const searchQuery = useDebouncedValue(searchInput.trim(), SEARCH_DELAY);
+
+  // Display state
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const [columns, setColumns] = useState(() => BUG_COLUMNS.map((column) => column.name));
 
   // Interaction state
   const [editingBugId, setEditingBugId] = useState(null);
   const [deleting, setDeleting] = useState(null);
+  const [historyBugId, setHistoryBugId] = useState(null);
+  const [commentsBugId, setCommentsBugId] = useState(null);
+  const [assigningBugId, setAssigningBugId] = useState(null);
+  const [watching, setWatching] = useState(null);
+
+  // Workflow states as { name: { label } }, loaded from the API
+  const [statuses, setStatuses] = useState({});
+
+  // Latest rendered bugs, for handlers that finish after an await
+  const bugsRef = useRef(bugs);
+  bugsRef.current = bugs;
 
   /**
-   * Fetch bugs from API when component mounts or refreshTrigger changes
+   * Fetch the first page when mounted, refreshed or the filters change
    */
   useEffect(() => {
     fetchBugs();
-  }, [refreshTrigger]);
+  }, [refreshTrigger, projectKey, queryExpression, searchQuery, sort]);
 
   /**
-   * Apply active filters to bug list
-   * 
-   * Updates filteredBugs whenever bugs array or filter values change.
-   * Applies status and priority filters in sequence.
+   * Keep the search query and filter expression in the URL
    */
   useEffect(() => {
-    let filtered = bugs;
+    setUrlParam('q', searchQuery);
+  }, [searchQuery]);
 
-    // Apply status filter
-    if (statusFilter) {
-      filtered = filtered.filter((bug) => bug.status === statusFilter);
-    }
+  useEffect(() => {
+    setUrlParam('query', queryExpression);
+  }, [queryExpression]);
 
-    // Apply priority filter
-    if (priorityFilter) {
-      filtered = filtered.filter((bug) => bug.priority === priorityFilter);
-    }
+  /**
+   * Load the status workflow once so filters and stats match the server
+   */
+  useEffect(() => {
+    apiRequest('/api/bugs/workflow', 'GET')
+      .then((workflow) => setStatuses(workflow.states || {}))
+      .catch((err) => console.error('Error fetching workflow:', err));
+  }, []);
 
-    setFilteredBugs(filtered);
-  }, [bugs, statusFilter, priorityFilter]);
+  /**
+   * Build the list URL for the active filters
+   * 
+   * @param {string|null} cursor - Cursor of the page to fetch
+   * @returns {string} Request path with query string
+   */
+  const buildListUrl = (cursor) => {
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    if (searchQuery) params.set('q', searchQuery);
+    if (queryExpression) params.set('query', queryExpression);
+    if (sort !== DEFAULT_SORT) params.set('sortBy', sort);
+    if (cursor) params.set('cursor', cursor);
+    const path = projectKey ? `/api/projects/${projectKey}/bugs` : '/api/bugs';
+    return `${path}?${params.toString()}`;
+  };
 
   /**
-   * Fetch all bugs from the API
+   * Store a page response
    * 
-   * Retrieves the complete bug list and updates state.
+   * @param {Object} response - { bugs, total, nextCursor, counts }
+   * @param {boolean} append - Add to the loaded bugs instead of replacing them
+   */
+  const applyPage = (response, append) => {
+    const page = Array.isArray(response?.bugs) ? response.bugs : [];
+    setBugs((prevBugs) => (append ? [...prevBugs, ...page] : page));
+    setNextCursor(response?.nextCursor || null);
+    setTotal(response?.total || 0);
+    setCounts(response?.counts || {});
+  };
+
+  /**
+   * Fetch the first page of bugs from the API
+   * 
+   * Replaces the loaded bugs and updates the totals.
    * Handles errors gracefully with user feedback.
    */
   const fetchBugs = async () => {
     setLoading(true);
     setError('');
     try {
-      const response = await apiRequest('/api/bugs', 'GET');
-      setBugs(Array.isArray(response) ? response : []);
+      const response = await apiRequest(buildListUrl(null), 'GET');
+      applyPage(response, false);
+      setExpressionError(null);
     } catch (err) {
-      setError(err.message || 'Failed to load bugs');
-      console.error('Error fetching bugs:', err);
+      if (err.status === 400 && err.data?.token !== undefined) {
+        // Bad filter expression: keep the current list and point at the problem
+        setExpressionError(err.data);
+      } else {
+        setError(err.message || 'Failed to load bugs');
+        console.error('Error fetching bugs:', err);
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Fetch the next page and append it to the list
+   */
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const response = await apiRequest(buildListUrl(nextCursor), 'GET');
+      applyPage(response, true);
+    } catch (err) {
+      setError(err.message || 'Failed to load more bugs');
+      console.error('Error fetching bugs:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Move a bug between status counts
+   * 
+   * @param {string|null} from - Previous status (null for a new bug)
+   * @param {string|null} to - New status (null for a removed bug)
+   */
+  const moveCount = (from, to) => {
+    if (from === to) return;
+    setCounts((prevCounts) => {
+      const nextCounts = { ...prevCounts };
+      if (from) nextCounts[from] = Math.max((nextCounts[from] || 0) - 1, 0);
+      if (to) nextCounts[to] = (nextCounts[to] || 0) + 1;
+      return nextCounts;
+    });
+  };
+
+  /**
+   * Apply a change from the bug stream to the loaded list
+   * 
+   * Changed bugs are replaced in place and deleted ones removed. New bugs
+   * are only added to an unfiltered, newest-first list, since the server
+   * decides what matches a filter. Changes older than the bug already
+   * shown (such as our own edits echoed back) are ignored. A reset means
+   * changes were missed, so the list is reloaded.
+   * 
+   * @param {string} type - created, updated, commented, deleted,
+   *   comment.updated, comment.deleted or reset
+   * @param {Object} data - { bug }
+   */
+  const handleStreamEvent = (type, { bug } = {}) => {
+    if (type === 'reset') {
+      fetchBugs();
+      return;
+    }
+    if (!bug) return;
+
+    const existing = bugsRef.current.find((item) => item._id === bug._id);
+
+    if (type === 'deleted') {
+      if (!existing) return;
+      setBugs((prevBugs) => prevBugs.filter((item) => item._id !== bug._id));
+      setTotal((prevTotal) => Math.max(prevTotal - 1, 0));
+      moveCount(existing.status, null);
+      return;
+    }
+
+    if (type === 'created') {
+      if (existing || queryExpression || searchQuery || sort !== DEFAULT_SORT) return;
+      setBugs((prevBugs) => [bug, ...prevBugs]);
+      setTotal((prevTotal) => prevTotal + 1);
+      moveCount(null, bug.status);
+      return;
+    }
+
+    if (!existing || new Date(existing.updatedAt) > new Date(bug.updatedAt)) return;
+    setBugs((prevBugs) => prevBugs.map((item) => (item._id === bug._id ? { ...item, ...bug } : item)));
+    moveCount(existing.status, bug.status);
+  };
+
+  useBugStream(projectKey ? `/api/projects/${projectKey}/bugs/stream` : '/api/bugs/stream', handleStreamEvent);
+
   /**
    * Update a bug's status
    * 
    * Sends status update to API and updates local state.
-   * Closes the edit interface after successful update.
+   * Closes the edit interface after successful update. Errors are
+   * re-thrown with the server's message so StatusUpdater can show them.
    * 
    * @param {string} bugId - ID of the bug to update
    * @param {string} newStatus - New status value
+   * @param {Object} [fields={}] - Extra fields the transition requires
    */
-  const handleStatusUpdate = async (bugId, newStatus) => {
+  const handleStatusUpdate = async (bugId, newStatus, fields = {}) => {
     try {
       const response = await apiRequest(`/api/bugs/${bugId}`, 'PUT', {
+        ...fields,
         status: newStatus,
       });
 
-      // Update bug in local state
+      // Update bug in local state and move it between status counts
+      const previous = bugsRef.current.find((bug) => bug._id === bugId);
       setBugs((prevBugs) =>
         prevBugs.map((bug) => (bug._id === bugId ? response : bug))
       );
+      if (previous) {
+        moveCount(previous.status, response.status);
+      }
 
       // Close edit interface
       setEditingBugId(null);
     } catch (err) {
-      setError(err.message || 'Failed to update bug status');
       console.error('Error updating bug:', err);
+      throw new Error(err.data?.error || err.message || 'Failed to update bug status');
+    }
+  };
+
+  /**
+   * Replace a bug after its assignee changed
+   * 
+   * @param {Object} updated - Bug returned by the assign endpoints
+   */
+  const handleAssigned = (updated) => {
+    setBugs((prevBugs) => prevBugs.map((bug) => (bug._id === updated._id ? { ...bug, ...updated } : bug)));
+    setAssigningBugId(null);
+  };
+
+  /**
+   * Start or stop watching a bug
+   * 
+   * @param {Object} bug - Bug to toggle
+   * @param {boolean} watch - True to watch, false to stop watching
+   */
+  const handleToggleWatch = async (bug, watch) => {
+    setWatching(bug._id);
+    try {
+      const response = await apiRequest(`/api/bugs/${bug._id}/watch`, watch ? 'POST' : 'DELETE');
+      setBugs((prevBugs) => prevBugs.map((item) => (
+        item._id === bug._id ? { ...item, watchers: response.watchers } : item
+      )));
+    } catch (err) {
+      console.error('Error updating watch:', err);
+      setError(err.data?.error || err.message || 'Failed to update watch');
+    } finally {
+      setWatching(null);
     }
   };
 
@@ -131,8 +356,13 @@ export function BugList({ refreshTrigger }) {
     try {
       await apiRequest(`/api/bugs/${bugId}`, 'DELETE');
 
-      // Remove bug from local state
-      setBugs((prevBugs) => prevBugs.filter((bug) => bug._id !== bugId));
+      // Remove bug from local state and the totals (unless the stream already did)
+      const removed = bugsRef.current.find((bug) => bug._id === bugId);
+      if (removed) {
+        setBugs((prevBugs) => prevBugs.filter((bug) => bug._id !== bugId));
+        setTotal((prevTotal) => Math.max(prevTotal - 1, 0));
+        moveCount(removed.status, null);
+      }
     } catch (err) {
       setError(err.message || 'Failed to delete bug');
       console.error('Error deleting bug:', err);
@@ -141,6 +371,41 @@ export function BugList({ refreshTrigger }) {
     }
   };
 
+  /**
+   * Apply a saved view's filter, search, sort and columns
+   * 
+   * @param {Object} view - Saved view (or the defaults, to reset)
+   */
+  const applyView = (view) => {
+    setExpression(view.query);
+    setSearchInput(view.search);
+    setSort(view.sort);
+    setColumns(view.columns);
+  };
+
+  /**
+   * Show or hide a card column
+   * 
+   * @param {string} name - Column name
+   */
+  const toggleColumn = (name) => {
+    // Keep columns in display order so views compare equal however they were built
+    setColumns((prevColumns) => BUG_COLUMNS
+      .map((column) => column.name)
+      .filter((column) => (column === name ? !prevColumns.includes(name) : prevColumns.includes(column))));
+  };
+
+  const show = (name) => columns.includes(name);
+
+  const currentUser = getCurrentUser();
+  const isWatching = (bug) => Boolean(currentUser)
+    && (bug.watchers || []).some((watcher) => String(watcher._id || watcher) === currentUser.id);
+
+  // A saved view may use a sort that isn't one of the presets
+  const sortOptions = SORT_OPTIONS.some((option) => option.value === sort)
+    ? SORT_OPTIONS
+    : [...SORT_OPTIONS, { value: sort, label: `Custom (${sort})` }];
+
   /**
    * Get CSS class for priority badge styling
    * 
@@ -161,30 +426,49 @@ export function BugList({ refreshTrigger }) {
     return `status-${status}`;
   };
 
-  // Show loading state
-  if (loading) {
-    return <div className="bug-list"><p className="loading">Loading bugs...</p></div>;
-  }
-
   return (
     <div className="bug-list">
       <h2>Bug Tracker</h2>
 
       {error && <div className="alert alert-error">{error}</div>}
 
+      {/* Saved Views */}
+      <SavedViews
+        current={{ query: expression.trim(), search: searchInput.trim(), sort, columns }}
+        onApply={applyView}
+        onReset={() => applyView({
+          query: '',
+          search: '',
+          sort: DEFAULT_SORT,
+          columns: BUG_COLUMNS.map((column) => column.name),
+        })}
+      />
+
+      {/* Search Box */}
+      <div className="search-box">
+        <label htmlFor="bug-search">Search:</label>
+        <input
+          id="bug-search"
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder='Words, "exact phrase", -exclude'
+        />
+      </div>
+
       {/* Filter Controls */}
       <div className="filters">
         <div className="filter-group">
           <label htmlFor="status-filter">Status:</label>
           <select
             id="status-filter"
-            value={statusFilter}
-            onChange={(e) => setStatusFilter(e.target.value)}
+            value={getFieldValue(expression, 'status')}
+            onChange={(e) => setExpression(setFieldValue(expression, 'status', e.target.value))}
           >
             <option value="">All Statuses</option>
-            <option value="open">Open</option>
-            <option value="in-progress">In Progress</option>
-            <option value="resolved">Resolved</option>
+            {Object.entries(statuses).map(([name, state]) => (
+              <option key={name} value={name}>{state.label}</option>
+            ))}
           </select>
         </div>
 
@@ -192,8 +476,8 @@ export function BugList({ refreshTrigger }) {
           <label htmlFor="priority-filter">Priority:</label>
           <select
             id="priority-filter"
-            value={priorityFilter}
-            onChange={(e) => setPriorityFilter(e.target.value)}
+            value={getFieldValue(expression, 'priority')}
+            onChange={(e) => setExpression(setFieldValue(expression, 'priority', e.target.value))}
           >
             <option value="">All Priorities</option>
             <option value="low">Low</option>
@@ -203,36 +487,88 @@ export function BugList({ refreshTrigger }) {
           </select>
         </div>
 
+        <div className="filter-group">
+          <label htmlFor="sort-order">Sort:</label>
+          <select id="sort-order" value={sort} onChange={(e) => setSort(e.target.value)}>
+            {sortOptions.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <details className="column-picker">
+          <summary>Columns</summary>
+          {BUG_COLUMNS.map((column) => (
+            <label key={column.name}>
+              <input
+                type="checkbox"
+                checked={show(column.name)}
+                onChange={() => toggleColumn(column.name)}
+              />
+              {column.label}
+            </label>
+          ))}
+        </details>
+
         <button onClick={fetchBugs} className="btn btn-secondary">
           Refresh
         </button>
       </div>
 
+      {/* Query Expression */}
+      <div className="query-expression">
+        <label htmlFor="query-expression">Filter:</label>
+        <input
+          id="query-expression"
+          type="text"
+          value={expression}
+          onChange={(e) => setExpression(e.target.value)}
+          placeholder="status:open,in-progress priority:>=high assignee:me -tag:wontfix"
+          aria-invalid={expressionError ? 'true' : 'false'}
+          spellCheck="false"
+        />
+        {expressionError && (
+          <p className="error-text query-error">
+            {expressionError.error}
+            {expressionError.token && <> (at <code>{expressionError.token}</code>)</>}
+          </p>
+        )}
+      </div>
+
       {/* Statistics Display */}
       <div className="bug-stats">
-        <p>Total Bugs: <strong>{filteredBugs.length}</strong></p>
-        <p>Open: <strong>{filteredBugs.filter((b) => b.status === 'open').length}</strong></p>
-        <p>In Progress: <strong>{filteredBugs.filter((b) => b.status === 'in-progress').length}</strong></p>
-        <p>Resolved: <strong>{filteredBugs.filter((b) => b.status === 'resolved').length}</strong></p>
+        <p>Total Bugs: <strong>{total}</strong></p>
+        {Object.entries(statuses).map(([name, state]) => (
+          <p key={name}>
+            {state.label}: <strong>{counts[name] || 0}</strong>
+          </p>
+        ))}
       </div>
 
       {/* Bug List or Empty State */}
-      {filteredBugs.length === 0 ? (
-        <p className="no-bugs">No bugs found</p>
+      {loading ? (
+        <p className="loading">Loading bugs...</p>
+      ) : bugs.length === 0 ? (
+        <p className="no-bugs">{searchQuery ? `No bugs match "${searchQuery}"` : 'No bugs found'}</p>
       ) : (
         <div className="bugs-container">
-          {filteredBugs.map((bug) => (
+          {bugs.map((bug) => (
             <div key={bug._id} className="bug-card">
               {/* Bug Header with Title and Controls */}
               <div className="bug-header">
                 <div className="bug-title-section">
+                  {bug.key && <span className="bug-key">{bug.key}</span>}
                   <h3>{bug.title}</h3>
-                  <span className={`priority-badge ${getPriorityClass(bug.priority)}`}>
-                    {bug.priority.toUpperCase()}
-                  </span>
-                  <span className={`status-badge ${getStatusClass(bug.status)}`}>
-                    {bug.status.replace('-', ' ').toUpperCase()}
-                  </span>
+                  {show('priority') && (
+                    <span className={`priority-badge ${getPriorityClass(bug.priority)}`}>
+                      {bug.priority.toUpperCase()}
+                    </span>
+                  )}
+                  {show('status') && (
+                    <span className={`status-badge ${getStatusClass(bug.status)}`}>
+                      {(statuses[bug.status]?.label || bug.status.replace('-', ' ')).toUpperCase()}
+                    </span>
+                  )}
                 </div>
                 <div className="bug-actions">
                   <button
@@ -241,6 +577,33 @@ export function BugList({ refreshTrigger }) {
                   >
                     {editingBugId === bug._id ? 'Cancel' : 'Update Status'}
                   </button>
+                  <button
+                    onClick={() => setAssigningBugId(assigningBugId === bug._id ? null : bug._id)}
+                    className="btn btn-small btn-secondary"
+                  >
+                    {assigningBugId === bug._id ? 'Done' : 'Assign'}
+                  </button>
+                  {currentUser && (
+                    <button
+                      onClick={() => handleToggleWatch(bug, !isWatching(bug))}
+                      disabled={watching === bug._id}
+                      className="btn btn-small btn-secondary"
+                    >
+                      {isWatching(bug) ? 'Unwatch' : 'Watch'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setHistoryBugId(historyBugId === bug._id ? null : bug._id)}
+                    className="btn btn-small btn-secondary"
+                  >
+                    {historyBugId === bug._id ? 'Hide History' : 'History'}
+                  </button>
+                  <button
+                    onClick={() => setCommentsBugId(commentsBugId === bug._id ? null : bug._id)}
+                    className="btn btn-small btn-secondary"
+                  >
+                    {commentsBugId === bug._id ? 'Hide Comments' : `Comments (${bug.comments?.length || 0})`}
+                  </button>
                   <button
                     onClick={() => handleDeleteBug(bug._id)}
                     disabled={deleting === bug._id}
@@ -251,11 +614,23 @@ export function BugList({ refreshTrigger }) {
                 </div>
               </div>
 
+              {/* Search Matches */}
+              <SearchSnippets snippets={bug.snippets} />
+
               {/* Bug Description */}
-              <p className="bug-description">{bug.description}</p>
+              {show('description') && (
+                <MarkdownBody className="bug-description" html={bug.descriptionHtml} text={bug.description} />
+              )}
+
+              {/* Resolution Note */}
+              {bug.resolution && (
+                <p className="bug-resolution">
+                  <strong>Resolution:</strong> {bug.resolution}
+                </p>
+              )}
 
               {/* Tags Display */}
-              {bug.tags && bug.tags.length > 0 && (
+              {show('tags') && bug.tags && bug.tags.length > 0 && (
                 <div className="tags">
                   {bug.tags.map((tag) => (
                     <span key={tag} className="tag">
@@ -267,12 +642,21 @@ export function BugList({ refreshTrigger }) {
 
               {/* Bug Metadata */}
               <div className="bug-meta">
-                <small>
-                  Reported by: <strong>{bug.reportedBy?.username || 'Unknown'}</strong>
-                </small>
-                <small>
-                  Created: <strong>{new Date(bug.createdAt).toLocaleDateString()}</strong>
-                </small>
+                {show('reporter') && (
+                  <small>
+                    Reported by: <strong>{bug.reportedBy?.username || 'Unknown'}</strong>
+                  </small>
+                )}
+                {show('assignee') && (
+                  <small>
+                    Assignee: <strong>{bug.assignedTo?.username || 'Unassigned'}</strong>
+                  </small>
+                )}
+                {show('createdAt') && (
+                  <small>
+                    Created: <strong>{new Date(bug.createdAt).toLocaleDateString()}</strong>
+                  </small>
+                )}
               </div>
 
               {/* Status Update Interface */}
@@ -283,10 +667,28 @@ export function BugList({ refreshTrigger }) {
                   onStatusUpdate={handleStatusUpdate}
                 />
               )}
+
+              {/* Assignment Controls */}
+              {assigningBugId === bug._id && <AssigneePicker bug={bug} onAssigned={handleAssigned} />}
+
+              {/* Change History Timeline */}
+              {historyBugId === bug._id && <BugHistory key={bug.updatedAt} bugId={bug._id} />}
+
+              {/* Comment Threads */}
+              {commentsBugId === bug._id && <CommentPanel bugId={bug._id} />}
             </div>
           ))}
         </div>
       )}
+
+      {/* Pagination */}
+      {!loading && nextCursor && (
+        <div className="load-more">
+          <button onClick={loadMore} disabled={loadingMore} className="btn btn-secondary">
+            {loadingMore ? 'Loading...' : `Load more (${bugs.length} of ${total})`}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
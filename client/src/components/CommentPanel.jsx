@@ -0,0 +1,380 @@
+/**
+ * Comment Panel Component
+ *
+ * Shows a bug's threaded discussion and lets users comment, reply,
+ * and edit or delete their own comments (admins may edit any). Comment
+ * boxes autocomplete @mentions from the user search.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { apiRequest } from '../utils/api';
+import { getCurrentUser } from '../utils/auth';
+import { findMentionQuery, completeMention } from '../utils/mentions';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import MarkdownBody from './MarkdownBody';
+import '../styles/CommentPanel.css';
+
+/**
+ * Arrange a flat comment list into reply threads
+ *
+ * Comments whose parent is missing are treated as top-level so nothing
+ * disappears from the discussion.
+ *
+ * @param {Array<Object>} comments - Comments with optional parentId
+ * @returns {Array<Object>} Top-level comments, each with a replies array
+ */
+export function buildCommentTree(comments) {
+  const nodes = new Map(comments.map((comment) => [comment._id, { ...comment, replies: [] }]));
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * Delay before a typed @mention is searched, in milliseconds
+ */
+const MENTION_SEARCH_DELAY = 200;
+
+/**
+ * Form for writing a new comment, a reply, or an edit
+ *
+ * Typing @ followed by part of a username suggests matching users; the
+ * arrow keys move through them and Enter or Tab completes the mention.
+ *
+ * @param {string} initialText - Starting text (for edits)
+ * @param {string} submitLabel - Submit button text
+ * @param {function} onSubmit - Called with the trimmed text
+ * @param {function} [onCancel] - Shows a cancel button when provided
+ * @returns {React.ReactElement} Comment form
+ */
+function CommentForm({ initialText = '', submitLabel, onSubmit, onCancel }) {
+  const [text, setText] = useState(initialText);
+  const [submitting, setSubmitting] = useState(false);
+  const [mention, setMention] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+  const textareaRef = useRef(null);
+  const caretRef = useRef(null);
+  const query = useDebouncedValue(mention ? mention.query : '', MENTION_SEARCH_DELAY);
+  const mentionOpen = Boolean(mention);
+
+  /**
+   * Suggest users whose names start with the typed mention
+   */
+  useEffect(() => {
+    if (!mentionOpen || !query) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    apiRequest(`/api/users?q=${encodeURIComponent(query)}`, 'GET')
+      .then((response) => {
+        if (cancelled) return;
+        setSuggestions(Array.isArray(response) ? response : []);
+        setHighlighted(0);
+      })
+      .catch(() => {
+        // Suggestions are optional; the mention can still be typed out
+        if (!cancelled) setSuggestions([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, mentionOpen]);
+
+  /**
+   * Put the caret after a completed mention once the text has updated
+   */
+  useEffect(() => {
+    if (caretRef.current === null || !textareaRef.current) return;
+    textareaRef.current.setSelectionRange(caretRef.current, caretRef.current);
+    caretRef.current = null;
+  }, [text]);
+
+  const closeSuggestions = () => {
+    setMention(null);
+    setSuggestions([]);
+  };
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    setMention(findMentionQuery(e.target.value, e.target.selectionStart));
+  };
+
+  /**
+   * Replace the typed mention with the chosen username
+   *
+   * @param {Object} user - Suggested user
+   */
+  const chooseUser = (user) => {
+    const completed = completeMention(text, mention, user.username);
+    caretRef.current = completed.caret;
+    setText(completed.text);
+    closeSuggestions();
+    if (textareaRef.current) textareaRef.current.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (!mention || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((highlighted + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      chooseUser(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeSuggestions();
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setSubmitting(true);
+    try {
+      await onSubmit(text.trim());
+      setText('');
+      closeSuggestions();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const showSuggestions = mention && suggestions.length > 0;
+
+  return (
+    <form className="comment-form" onSubmit={handleSubmit}>
+      <div className="comment-input">
+        <textarea
+          ref={textareaRef}
+          aria-label={submitLabel}
+          aria-autocomplete="list"
+          aria-expanded={Boolean(showSuggestions)}
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={closeSuggestions}
+          rows="3"
+          disabled={submitting}
+        />
+        {showSuggestions && (
+          <ul className="mention-suggestions" role="listbox" aria-label="Mention a user">
+            {suggestions.map((user, index) => (
+              <li
+                key={user._id}
+                role="option"
+                aria-selected={index === highlighted}
+                className={index === highlighted ? 'highlighted' : ''}
+                // Keep focus in the textarea so blur doesn't close the list first
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  chooseUser(user);
+                }}
+              >
+                @{user.username}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="comment-form-actions">
+        <button type="submit" className="btn btn-small btn-primary" disabled={submitting || !text.trim()}>
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-small btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+/**
+ * CommentPanel Component
+ *
+ * Loads the bug with its comments and renders the discussion threads.
+ *
+ * @param {string} bugId - ID of the bug whose comments to show
+ * @returns {React.ReactElement} Comment threads with reply and edit controls
+ */
+export function CommentPanel({ bugId }) {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Which comment is being replied to or edited
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  const currentUser = getCurrentUser();
+
+  /**
+   * Load the bug's comments
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    apiRequest(`/api/bugs/${bugId}`, 'GET')
+      .then((bug) => {
+        if (!cancelled) setComments(bug.comments || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load comments');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId]);
+
+  /**
+   * Run a comment request and replace the comments with the response
+   *
+   * @param {Promise<Object>} request - API request resolving to the updated bug
+   */
+  const applyChange = async (request) => {
+    setError('');
+    try {
+      const bug = await request;
+      setComments(bug.comments || []);
+      setReplyingTo(null);
+      setEditing(null);
+    } catch (err) {
+      setError(err.data?.error || err.message || 'Failed to save comment');
+      throw err;
+    }
+  };
+
+  const handleAdd = (text, parentId = null) => applyChange(
+    apiRequest(`/api/bugs/${bugId}/comments`, 'POST', { text, parentId })
+  );
+
+  const handleEdit = (commentId, text) => applyChange(
+    apiRequest(`/api/bugs/${bugId}/comments/${commentId}`, 'PATCH', { text })
+  );
+
+  const handleDelete = (commentId) => {
+    if (!window.confirm('Delete this comment?')) return undefined;
+    return applyChange(
+      apiRequest(`/api/bugs/${bugId}/comments/${commentId}`, 'DELETE')
+    ).catch(() => {});
+  };
+
+  /**
+   * Check whether the current user may edit or delete a comment
+   *
+   * @param {Object} comment - Comment with populated author
+   * @returns {boolean} True for the author or an admin
+   */
+  const canModify = (comment) => {
+    if (!currentUser || comment.deleted) return false;
+    const authorId = comment.author?._id || comment.author;
+    return currentUser.role === 'admin' || authorId === currentUser.id;
+  };
+
+  /**
+   * Render a comment and its replies
+   *
+   * @param {Object} comment - Comment tree node
+   * @returns {React.ReactElement} Comment with nested replies
+   */
+  const renderComment = (comment) => (
+    <li key={comment._id} className={`comment ${comment.deleted ? 'comment-deleted' : ''}`}>
+      <div className="comment-header">
+        <strong>{comment.deleted ? 'Deleted' : comment.author?.username || 'Unknown'}</strong>
+        <time dateTime={comment.createdAt}>{new Date(comment.createdAt).toLocaleString()}</time>
+        {comment.editedAt && !comment.deleted && (
+          <span className="comment-edited" title={`Edited ${new Date(comment.editedAt).toLocaleString()}`}>
+            (edited)
+          </span>
+        )}
+      </div>
+
+      {editing === comment._id ? (
+        <CommentForm
+          initialText={comment.text}
+          submitLabel="Save"
+          onSubmit={(text) => handleEdit(comment._id, text)}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <MarkdownBody className="comment-text" html={comment.textHtml} text={comment.text} />
+      )}
+
+      {!comment.deleted && editing !== comment._id && (
+        <div className="comment-actions">
+          {currentUser && (
+            <button type="button" className="link-btn" onClick={() => setReplyingTo(comment._id)}>
+              Reply
+            </button>
+          )}
+          {canModify(comment) && (
+            <>
+              <button type="button" className="link-btn" onClick={() => setEditing(comment._id)}>
+                Edit
+              </button>
+              <button type="button" className="link-btn" onClick={() => handleDelete(comment._id)}>
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {replyingTo === comment._id && (
+        <CommentForm
+          submitLabel="Reply"
+          onSubmit={(text) => handleAdd(text, comment._id)}
+          onCancel={() => setReplyingTo(null)}
+        />
+      )}
+
+      {comment.replies.length > 0 && (
+        <ul className="comment-replies">{comment.replies.map(renderComment)}</ul>
+      )}
+    </li>
+  );
+
+  if (loading) {
+    return <div className="comment-panel"><p className="loading">Loading comments...</p></div>;
+  }
+
+  return (
+    <div className="comment-panel">
+      <h4>Comments ({comments.filter((c) => !c.deleted).length})</h4>
+
+      {error && <p className="error-text">{error}</p>}
+
+      {comments.length === 0 ? (
+        <p className="no-comments">No comments yet</p>
+      ) : (
+        <ul className="comment-thread">{buildCommentTree(comments).map(renderComment)}</ul>
+      )}
+
+      {currentUser && <CommentForm submitLabel="Add Comment" onSubmit={(text) => handleAdd(text)} />}
+    </div>
+  );
+}
+
+export default CommentPanel;
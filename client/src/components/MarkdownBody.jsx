@@ -0,0 +1,30 @@
+/**
+ * Markdown Body Component
+ * 
+ * Shows a bug description or comment. The server renders Markdown to
+ * sanitized HTML (see server/src/utils/markdown.js), so that HTML is
+ * inserted as is; the plain text is shown for records saved before
+ * rendering existed.
+ */
+
+import React from 'react';
+import '../styles/MarkdownBody.css';
+
+/**
+ * MarkdownBody Component
+ * 
+ * @param {string} [html] - Server-rendered, sanitized HTML
+ * @param {string} [text] - Markdown source, shown as text when there is no HTML
+ * @param {string} [className] - Extra class names
+ * @returns {React.ReactElement} Rendered body
+ */
+export function MarkdownBody({ html, text, className = '' }) {
+  const classes = `markdown-body ${className}`.trim();
+
+  if (html) {
+    return <div className={classes} dangerouslySetInnerHTML={{ __html: html }} />;
+  }
+  return <p className={classes}>{text}</p>;
+}
+
+export default MarkdownBody;
@@ -0,0 +1,175 @@
+/**
+ * Notification Bell Component
+ *
+ * Shows the logged-in user's unread notification count in the header and
+ * opens a list of recent notifications about the bugs they watch. The
+ * count is polled so new activity shows up without a reload; opening a
+ * notification marks it read.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiRequest } from '../utils/api';
+import { getCurrentUser } from '../utils/auth';
+import '../styles/NotificationBell.css';
+
+/**
+ * How often the unread count is refreshed, in milliseconds
+ */
+export const POLL_INTERVAL = 30000;
+
+/**
+ * NotificationBell Component
+ *
+ * Renders nothing for visitors who are not logged in.
+ *
+ * @returns {React.ReactElement|null} Bell button and notification list
+ */
+export function NotificationBell() {
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const currentUser = getCurrentUser();
+  const userId = currentUser ? currentUser.id : null;
+
+  /**
+   * Refresh the unread count
+   */
+  const fetchCount = useCallback(async () => {
+    try {
+      const response = await apiRequest('/api/notifications/unread-count', 'GET');
+      setUnreadCount(response.count || 0);
+    } catch (err) {
+      // Keep the last known count; the next poll will try again
+    }
+  }, []);
+
+  /**
+   * Poll the unread count while logged in
+   */
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    fetchCount();
+    const timer = setInterval(fetchCount, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [userId, fetchCount]);
+
+  /**
+   * Load the newest notifications when the list is opened
+   */
+  useEffect(() => {
+    if (!open) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    apiRequest('/api/notifications', 'GET')
+      .then((response) => {
+        if (cancelled) return;
+        setNotifications(response.notifications || []);
+        setUnreadCount(response.unreadCount || 0);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load notifications');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
+  /**
+   * Mark one notification read
+   *
+   * @param {Object} notification - Notification that was opened
+   */
+  const markRead = async (notification) => {
+    if (notification.read) return;
+
+    try {
+      await apiRequest(`/api/notifications/${notification._id}`, 'PATCH', { read: true });
+      setNotifications((prev) => prev.map((item) => (
+        item._id === notification._id ? { ...item, read: true } : item
+      )));
+      setUnreadCount((prev) => Math.max(prev - 1, 0));
+    } catch (err) {
+      setError(err.data?.error || err.message || 'Failed to update notification');
+    }
+  };
+
+  /**
+   * Mark every notification read
+   */
+  const markAllRead = async () => {
+    try {
+      await apiRequest('/api/notifications/read-all', 'POST');
+      setNotifications((prev) => prev.map((item) => ({ ...item, read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      setError(err.data?.error || err.message || 'Failed to update notifications');
+    }
+  };
+
+  if (!userId) return null;
+
+  return (
+    <div className="notification-bell">
+      <button
+        type="button"
+        className="bell-btn"
+        aria-label={`Notifications (${unreadCount} unread)`}
+        aria-expanded={open}
+        onClick={() => setOpen((prev) => !prev)}
+      >
+        🔔
+        {unreadCount > 0 && <span className="bell-count">{unreadCount > 99 ? '99+' : unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button type="button" className="link-btn" onClick={markAllRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {loading && <p className="notification-empty">Loading...</p>}
+          {error && <p className="error-text">{error}</p>}
+          {!loading && !error && notifications.length === 0 && (
+            <p className="notification-empty">You&apos;re all caught up.</p>
+          )}
+
+          {notifications.length > 0 && (
+            <ul className="notification-list">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    type="button"
+                    className={`notification-item ${notification.read ? '' : 'unread'}`}
+                    onClick={() => markRead(notification)}
+                  >
+                    <span className="notification-message">{notification.message}</span>
+                    <span className="notification-time">
+                      {new Date(notification.createdAt).toLocaleString()}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,96 @@
+/**
+ * Project Switcher Component
+ *
+ * Lets the user pick which project's backlog to work in. The choice is
+ * remembered in localStorage; without one, the first project the user
+ * is a member of is picked.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+import { getCurrentUser } from '../utils/auth';
+
+/**
+ * localStorage key of the last chosen project
+ */
+export const PROJECT_STORAGE_KEY = 'currentProject';
+
+/**
+ * Choose the project to start with
+ *
+ * @param {Array<Object>} projects - Projects from the API
+ * @param {string|null} stored - Key remembered from the last visit
+ * @param {Object|null} user - Current user from getCurrentUser()
+ * @returns {string} Project key, or '' when there are no projects
+ */
+export function pickInitialProject(projects, stored, user) {
+  if (stored && projects.some((project) => project.key === stored)) return stored;
+
+  const isMember = (project) => user && (project.members || []).some(
+    (member) => (member._id || member) === user.id
+  );
+  const initial = projects.find(isMember) || projects[0];
+  return initial ? initial.key : '';
+}
+
+/**
+ * ProjectSwitcher Component
+ *
+ * @param {string|null} value - Key of the selected project (null until loaded)
+ * @param {function} onChange - Called with the newly selected project key,
+ *   including the initial choice ('' when there are no projects)
+ * @returns {React.ReactElement} Project select
+ */
+export function ProjectSwitcher({ value, onChange }) {
+  const [projects, setProjects] = useState([]);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the projects and select the starting one
+   */
+  useEffect(() => {
+    apiRequest('/api/projects', 'GET')
+      .then((response) => {
+        const list = Array.isArray(response) ? response : [];
+        setProjects(list);
+        onChange(pickInitialProject(list, localStorage.getItem(PROJECT_STORAGE_KEY), getCurrentUser()));
+      })
+      .catch((err) => {
+        setError(err.message || 'Failed to load projects');
+        onChange('');
+      });
+  }, []);
+
+  /**
+   * Switch projects and remember the choice
+   *
+   * @param {React.ChangeEvent} e - Change event from the select
+   */
+  const handleChange = (e) => {
+    localStorage.setItem(PROJECT_STORAGE_KEY, e.target.value);
+    onChange(e.target.value);
+  };
+
+  if (error) return <p className="project-switcher-error">{error}</p>;
+
+  return (
+    <div className="project-switcher">
+      <label htmlFor="project-switcher">Project:</label>
+      <select
+        id="project-switcher"
+        value={value || ''}
+        onChange={handleChange}
+        disabled={projects.length === 0}
+      >
+        {projects.length === 0 && <option value="">No projects yet</option>}
+        {projects.map((project) => (
+          <option key={project.key} value={project.key}>
+            {project.name} ({project.key})
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default ProjectSwitcher;
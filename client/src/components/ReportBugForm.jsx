@@ -3,12 +3,61 @@
  * 
  * Provides a user interface for reporting new bugs. Handles form validation,
  * submission to the API, and user feedback through error and success messages.
+ * Files dropped on the form (screenshots, logs) are uploaded as attachments
+ * once the bug has been created. The description is Markdown, with a
+ * preview rendered by the server.
  */
 
-import React, { useState } from 'react';
-import { apiRequest } from '../utils/api';
+import React, { useRef, useState } from 'react';
+import { apiRequest, uploadRequest } from '../utils/api';
+import MarkdownBody from './MarkdownBody';
 import '../styles/ReportBugForm.css';
 
+/**
+ * Attachment limits, mirroring server/src/config/attachments.js. The server
+ * checks the real content; these only catch mistakes before uploading.
+ */
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_FILES = 5;
+const ACCEPTED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'application/gzip',
+];
+const ACCEPTED_EXTENSIONS = ['.log', '.txt', '.json', '.gz', '.zip'];
+
+/**
+ * Whether a file looks like a type the server accepts
+ *
+ * Browsers leave the type empty or guess oddly for logs, so common
+ * extensions are accepted too.
+ *
+ * @param {File} file - Selected file
+ * @returns {boolean} True if it may be attached
+ */
+function isAcceptedType(file) {
+  const name = file.name.toLowerCase();
+  return ACCEPTED_TYPES.includes(file.type)
+    || ACCEPTED_EXTENSIONS.some((extension) => name.endsWith(extension));
+}
+
+/**
+ * Format a byte count for display
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * ReportBugForm Component
  * 
@@ -16,9 +65,10 @@ import '../styles/ReportBugForm.css';
  * Implements client-side validation and provides immediate feedback.
  * 
  * @param {function} onBugCreated - Callback function triggered after successful bug creation
+ * @param {string} [projectKey] - Project the bug is reported against
  * @returns {React.ReactElement} Form for reporting new bugs
  */
-export function ReportBugForm({ onBugCreated }) {
+export function ReportBugForm({ onBugCreated, projectKey }) {
   // Form field state
   const [formData, setFormData] = useState({
     title: '',
@@ -27,6 +77,15 @@ export function ReportBugForm({ onBugCreated }) {
     tags: '',
   });
 
+  // Files to attach once the bug exists
+  const [files, setFiles] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const fileInput = useRef(null);
+
+  // Description preview (null while writing)
+  const [previewHtml, setPreviewHtml] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+
   // UI state
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
@@ -49,6 +108,105 @@ export function ReportBugForm({ onBugCreated }) {
     setError('');
   };
 
+  /**
+   * Switch the description between writing and a rendered preview
+   * 
+   * The preview comes from the server so it matches what will be stored.
+   * 
+   * @param {boolean} preview - Show the preview
+   */
+  const showPreview = async (preview) => {
+    if (!preview) {
+      setPreviewHtml(null);
+      return;
+    }
+    if (!formData.description.trim()) {
+      setPreviewHtml('');
+      return;
+    }
+
+    setPreviewLoading(true);
+    try {
+      const { html } = await apiRequest('/api/markdown/preview', 'POST', { text: formData.description });
+      setPreviewHtml(html);
+    } catch (err) {
+      setError((err.data && err.data.error) || 'Failed to load preview');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  /**
+   * Add files to the attachment list
+   * 
+   * Rejects files that are too large, of an unsupported type or over the
+   * per-bug limit, keeping the ones that pass.
+   * 
+   * @param {FileList|File[]} selected - Dropped or chosen files
+   */
+  const addFiles = (selected) => {
+    const accepted = [];
+    const problems = [];
+
+    Array.from(selected).forEach((file) => {
+      if (!isAcceptedType(file)) {
+        problems.push(`${file.name} is not a supported file type`);
+      } else if (file.size > MAX_FILE_SIZE) {
+        problems.push(`${file.name} is larger than ${formatSize(MAX_FILE_SIZE)}`);
+      } else if (files.length + accepted.length >= MAX_FILES) {
+        problems.push(`At most ${MAX_FILES} files can be attached`);
+      } else {
+        accepted.push(file);
+      }
+    });
+
+    setFiles((prev) => [...prev, ...accepted]);
+    setError([...new Set(problems)].join('. '));
+  };
+
+  /**
+   * Remove a file from the attachment list
+   * 
+   * @param {number} index - Position of the file
+   */
+  const removeFile = (index) => {
+    setFiles((prev) => prev.filter((_, position) => position !== index));
+  };
+
+  /**
+   * Highlight the drop area while files are dragged over it
+   * 
+   * @param {React.DragEvent} e - Drag event
+   */
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!loading) setDragging(true);
+  };
+
+  /**
+   * Take the files dropped on the drop area
+   * 
+   * @param {React.DragEvent} e - Drop event
+   */
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!loading && e.dataTransfer && e.dataTransfer.files.length > 0) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  /**
+   * Take the files picked with the file browser
+   * 
+   * @param {React.ChangeEvent} e - Change event from the file input
+   */
+  const handleFileSelect = (e) => {
+    addFiles(e.target.files);
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+  };
+
   /**
    * Handle form submission
    * 
@@ -86,7 +244,8 @@ export function ReportBugForm({ onBugCreated }) {
       }
 
       // Submit to API
-      const response = await apiRequest('/api/bugs', 'POST', {
+      const path = projectKey ? `/api/projects/${projectKey}/bugs` : '/api/bugs';
+      const response = await apiRequest(path, 'POST', {
         title: formData.title,
         description: formData.description,
         priority: formData.priority,
@@ -96,7 +255,23 @@ export function ReportBugForm({ onBugCreated }) {
           .filter((tag) => tag),
       });
 
-      setSuccess('Bug reported successfully!');
+      // Upload attachments now the bug exists; the bug stays reported if this fails
+      let attachmentError = '';
+      if (files.length > 0) {
+        const upload = new FormData();
+        files.forEach((file) => upload.append('files', file));
+        try {
+          response.attachments = await uploadRequest(`${path}/${response._id}/attachments`, upload);
+        } catch (err) {
+          attachmentError = (err.data && err.data.error) || err.message;
+        }
+      }
+
+      if (attachmentError) {
+        setError(`Bug reported, but the attachments could not be uploaded: ${attachmentError}`);
+      } else {
+        setSuccess('Bug reported successfully!');
+      }
 
       // Reset form fields
       setFormData({
@@ -105,6 +280,8 @@ export function ReportBugForm({ onBugCreated }) {
         priority: 'medium',
         tags: '',
       });
+      setFiles([]);
+      setPreviewHtml(null);
 
       // Notify parent component of successful creation
       if (onBugCreated) {
@@ -145,17 +322,48 @@ export function ReportBugForm({ onBugCreated }) {
         </div>
 
         <div className="form-group">
-          <label htmlFor="description">Description</label>
-          <textarea
-            id="description"
-            name="description"
-            value={formData.description}
-            onChange={handleChange}
-            placeholder="Detailed description of the bug"
-            rows="5"
-            disabled={loading}
-          />
-          <small>{formData.description.length} characters</small>
+          <div className="description-header">
+            <label htmlFor="description">Description</label>
+            <div className="description-tabs" role="tablist">
+              <button
+                type="button"
+                role="tab"
+                aria-selected={previewHtml === null}
+                className={previewHtml === null ? 'active' : ''}
+                onClick={() => showPreview(false)}
+              >
+                Write
+              </button>
+              <button
+                type="button"
+                role="tab"
+                aria-selected={previewHtml !== null}
+                className={previewHtml !== null ? 'active' : ''}
+                onClick={() => showPreview(true)}
+                disabled={previewLoading}
+              >
+                {previewLoading ? 'Loading...' : 'Preview'}
+              </button>
+            </div>
+          </div>
+          {previewHtml === null ? (
+            <textarea
+              id="description"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              placeholder="Detailed description of the bug"
+              rows="5"
+              disabled={loading}
+            />
+          ) : (
+            <div className="description-preview" data-testid="description-preview">
+              {previewHtml
+                ? <MarkdownBody html={previewHtml} />
+                : <p className="description-preview-empty">Nothing to preview</p>}
+            </div>
+          )}
+          <small>{formData.description.length} characters · Markdown supported</small>
         </div>
 
         <div className="form-row">
@@ -189,6 +397,61 @@ export function ReportBugForm({ onBugCreated }) {
           </div>
         </div>
 
+        <div className="form-group">
+          <label htmlFor="attachments">Attachments</label>
+          <div
+            className={`drop-zone${dragging ? ' drop-zone-active' : ''}`}
+            onDragOver={handleDragOver}
+            onDragLeave={() => setDragging(false)}
+            onDrop={handleDrop}
+            data-testid="drop-zone"
+          >
+            <p>
+              Drop screenshots or logs here, or{' '}
+              <button
+                type="button"
+                className="btn-link"
+                onClick={() => fileInput.current && fileInput.current.click()}
+                disabled={loading}
+              >
+                browse
+              </button>
+            </p>
+            <input
+              ref={fileInput}
+              type="file"
+              id="attachments"
+              multiple
+              accept={[...ACCEPTED_TYPES, ...ACCEPTED_EXTENSIONS].join(',')}
+              onChange={handleFileSelect}
+              disabled={loading}
+              hidden
+            />
+          </div>
+          <small>
+            Images, PDFs, text logs and archives, up to {formatSize(MAX_FILE_SIZE)} each
+          </small>
+          {files.length > 0 && (
+            <ul className="attachment-list">
+              {files.map((file, index) => (
+                <li key={`${file.name}-${index}`}>
+                  <span className="attachment-name">{file.name}</span>
+                  <span className="attachment-size">{formatSize(file.size)}</span>
+                  <button
+                    type="button"
+                    className="btn-link"
+                    onClick={() => removeFile(index)}
+                    disabled={loading}
+                    aria-label={`Remove ${file.name}`}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         <button type="submit" disabled={loading} className="btn btn-primary">
           {loading ? 'Reporting...' : 'Report Bug'}
         </button>
@@ -0,0 +1,174 @@
+/**
+ * Saved Views Component
+ *
+ * Shows the user's saved bug list views (and views shared by the team)
+ * as tabs. Clicking a tab applies its filter, search, sort and columns;
+ * the current settings can be saved as a new view.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+import { getCurrentUser } from '../utils/auth';
+import '../styles/SavedViews.css';
+
+/**
+ * Check whether a view matches the list's current settings
+ *
+ * @param {Object} view - Saved view
+ * @param {Object} current - { query, search, sort, columns }
+ * @returns {boolean} True if applying the view would change nothing
+ */
+export function isViewActive(view, current) {
+  return view.query === current.query
+    && view.search === current.search
+    && view.sort === current.sort
+    && view.columns.length === current.columns.length
+    && view.columns.every((column) => current.columns.includes(column));
+}
+
+/**
+ * SavedViews Component
+ *
+ * @param {Object} current - Current list settings { query, search, sort, columns }
+ * @param {function} onApply - Called with a view's settings when its tab is clicked
+ * @param {function} onReset - Called when the "All bugs" tab is clicked
+ * @returns {React.ReactElement|null} View tabs, or nothing when logged out
+ */
+export function SavedViews({ current, onApply, onReset }) {
+  const [views, setViews] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [error, setError] = useState('');
+
+  const currentUser = getCurrentUser();
+
+  /**
+   * Load the views once for the logged-in user
+   */
+  useEffect(() => {
+    if (!currentUser) return;
+
+    apiRequest('/api/views', 'GET')
+      .then((response) => setViews(Array.isArray(response) ? response : []))
+      .catch((err) => console.error('Error fetching saved views:', err));
+  }, [currentUser?.id]);
+
+  if (!currentUser) return null;
+
+  /**
+   * Save the current settings as a new view
+   * 
+   * @param {Event} e - Form submit event
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const view = await apiRequest('/api/views', 'POST', { name: name.trim(), shared, ...current });
+      setViews((prevViews) => [...prevViews, view].sort((a, b) => a.name.localeCompare(b.name)));
+      setSaving(false);
+      setName('');
+      setShared(false);
+    } catch (err) {
+      const fieldErrors = err.data?.errors ? Object.values(err.data.errors).join('. ') : '';
+      setError(fieldErrors || err.data?.error || err.message || 'Failed to save view');
+    }
+  };
+
+  /**
+   * Delete one of the user's views
+   * 
+   * @param {Object} view - View to delete
+   */
+  const handleDelete = async (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+    try {
+      await apiRequest(`/api/views/${view._id}`, 'DELETE');
+      setViews((prevViews) => prevViews.filter((v) => v._id !== view._id));
+    } catch (err) {
+      setError(err.data?.error || err.message || 'Failed to delete view');
+    }
+  };
+
+  const anyActive = views.some((view) => isViewActive(view, current));
+
+  return (
+    <div className="saved-views">
+      <div className="saved-view-tabs" role="tablist" aria-label="Saved views">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={!anyActive}
+          className={`view-tab ${!anyActive ? 'active' : ''}`}
+          onClick={onReset}
+        >
+          All bugs
+        </button>
+
+        {views.map((view) => {
+          const active = isViewActive(view, current);
+          const ownView = (view.owner?._id || view.owner) === currentUser.id;
+          return (
+            <span key={view._id} className={`view-tab ${active ? 'active' : ''}`}>
+              <button
+                type="button"
+                role="tab"
+                aria-selected={active}
+                className="view-tab-label"
+                onClick={() => onApply(view)}
+                title={view.shared && !ownView ? `Shared by ${view.owner?.username}` : undefined}
+              >
+                {view.name}
+                {view.shared && <span className="view-shared"> (shared)</span>}
+              </button>
+              {(ownView || currentUser.role === 'admin') && (
+                <button
+                  type="button"
+                  className="view-delete"
+                  aria-label={`Delete view ${view.name}`}
+                  onClick={() => handleDelete(view)}
+                >
+                  ×
+                </button>
+              )}
+            </span>
+          );
+        })}
+
+        {!saving && (
+          <button type="button" className="view-tab view-save" onClick={() => setSaving(true)}>
+            + Save view
+          </button>
+        )}
+      </div>
+
+      {saving && (
+        <form className="save-view-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            aria-label="View name"
+            placeholder="View name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={60}
+          />
+          <label>
+            <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+            Share with team
+          </label>
+          <button type="submit" className="btn btn-small btn-primary" disabled={!name.trim()}>
+            Save
+          </button>
+          <button type="button" className="btn btn-small btn-secondary" onClick={() => setSaving(false)}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {error && <p className="error-text">{error}</p>}
+    </div>
+  );
+}
+
+export default SavedViews;
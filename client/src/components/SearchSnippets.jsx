@@ -0,0 +1,62 @@
+/**
+ * Search Snippets Component
+ * 
+ * Shows the parts of a bug that matched a full-text search, with the
+ * matching words highlighted.
+ */
+
+import React from 'react';
+
+/**
+ * Labels for the field each snippet came from
+ */
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  comment: 'Comment',
+};
+
+/**
+ * Render text with the given ranges wrapped in <mark>
+ * 
+ * @param {string} text - Snippet text
+ * @param {Array<[number, number]>} matches - Sorted [start, end) ranges
+ * @returns {Array<React.ReactNode>} Text and mark elements
+ */
+export function highlightText(text, matches = []) {
+  const parts = [];
+  let position = 0;
+
+  matches.forEach(([start, end]) => {
+    if (start < position) return;
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+
+  if (position < text.length) parts.push(text.slice(position));
+  return parts;
+}
+
+/**
+ * SearchSnippets Component
+ * 
+ * @param {Array<Object>} snippets - { field, text, matches } from the API
+ * @returns {React.ReactElement|null} List of highlighted snippets
+ */
+export function SearchSnippets({ snippets }) {
+  if (!snippets || snippets.length === 0) return null;
+
+  return (
+    <ul className="search-snippets">
+      {snippets.map((snippet, index) => (
+        <li key={`${snippet.field}-${snippet.commentId || index}`}>
+          <span className="search-snippet-field">{FIELD_LABELS[snippet.field] || snippet.field}:</span>{' '}
+          {highlightText(snippet.text, snippet.matches)}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default SearchSnippets;
@@ -1,53 +1,105 @@
 /**
  * Status Updater Component
- * 
+ *
  * Provides an inline interface for updating a bug's status.
- * Allows users to select from available statuses and submit changes.
+ * Only offers the workflow transitions the server permits for the
+ * bug's current status and the logged-in user.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
 import '../styles/StatusUpdater.css';
 
+/**
+ * Labels and input types for fields a transition can require
+ */
+const REQUIRED_FIELD_INPUTS = {
+  resolution: { label: 'Resolution note', multiline: true },
+  duplicateOf: { label: 'Duplicate of (bug ID)', multiline: false },
+};
+
 /**
  * StatusUpdater Component
- * 
- * Displays radio button options for status selection and handles submission.
- * Prevents submission if status hasn't changed.
- * 
+ *
+ * Loads the allowed transitions from the API, displays them as radio
+ * options and collects any fields the chosen transition requires.
+ *
  * @param {string} bugId - ID of the bug being updated
  * @param {string} currentStatus - Current status of the bug
- * @param {function} onStatusUpdate - Callback function when status is updated
+ * @param {function} onStatusUpdate - Callback (bugId, status, fields) when status is updated
  * @returns {React.ReactElement} Status update form interface
  */
 export function StatusUpdater({ bugId, currentStatus, onStatusUpdate }) {
-  // Track selected status during editing
+  // Track selected status and required field values during editing
   const [selectedStatus, setSelectedStatus] = useState(currentStatus);
+  const [fields, setFields] = useState({});
+
+  // Transitions allowed by the server
+  const [transitions, setTransitions] = useState([]);
+  const [loadingTransitions, setLoadingTransitions] = useState(true);
 
   // UI state
   const [updating, setUpdating] = useState(false);
   const [error, setError] = useState('');
 
-  // Available status options
-  const statuses = ['open', 'in-progress', 'resolved'];
+  /**
+   * Load the allowed transitions whenever the bug or its status changes
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoadingTransitions(true);
+    setSelectedStatus(currentStatus);
+    apiRequest(`/api/bugs/${bugId}/transitions`, 'GET')
+      .then((response) => {
+        if (!cancelled) setTransitions(response.transitions || []);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setTransitions([]);
+          setError(err.data?.error || err.message || 'Failed to load status options');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingTransitions(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId, currentStatus]);
+
+  const selectedTransition = transitions.find((t) => t.to === selectedStatus);
+  const requiredFields = selectedTransition ? selectedTransition.requires : [];
 
   /**
    * Handle status update submission
-   * 
-   * Validates that status has changed before submitting.
-   * Shows loading state during the API request.
+   *
+   * Validates that a transition is selected and its required fields
+   * are filled in before submitting.
    */
   const handleUpdateClick = async () => {
     // Prevent submission if status hasn't changed
-    if (selectedStatus === currentStatus) {
+    if (!selectedTransition) {
       setError('Please select a different status');
       return;
     }
 
+    const missing = requiredFields.filter((field) => !(fields[field] || '').trim());
+    if (missing.length > 0) {
+      setError(`Please provide: ${missing.map((f) => REQUIRED_FIELD_INPUTS[f]?.label || f).join(', ')}`);
+      return;
+    }
+
     setUpdating(true);
     setError('');
 
     try {
-      await onStatusUpdate(bugId, selectedStatus);
+      const values = {};
+      requiredFields.forEach((field) => {
+        values[field] = fields[field].trim();
+      });
+      await onStatusUpdate(bugId, selectedStatus, values);
     } catch (err) {
       setError(err.message || 'Failed to update status');
     } finally {
@@ -55,37 +107,71 @@ export function StatusUpdater({ bugId, currentStatus, onStatusUpdate }) {
     }
   };
 
+  if (loadingTransitions) {
+    return (
+      <div className="status-updater">
+        <h4>Update Status</h4>
+        <p className="loading">Loading status options...</p>
+      </div>
+    );
+  }
+
   return (
     <div className="status-updater">
       <h4>Update Status</h4>
 
       {error && <p className="error-text">{error}</p>}
 
-      {/* Status Selection Options */}
-      <div className="status-options">
-        {statuses.map((status) => (
-          <label key={status} className="status-option">
-            <input
-              type="radio"
-              name="status"
-              value={status}
-              checked={selectedStatus === status}
-              onChange={(e) => setSelectedStatus(e.target.value)}
-              disabled={updating}
-            />
-            <span>{status.replace('-', ' ').toUpperCase()}</span>
-          </label>
-        ))}
-      </div>
+      {transitions.length === 0 ? (
+        <p className="no-transitions">No status changes are available for this bug.</p>
+      ) : (
+        <>
+          {/* Status Selection Options */}
+          <div className="status-options">
+            {transitions.map((transition) => (
+              <label key={transition.to} className="status-option">
+                <input
+                  type="radio"
+                  name={`status-${bugId}`}
+                  value={transition.to}
+                  checked={selectedStatus === transition.to}
+                  onChange={(e) => setSelectedStatus(e.target.value)}
+                  disabled={updating}
+                />
+                <span>{transition.label.toUpperCase()}</span>
+              </label>
+            ))}
+          </div>
+
+          {/* Fields required by the selected transition */}
+          {requiredFields.map((field) => {
+            const input = REQUIRED_FIELD_INPUTS[field] || { label: field };
+            const id = `${field}-${bugId}`;
+            const props = {
+              id,
+              value: fields[field] || '',
+              onChange: (e) => setFields((prev) => ({ ...prev, [field]: e.target.value })),
+              disabled: updating,
+            };
+
+            return (
+              <div key={field} className="status-field">
+                <label htmlFor={id}>{input.label}</label>
+                {input.multiline ? <textarea rows="3" {...props} /> : <input type="text" {...props} />}
+              </div>
+            );
+          })}
 
-      {/* Submit Button */}
-      <button
-        onClick={handleUpdateClick}
-        disabled={updating || selectedStatus === currentStatus}
-        className="btn btn-primary"
-      >
-        {updating ? 'Updating...' : 'Save Status'}
-      </button>
+          {/* Submit Button */}
+          <button
+            onClick={handleUpdateClick}
+            disabled={updating || !selectedTransition}
+            className="btn btn-primary"
+          >
+            {updating ? 'Updating...' : 'Save Status'}
+          </button>
+        </>
+      )}
     </div>
   );
 }
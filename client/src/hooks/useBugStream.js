@@ -0,0 +1,87 @@
+/**
+ * useBugStream Custom Hook
+ *
+ * Subscribes to a Server-Sent Events bug stream (GET /api/bugs/stream) and
+ * hands each message to a callback. EventSource reconnects on its own and
+ * sends Last-Event-ID so missed changes are replayed; if the browser gives
+ * up on the connection, the hook reopens it with the last id in the query
+ * string.
+ */
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * Events sent by the bug stream
+ */
+export const BUG_STREAM_EVENTS = [
+  'created', 'updated', 'commented', 'deleted', 'comment.updated', 'comment.deleted', 'reset',
+];
+
+/**
+ * Delay before reopening a closed stream, in milliseconds
+ */
+export const RECONNECT_DELAY = 5000;
+
+/**
+ * Custom Hook for Live Bug Changes
+ *
+ * Does nothing where EventSource is unavailable (such as older browsers
+ * and test environments).
+ *
+ * @param {string|null} url - Stream URL, or null to stay disconnected
+ * @param {function(string, Object): void} onEvent - Called with the event
+ *   type and its parsed data ({ bug } or {} for reset)
+ *
+ * @example
+ * useBugStream('/api/bugs/stream', (type, data) => {
+ *   if (type === 'updated') replaceBug(data.bug);
+ * });
+ */
+function useBugStream(url, onEvent) {
+  // Always call the latest callback without reconnecting on every render
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+
+  useEffect(() => {
+    if (!url || typeof EventSource === 'undefined') return undefined;
+
+    let source = null;
+    let reconnectTimer = null;
+    let lastEventId = null;
+    let closed = false;
+
+    const open = () => {
+      const separator = url.includes('?') ? '&' : '?';
+      source = new EventSource(lastEventId
+        ? `${url}${separator}lastEventId=${encodeURIComponent(lastEventId)}`
+        : url);
+
+      BUG_STREAM_EVENTS.forEach((type) => {
+        source.addEventListener(type, (event) => {
+          if (event.lastEventId) lastEventId = event.lastEventId;
+          try {
+            handlerRef.current(type, JSON.parse(event.data || '{}'));
+          } catch (err) {
+            console.error('Error handling bug stream event:', err);
+          }
+        });
+      });
+
+      source.onerror = () => {
+        // CONNECTING means the browser is already retrying by itself
+        if (source.readyState !== EventSource.CLOSED || closed) return;
+        reconnectTimer = setTimeout(open, RECONNECT_DELAY);
+      };
+    };
+
+    open();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (source) source.close();
+    };
+  }, [url]);
+}
+
+export default useBugStream;
@@ -0,0 +1,82 @@
+// client/src/hooks/useBugStream.test.js
+// Unit tests for useBugStream custom hook
+
+import { renderHook, act } from '@testing-library/react';
+import useBugStream, { RECONNECT_DELAY } from './useBugStream';
+
+/**
+ * Minimal EventSource stand-in that tests can push messages through
+ */
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeEventSource.OPEN;
+    this.listeners = {};
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data, lastEventId) {
+    this.listeners[type]({ data: JSON.stringify(data), lastEventId });
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+}
+FakeEventSource.OPEN = 1;
+FakeEventSource.CLOSED = 2;
+
+describe('useBugStream Custom Hook', () => {
+  beforeEach(() => {
+    FakeEventSource.instances = [];
+    global.EventSource = FakeEventSource;
+  });
+
+  afterEach(() => {
+    delete global.EventSource;
+    jest.useRealTimers();
+  });
+
+  it('should pass parsed events to the latest callback', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    const { rerender } = renderHook(({ onEvent }) => useBugStream('/api/bugs/stream', onEvent), {
+      initialProps: { onEvent: first },
+    });
+
+    rerender({ onEvent: second });
+    FakeEventSource.instances[0].emit('updated', { bug: { _id: 'b1' } }, '7');
+
+    expect(FakeEventSource.instances).toHaveLength(1);
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledWith('updated', { bug: { _id: 'b1' } });
+  });
+
+  it('should reopen a closed stream from the last event id', () => {
+    jest.useFakeTimers();
+    renderHook(() => useBugStream('/api/bugs/stream', jest.fn()));
+
+    const source = FakeEventSource.instances[0];
+    source.emit('created', { bug: { _id: 'b1' } }, '12');
+    source.readyState = FakeEventSource.CLOSED;
+    source.onerror();
+
+    act(() => {
+      jest.advanceTimersByTime(RECONNECT_DELAY);
+    });
+
+    expect(FakeEventSource.instances[1].url).toBe('/api/bugs/stream?lastEventId=12');
+  });
+
+  it('should close the stream on unmount', () => {
+    const { unmount } = renderHook(() => useBugStream('/api/bugs/stream', jest.fn()));
+
+    unmount();
+
+    expect(FakeEventSource.instances[0].readyState).toBe(FakeEventSource.CLOSED);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * useDebouncedValue Custom Hook
+ * 
+ * Delays propagating a fast-changing value (such as a search box) until
+ * it has stopped changing, so expensive work like API requests runs once
+ * the user pauses instead of on every keystroke.
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom Hook for Debounced Values
+ * 
+ * @param {*} value - Value to debounce
+ * @param {number} [delay=300] - Milliseconds the value must stay unchanged
+ * @returns {*} The latest value once it has been stable for `delay` ms
+ * 
+ * @example
+ * const [search, setSearch] = useState('');
+ * const debouncedSearch = useDebouncedValue(search, 300);
+ * useEffect(() => { fetchResults(debouncedSearch); }, [debouncedSearch]);
+ */
+function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+export default useDebouncedValue;
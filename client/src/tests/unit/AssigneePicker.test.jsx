@@ -0,0 +1,72 @@
+// AssigneePicker.test.jsx - Unit test for AssigneePicker component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AssigneePicker from '../../components/AssigneePicker';
+import { apiRequest } from '../../utils/api';
+import { getCurrentUser } from '../../utils/auth';
+
+jest.mock('../../utils/api', () => ({
+  apiRequest: jest.fn(),
+}));
+
+jest.mock('../../utils/auth', () => ({
+  getCurrentUser: jest.fn(),
+}));
+
+const bug = { _id: 'b1', title: 'Broken login', assignedTo: null };
+
+describe('AssigneePicker Component', () => {
+  beforeEach(() => {
+    getCurrentUser.mockReturnValue({ id: 'u1', username: 'alice', role: 'reporter' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('assigns the bug to the current user', async () => {
+    const updated = { ...bug, assignedTo: { _id: 'u1', username: 'alice' } };
+    apiRequest.mockResolvedValueOnce(updated);
+    const onAssigned = jest.fn();
+
+    render(<AssigneePicker bug={bug} onAssigned={onAssigned} />);
+
+    fireEvent.click(screen.getByText('Assign to me'));
+
+    await waitFor(() => expect(onAssigned).toHaveBeenCalledWith(updated));
+    expect(apiRequest).toHaveBeenCalledWith('/api/bugs/b1/assign', 'POST', {});
+  });
+
+  it('searches users and assigns the chosen one', async () => {
+    apiRequest
+      .mockResolvedValueOnce([{ _id: 'u2', username: 'bob', role: 'maintainer' }])
+      .mockResolvedValueOnce({ ...bug, assignedTo: { _id: 'u2', username: 'bob' } });
+    const onAssigned = jest.fn();
+
+    render(<AssigneePicker bug={bug} onAssigned={onAssigned} />);
+
+    fireEvent.change(screen.getByLabelText('Find a user to assign'), { target: { value: 'bo' } });
+    fireEvent.click(await screen.findByText('bob'));
+
+    await waitFor(() => expect(onAssigned).toHaveBeenCalled());
+    expect(apiRequest).toHaveBeenCalledWith('/api/users?q=bo', 'GET');
+    expect(apiRequest).toHaveBeenCalledWith('/api/bugs/b1/assign', 'POST', { userId: 'u2' });
+  });
+
+  it('shows the server error when assignment is not allowed', async () => {
+    apiRequest.mockRejectedValueOnce({ data: { error: 'You do not have permission' } });
+
+    render(
+      <AssigneePicker
+        bug={{ ...bug, assignedTo: { _id: 'u2', username: 'bob' } }}
+        onAssigned={jest.fn()}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Unassign'));
+
+    expect(await screen.findByText('You do not have permission')).toBeInTheDocument();
+  });
+});
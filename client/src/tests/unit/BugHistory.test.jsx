@@ -0,0 +1,99 @@
+// BugHistory.test.jsx - Unit test for BugHistory component
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugHistory, { formatHistoryValue } from '../../components/BugHistory';
+import { apiRequest } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  apiRequest: jest.fn(),
+}));
+
+describe('BugHistory Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('renders each change with old and new values', async () => {
+    apiRequest.mockResolvedValueOnce([
+      {
+        _id: 'e1',
+        action: 'created',
+        actor: { username: 'alice' },
+        createdAt: '2026-01-01T10:00:00Z',
+        changes: [],
+      },
+      {
+        _id: 'e2',
+        action: 'updated',
+        actor: { username: 'bob' },
+        createdAt: '2026-01-02T10:00:00Z',
+        changes: [
+          { field: 'status', from: 'open', to: 'triaged' },
+          { field: 'assignedTo', from: null, to: { _id: 'u1', username: 'carol' } },
+        ],
+      },
+    ]);
+
+    render(<BugHistory bugId="b1" />);
+
+    expect(await screen.findByText('alice')).toBeInTheDocument();
+    expect(screen.getByText(/reported this bug/)).toBeInTheDocument();
+    expect(screen.getByText('triaged')).toBeInTheDocument();
+    expect(screen.getByText('carol')).toBeInTheDocument();
+    expect(apiRequest).toHaveBeenCalledWith('/api/bugs/b1/history', 'GET');
+  });
+
+  it('describes comment edits and deletions without their text', async () => {
+    apiRequest.mockResolvedValueOnce([
+      {
+        _id: 'e3',
+        action: 'comment.updated',
+        actor: { username: 'dave' },
+        createdAt: '2026-01-03T10:00:00Z',
+        comment: 'c1',
+        changes: [{ field: 'text', from: 'Typo hre', to: 'Typo here' }],
+      },
+      {
+        _id: 'e4',
+        action: 'comment.deleted',
+        actor: { username: 'dave' },
+        createdAt: '2026-01-04T10:00:00Z',
+        comment: 'c1',
+        changes: [],
+      },
+    ]);
+
+    render(<BugHistory bugId="b1" />);
+
+    expect(await screen.findByText(/edited a comment/)).toBeInTheDocument();
+    expect(screen.getByText(/deleted a comment/)).toBeInTheDocument();
+    expect(screen.queryByText('Typo hre')).not.toBeInTheDocument();
+  });
+
+  it('shows an empty state', async () => {
+    apiRequest.mockResolvedValueOnce([]);
+
+    render(<BugHistory bugId="b1" />);
+
+    expect(await screen.findByText('No history yet')).toBeInTheDocument();
+  });
+
+  it('shows an error when loading fails', async () => {
+    apiRequest.mockRejectedValueOnce(new Error('API Error: 500'));
+
+    render(<BugHistory bugId="b1" />);
+
+    expect(await screen.findByText('API Error: 500')).toBeInTheDocument();
+  });
+
+  describe('formatHistoryValue', () => {
+    it('formats empty, array and user values', () => {
+      expect(formatHistoryValue('resolution', null)).toBe('none');
+      expect(formatHistoryValue('tags', ['ui', 'api'])).toBe('ui, api');
+      expect(formatHistoryValue('tags', [])).toBe('none');
+      expect(formatHistoryValue('assignedTo', { username: 'dev' })).toBe('dev');
+    });
+  });
+});
@@ -0,0 +1,286 @@
+// BugList.test.jsx - Unit test for BugList component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugList from '../../components/BugList';
+import { apiRequest } from '../../utils/api';
+import { getCurrentUser } from '../../utils/auth';
+
+jest.mock('../../utils/api', () => ({
+  apiRequest: jest.fn(),
+}));
+
+jest.mock('../../utils/auth', () => ({
+  getCurrentUser: jest.fn(),
+}));
+
+const workflow = {
+  initial: 'open',
+  states: {
+    open: { label: 'Open' },
+    resolved: { label: 'Resolved' },
+  },
+  transitions: [],
+};
+
+/**
+ * Build a minimal bug for list rendering
+ */
+const makeBug = (id, status = 'open') => ({
+  _id: id,
+  key: `BUG-${id}`,
+  title: `Bug ${id}`,
+  description: 'Something is broken',
+  status,
+  priority: 'medium',
+  tags: [],
+  comments: [],
+  createdAt: '2026-01-01T10:00:00Z',
+});
+
+/**
+ * EventSource stand-in for the bug stream
+ */
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    FakeEventSource.latest = this;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data) {
+    this.listeners[type]({ data: JSON.stringify(data), lastEventId: '1' });
+  }
+
+  close() {}
+}
+
+/**
+ * Route mocked requests by path
+ */
+const mockApi = (pages) => {
+  apiRequest.mockImplementation((path) => {
+    if (path === '/api/bugs/workflow') return Promise.resolve(workflow);
+    const params = new URLSearchParams(path.split('?')[1]);
+    return Promise.resolve(pages[params.get('cursor') || params.get('q') || 'first']);
+  });
+};
+
+describe('BugList Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('shows totals from the server rather than the loaded page', async () => {
+    mockApi({
+      first: {
+        bugs: [makeBug('1')],
+        total: 42,
+        nextCursor: 'abc',
+        counts: { open: 30, resolved: 12 },
+      },
+    });
+
+    render(<BugList refreshTrigger={0} />);
+
+    expect(await screen.findByText('Bug 1')).toBeInTheDocument();
+    expect(screen.getByText('BUG-1')).toBeInTheDocument();
+    expect(screen.getByText('42')).toBeInTheDocument();
+    expect(screen.getByText('30')).toBeInTheDocument();
+    expect(screen.getByText('12')).toBeInTheDocument();
+  });
+
+  it('appends the next page when Load more is clicked', async () => {
+    mockApi({
+      first: { bugs: [makeBug('1')], total: 2, nextCursor: 'abc', counts: { open: 2 } },
+      abc: { bugs: [makeBug('2')], total: 2, nextCursor: null, counts: { open: 2 } },
+    });
+
+    render(<BugList refreshTrigger={0} />);
+
+    fireEvent.click(await screen.findByText('Load more (1 of 2)'));
+
+    expect(await screen.findByText('Bug 2')).toBeInTheDocument();
+    expect(screen.getByText('Bug 1')).toBeInTheDocument();
+    expect(screen.queryByText(/Load more/)).not.toBeInTheDocument();
+  });
+
+  it('sends dropdown filters to the server as a query expression', async () => {
+    mockApi({ first: { bugs: [], total: 0, nextCursor: null, counts: {} } });
+
+    render(<BugList refreshTrigger={0} />);
+
+    fireEvent.change(await screen.findByLabelText('Priority:'), { target: { value: 'high' } });
+
+    expect(screen.getByLabelText('Filter:')).toHaveValue('priority:high');
+    await waitFor(() => {
+      expect(apiRequest).toHaveBeenCalledWith('/api/bugs?limit=20&query=priority%3Ahigh', 'GET');
+    });
+  });
+
+  it('reflects a typed expression in the dropdowns', async () => {
+    mockApi({ first: { bugs: [], total: 0, nextCursor: null, counts: {} } });
+
+    render(<BugList refreshTrigger={0} />);
+
+    fireEvent.change(await screen.findByLabelText('Filter:'), {
+      target: { value: 'status:resolved tag:ui' },
+    });
+
+    expect(screen.getByLabelText('Status:')).toHaveValue('resolved');
+  });
+
+  it('shows expression errors with the offending token', async () => {
+    apiRequest.mockImplementation((path) => {
+      if (path === '/api/bugs/workflow') return Promise.resolve(workflow);
+      if (path.includes('query=')) {
+        const error = new Error('API Error: 400');
+        error.status = 400;
+        error.data = { error: 'Unknown field "colour"', token: 'colour:red', position: 0 };
+        return Promise.reject(error);
+      }
+      return Promise.resolve({ bugs: [makeBug('1')], total: 1, nextCursor: null, counts: {} });
+    });
+
+    render(<BugList refreshTrigger={0} />);
+
+    await screen.findByText('Bug 1');
+    fireEvent.change(screen.getByLabelText('Filter:'), { target: { value: 'colour:red' } });
+
+    expect(await screen.findByText('Unknown field "colour"', { exact: false })).toBeInTheDocument();
+    expect(screen.getByText('colour:red')).toBeInTheDocument();
+    expect(screen.getByText('Bug 1')).toBeInTheDocument();
+  });
+
+  it('searches after typing stops and keeps the query in the URL', async () => {
+    mockApi({
+      first: { bugs: [makeBug('1')], total: 1, nextCursor: null, counts: { open: 1 } },
+      crash: {
+        bugs: [{
+          ...makeBug('2'),
+          snippets: [{ field: 'title', text: 'App crashes on start', matches: [[4, 11]] }],
+        }],
+        total: 1,
+        nextCursor: null,
+        counts: { open: 1 },
+      },
+    });
+
+    render(<BugList refreshTrigger={0} />);
+
+    await screen.findByText('Bug 1');
+    fireEvent.change(screen.getByLabelText('Search:'), { target: { value: 'crash' } });
+
+    const mark = await screen.findByText('crashes');
+    expect(mark.tagName).toBe('MARK');
+    expect(window.location.search).toBe('?q=crash');
+    expect(apiRequest).toHaveBeenCalledWith('/api/bugs?limit=20&q=crash', 'GET');
+  });
+
+  it('sends the chosen sort order and hides unchecked columns', async () => {
+    mockApi({ first: { bugs: [makeBug('1')], total: 1, nextCursor: null, counts: { open: 1 } } });
+
+    render(<BugList refreshTrigger={0} />);
+
+    await screen.findByText('Something is broken');
+    fireEvent.change(screen.getByLabelText('Sort:'), { target: { value: '-priority,-createdAt' } });
+    fireEvent.click(screen.getByLabelText('Description'));
+
+    expect(screen.queryByText('Something is broken')).not.toBeInTheDocument();
+    await waitFor(() => {
+      expect(apiRequest).toHaveBeenCalledWith('/api/bugs?limit=20&sortBy=-priority%2C-createdAt', 'GET');
+    });
+  });
+
+  it('lists the selected project\'s bugs', async () => {
+    mockApi({ first: { bugs: [], total: 0, nextCursor: null, counts: {} } });
+
+    render(<BugList refreshTrigger={0} projectKey="WEB" />);
+
+    await waitFor(() => {
+      expect(apiRequest).toHaveBeenCalledWith('/api/projects/WEB/bugs?limit=20', 'GET');
+    });
+  });
+
+  it('starts with the query from the URL', async () => {
+    window.history.replaceState(null, '', '/?q=crash');
+    mockApi({ crash: { bugs: [], total: 0, nextCursor: null, counts: {} } });
+
+    render(<BugList refreshTrigger={0} />);
+
+    expect(screen.getByLabelText('Search:')).toHaveValue('crash');
+    expect(await screen.findByText('No bugs match "crash"')).toBeInTheDocument();
+  });
+
+  it('opens bug links filtered to the bug key', async () => {
+    window.history.replaceState(null, '', '/?query=key%3AWEB-12');
+    mockApi({ first: { bugs: [makeBug('1')], total: 1, nextCursor: null, counts: { open: 1 } } });
+
+    render(<BugList refreshTrigger={0} />);
+
+    expect(screen.getByLabelText('Filter:')).toHaveValue('key:WEB-12');
+    await screen.findByText('Bug 1');
+    expect(apiRequest).toHaveBeenCalledWith('/api/bugs?limit=20&query=key%3AWEB-12', 'GET');
+    expect(window.location.search).toBe('?query=key%3AWEB-12');
+  });
+
+  it('watches and unwatches a bug', async () => {
+    getCurrentUser.mockReturnValue({ id: 'u1', username: 'alice', role: 'reporter' });
+    mockApi({ first: { bugs: [makeBug('1')], total: 1, nextCursor: null, counts: { open: 1 } } });
+    const listApi = apiRequest.getMockImplementation();
+    apiRequest.mockImplementation((path, method) => {
+      if (path === '/api/bugs/1/watch') {
+        return Promise.resolve({ watching: method === 'POST', watchers: method === 'POST' ? ['u1'] : [] });
+      }
+      return listApi(path, method);
+    });
+
+    render(<BugList refreshTrigger={0} />);
+
+    fireEvent.click(await screen.findByText('Watch'));
+    fireEvent.click(await screen.findByText('Unwatch'));
+
+    expect(await screen.findByText('Watch')).toBeInTheDocument();
+    expect(apiRequest).toHaveBeenCalledWith('/api/bugs/1/watch', 'POST');
+    expect(apiRequest).toHaveBeenCalledWith('/api/bugs/1/watch', 'DELETE');
+  });
+
+  it('applies live changes from the bug stream', async () => {
+    global.EventSource = FakeEventSource;
+    mockApi({
+      first: {
+        bugs: [makeBug('1'), makeBug('2')],
+        total: 2,
+        nextCursor: null,
+        counts: { open: 2, resolved: 0 },
+      },
+    });
+
+    render(<BugList refreshTrigger={0} projectKey="WEB" />);
+    await screen.findByText('Bug 1');
+    expect(FakeEventSource.latest.url).toBe('/api/projects/WEB/bugs/stream');
+
+    act(() => {
+      FakeEventSource.latest.emit('updated', { bug: { ...makeBug('1', 'resolved'), title: 'Bug 1 renamed' } });
+      FakeEventSource.latest.emit('deleted', { bug: { _id: '2', status: 'open' } });
+    });
+    act(() => {
+      FakeEventSource.latest.emit('created', { bug: makeBug('3') });
+    });
+
+    expect(screen.getByText('Bug 1 renamed')).toBeInTheDocument();
+    expect(screen.queryByText('Bug 2')).not.toBeInTheDocument();
+    expect(screen.getByText('Bug 3')).toBeInTheDocument();
+    const stat = (label) => screen.getByText(`${label}:`, { exact: false }).querySelector('strong');
+    expect(stat('Total Bugs')).toHaveTextContent('2');
+    expect(stat('Open')).toHaveTextContent('1');
+    expect(stat('Resolved')).toHaveTextContent('1');
+    delete global.EventSource;
+  });
+});
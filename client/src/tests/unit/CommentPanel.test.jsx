@@ -0,0 +1,145 @@
+// CommentPanel.test.jsx - Unit test for CommentPanel component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import CommentPanel, { buildCommentTree } from '../../components/CommentPanel';
+import { apiRequest } from '../../utils/api';
+import { getCurrentUser } from '../../utils/auth';
+
+jest.mock('../../utils/api', () => ({
+  apiRequest: jest.fn(),
+}));
+
+jest.mock('../../utils/auth', () => ({
+  getCurrentUser: jest.fn(),
+}));
+
+const comments = [
+  {
+    _id: 'c1',
+    text: 'Can you share the browser version?',
+    author: { _id: 'u1', username: 'alice' },
+    createdAt: '2026-01-01T10:00:00Z',
+  },
+  {
+    _id: 'c2',
+    text: 'Chrome 120',
+    parentId: 'c1',
+    author: { _id: 'u2', username: 'bob' },
+    createdAt: '2026-01-01T11:00:00Z',
+    editedAt: '2026-01-01T11:05:00Z',
+  },
+];
+
+describe('buildCommentTree', () => {
+  it('nests replies under their parent comment', () => {
+    const tree = buildCommentTree(comments);
+
+    expect(tree).toHaveLength(1);
+    expect(tree[0].replies.map((reply) => reply._id)).toEqual(['c2']);
+  });
+
+  it('treats replies to missing comments as top-level', () => {
+    const tree = buildCommentTree([{ _id: 'c3', parentId: 'gone', text: 'orphan' }]);
+
+    expect(tree.map((comment) => comment._id)).toEqual(['c3']);
+  });
+});
+
+describe('CommentPanel Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('renders threaded comments with an edited marker', async () => {
+    getCurrentUser.mockReturnValue({ id: 'u2', role: 'reporter' });
+    apiRequest.mockResolvedValueOnce({ _id: 'b1', comments });
+
+    render(<CommentPanel bugId="b1" />);
+
+    expect(await screen.findByText('Chrome 120')).toBeInTheDocument();
+    expect(screen.getByText('(edited)')).toBeInTheDocument();
+    expect(apiRequest).toHaveBeenCalledWith('/api/bugs/b1', 'GET');
+  });
+
+  it('shows the server-rendered Markdown of a comment', async () => {
+    getCurrentUser.mockReturnValue(null);
+    apiRequest.mockResolvedValueOnce({
+      _id: 'b1',
+      comments: [{ ...comments[0], text: 'Use `Vec<u8>`', textHtml: '<p>Use <code>Vec&lt;u8&gt;</code></p>' }],
+    });
+
+    render(<CommentPanel bugId="b1" />);
+
+    const code = await screen.findByText('Vec<u8>');
+    expect(code.tagName).toBe('CODE');
+  });
+
+  it('only offers edit and delete on the user\'s own comments', async () => {
+    getCurrentUser.mockReturnValue({ id: 'u2', role: 'reporter' });
+    apiRequest.mockResolvedValueOnce({ _id: 'b1', comments });
+
+    render(<CommentPanel bugId="b1" />);
+
+    await screen.findByText('Chrome 120');
+    expect(screen.getAllByText('Edit')).toHaveLength(1);
+    expect(screen.getAllByText('Delete')).toHaveLength(1);
+  });
+
+  it('posts a reply with the parent comment id', async () => {
+    getCurrentUser.mockReturnValue({ id: 'u2', role: 'reporter' });
+    apiRequest
+      .mockResolvedValueOnce({ _id: 'b1', comments })
+      .mockResolvedValueOnce({ _id: 'b1', comments });
+
+    render(<CommentPanel bugId="b1" />);
+
+    await screen.findByText('Chrome 120');
+    fireEvent.click(screen.getAllByText('Reply')[0]);
+    const replyBox = screen.getByLabelText('Reply');
+    fireEvent.change(replyBox, { target: { value: 'Thanks!' } });
+    fireEvent.submit(replyBox.closest('form'));
+
+    await waitFor(() => {
+      expect(apiRequest).toHaveBeenCalledWith('/api/bugs/b1/comments', 'POST', {
+        text: 'Thanks!',
+        parentId: 'c1',
+      });
+    });
+  });
+
+  it('autocompletes @mentions from the user search', async () => {
+    getCurrentUser.mockReturnValue({ id: 'u2', role: 'reporter' });
+    apiRequest
+      .mockResolvedValueOnce({ _id: 'b1', comments })
+      .mockResolvedValueOnce([{ _id: 'u1', username: 'alice', role: 'developer' }]);
+
+    render(<CommentPanel bugId="b1" />);
+
+    await screen.findByText('Chrome 120');
+    const commentBox = screen.getByLabelText('Add Comment');
+    fireEvent.change(commentBox, { target: { value: 'cc @al' } });
+
+    const option = await screen.findByRole('option', { name: '@alice' });
+    expect(apiRequest).toHaveBeenCalledWith('/api/users?q=al', 'GET');
+
+    fireEvent.keyDown(commentBox, { key: 'Enter' });
+    expect(commentBox).toHaveValue('cc @alice ');
+    expect(option).not.toBeInTheDocument();
+  });
+
+  it('does not search for text that is not a mention', async () => {
+    getCurrentUser.mockReturnValue({ id: 'u2', role: 'reporter' });
+    apiRequest.mockResolvedValueOnce({ _id: 'b1', comments });
+
+    render(<CommentPanel bugId="b1" />);
+
+    await screen.findByText('Chrome 120');
+    fireEvent.change(screen.getByLabelText('Add Comment'), { target: { value: 'mail bob@example.com' } });
+
+    await act(() => new Promise((resolve) => setTimeout(resolve, 300)));
+    expect(apiRequest).toHaveBeenCalledTimes(1);
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+});
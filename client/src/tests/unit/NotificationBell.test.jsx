@@ -0,0 +1,96 @@
+// NotificationBell.test.jsx - Unit test for NotificationBell component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import NotificationBell, { POLL_INTERVAL } from '../../components/NotificationBell';
+import { apiRequest } from '../../utils/api';
+import { getCurrentUser } from '../../utils/auth';
+
+jest.mock('../../utils/api', () => ({
+  apiRequest: jest.fn(),
+}));
+
+jest.mock('../../utils/auth', () => ({
+  getCurrentUser: jest.fn(),
+}));
+
+const notifications = [
+  { _id: 'n1', message: 'bob moved WEB-1 to Resolved', read: false, createdAt: '2026-01-01T10:00:00Z' },
+  { _id: 'n2', message: 'bob commented on WEB-2: "Fixed"', read: true, createdAt: '2026-01-01T09:00:00Z' },
+];
+
+/**
+ * Route mocked requests by path
+ */
+const mockApi = (count = 1) => {
+  apiRequest.mockImplementation((path) => {
+    if (path === '/api/notifications/unread-count') return Promise.resolve({ count });
+    if (path === '/api/notifications') {
+      return Promise.resolve({ notifications, unreadCount: count, nextCursor: null });
+    }
+    return Promise.resolve({});
+  });
+};
+
+describe('NotificationBell Component', () => {
+  beforeEach(() => {
+    getCurrentUser.mockReturnValue({ id: 'u1', username: 'alice', role: 'reporter' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('renders nothing when logged out', () => {
+    getCurrentUser.mockReturnValue(null);
+
+    const { container } = render(<NotificationBell />);
+
+    expect(container).toBeEmptyDOMElement();
+    expect(apiRequest).not.toHaveBeenCalled();
+  });
+
+  it('shows the unread count and polls for changes', async () => {
+    jest.useFakeTimers();
+    mockApi(3);
+
+    render(<NotificationBell />);
+
+    expect(await screen.findByText('3')).toBeInTheDocument();
+
+    await act(async () => {
+      jest.advanceTimersByTime(POLL_INTERVAL);
+    });
+    expect(apiRequest.mock.calls.filter(([path]) => path === '/api/notifications/unread-count')).toHaveLength(2);
+  });
+
+  it('lists notifications and marks one read when clicked', async () => {
+    mockApi(1);
+
+    render(<NotificationBell />);
+
+    fireEvent.click(await screen.findByLabelText('Notifications (1 unread)'));
+    fireEvent.click(await screen.findByText('bob moved WEB-1 to Resolved'));
+
+    await waitFor(() => {
+      expect(apiRequest).toHaveBeenCalledWith('/api/notifications/n1', 'PATCH', { read: true });
+    });
+    expect(await screen.findByLabelText('Notifications (0 unread)')).toBeInTheDocument();
+  });
+
+  it('marks all notifications read', async () => {
+    mockApi(1);
+
+    render(<NotificationBell />);
+
+    fireEvent.click(await screen.findByLabelText('Notifications (1 unread)'));
+    fireEvent.click(await screen.findByText('Mark all read'));
+
+    await waitFor(() => {
+      expect(apiRequest).toHaveBeenCalledWith('/api/notifications/read-all', 'POST');
+    });
+    expect(screen.queryByText('Mark all read')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,63 @@
+// ProjectSwitcher.test.jsx - Unit test for ProjectSwitcher component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ProjectSwitcher, { pickInitialProject, PROJECT_STORAGE_KEY } from '../../components/ProjectSwitcher';
+import { apiRequest } from '../../utils/api';
+import { getCurrentUser } from '../../utils/auth';
+
+jest.mock('../../utils/api', () => ({
+  apiRequest: jest.fn(),
+}));
+
+jest.mock('../../utils/auth', () => ({
+  getCurrentUser: jest.fn(),
+}));
+
+const projects = [
+  { key: 'APP', name: 'Mobile app', members: [] },
+  { key: 'WEB', name: 'Website', members: [{ _id: 'u1', username: 'alice' }] },
+];
+
+describe('pickInitialProject', () => {
+  it('prefers the remembered project, then the user\'s team, then the first', () => {
+    expect(pickInitialProject(projects, 'APP', { id: 'u1' })).toBe('APP');
+    expect(pickInitialProject(projects, 'GONE', { id: 'u1' })).toBe('WEB');
+    expect(pickInitialProject(projects, null, null)).toBe('APP');
+    expect(pickInitialProject([], null, null)).toBe('');
+  });
+});
+
+describe('ProjectSwitcher Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('selects the user\'s project on load and remembers changes', async () => {
+    getCurrentUser.mockReturnValue({ id: 'u1', role: 'reporter' });
+    apiRequest.mockResolvedValueOnce(projects);
+    const onChange = jest.fn();
+
+    render(<ProjectSwitcher value="WEB" onChange={onChange} />);
+
+    await waitFor(() => expect(onChange).toHaveBeenCalledWith('WEB'));
+
+    fireEvent.change(screen.getByLabelText('Project:'), { target: { value: 'APP' } });
+
+    expect(onChange).toHaveBeenLastCalledWith('APP');
+    expect(localStorage.getItem(PROJECT_STORAGE_KEY)).toBe('APP');
+  });
+
+  it('reports no project when there are none', async () => {
+    getCurrentUser.mockReturnValue(null);
+    apiRequest.mockResolvedValueOnce([]);
+    const onChange = jest.fn();
+
+    render(<ProjectSwitcher value={null} onChange={onChange} />);
+
+    await waitFor(() => expect(onChange).toHaveBeenCalledWith(''));
+    expect(screen.getByText('No projects yet')).toBeInTheDocument();
+  });
+});
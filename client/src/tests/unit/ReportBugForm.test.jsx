@@ -0,0 +1,130 @@
+// ReportBugForm.test.jsx - Unit test for ReportBugForm component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ReportBugForm from '../../components/ReportBugForm';
+import { apiRequest, uploadRequest } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  apiRequest: jest.fn(),
+  uploadRequest: jest.fn(),
+}));
+
+/**
+ * Fill in the required fields
+ */
+const fillForm = () => {
+  fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Login button broken' } });
+  fireEvent.change(screen.getByLabelText('Description'), { target: { value: 'Clicking login does nothing' } });
+};
+
+/**
+ * Drop files on the attachment area
+ */
+const dropFiles = (files) => {
+  fireEvent.drop(screen.getByTestId('drop-zone'), { dataTransfer: { files } });
+};
+
+describe('ReportBugForm Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reports a bug without attachments', async () => {
+    apiRequest.mockResolvedValueOnce({ _id: 'b1', key: 'WEB-1' });
+    const onBugCreated = jest.fn();
+
+    render(<ReportBugForm onBugCreated={onBugCreated} projectKey="WEB" />);
+    fillForm();
+    fireEvent.click(screen.getByText('Report Bug'));
+
+    await waitFor(() => expect(onBugCreated).toHaveBeenCalled());
+    expect(apiRequest).toHaveBeenCalledWith('/api/projects/WEB/bugs', 'POST', expect.objectContaining({
+      title: 'Login button broken',
+    }));
+    expect(uploadRequest).not.toHaveBeenCalled();
+  });
+
+  it('lists dropped files and lets them be removed', () => {
+    render(<ReportBugForm />);
+
+    dropFiles([
+      new File(['png'], 'screenshot.png', { type: 'image/png' }),
+      new File(['log'], 'server.log', { type: '' }),
+    ]);
+
+    expect(screen.getByText('screenshot.png')).toBeInTheDocument();
+    expect(screen.getByText('server.log')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Remove screenshot.png'));
+    expect(screen.queryByText('screenshot.png')).not.toBeInTheDocument();
+  });
+
+  it('rejects unsupported and oversized files', () => {
+    render(<ReportBugForm />);
+
+    const big = new File(['x'], 'huge.png', { type: 'image/png' });
+    Object.defineProperty(big, 'size', { value: 11 * 1024 * 1024 });
+    dropFiles([new File(['MZ'], 'setup.exe', { type: 'application/x-msdownload' }), big]);
+
+    expect(screen.getByText(/setup.exe is not a supported file type/)).toBeInTheDocument();
+    expect(screen.getByText(/huge.png is larger than 10.0 MB/)).toBeInTheDocument();
+    expect(screen.queryByRole('listitem')).not.toBeInTheDocument();
+  });
+
+  it('uploads the attachments after creating the bug', async () => {
+    apiRequest.mockResolvedValueOnce({ _id: 'b1', key: 'WEB-1' });
+    uploadRequest.mockResolvedValueOnce([{ _id: 'a1', filename: 'screenshot.png' }]);
+    const onBugCreated = jest.fn();
+
+    render(<ReportBugForm onBugCreated={onBugCreated} />);
+    fillForm();
+    dropFiles([new File(['png'], 'screenshot.png', { type: 'image/png' })]);
+    fireEvent.click(screen.getByText('Report Bug'));
+
+    await waitFor(() => expect(onBugCreated).toHaveBeenCalled());
+    const [url, form] = uploadRequest.mock.calls[0];
+    expect(url).toBe('/api/bugs/b1/attachments');
+    expect(form.getAll('files').map((file) => file.name)).toEqual(['screenshot.png']);
+    expect(onBugCreated.mock.calls[0][0].attachments).toHaveLength(1);
+    expect(screen.queryByText('screenshot.png')).not.toBeInTheDocument();
+  });
+
+  it('keeps the bug but reports a failed upload', async () => {
+    apiRequest.mockResolvedValueOnce({ _id: 'b1', key: 'WEB-1' });
+    uploadRequest.mockRejectedValueOnce({ data: { error: 'screenshot.png: File type is not allowed' } });
+    const onBugCreated = jest.fn();
+
+    render(<ReportBugForm onBugCreated={onBugCreated} />);
+    fillForm();
+    dropFiles([new File(['png'], 'screenshot.png', { type: 'image/png' })]);
+    fireEvent.click(screen.getByText('Report Bug'));
+
+    expect(await screen.findByText(/attachments could not be uploaded: screenshot.png: File type/)).toBeInTheDocument();
+    expect(onBugCreated).toHaveBeenCalled();
+  });
+
+  it('previews the description as rendered by the server', async () => {
+    apiRequest.mockResolvedValueOnce({ html: '<p><strong>Steps</strong></p>' });
+
+    render(<ReportBugForm />);
+    fireEvent.change(screen.getByLabelText('Description'), { target: { value: '**Steps**' } });
+    fireEvent.click(screen.getByRole('tab', { name: 'Preview' }));
+
+    const preview = await screen.findByTestId('description-preview');
+    expect(preview.querySelector('strong')).toHaveTextContent('Steps');
+    expect(apiRequest).toHaveBeenCalledWith('/api/markdown/preview', 'POST', { text: '**Steps**' });
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Write' }));
+    expect(screen.getByLabelText('Description')).toHaveValue('**Steps**');
+  });
+
+  it('does not ask the server to preview an empty description', () => {
+    render(<ReportBugForm />);
+    fireEvent.click(screen.getByRole('tab', { name: 'Preview' }));
+
+    expect(screen.getByText('Nothing to preview')).toBeInTheDocument();
+    expect(apiRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+// SavedViews.test.jsx - Unit test for SavedViews component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SavedViews, { isViewActive } from '../../components/SavedViews';
+import { apiRequest } from '../../utils/api';
+import { getCurrentUser } from '../../utils/auth';
+
+jest.mock('../../utils/api', () => ({
+  apiRequest: jest.fn(),
+}));
+
+jest.mock('../../utils/auth', () => ({
+  getCurrentUser: jest.fn(),
+}));
+
+const defaults = {
+  query: '',
+  search: '',
+  sort: '-createdAt',
+  columns: ['priority', 'status'],
+};
+
+const views = [
+  {
+    _id: 'v1',
+    name: 'My critical bugs',
+    owner: { _id: 'u1', username: 'alice' },
+    shared: false,
+    query: 'priority:critical assignee:me',
+    search: '',
+    sort: '-createdAt',
+    columns: ['priority', 'status'],
+  },
+  {
+    _id: 'v2',
+    name: 'Triage',
+    owner: { _id: 'u2', username: 'bob' },
+    shared: true,
+    query: 'status:open',
+    search: '',
+    sort: '-priority,-createdAt',
+    columns: ['priority'],
+  },
+];
+
+describe('isViewActive', () => {
+  it('matches views with the same settings regardless of column order', () => {
+    const view = { ...defaults, columns: ['status', 'priority'] };
+
+    expect(isViewActive(view, defaults)).toBe(true);
+    expect(isViewActive({ ...view, sort: 'title' }, defaults)).toBe(false);
+  });
+});
+
+describe('SavedViews Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('renders nothing when logged out', () => {
+    getCurrentUser.mockReturnValue(null);
+
+    const { container } = render(<SavedViews current={defaults} onApply={jest.fn()} onReset={jest.fn()} />);
+
+    expect(container).toBeEmptyDOMElement();
+    expect(apiRequest).not.toHaveBeenCalled();
+  });
+
+  it('shows own and shared views as tabs and applies one on click', async () => {
+    getCurrentUser.mockReturnValue({ id: 'u1', role: 'reporter' });
+    apiRequest.mockResolvedValueOnce(views);
+    const onApply = jest.fn();
+
+    render(<SavedViews current={defaults} onApply={onApply} onReset={jest.fn()} />);
+
+    fireEvent.click(await screen.findByRole('tab', { name: /Triage/ }));
+
+    expect(onApply).toHaveBeenCalledWith(views[1]);
+    expect(screen.getByText('(shared)')).toBeInTheDocument();
+    expect(screen.getByRole('tab', { name: 'All bugs' })).toHaveAttribute('aria-selected', 'true');
+
+    // Only the user's own view can be deleted
+    expect(screen.getByLabelText('Delete view My critical bugs')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete view Triage')).not.toBeInTheDocument();
+  });
+
+  it('saves the current settings as a new view', async () => {
+    getCurrentUser.mockReturnValue({ id: 'u1', role: 'reporter' });
+    apiRequest
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce({ ...views[0], _id: 'v3', name: 'Mine' });
+
+    render(<SavedViews current={defaults} onApply={jest.fn()} onReset={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('+ Save view'));
+    fireEvent.change(screen.getByLabelText('View name'), { target: { value: 'Mine' } });
+    fireEvent.click(screen.getByLabelText('Share with team'));
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(apiRequest).toHaveBeenCalledWith('/api/views', 'POST', { name: 'Mine', shared: true, ...defaults });
+    });
+    expect(await screen.findByRole('tab', { name: 'Mine' })).toBeInTheDocument();
+  });
+});
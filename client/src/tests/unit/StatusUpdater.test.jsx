@@ -0,0 +1,84 @@
+// StatusUpdater.test.jsx - Unit test for StatusUpdater component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import StatusUpdater from '../../components/StatusUpdater';
+import { apiRequest } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  apiRequest: jest.fn(),
+}));
+
+describe('StatusUpdater Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('offers only the transitions returned by the server', async () => {
+    apiRequest.mockResolvedValueOnce({
+      status: 'open',
+      transitions: [
+        { to: 'triaged', label: 'Triaged', requires: [] },
+        { to: 'in-progress', label: 'In Progress', requires: [] },
+      ],
+    });
+
+    render(<StatusUpdater bugId="b1" currentStatus="open" onStatusUpdate={jest.fn()} />);
+
+    expect(await screen.findByLabelText('TRIAGED')).toBeInTheDocument();
+    expect(screen.getByLabelText('IN PROGRESS')).toBeInTheDocument();
+    expect(screen.queryByLabelText('RESOLVED')).not.toBeInTheDocument();
+    expect(apiRequest).toHaveBeenCalledWith('/api/bugs/b1/transitions', 'GET');
+  });
+
+  it('asks for required fields before submitting', async () => {
+    const onStatusUpdate = jest.fn().mockResolvedValue();
+    apiRequest.mockResolvedValueOnce({
+      status: 'in-progress',
+      transitions: [{ to: 'resolved', label: 'Resolved', requires: ['resolution'] }],
+    });
+
+    render(<StatusUpdater bugId="b1" currentStatus="in-progress" onStatusUpdate={onStatusUpdate} />);
+
+    fireEvent.click(await screen.findByLabelText('RESOLVED'));
+    fireEvent.click(screen.getByRole('button', { name: /save status/i }));
+
+    expect(screen.getByText(/please provide: resolution note/i)).toBeInTheDocument();
+    expect(onStatusUpdate).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('Resolution note'), {
+      target: { value: 'Fixed the null check' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: /save status/i }));
+
+    await waitFor(() => {
+      expect(onStatusUpdate).toHaveBeenCalledWith('b1', 'resolved', {
+        resolution: 'Fixed the null check',
+      });
+    });
+  });
+
+  it('shows a message when no transitions are available', async () => {
+    apiRequest.mockResolvedValueOnce({ status: 'closed', transitions: [] });
+
+    render(<StatusUpdater bugId="b1" currentStatus="closed" onStatusUpdate={jest.fn()} />);
+
+    expect(await screen.findByText(/no status changes are available/i)).toBeInTheDocument();
+  });
+
+  it('shows errors from the update callback', async () => {
+    const onStatusUpdate = jest.fn().mockRejectedValue(new Error('Cannot change status'));
+    apiRequest.mockResolvedValueOnce({
+      status: 'open',
+      transitions: [{ to: 'triaged', label: 'Triaged', requires: [] }],
+    });
+
+    render(<StatusUpdater bugId="b1" currentStatus="open" onStatusUpdate={onStatusUpdate} />);
+
+    fireEvent.click(await screen.findByLabelText('TRIAGED'));
+    fireEvent.click(screen.getByRole('button', { name: /save status/i }));
+
+    expect(await screen.findByText('Cannot change status')).toBeInTheDocument();
+  });
+});
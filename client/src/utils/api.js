@@ -9,11 +9,12 @@
  * Base wrapper for fetch requests with error handling and JSON parsing
  * 
  * Automatically includes authorization token from localStorage if available.
- * Handles error responses and parses JSON bodies.
+ * Handles error responses and parses JSON bodies. FormData bodies are sent
+ * as multipart, letting the browser set the Content-Type and boundary.
  * 
  * @param {string} url - URL endpoint to fetch
  * @param {string} [method='GET'] - HTTP method (GET, POST, PUT, DELETE, etc.)
- * @param {Object} [body] - Request body data (automatically stringified as JSON)
+ * @param {Object|FormData} [body] - Request body data (stringified as JSON unless FormData)
  * @param {Object} [options={}] - Additional fetch options (headers, etc.)
  * @returns {Promise<any>} Parsed response data
  * @throws {Error} With status and data properties on API errors
@@ -25,8 +26,10 @@
  * const newBug = await apiRequest('/api/bugs', 'POST', { title: 'Bug', priority: 'high' });
  */
 async function apiRequest(url, method = 'GET', body = null, options = {}) {
+  const isFormData = typeof FormData !== 'undefined' && body instanceof FormData;
+
   // Set up default headers
-  const defaultHeaders = {
+  const defaultHeaders = isFormData ? {} : {
     'Content-Type': 'application/json',
   };
 
@@ -48,7 +51,7 @@ async function apiRequest(url, method = 'GET', body = null, options = {}) {
 
   // Include body if provided (for POST, PUT, PATCH, etc.)
   if (body) {
-    config.body = JSON.stringify(body);
+    config.body = isFormData ? body : JSON.stringify(body);
   }
 
   try {
@@ -136,10 +139,28 @@ function deleteRequest(url, options = {}) {
   return apiRequest(url, 'DELETE', null, options);
 }
 
+/**
+ * Helper function for multipart file uploads
+ * 
+ * @param {string} url - URL endpoint to fetch
+ * @param {FormData} formData - Files and fields to send
+ * @param {Object} [options={}] - Additional fetch options
+ * @returns {Promise<any>} Parsed response data
+ * 
+ * @example
+ * const form = new FormData();
+ * form.append('files', file);
+ * const attachments = await uploadRequest('/api/bugs/WEB-1/attachments', form);
+ */
+function uploadRequest(url, formData, options = {}) {
+  return apiRequest(url, 'POST', formData, options);
+}
+
 module.exports = {
   apiRequest,
   getRequest,
   postRequest,
   putRequest,
   deleteRequest,
+  uploadRequest,
 };
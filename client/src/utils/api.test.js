@@ -1,7 +1,7 @@
 // client/src/utils/api.test.js
 // Unit tests for client API utilities
 
-import { getRequest, postRequest, putRequest, deleteRequest, apiRequest } from './api';
+import { getRequest, postRequest, putRequest, deleteRequest, uploadRequest, apiRequest } from './api';
 
 describe('API Utilities', () => {
   beforeEach(() => {
@@ -155,4 +155,23 @@ describe('API Utilities', () => {
       expect(result).toEqual(mockData);
     });
   });
+
+  describe('uploadRequest', () => {
+    it('should POST FormData without a JSON Content-Type', async () => {
+      localStorage.setItem('authToken', 'test-token-123');
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValueOnce([]),
+      });
+      const form = new FormData();
+      form.append('files', new Blob(['log']), 'app.log');
+
+      await uploadRequest('/api/bugs/WEB-1/attachments', form);
+
+      const callArgs = fetch.mock.calls[0][1];
+      expect(callArgs.method).toBe('POST');
+      expect(callArgs.body).toBe(form);
+      expect(callArgs.headers).toEqual({ Authorization: 'Bearer test-token-123' });
+    });
+  });
 });
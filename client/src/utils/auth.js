@@ -0,0 +1,40 @@
+/**
+ * Client Auth Utilities
+ *
+ * Reads the logged-in user's details from the access token stored in
+ * localStorage. The token is only decoded, not verified; the server
+ * remains the authority on what the user may do.
+ */
+
+/**
+ * Get the current user from the stored access token
+ *
+ * @returns {Object|null} { id, username, email, role } or null if not logged in
+ *
+ * @example
+ * const user = getCurrentUser();
+ * if (user && user.role === 'admin') { ... }
+ */
+function getCurrentUser() {
+  const token = localStorage.getItem('authToken');
+  if (!token) return null;
+
+  try {
+    const payload = token.split('.')[1];
+    const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+    const claims = JSON.parse(json);
+
+    return {
+      id: claims.id,
+      username: claims.username,
+      email: claims.email,
+      role: claims.role,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  getCurrentUser,
+};
@@ -0,0 +1,39 @@
+/**
+ * Bug List Options
+ *
+ * Sort orders and columns the bug list offers. Column names and sort
+ * fields match server/src/config/bugListFields.js so saved views work
+ * on both sides.
+ */
+
+/**
+ * Columns a bug card can show, in display order
+ */
+const BUG_COLUMNS = [
+  { name: 'priority', label: 'Priority' },
+  { name: 'status', label: 'Status' },
+  { name: 'description', label: 'Description' },
+  { name: 'tags', label: 'Tags' },
+  { name: 'reporter', label: 'Reporter' },
+  { name: 'assignee', label: 'Assignee' },
+  { name: 'createdAt', label: 'Created' },
+];
+
+/**
+ * Preset sort orders for the sort select
+ */
+const SORT_OPTIONS = [
+  { value: '-createdAt', label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: '-priority,-createdAt', label: 'Highest priority' },
+  { value: '-updatedAt', label: 'Recently updated' },
+  { value: 'title', label: 'Title (A-Z)' },
+];
+
+const DEFAULT_SORT = '-createdAt';
+
+module.exports = {
+  BUG_COLUMNS,
+  SORT_OPTIONS,
+  DEFAULT_SORT,
+};
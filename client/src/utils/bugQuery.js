@@ -0,0 +1,76 @@
+/**
+ * Bug Query Expression Utilities
+ *
+ * Helpers for editing filter expressions such as
+ * `status:open priority:>=high assignee:me` on the client, so the filter
+ * dropdowns and the expression input stay in sync. Parsing and validation
+ * happen on the server (see server/src/utils/bugQuery.js).
+ */
+
+/**
+ * Split an expression into terms, keeping quoted text together
+ *
+ * @param {string} expression - Query expression
+ * @returns {Array<string>} Terms
+ *
+ * @example
+ * splitTerms('status:open "login page"'); // ['status:open', '"login page"']
+ */
+function splitTerms(expression) {
+  return String(expression || '').match(/(?:[^\s"]+|"[^"]*"?)+/g) || [];
+}
+
+/**
+ * Check whether a term sets a field to plain values (no negation or operator)
+ */
+function isPlainFieldTerm(term, field) {
+  return term.toLowerCase().startsWith(`${field}:`) && !/^[a-z]+:[<>]/i.test(term);
+}
+
+/**
+ * Get the single value an expression gives a field
+ *
+ * @param {string} expression - Query expression
+ * @param {string} field - Field name, e.g. 'status'
+ * @returns {string} The value when exactly one plain single-value term sets
+ *   the field, otherwise ''
+ *
+ * @example
+ * getFieldValue('status:open crash', 'status'); // 'open'
+ * getFieldValue('status:open,closed', 'status'); // ''
+ */
+function getFieldValue(expression, field) {
+  const terms = splitTerms(expression).filter((term) => isPlainFieldTerm(term, field));
+  if (terms.length !== 1) return '';
+
+  const value = terms[0].slice(field.length + 1);
+  return value.includes(',') ? '' : value.replace(/"/g, '');
+}
+
+/**
+ * Set or clear a field in an expression
+ *
+ * Replaces any plain terms for the field; negated and comparison terms
+ * are left alone.
+ *
+ * @param {string} expression - Query expression
+ * @param {string} field - Field name
+ * @param {string} value - New value, or '' to remove the field
+ * @returns {string} Updated expression
+ *
+ * @example
+ * setFieldValue('status:open crash', 'status', 'closed'); // 'crash status:closed'
+ */
+function setFieldValue(expression, field, value) {
+  const terms = splitTerms(expression).filter((term) => !isPlainFieldTerm(term, field));
+  if (value) {
+    terms.push(`${field}:${/\s/.test(value) ? `"${value}"` : value}`);
+  }
+  return terms.join(' ');
+}
+
+module.exports = {
+  splitTerms,
+  getFieldValue,
+  setFieldValue,
+};
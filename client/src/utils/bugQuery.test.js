@@ -0,0 +1,23 @@
+// bugQuery.test.js - Unit tests for client query expression helpers
+
+import { splitTerms, getFieldValue, setFieldValue } from './bugQuery';
+
+describe('bugQuery utilities', () => {
+  it('keeps quoted text together when splitting', () => {
+    expect(splitTerms('status:open tag:"needs info" "login page"'))
+      .toEqual(['status:open', 'tag:"needs info"', '"login page"']);
+  });
+
+  it('reads a field with a single plain value', () => {
+    expect(getFieldValue('crash status:open', 'status')).toBe('open');
+    expect(getFieldValue('status:open,closed', 'status')).toBe('');
+    expect(getFieldValue('priority:>=high', 'priority')).toBe('');
+    expect(getFieldValue('-status:open', 'status')).toBe('');
+  });
+
+  it('replaces plain terms and keeps the rest', () => {
+    expect(setFieldValue('status:open crash -status:closed', 'status', 'triaged'))
+      .toBe('crash -status:closed status:triaged');
+    expect(setFieldValue('priority:high crash', 'priority', '')).toBe('crash');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Mention Utilities
+ *
+ * Helpers for @username autocompletion in comment boxes. Which mentions
+ * name real users is decided by the server when the comment is saved
+ * (see server/src/utils/mentions.js).
+ */
+
+/**
+ * A partial @mention ending at the caret: @ at the start or after a
+ * non-word character, then username characters
+ */
+const MENTION_BEFORE_CARET = /(^|[^\w@])@([\w.-]*)$/;
+
+/**
+ * Find the @mention being typed at the caret
+ *
+ * @param {string} text - Textarea value
+ * @param {number} caret - Caret position
+ * @returns {{start: number, query: string}|null} Position of the @ and
+ *   the text typed after it, or null when not in a mention
+ *
+ * @example
+ * findMentionQuery('cc @al', 6); // { start: 3, query: 'al' }
+ * findMentionQuery('bob@example', 11); // null
+ */
+function findMentionQuery(text, caret) {
+  const match = String(text || '').slice(0, caret).match(MENTION_BEFORE_CARET);
+  if (!match) return null;
+
+  return {
+    start: match.index + match[1].length,
+    query: match[2],
+  };
+}
+
+/**
+ * Complete the @mention being typed with a username
+ *
+ * @param {string} text - Textarea value
+ * @param {{start: number, query: string}} mention - From findMentionQuery
+ * @param {string} username - Chosen username
+ * @returns {{text: string, caret: number}} New value and caret position
+ *   (after the space following the username)
+ *
+ * @example
+ * completeMention('cc @al thanks', { start: 3, query: 'al' }, 'alice');
+ * // { text: 'cc @alice thanks', caret: 10 }
+ */
+function completeMention(text, mention, username) {
+  const end = mention.start + 1 + mention.query.length;
+  const rest = text.slice(end);
+  const inserted = `@${username}${rest.startsWith(' ') ? '' : ' '}`;
+
+  return {
+    text: `${text.slice(0, mention.start)}${inserted}${rest}`,
+    caret: mention.start + inserted.length + (rest.startsWith(' ') ? 1 : 0),
+  };
+}
+
+module.exports = {
+  findMentionQuery,
+  completeMention,
+};
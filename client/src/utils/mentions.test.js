@@ -0,0 +1,29 @@
+// mentions.test.js - Unit tests for client @mention autocomplete helpers
+
+import { findMentionQuery, completeMention } from './mentions';
+
+describe('mentions utilities', () => {
+  it('finds the mention being typed at the caret', () => {
+    expect(findMentionQuery('cc @al', 6)).toEqual({ start: 3, query: 'al' });
+    expect(findMentionQuery('@', 1)).toEqual({ start: 0, query: '' });
+  });
+
+  it('ignores email addresses and text after a finished mention', () => {
+    expect(findMentionQuery('bob@example', 11)).toBeNull();
+    expect(findMentionQuery('@alice thanks', 13)).toBeNull();
+  });
+
+  it('only looks at the text before the caret', () => {
+    expect(findMentionQuery('@alice thanks', 3)).toEqual({ start: 0, query: 'al' });
+  });
+
+  it('completes the mention and places the caret after it', () => {
+    expect(completeMention('cc @al', { start: 3, query: 'al' }, 'alice'))
+      .toEqual({ text: 'cc @alice ', caret: 10 });
+  });
+
+  it('does not add a second space before following text', () => {
+    expect(completeMention('@al thanks', { start: 0, query: 'al' }, 'alice'))
+      .toEqual({ text: '@alice thanks', caret: 7 });
+  });
+});
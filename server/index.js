@@ -7,6 +7,7 @@
  */
 
 const app = require('./src/app');
+const { scheduleDigests } = require('./src/utils/emailNotifications');
 
 // Get port from environment or use default
 const PORT = process.env.PORT || 5000;
@@ -20,6 +21,9 @@ const PORT = process.env.PORT || 5000;
  * - MongoDB connection requirement
  */
 app.listen(PORT, () => {
+  // Send held notification emails as daily digests
+  scheduleDigests();
+
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║          🐛 Bug Tracker Server Started                     ║
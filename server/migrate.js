@@ -0,0 +1,34 @@
+/**
+ * Data Migration Runner
+ *
+ * Connects to MONGODB_URI, runs every migration in
+ * src/utils/migrations.js and disconnects. Safe to run more than once;
+ * run it after upgrading.
+ *
+ * Usage: npm run migrate
+ */
+
+const mongoose = require('mongoose');
+const { runMigrations } = require('./src/utils/migrations');
+
+/**
+ * Run the migrations against the configured database
+ */
+async function main() {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(uri);
+  try {
+    await runMigrations({ log: (line) => console.log(line) });
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exitCode = 1;
+});
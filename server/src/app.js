@@ -9,8 +9,25 @@ const express = require('express');
 const Post = require('./models/Post');
 const User = require('./models/User');
 const authMiddleware = require('./middleware/auth');
+const { requirePermission, sendForbidden } = require('./middleware/permissions');
+const { hasPermission } = require('./utils/permissions');
 const errorHandler = require('./middleware/errorHandler');
+const sanitizeQuery = require('./middleware/sanitizeQuery');
+const authRoutes = require('./routes/auth');
 const bugRoutes = require('./routes/bugs');
+const userRoutes = require('./routes/users');
+const viewRoutes = require('./routes/views');
+const projectRoutes = require('./routes/projects');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const integrationRoutes = require('./routes/integrations');
+const markdownRoutes = require('./routes/markdown');
+const { onBugEvent } = require('./utils/bugEvents');
+const { notifyWatchers } = require('./utils/notifications');
+const { streamBugEvent } = require('./utils/bugStream');
+const { dispatchWebhooks } = require('./utils/webhooks');
+const { emailWatchers } = require('./utils/emailNotifications');
+const { linkMentions } = require('./utils/mentions');
 
 const app = express();
 
@@ -19,9 +36,54 @@ const app = express();
 // ============================================================================
 
 /**
- * Parse incoming JSON request bodies
+ * Parse incoming JSON request bodies, keeping the raw bytes in req.rawBody
+ * for routes that check request signatures (see routes/integrations)
  */
-app.use(express.json());
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+
+// ============================================================================
+// EVENT SUBSCRIBERS
+// ============================================================================
+
+/**
+ * Make @mentioned users watch the bug and record #references on the
+ * referenced bugs
+ */
+onBugEvent(linkMentions);
+
+/**
+ * Notify watchers when a bug they watch changes
+ */
+onBugEvent(notifyWatchers);
+
+/**
+ * Push bug changes to open bug list streams (GET /api/bugs/stream)
+ */
+onBugEvent(streamBugEvent);
+
+/**
+ * Send bug events to registered webhooks
+ */
+onBugEvent(dispatchWebhooks);
+
+/**
+ * Email assignees, watchers and mentioned users, or queue their digests
+ */
+onBugEvent(emailWatchers);
+
+// ============================================================================
+// AUTH ROUTES
+// ============================================================================
+
+/**
+ * Mount authentication routes at /api/auth
+ * Handles registration, login, logout and profile lookup
+ */
+app.use('/api/auth', authRoutes);
 
 // ============================================================================
 // BUG ROUTES
@@ -33,6 +95,70 @@ app.use(express.json());
  */
 app.use('/api/bugs', bugRoutes);
 
+// ============================================================================
+// PROJECT ROUTES
+// ============================================================================
+
+/**
+ * Mount project routes at /api/projects
+ * Handles projects and their scoped bug routes (/api/projects/:key/bugs)
+ */
+app.use('/api/projects', projectRoutes);
+
+// ============================================================================
+// USER ROUTES
+// ============================================================================
+
+/**
+ * Mount user management routes at /api/users
+ */
+app.use('/api/users', userRoutes);
+
+// ============================================================================
+// SAVED VIEW ROUTES
+// ============================================================================
+
+/**
+ * Mount saved bug list views at /api/views
+ */
+app.use('/api/views', viewRoutes);
+
+// ============================================================================
+// NOTIFICATION ROUTES
+// ============================================================================
+
+/**
+ * Mount the in-app notification center at /api/notifications
+ */
+app.use('/api/notifications', notificationRoutes);
+
+// ============================================================================
+// WEBHOOK ROUTES
+// ============================================================================
+
+/**
+ * Mount webhook management and delivery logs at /api/webhooks (admin only)
+ */
+app.use('/api/webhooks', webhookRoutes);
+
+// ============================================================================
+// INTEGRATION ROUTES
+// ============================================================================
+
+/**
+ * Mount hooks for outside services (VCS pushes) at /api/integrations
+ */
+app.use('/api/integrations', integrationRoutes);
+
+// ============================================================================
+// MARKDOWN ROUTES
+// ============================================================================
+
+/**
+ * Mount the Markdown preview at /api/markdown
+ */
+app.use('/api/markdown', markdownRoutes);
+
 // ============================================================================
 // POST ROUTES
 // ============================================================================
@@ -49,8 +175,9 @@ app.use('/api/bugs', bugRoutes);
  * - 201: Created post object
  * - 400: Validation error
  * - 401: Unauthorized
+ * - 403: Role may not create posts
  */
-app.post('/api/posts', authMiddleware, async (req, res, next) => {
+app.post('/api/posts', authMiddleware, requirePermission('post:create'), async (req, res, next) => {
   try {
     const { title, content, category } = req.body;
 
@@ -87,15 +214,26 @@ app.post('/api/posts', authMiddleware, async (req, res, next) => {
  * Query Parameters:
  * - category: Filter posts by category
  * - page: Page number (default: 1)
- * - limit: Results per page (default: 10)
+ * - limit: Results per page (default: 10, max: 100)
+ * - sortBy: createdAt or title, '-' for descending (default: -createdAt)
  * 
  * Returns:
  * - 200: Array of post objects
+ * - 400: Invalid query parameter
  */
-app.get('/api/posts', async (req, res, next) => {
+app.get('/api/posts', sanitizeQuery({
+  params: {
+    category: {},
+    page: { type: 'integer' },
+    limit: { type: 'integer' },
+  },
+  sort: { fields: { createdAt: 'createdAt', title: 'title' }, default: '-createdAt' },
+}), async (req, res, next) => {
   try {
-    const { category, page = 1, limit = 10 } = req.query;
-    const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+    const { category, sort } = req.sanitizedQuery;
+    const page = Math.max(req.sanitizedQuery.page || 1, 1);
+    const limit = Math.min(Math.max(req.sanitizedQuery.limit || 10, 1), 100);
+    const skip = (page - 1) * limit;
 
     // Build query filter
     const query = {};
@@ -106,8 +244,8 @@ app.get('/api/posts', async (req, res, next) => {
     // Fetch posts with pagination
     const posts = await Post.find(query)
       .skip(skip)
-      .limit(parseInt(limit, 10))
-      .sort({ createdAt: -1 });
+      .limit(limit)
+      .sort(sort.replace(/,/g, ' '));
 
     return res.json(posts);
   } catch (error) {
@@ -146,7 +284,7 @@ app.get('/api/posts/:id', async (req, res, next) => {
  * 
  * Requires:
  * - Authentication (JWT token)
- * - User must be the post author
+ * - User must be the post author (admins may edit any post)
  * 
  * URL Parameters:
  * - id: Post ID
@@ -158,7 +296,7 @@ app.get('/api/posts/:id', async (req, res, next) => {
  * - 403: Not authorized
  * - 404: Post not found
  */
-app.put('/api/posts/:id', authMiddleware, async (req, res, next) => {
+app.put('/api/posts/:id', authMiddleware, requirePermission('post:update'), async (req, res, next) => {
   try {
     const post = await Post.findById(req.params.id);
 
@@ -166,9 +304,9 @@ app.put('/api/posts/:id', authMiddleware, async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    // Verify user is the post author
-    if (post.author.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to update this post' });
+    // Verify user is the post author or an admin
+    if (!hasPermission(req.user, 'post:update', post)) {
+      return sendForbidden(res, 'post:update');
     }
 
     // Update post fields
@@ -191,7 +329,7 @@ app.put('/api/posts/:id', authMiddleware, async (req, res, next) => {
  * 
  * Requires:
  * - Authentication (JWT token)
- * - User must be the post author
+ * - User must be the post author (admins may delete any post)
  * 
  * URL Parameters:
  * - id: Post ID
@@ -201,7 +339,7 @@ app.put('/api/posts/:id', authMiddleware, async (req, res, next) => {
  * - 403: Not authorized
  * - 404: Post not found
  */
-app.delete('/api/posts/:id', authMiddleware, async (req, res, next) => {
+app.delete('/api/posts/:id', authMiddleware, requirePermission('post:delete'), async (req, res, next) => {
   try {
     const post = await Post.findById(req.params.id);
 
@@ -209,9 +347,9 @@ app.delete('/api/posts/:id', authMiddleware, async (req, res, next) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    // Verify user is the post author
-    if (post.author.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to delete this post' });
+    // Verify user is the post author or an admin
+    if (!hasPermission(req.user, 'post:delete', post)) {
+      return sendForbidden(res, 'post:delete');
     }
 
     await Post.findByIdAndDelete(req.params.id);
@@ -0,0 +1,49 @@
+/**
+ * Attachment Limits
+ *
+ * What may be attached to bugs. Types are checked against the file's
+ * content (see utils/fileTypes.js), never the name or the type the
+ * browser sent. Images get thumbnails.
+ */
+
+/**
+ * Largest file accepted, in bytes (ATTACHMENT_MAX_SIZE overrides it)
+ */
+const MAX_ATTACHMENT_SIZE = Number(process.env.ATTACHMENT_MAX_SIZE) || 10 * 1024 * 1024;
+
+/**
+ * Most files accepted in one upload
+ */
+const MAX_FILES_PER_UPLOAD = 5;
+
+/**
+ * Accepted content types: screenshots, documents, logs and archives of them
+ */
+const ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'application/gzip',
+];
+
+/**
+ * Types that get a thumbnail and may be shown inline
+ */
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/**
+ * Longest side of a thumbnail, in pixels
+ */
+const THUMBNAIL_SIZE = 200;
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  ALLOWED_TYPES,
+  IMAGE_TYPES,
+  THUMBNAIL_SIZE,
+};
@@ -0,0 +1,19 @@
+/**
+ * Bug List Fields
+ *
+ * What clients may sort the bug list by and which columns a saved view
+ * can show. Sort names map to the stored field; priority sorts on
+ * priorityRank so it follows severity rather than alphabetical order.
+ */
+
+module.exports = {
+  SORT_FIELDS: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    priority: 'priorityRank',
+    status: 'status',
+    title: 'title',
+  },
+
+  COLUMNS: ['priority', 'status', 'description', 'tags', 'reporter', 'assignee', 'createdAt'],
+};
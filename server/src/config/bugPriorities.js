@@ -0,0 +1,10 @@
+/**
+ * Bug Priority Levels
+ *
+ * Priorities from lowest to highest. The position in this list is the
+ * priority's rank: the Bug model stores it as priorityRank so sorting by
+ * priority follows severity rather than alphabetical order, and query
+ * comparisons such as `priority:>=high` use it too.
+ */
+
+module.exports = ['low', 'medium', 'high', 'critical'];
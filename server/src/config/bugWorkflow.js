@@ -0,0 +1,58 @@
+/**
+ * Bug Status Workflow Definition
+ *
+ * Declares the bug states and the transitions allowed between them.
+ * Edit this file to change the workflow; the Bug model, the update route
+ * and the client status picker are all driven by it.
+ *
+ * State flags:
+ * - resolved: entering the state sets resolvedAt
+ * - closed: entering the state sets closedAt
+ * - reopen: entering the state clears resolvedAt, closedAt and resolution
+ *
+ * Transition options:
+ * - from: states the transition starts from
+ * - to: target state
+ * - requires: request body fields that must be provided (e.g. 'resolution')
+ * - permission: permission needed in addition to 'bug:update'
+ */
+
+module.exports = {
+  initial: 'open',
+
+  states: {
+    open: { label: 'Open' },
+    triaged: { label: 'Triaged' },
+    'in-progress': { label: 'In Progress' },
+    resolved: { label: 'Resolved', resolved: true },
+    closed: { label: 'Closed', closed: true },
+    'wont-fix': { label: "Won't Fix", closed: true },
+    duplicate: { label: 'Duplicate', closed: true },
+    reopened: { label: 'Reopened', reopen: true },
+  },
+
+  transitions: [
+    { from: ['open', 'reopened', 'in-progress'], to: 'triaged' },
+    { from: ['open', 'triaged', 'reopened'], to: 'in-progress' },
+    {
+      from: ['open', 'triaged', 'in-progress', 'reopened'],
+      to: 'resolved',
+      requires: ['resolution'],
+      permission: 'bug:resolve',
+    },
+    {
+      from: ['open', 'triaged', 'reopened'],
+      to: 'wont-fix',
+      requires: ['resolution'],
+      permission: 'bug:resolve',
+    },
+    {
+      from: ['open', 'triaged', 'reopened'],
+      to: 'duplicate',
+      requires: ['duplicateOf'],
+      permission: 'bug:resolve',
+    },
+    { from: ['resolved'], to: 'closed', permission: 'bug:resolve' },
+    { from: ['resolved', 'closed', 'wont-fix', 'duplicate'], to: 'reopened' },
+  ],
+};
@@ -0,0 +1,24 @@
+/**
+ * Email Preferences
+ *
+ * The kinds of email users can receive and how each user wants them
+ * delivered. Every user has a delivery mode and an on/off switch per
+ * type (see emailPreferences on the User model).
+ */
+
+/**
+ * Kinds of email: a bug assigned to you, a status change, a new comment
+ * on a bug you watch, and an @mention in a comment
+ */
+const EMAIL_TYPES = ['assigned', 'status', 'commented', 'mentioned'];
+
+/**
+ * Delivery modes: each email as it happens, batched into a daily digest,
+ * or no email at all
+ */
+const EMAIL_DELIVERY = ['immediate', 'digest', 'off'];
+
+module.exports = {
+  EMAIL_TYPES,
+  EMAIL_DELIVERY,
+};
@@ -5,20 +5,38 @@
  * user information to the request object for downstream handlers.
  */
 
-const { verifyToken } = require('../utils/auth');
+const RefreshToken = require('../models/RefreshToken');
+const { decodeToken, TokenError, TOKEN_ERRORS } = require('../utils/auth');
+
+/**
+ * Response messages for each token rejection reason
+ */
+const TOKEN_ERROR_MESSAGES = {
+  [TOKEN_ERRORS.MALFORMED]: 'Invalid token',
+  [TOKEN_ERRORS.UNSUPPORTED_ALGORITHM]: 'Invalid token',
+  [TOKEN_ERRORS.INVALID_SIGNATURE]: 'Invalid token signature',
+  [TOKEN_ERRORS.EXPIRED]: 'Token has expired',
+  [TOKEN_ERRORS.NOT_ACTIVE]: 'Token is not yet valid',
+};
 
 /**
  * Middleware to verify Bearer token from Authorization header
  * 
  * Extracts JWT token from the Authorization header, verifies its validity,
  * and attaches the decoded user data to req.user for use in route handlers.
+ * Rejected tokens get a 401 whose `code` says why (e.g. 'expired'), so
+ * clients can tell a stale session apart from a forged token.
+ *
+ * Tokens issued for a login session carry a `sid` claim; for those the
+ * session is looked up and a revoked session is rejected with code
+ * 'revoked'. Tokens without a session skip the lookup.
  * 
  * Expected header format: Authorization: Bearer <token>
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
- * @returns {void} Calls next() if valid, or sends error response
+ * @returns {void|Promise<void>} Calls next() if valid, or sends error response
  * 
  * @example
  * app.get('/api/protected', authMiddleware, (req, res) => {
@@ -40,22 +58,62 @@ function authMiddleware(req, res, next) {
     // Extract token by removing 'Bearer ' prefix (7 characters)
     const token = authHeader.slice(7);
     
-    // Verify token and get decoded payload
-    const decoded = verifyToken(token);
+    // Verify signature and claims, then get decoded payload
+    const decoded = decodeToken(token);
 
-    if (!decoded) {
-      return res.status(401).json({ error: 'Invalid token' });
+    if (!decoded.sid) {
+      // Attach decoded user data to request
+      req.user = decoded;
+
+      // Continue to next middleware/route
+      return next();
     }
 
-    // Attach decoded user data to request
-    req.user = decoded;
-    
-    // Continue to next middleware/route
-    return next();
+    // Make sure the session has not been revoked (e.g. by logout)
+    return RefreshToken.isFamilyActive(decoded.sid).then((active) => {
+      if (!active) {
+        return res.status(401).json({
+          error: 'Session has been revoked',
+          code: 'revoked',
+        });
+      }
+
+      req.user = decoded;
+      return next();
+    }, next);
   } catch (error) {
-    // Catch any errors during authentication
+    // Report the specific reason a token was rejected
+    if (error instanceof TokenError) {
+      return res.status(401).json({
+        error: TOKEN_ERROR_MESSAGES[error.reason],
+        code: error.reason,
+      });
+    }
+
+    // Catch any other errors during authentication
     return res.status(401).json({ error: 'Authentication failed' });
   }
 }
 
+/**
+ * Middleware that authenticates the request only if a token is sent
+ *
+ * Public routes use this when being logged in changes the result (for
+ * example `assignee:me` in bug queries). Requests without an
+ * Authorization header continue anonymously; a token that is sent must
+ * still be valid.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void|Promise<void>}
+ */
+function optionalAuth(req, res, next) {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authMiddleware(req, res, next);
+}
+
 module.exports = authMiddleware;
+module.exports.optionalAuth = optionalAuth;
@@ -2,6 +2,7 @@
 // Unit tests for authentication middleware
 
 const authMiddleware = require('./auth');
+const RefreshToken = require('../models/RefreshToken');
 const { generateToken } = require('../utils/auth');
 
 describe('Auth Middleware Unit Tests', () => {
@@ -17,7 +18,7 @@ describe('Auth Middleware Unit Tests', () => {
   });
 
   afterEach(() => {
-    jest.clearAllMocks();
+    jest.restoreAllMocks();
   });
 
   it('should call next() when token is valid', () => {
@@ -61,6 +62,63 @@ describe('Auth Middleware Unit Tests', () => {
     expect(next).not.toHaveBeenCalled();
   });
 
+  it('should return 401 with code "expired" for an expired token', () => {
+    const token = generateToken({ _id: '507f1f77bcf86cd799439011' }, { expiresIn: 1 });
+    jest.useFakeTimers({ now: Date.now() + 5000 });
+    req.headers.authorization = `Bearer ${token}`;
+
+    authMiddleware(req, res, next);
+    jest.useRealTimers();
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Token has expired',
+      code: 'expired',
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 401 with code "invalid_signature" for a forged token', () => {
+    const token = generateToken({ _id: '507f1f77bcf86cd799439011' });
+    const [header, payload] = token.split('.');
+    req.headers.authorization = `Bearer ${header}.${payload}.forgedsignature`;
+
+    authMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'invalid_signature',
+    }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should accept a session token whose session is active', async () => {
+    jest.spyOn(RefreshToken, 'isFamilyActive').mockResolvedValue(true);
+    const token = generateToken({ _id: '507f1f77bcf86cd799439011' }, { sessionId: 'family-1' });
+    req.headers.authorization = `Bearer ${token}`;
+
+    await authMiddleware(req, res, next);
+
+    expect(RefreshToken.isFamilyActive).toHaveBeenCalledWith('family-1');
+    expect(next).toHaveBeenCalled();
+    expect(req.user.sid).toBe('family-1');
+  });
+
+  it('should return 401 with code "revoked" when the session was revoked', async () => {
+    jest.spyOn(RefreshToken, 'isFamilyActive').mockResolvedValue(false);
+    const token = generateToken({ _id: '507f1f77bcf86cd799439011' }, { sessionId: 'family-1' });
+    req.headers.authorization = `Bearer ${token}`;
+
+    await authMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Session has been revoked',
+      code: 'revoked',
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
   it('should attach decoded user to req.user', () => {
     const user = {
       _id: '507f1f77bcf86cd799439011',
@@ -75,4 +133,33 @@ describe('Auth Middleware Unit Tests', () => {
     expect(req.user.id).toBe(user._id);
     expect(req.user.email).toBe(user.email);
   });
+
+  describe('optionalAuth', () => {
+    const { optionalAuth } = authMiddleware;
+
+    it('should continue anonymously without an authorization header', () => {
+      optionalAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toBeUndefined();
+    });
+
+    it('should attach the user when a valid token is sent', () => {
+      req.headers.authorization = `Bearer ${generateToken({ _id: '507f1f77bcf86cd799439011' })}`;
+
+      optionalAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe('507f1f77bcf86cd799439011');
+    });
+
+    it('should still reject an invalid token', () => {
+      req.headers.authorization = 'Bearer not-a-token';
+
+      optionalAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,52 @@
+/**
+ * Permission Middleware
+ *
+ * Role-based authorization that runs after authMiddleware. Denials are
+ * always sent through sendForbidden so every 403 has the same shape:
+ *
+ *   { error, code: 'forbidden', permission }
+ */
+
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * Send the uniform 403 response
+ *
+ * @param {Object} res - Express response object
+ * @param {string} permission - Permission that was missing
+ * @returns {Object} Express response
+ */
+function sendForbidden(res, permission) {
+  return res.status(403).json({
+    error: 'You do not have permission to perform this action',
+    code: 'forbidden',
+    permission,
+  });
+}
+
+/**
+ * Create middleware that requires a permission
+ *
+ * For ownership-scoped permissions (e.g. reporters editing their own
+ * bugs) this only checks the role; the route must call hasPermission
+ * again with the loaded resource.
+ *
+ * @param {string} permission - Permission name, e.g. 'bug:delete'
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.delete('/:id', authMiddleware, requirePermission('bug:delete'), handler);
+ */
+function requirePermission(permission) {
+  return function permissionMiddleware(req, res, next) {
+    if (!req.user || !hasPermission(req.user, permission)) {
+      return sendForbidden(res, permission);
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  requirePermission,
+  sendForbidden,
+};
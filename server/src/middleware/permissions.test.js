@@ -0,0 +1,57 @@
+// server/src/middleware/permissions.test.js
+// Unit tests for permission middleware
+
+const { requirePermission, sendForbidden } = require('./permissions');
+
+describe('Permission Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {};
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  it('should call next() when the role has the permission', () => {
+    req.user = { id: '1', role: 'maintainer' };
+
+    requirePermission('bug:delete')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should return a uniform 403 when the role lacks the permission', () => {
+    req.user = { id: '1', role: 'reporter' };
+
+    requirePermission('bug:delete')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'You do not have permission to perform this action',
+      code: 'forbidden',
+      permission: 'bug:delete',
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 403 when there is no authenticated user', () => {
+    requirePermission('bug:create')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should send the same body from sendForbidden', () => {
+    sendForbidden(res, 'post:update');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'forbidden',
+      permission: 'post:update',
+    }));
+  });
+});
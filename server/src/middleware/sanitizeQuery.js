@@ -0,0 +1,132 @@
+/**
+ * Query Sanitization Middleware
+ *
+ * Validates the query string of list routes before it reaches a Mongo
+ * filter. Each route declares the parameters it accepts; values must be
+ * single strings (never arrays or objects), enum parameters must use an
+ * allowed value, and sorting is limited to whitelisted fields. Keys that
+ * look like query operators (`status[$ne]`, `$where`) are rejected.
+ *
+ * Express re-parses req.query on every access, so the cleaned values are
+ * stored on req.sanitizedQuery instead. Rejections are 400 responses:
+ *
+ *   { error, param, allowed? }
+ */
+
+/**
+ * Characters that never appear in legitimate parameter names
+ */
+const OPERATOR_KEY_PATTERN = /[$[\].]/;
+
+const INTEGER_PATTERN = /^\d+$/;
+
+/**
+ * Send the uniform 400 response
+ *
+ * @param {Object} res - Express response object
+ * @param {string} error - Message
+ * @param {string} param - Offending parameter
+ * @param {Array<string>} [allowed] - Accepted values
+ * @returns {Object} Express response
+ */
+function sendInvalid(res, error, param, allowed) {
+  return res.status(400).json(allowed ? { error, param, allowed } : { error, param });
+}
+
+/**
+ * Parse and check a sort string against the whitelist
+ *
+ * @param {string} value - Sort string, e.g. '-priority,createdAt'
+ * @param {Object} fields - Map of public field name to document path
+ * @returns {{sort: string}|{invalid: string}} Sort string using document
+ *   paths, or the first field that is not allowed
+ */
+function normalizeSort(value, fields) {
+  const parts = value.split(/[\s,]+/).filter(Boolean);
+  const normalized = [];
+
+  for (const part of parts) {
+    const descending = part.startsWith('-');
+    const name = part.replace(/^[-+]/, '');
+    if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+      return { invalid: name };
+    }
+    normalized.push(`${descending ? '-' : ''}${fields[name]}`);
+  }
+
+  return { sort: normalized.join(',') };
+}
+
+/**
+ * Create middleware that validates a route's query parameters
+ *
+ * @param {Object} schema
+ * @param {Object} [schema.params] - Accepted parameters; each may set
+ *   `type: 'integer'` or `values` (an array, or a function returning one)
+ * @param {Object} [schema.sort] - Sorting options
+ * @param {string} [schema.sort.param='sortBy'] - Name of the sort parameter
+ * @param {Object} schema.sort.fields - Map of sortable name to document path
+ * @param {string} [schema.sort.default] - Sort used when none is given
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.get('/', sanitizeQuery({
+ *   params: { status: { values: ['open', 'closed'] }, limit: { type: 'integer' } },
+ *   sort: { fields: { createdAt: 'createdAt' }, default: '-createdAt' },
+ * }), handler);
+ * // handler reads req.sanitizedQuery.status and req.sanitizedQuery.sort
+ */
+function sanitizeQuery({ params = {}, sort } = {}) {
+  const sortParam = sort ? sort.param || 'sortBy' : null;
+
+  return function sanitizeQueryMiddleware(req, res, next) {
+    const raw = req.query || {};
+    const sanitized = {};
+
+    for (const key of Object.keys(raw)) {
+      if (OPERATOR_KEY_PATTERN.test(key)) {
+        return sendInvalid(res, `Invalid query parameter "${key}"`, key);
+      }
+
+      const value = raw[key];
+      if (value !== undefined && typeof value !== 'string') {
+        return sendInvalid(res, `"${key}" must be a single value`, key);
+      }
+    }
+
+    for (const [name, options] of Object.entries(params)) {
+      const value = raw[name];
+      if (value === undefined || value === '') continue;
+
+      if (options.type === 'integer' && !INTEGER_PATTERN.test(value)) {
+        return sendInvalid(res, `"${name}" must be a whole number`, name);
+      }
+
+      const allowed = typeof options.values === 'function' ? options.values() : options.values;
+      if (allowed && !allowed.includes(value)) {
+        return sendInvalid(res, `Invalid ${name} "${value}"`, name, allowed);
+      }
+
+      sanitized[name] = options.type === 'integer' ? Number(value) : value;
+    }
+
+    if (sort) {
+      const value = raw[sortParam] || sort.default || '';
+      const result = normalizeSort(value, sort.fields);
+      if (result.invalid !== undefined) {
+        return sendInvalid(
+          res,
+          `Cannot sort by "${result.invalid}"`,
+          sortParam,
+          Object.keys(sort.fields)
+        );
+      }
+      sanitized.sort = result.sort;
+    }
+
+    req.sanitizedQuery = sanitized;
+    return next();
+  };
+}
+
+module.exports = sanitizeQuery;
@@ -0,0 +1,106 @@
+// server/src/middleware/sanitizeQuery.test.js
+// Unit tests for query sanitization middleware
+
+const sanitizeQuery = require('./sanitizeQuery');
+
+describe('Query Sanitization Middleware', () => {
+  let req, res, next;
+
+  const middleware = sanitizeQuery({
+    params: {
+      status: { values: ['open', 'closed'] },
+      limit: { type: 'integer' },
+      q: {},
+    },
+    sort: {
+      fields: { createdAt: 'createdAt', priority: 'priorityRank' },
+      default: '-createdAt',
+    },
+  });
+
+  beforeEach(() => {
+    req = { query: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  it('should store declared parameters and the default sort', () => {
+    req.query = { status: 'open', limit: '5', q: 'crash', other: 'ignored' };
+
+    middleware(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.sanitizedQuery).toEqual({
+      status: 'open',
+      limit: 5,
+      q: 'crash',
+      sort: '-createdAt',
+    });
+  });
+
+  it('should map multi-key sorts onto document fields', () => {
+    req.query = { sortBy: '-priority,createdAt' };
+
+    middleware(req, res, next);
+
+    expect(req.sanitizedQuery.sort).toBe('-priorityRank,createdAt');
+  });
+
+  it('should reject sorting on fields outside the whitelist', () => {
+    req.query = { sortBy: '-password' };
+
+    middleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Cannot sort by "password"',
+      param: 'sortBy',
+      allowed: ['createdAt', 'priority'],
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should reject operator-looking keys', () => {
+    req.query = { 'status[$ne]': 'x' };
+
+    middleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].param).toBe('status[$ne]');
+  });
+
+  it('should reject objects and arrays as values', () => {
+    req.query = { status: { $ne: 'open' } };
+    middleware(req, res, next);
+
+    req.query = { q: ['a', 'b'] };
+    middleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledTimes(2);
+    expect(res.json.mock.calls.map(([body]) => body.param)).toEqual(['status', 'q']);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should list allowed values for enum parameters', () => {
+    req.query = { status: 'pending' };
+
+    middleware(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Invalid status "pending"',
+      param: 'status',
+      allowed: ['open', 'closed'],
+    });
+  });
+
+  it('should reject non-numeric integers', () => {
+    req.query = { limit: '10; drop' };
+
+    middleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
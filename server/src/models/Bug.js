@@ -3,22 +3,131 @@
  * Represents a bug report in the tracking system.
  * 
  * Fields:
+ * - project: Reference to the project that owns the bug. Required for new
+ *   bugs; bugs reported before projects existed have none until
+ *   `npm run migrate` files them under a default project
+ * - key: Human-friendly key such as WEB-123, made of the project's key and
+ *   the next number of that project's Counter sequence on first save
+ * - number: The numeric part of the key
  * - title: Brief description of the bug (5-200 characters)
- * - description: Detailed explanation of the issue
+ * - description: Detailed explanation of the issue, in Markdown
+ * - descriptionHtml: The description rendered to sanitized HTML
+ * - mentions / references: Users @mentioned and bugs #referenced in the
+ *   description (see utils/mentions); comments have their own
  * - priority: Severity level (low, medium, high, critical)
- * - status: Current state (open, in-progress, resolved)
+ * - priorityRank: Position of priority in config/bugPriorities.js, kept in
+ *   sync on validate so sorting by priority follows severity
+ * - status: Current workflow state (see config/bugWorkflow.js)
  * - reportedBy: Reference to user who reported the bug
  * - assignedTo: Reference to user assigned to fix the bug (optional)
- * - tags: Array of category tags for organization
- * - comments: Array of discussion comments with authors
- * - resolvedAt: Timestamp when bug was marked as resolved
+ * - watchers: Users notified when the bug changes; the reporter and each
+ *   assignee are added automatically and anyone can opt in or out
+ * - tags: Array of category tags for organization, stored in lower case
+ * - comments: Array of discussion comments with authors; replies point at
+ *   their parent with parentId, and edits keep the previous text in edits.
+ *   Text is Markdown, rendered to sanitized HTML in textHtml
+ * - resolution: Note explaining how the bug was resolved or why it won't be fixed
+ * - duplicateOf: Reference to the original bug when closed as a duplicate
+ * - attachments: Uploaded files (screenshots, logs), optionally tied to a
+ *   comment; the bytes live in attachment storage under storageKey, and
+ *   images have a thumbnail under thumbnailKey. Storage keys are not
+ *   sent to clients.
+ * - commits: Commits that fixed or referenced the bug, linked by the VCS
+ *   push hook (POST /api/integrations/vcs); one entry per commit SHA
+ * - referencedBy: Bugs whose description or comments #referenced this
+ *   one, once per bug, with the comment that did it
+ * - resolvedAt: Timestamp when bug was marked as resolved (cleared on reopen)
+ * - closedAt: Timestamp when bug entered a closed state (cleared on reopen)
  * - timestamps: Automatic createdAt and updatedAt fields
+ *
+ * A weighted text index over title, description and comment text backs
+ * full-text search (GET /api/bugs?q=...).
+ *
+ * Routes look bugs up by either their ObjectId or their key (see
+ * Bug.refFilter). Bugs created before keys existed have none, and are
+ * only reachable by id, until `npm run migrate` gives them one.
  */
 
 const mongoose = require('mongoose');
+const { workflow } = require('../utils/bugWorkflow');
+const PRIORITIES = require('../config/bugPriorities');
+const { renderMarkdown } = require('../utils/markdown');
+const { findMentions, findBugRefs, resolveReferences } = require('../utils/mentions');
+const Counter = require('./Counter');
+const Project = require('./Project');
+
+/**
+ * Matches a bug key, case-insensitively (WEB-123, web-123)
+ */
+const KEY_PATTERN = /^([A-Za-z][A-Za-z0-9]*)-([1-9]\d*)$/;
+
+/**
+ * A file attached to a bug or to one of its comments
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+// Say whether there is a thumbnail instead of exposing storage keys
+attachmentSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.hasThumbnail = Boolean(ret.thumbnailKey);
+    delete ret.storageKey;
+    delete ret.thumbnailKey;
+    return ret;
+  },
+});
 
 const bugSchema = new mongoose.Schema(
   {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      // Only new bugs: older ones must stay editable until migrated
+      required: [function isNewBug() { return this.isNew; }, 'Bug must belong to a project'],
+    },
+    key: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    number: {
+      type: Number,
+    },
     title: {
       type: String,
       required: [true, 'Bug title is required'],
@@ -31,21 +140,41 @@ const bugSchema = new mongoose.Schema(
       required: [true, 'Bug description is required'],
       minlength: [10, 'Description must be at least 10 characters'],
     },
+    descriptionHtml: {
+      type: String,
+      default: '',
+    },
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    references: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bug',
+      },
+    ],
     priority: {
       type: String,
       enum: {
-        values: ['low', 'medium', 'high', 'critical'],
-        message: 'Priority must be one of: low, medium, high, critical',
+        values: PRIORITIES,
+        message: `Priority must be one of: ${PRIORITIES.join(', ')}`,
       },
       default: 'medium',
     },
+    priorityRank: {
+      type: Number,
+      default: PRIORITIES.indexOf('medium'),
+    },
     status: {
       type: String,
       enum: {
-        values: ['open', 'in-progress', 'resolved'],
-        message: 'Status must be one of: open, in-progress, resolved',
+        values: workflow.states,
+        message: `Status must be one of: ${workflow.states.join(', ')}`,
       },
-      default: 'open',
+      default: workflow.initial,
     },
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
@@ -57,8 +186,15 @@ const bugSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'Bug must have a reporter'],
     },
+    watchers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
     tags: {
-      type: [String],
+      // Stored in lower case so tag:UI and tag:ui find the same bugs
+      type: [{ type: String, trim: true, lowercase: true }],
       default: [],
     },
     comments: [
@@ -67,6 +203,22 @@ const bugSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        textHtml: {
+          type: String,
+          default: '',
+        },
+        mentions: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+        ],
+        references: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bug',
+          },
+        ],
         author: {
           type: mongoose.Schema.Types.ObjectId,
           ref: 'User',
@@ -76,14 +228,199 @@ const bugSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        parentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        editedAt: {
+          type: Date,
+          default: null,
+        },
+        edits: [
+          {
+            _id: false,
+            text: String,
+            editedAt: Date,
+          },
+        ],
+        deleted: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    resolution: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      default: null,
+    },
+    attachments: [attachmentSchema],
+    commits: [
+      {
+        _id: false,
+        sha: {
+          type: String,
+          required: true,
+        },
+        message: String,
+        author: String,
+        url: String,
+        repository: String,
+        action: {
+          type: String,
+          enum: ['fixes', 'references'],
+          required: true,
+        },
+        committedAt: Date,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    referencedBy: [
+      {
+        _id: false,
+        bug: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Bug',
+          required: true,
+        },
+        key: String,
+        commentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
     resolvedAt: {
       type: Date,
       default: null,
     },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+/**
+ * Keep priorityRank in step with priority
+ *
+ * Runs on validate so it covers save() and insertMany().
+ */
+bugSchema.pre('validate', function syncPriorityRankHook() {
+  this.priorityRank = PRIORITIES.indexOf(this.priority);
+});
+
+/**
+ * Render the Markdown description and comments to HTML, resolving their
+ * @mentions and #references
+ *
+ * Only changed text is rendered again. Bugs saved before rendering
+ * existed get their HTML the next time they are saved.
+ */
+bugSchema.pre('validate', async function renderMarkdownHook() {
+  const sources = [];
+  if (this.isModified('description') || !this.descriptionHtml) {
+    sources.push({ doc: this, text: this.description, field: 'descriptionHtml' });
+  }
+  this.comments.forEach((comment) => {
+    if (comment.isNew || comment.isModified('text') || !comment.textHtml) {
+      sources.push({ doc: comment, text: comment.text, field: 'textHtml' });
+    }
+  });
+  if (sources.length === 0) return;
+
+  const links = await resolveReferences(sources.map((source) => source.text));
+  sources.forEach(({ doc, text, field }) => {
+    doc[field] = renderMarkdown(text, links);
+    doc.mentions = findMentions(text)
+      .filter((name) => links.users.has(name))
+      .map((name) => links.users.get(name)._id);
+    doc.references = findBugRefs(text)
+      .filter((key) => links.bugs.has(key))
+      .map((key) => links.bugs.get(key)._id);
+  });
+});
+
+/**
+ * Give new bugs the next key in their project's sequence
+ *
+ * Runs on validate so it covers save() and insertMany(). A bug that
+ * fails validation after this still uses up its number. Bugs without a
+ * project are left to the required validator.
+ */
+bugSchema.pre('validate', async function assignKeyHook() {
+  if (!this.isNew || this.key || !this.project) return;
+
+  const project = await Project.findById(this.project).select('key');
+  if (!project) {
+    this.invalidate('project', 'Project not found');
+    return;
+  }
+
+  this.number = await Counter.next(project.key);
+  this.key = `${project.key}-${this.number}`;
+});
+
+/**
+ * Add a user to the watchers unless already watching
+ *
+ * @param {string|Object} userId - User ID (or ObjectId)
+ * @returns {boolean} True if the user was added
+ */
+bugSchema.methods.addWatcher = function addWatcher(userId) {
+  if (!userId || this.watchers.some((watcher) => String(watcher) === String(userId))) {
+    return false;
+  }
+  this.watchers.push(userId);
+  return true;
+};
+
+/**
+ * Build a filter that finds a bug by ObjectId or by key
+ *
+ * @param {string} ref - 24-character ObjectId or key such as WEB-123
+ * @returns {Object|null} Filter for findOne(), or null if ref is neither
+ *
+ * @example
+ * Bug.refFilter('WEB-123'); // { key: 'WEB-123' }
+ * Bug.refFilter('web-7');   // { key: 'WEB-7' }
+ * Bug.refFilter('nope');    // null
+ */
+bugSchema.statics.refFilter = function refFilter(ref) {
+  const value = String(ref || '');
+  if (/^[a-fA-F0-9]{24}$/.test(value)) return { _id: value };
+  if (KEY_PATTERN.test(value)) return { key: value.toUpperCase() };
+  return null;
+};
+
+// Project backlogs, newest first
+bugSchema.index({ project: 1, createdAt: -1 });
+
+// Full-text search; title matches rank above description and comments
+bugSchema.index(
+  { title: 'text', description: 'text', 'comments.text': 'text' },
+  {
+    name: 'bug_text_search',
+    weights: { title: 10, description: 4, 'comments.text': 1 },
+  }
+);
+
 module.exports = mongoose.model('Bug', bugSchema);
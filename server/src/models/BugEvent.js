@@ -0,0 +1,62 @@
+/**
+ * BugEvent Model
+ * One entry in a bug's change history.
+ *
+ * Fields:
+ * - bug: Reference to the bug that changed
+ * - actor: Reference to the user who made the change
+ * - action: 'created' or 'updated', or 'comment.updated' /
+ *   'comment.deleted' when a comment was edited or deleted
+ * - comment: The comment edited or deleted, for comment actions
+ * - changes: Field changes with old and new values (an edit records the
+ *   comment's old and new text as the 'text' field, redacted to
+ *   '[deleted]' once the comment is deleted)
+ * - createdAt: When the change happened
+ */
+
+const mongoose = require('mongoose');
+
+const bugEventSchema = new mongoose.Schema(
+  {
+    bug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      required: true,
+      index: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    action: {
+      type: String,
+      enum: ['created', 'updated', 'comment.updated', 'comment.deleted'],
+      required: true,
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    changes: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true,
+        },
+        from: {
+          type: mongoose.Schema.Types.Mixed,
+          default: null,
+        },
+        to: {
+          type: mongoose.Schema.Types.Mixed,
+          default: null,
+        },
+      },
+    ],
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+module.exports = mongoose.model('BugEvent', bugEventSchema);
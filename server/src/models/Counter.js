@@ -0,0 +1,48 @@
+/**
+ * Counter Model
+ * Named sequences for human-friendly numbers, such as bug keys.
+ *
+ * Fields:
+ * - _id: Sequence name (e.g. a project key such as 'WEB')
+ * - seq: Last number handed out
+ *
+ * Numbers come from a single atomic $inc, so concurrent requests never
+ * receive the same value. Numbers are not reused when a document is
+ * deleted.
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false }
+);
+
+/**
+ * Take the next number from a sequence, creating it at 1
+ *
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} The new number
+ *
+ * @example
+ * await Counter.next('WEB'); // 1, then 2, 3, ...
+ */
+counterSchema.statics.next = async function next(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,54 @@
+/**
+ * DigestEmailItem Model
+ * An email held back for a user's daily digest.
+ *
+ * Fields:
+ * - recipient: Reference to the user the email is for
+ * - bug: Reference to the bug it is about
+ * - type: Email type (see config/emailPreferences.js)
+ * - summary: One-line description, e.g. "alice moved WEB-12 to Resolved"
+ * - detail: Extra text such as the comment, or null
+ * - createdAt: When the event happened
+ *
+ * Items are deleted once the digest containing them has been sent.
+ */
+
+const mongoose = require('mongoose');
+const { EMAIL_TYPES } = require('../config/emailPreferences');
+
+const digestEmailItemSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    bug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: EMAIL_TYPES,
+      required: true,
+    },
+    summary: {
+      type: String,
+      required: true,
+    },
+    detail: {
+      type: String,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+// A recipient's pending items in the order they happened
+digestEmailItemSchema.index({ recipient: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DigestEmailItem', digestEmailItemSchema);
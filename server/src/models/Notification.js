@@ -0,0 +1,65 @@
+/**
+ * Notification Model
+ * An in-app message telling a user that a bug they watch changed.
+ *
+ * Fields:
+ * - recipient: Reference to the user the notification is for
+ * - bug: Reference to the bug that changed
+ * - actor: Reference to the user who made the change
+ * - type: What happened (commented, mentioned, status, assigned, updated)
+ * - message: Human-readable summary, e.g. "alice moved WEB-12 to Resolved"
+ * - read: Whether the recipient has seen it
+ * - readAt: When it was marked read
+ * - timestamps: Automatic createdAt and updatedAt fields
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Notification types
+ */
+const NOTIFICATION_TYPES = ['commented', 'mentioned', 'status', 'assigned', 'updated'];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    bug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user's inbox, newest first, and their unread count
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
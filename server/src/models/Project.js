@@ -0,0 +1,60 @@
+/**
+ * Project Model
+ * A team's backlog. Every bug belongs to exactly one project.
+ *
+ * Fields:
+ * - name: Display name (unique)
+ * - key: Short upper-case prefix of the project's bug keys (e.g. WEB for
+ *   WEB-42). Fixed once created so existing keys stay valid
+ * - description: Optional summary of what the project covers
+ * - members: Users on the project's team
+ * - defaultAssignee: User new bugs are assigned to (optional)
+ * - timestamps: Automatic createdAt and updatedAt fields
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Allowed project keys: a letter followed by 1-9 letters or digits
+ */
+const KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Project name is required'],
+      trim: true,
+      unique: true,
+      maxlength: [100, 'Project name cannot exceed 100 characters'],
+    },
+    key: {
+      type: String,
+      required: [true, 'Project key is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      immutable: true,
+      match: [KEY_PATTERN, 'Key must be 2-10 letters or digits, starting with a letter'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    defaultAssignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Project', projectSchema);
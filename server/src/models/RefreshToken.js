@@ -0,0 +1,126 @@
+/**
+ * RefreshToken Model
+ * Server-side record of an issued refresh token.
+ *
+ * Only a SHA-256 hash of the token is stored. Every token belongs to a
+ * family: the chain of tokens produced by rotating the one issued at
+ * login. Access tokens carry the family id as their `sid` claim, so
+ * revoking the family also ends the session for outstanding access tokens.
+ *
+ * Fields:
+ * - tokenHash: SHA-256 hex digest of the token value
+ * - user: Reference to the token owner
+ * - family: Session identifier shared by all rotations of a login
+ * - expiresAt: Expiry time (documents are removed by a TTL index)
+ * - revokedAt: Set when the token is rotated or its family is revoked
+ * - replacedBy: The token issued when this one was rotated
+ * - timestamps: Automatic createdAt and updatedAt fields
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { parseDuration } = require('../utils/auth');
+
+/**
+ * Lifetime used when JWT_REFRESH_EXPIRE is not set
+ */
+const DEFAULT_REFRESH_LIFETIME = '7d';
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      // Let MongoDB delete tokens once they expire
+      expires: 0,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Hash a refresh token value for storage or lookup
+ *
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+refreshTokenSchema.statics.hashToken = function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Issue a new refresh token
+ *
+ * @param {string} userId - Owner of the token
+ * @param {string} [family] - Existing family when rotating; a new one is created otherwise
+ * @returns {Promise<{token: string, document: Object}>} Raw token and stored record
+ */
+refreshTokenSchema.statics.issue = async function issue(userId, family) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const lifetime = parseDuration(
+    process.env.JWT_REFRESH_EXPIRE || DEFAULT_REFRESH_LIFETIME
+  );
+
+  const document = await this.create({
+    tokenHash: this.hashToken(token),
+    user: userId,
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + lifetime * 1000),
+  });
+
+  return { token, document };
+};
+
+/**
+ * Revoke every token in a family, ending that login session
+ *
+ * @param {string} family - Family identifier
+ * @returns {Promise<void>}
+ */
+refreshTokenSchema.statics.revokeFamily = async function revokeFamily(family) {
+  await this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Check whether a session still has a usable refresh token
+ *
+ * @param {string} family - Family identifier (the access token's `sid`)
+ * @returns {Promise<boolean>} True if the session has not been revoked
+ */
+refreshTokenSchema.statics.isFamilyActive = async function isFamilyActive(family) {
+  const active = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(active);
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,62 @@
+/**
+ * SavedView Model
+ * A named bug list filter a user can reopen with one click.
+ *
+ * Fields:
+ * - name: Label shown on the view's tab (unique per owner)
+ * - owner: Reference to the user who saved the view
+ * - shared: Whether the rest of the team can see and use the view
+ * - query: Filter expression (see utils/bugQuery.js)
+ * - search: Full-text search string
+ * - sort: Sort string, e.g. '-priority,createdAt' (see config/bugListFields.js)
+ * - columns: Bug fields the list shows for this view
+ * - timestamps: Automatic createdAt and updatedAt fields
+ */
+
+const mongoose = require('mongoose');
+const { COLUMNS } = require('../config/bugListFields');
+
+const savedViewSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'View name is required'],
+      trim: true,
+      maxlength: [60, 'View name cannot exceed 60 characters'],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    shared: {
+      type: Boolean,
+      default: false,
+    },
+    query: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    search: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    sort: {
+      type: String,
+      default: '-createdAt',
+    },
+    columns: {
+      type: [{ type: String, enum: COLUMNS }],
+      default: () => [...COLUMNS],
+    },
+  },
+  { timestamps: true }
+);
+
+// Each user's view names are unique; listing looks views up by owner or shared
+savedViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ shared: 1 });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
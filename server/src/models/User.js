@@ -2,6 +2,27 @@
 // Mongoose User model (simplified for testing)
 
 const mongoose = require('mongoose');
+const { hashPassword, verifyPassword, needsRehash } = require('../utils/password');
+const { ROLES } = require('../utils/permissions');
+const { EMAIL_TYPES, EMAIL_DELIVERY } = require('../config/emailPreferences');
+
+/**
+ * Email preferences: a delivery mode plus an on/off switch per email type
+ */
+const emailPreferencesSchema = new mongoose.Schema(
+  {
+    delivery: {
+      type: String,
+      enum: {
+        values: EMAIL_DELIVERY,
+        message: `Delivery must be one of: ${EMAIL_DELIVERY.join(', ')}`,
+      },
+      default: 'immediate',
+    },
+    ...Object.fromEntries(EMAIL_TYPES.map((type) => [type, { type: Boolean, default: true }])),
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -21,6 +42,20 @@ const userSchema = new mongoose.Schema(
     password: {
       type: String,
       required: true,
+      // Only loaded when explicitly requested with .select('+password')
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(', ')}`,
+      },
+      default: 'reporter',
+    },
+    emailPreferences: {
+      type: emailPreferencesSchema,
+      default: () => ({}),
     },
     createdAt: {
       type: Date,
@@ -30,14 +65,59 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Hash password before saving (simplified for testing)
-userSchema.pre('save', async function hashPassword(next) {
-  if (!this.isModified('password')) return next();
-  // In production, use bcryptjs for real password hashing
-  this.password = `hashed_${this.password}`;
-  return next();
+/**
+ * Hash the password before saving
+ *
+ * Runs whenever the password path is modified, so assigning a new
+ * plain-text password and saving is all that is needed to change it.
+ */
+userSchema.pre('save', async function hashPasswordHook() {
+  if (!this.isModified('password')) return;
+  this.password = await hashPassword(this.password);
+});
+
+/**
+ * Check a plain-text password against the stored hash.
+ *
+ * If the password matches but the hash was made with outdated cost
+ * parameters (or by the legacy placeholder hook), the password is
+ * re-hashed and saved transparently.
+ *
+ * @param {string} candidate - Password supplied by the user
+ * @returns {Promise<boolean>} True if the password matches
+ */
+userSchema.methods.comparePassword = async function comparePassword(candidate) {
+  const matches = await verifyPassword(candidate, this.password);
+
+  if (matches && needsRehash(this.password)) {
+    this.password = candidate;
+    await this.save();
+  }
+
+  return matches;
+};
+
+// Never send the password hash to clients
+userSchema.set('toJSON', {
+  transform(doc, ret) {
+    delete ret.password;
+    return ret;
+  },
 });
 
+/**
+ * Whether the user wants email of a type, and how
+ *
+ * @param {string} type - One of EMAIL_TYPES
+ * @returns {string|null} 'immediate' or 'digest', or null for no email
+ */
+userSchema.methods.emailDelivery = function emailDelivery(type) {
+  const preferences = this.emailPreferences || {};
+  const delivery = preferences.delivery || 'immediate';
+  if (delivery === 'off' || preferences[type] === false) return null;
+  return delivery;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,60 @@
+/**
+ * Webhook Model
+ * An outside URL (chat, CI) that receives bug events as signed POSTs.
+ *
+ * Fields:
+ * - url: http(s) endpoint the events are POSTed to
+ * - secret: Key for the HMAC-SHA256 signature of each payload. Not
+ *   returned by queries unless explicitly selected
+ * - events: Bug event types to send (see utils/bugEvents)
+ * - project: Only send events for this project's bugs (null for all)
+ * - active: Paused webhooks receive nothing
+ * - createdBy: Reference to the admin who added it
+ * - timestamps: Automatic createdAt and updatedAt fields
+ */
+
+const mongoose = require('mongoose');
+const { BUG_EVENT_TYPES } = require('../utils/bugEvents');
+
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, 'URL is required'],
+      trim: true,
+      maxlength: [2000, 'URL cannot exceed 2000 characters'],
+    },
+    secret: {
+      type: String,
+      required: [true, 'Secret is required'],
+      select: false,
+    },
+    events: {
+      type: [{ type: String, enum: BUG_EVENT_TYPES }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'Subscribe to at least one event',
+      },
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Webhooks to call for an event
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,83 @@
+/**
+ * Webhook Delivery Model
+ * One event sent (or being sent) to a webhook, with every attempt made.
+ *
+ * Fields:
+ * - webhook: Reference to the receiving webhook
+ * - event: Bug event type (see utils/bugEvents)
+ * - payload: JSON body that is POSTed and signed
+ * - status: pending (will be tried again), succeeded or failed (gave up)
+ * - attempts: One entry per POST: when, the response code (null if the
+ *   request itself failed), the error and how long it took
+ * - nextAttemptAt: When the next retry is due (null when finished)
+ * - redeliveryOf: Reference to the delivery this one resends, if any
+ * - timestamps: Automatic createdAt and updatedAt fields
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Delivery states
+ */
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const attemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    duration: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending',
+    },
+    attempts: [attemptSchema],
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// A webhook's delivery log, newest first
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,336 @@
+/**
+ * Attachment Routes
+ * Files (screenshots, logs) attached to a bug or one of its comments.
+ * Mounted by routes/bugs under /api/bugs/:id/attachments, so the same
+ * routes work on project-scoped bug URLs.
+ *
+ * Endpoints:
+ * POST   /api/bugs/:id/attachments                         - Upload files (multipart, field "files")
+ * GET    /api/bugs/:id/attachments                         - List the bug's attachments
+ * GET    /api/bugs/:id/attachments/:attachmentId           - Download a file
+ * GET    /api/bugs/:id/attachments/:attachmentId/thumbnail - Image thumbnail (WebP)
+ * DELETE /api/bugs/:id/attachments/:attachmentId           - Delete an attachment
+ *
+ * Size, count and type limits are in config/attachments.js. Types are
+ * sniffed from the content, and downloads are always sent with the
+ * sniffed type, nosniff and a sandboxing CSP, so an upload can never run
+ * as a page on our origin.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Bug = require('../models/Bug');
+const { isValidObjectId } = require('../utils/validation');
+const { hasPermission } = require('../utils/permissions');
+const { getStorage } = require('../utils/attachmentStorage');
+const {
+  AttachmentError,
+  cleanFilename,
+  inspectFile,
+  contentDisposition,
+  removeAttachmentFiles,
+} = require('../utils/attachments');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission, sendForbidden } = require('../middleware/permissions');
+const {
+  MAX_ATTACHMENT_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  IMAGE_TYPES,
+} = require('../config/attachments');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Multipart parser keeping uploads in memory until they are checked
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: MAX_FILES_PER_UPLOAD,
+    fields: 5,
+  },
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+/**
+ * Parse the multipart body, answering upload limit errors with 400/413
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+function receiveFiles(req, res, next) {
+  upload(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) {
+      return next(error);
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `Files must be ${Math.floor(MAX_ATTACHMENT_SIZE / (1024 * 1024))} MB or smaller`,
+      });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        error: `Send up to ${MAX_FILES_PER_UPLOAD} files in the "files" field`,
+      });
+    }
+    return res.status(400).json({ error: error.message });
+  });
+}
+
+/**
+ * Load the bug named in req.params.id into req.bug
+ *
+ * Accepts the ObjectId or the key and, on project-scoped routes, only
+ * matches bugs in that project. Sends 400 for malformed ids and 404 when
+ * there is no such bug.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function loadBug(req, res, next) {
+  try {
+    const filter = Bug.refFilter(req.params.id);
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid bug ID' });
+    }
+    if (req.project) filter.project = req.project._id;
+
+    req.bug = await Bug.findOne(filter);
+    if (!req.bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Find the attachment named in req.params.attachmentId on req.bug
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Attachment subdocument
+ */
+function findAttachment(req) {
+  return isValidObjectId(req.params.attachmentId)
+    ? req.bug.attachments.id(req.params.attachmentId)
+    : null;
+}
+
+/**
+ * Stream a stored file, answering 404 if the bytes have gone missing
+ *
+ * @param {Object} res - Express response object
+ * @param {string} key - Storage key
+ * @param {Object} headers - Response headers
+ */
+function sendStored(res, key, headers) {
+  const stream = getStorage().read(key);
+
+  stream.once('error', (error) => {
+    if (!res.headersSent && error.code === 'ENOENT') {
+      Object.keys(headers).forEach((name) => res.removeHeader(name));
+      res.status(404).json({ error: 'Attachment file not found' });
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  res.set({
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    ...headers,
+  });
+  stream.pipe(res);
+}
+
+/**
+ * Upload attachments
+ * POST /api/bugs/:id/attachments
+ *
+ * Takes up to MAX_FILES_PER_UPLOAD files in the multipart field "files".
+ * Every file is checked before any is stored, so an upload is all or
+ * nothing. Pass commentId to attach the files to a comment.
+ *
+ * @param {string} id - Bug document ID or key
+ * @param {File[]} files - Files to attach
+ * @param {string} commentId - Optional comment the files belong to
+ *
+ * @returns {array} Created attachments
+ * @throws {400} Invalid bug ID, no files, too many files or unknown comment
+ * @throws {401} Unauthorized
+ * @throws {403} Role may not upload
+ * @throws {404} Bug not found
+ * @throws {413} File too large
+ * @throws {415} File type not allowed
+ * @throws {422} Image could not be read
+ */
+router.post('/', authMiddleware, requirePermission('attachment:upload'), loadBug, receiveFiles, async (req, res, next) => {
+  try {
+    const { bug } = req;
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files sent' });
+    }
+
+    const commentId = req.body && req.body.commentId;
+    if (commentId) {
+      const comment = isValidObjectId(commentId) && bug.comments.id(commentId);
+      if (!comment || comment.deleted) {
+        return res.status(400).json({ error: 'Comment not found' });
+      }
+    }
+
+    // Check every file before storing any
+    const inspected = [];
+    for (const file of files) {
+      const filename = cleanFilename(file.originalname);
+      try {
+        inspected.push({ file, filename, ...(await inspectFile(file.buffer)) });
+      } catch (error) {
+        if (!(error instanceof AttachmentError)) throw error;
+        return res.status(error.status).json({ error: `${filename}: ${error.message}` });
+      }
+    }
+
+    const storage = getStorage();
+    const attachments = [];
+    try {
+      for (const { file, filename, mimeType, thumbnail } of inspected) {
+        const _id = new mongoose.Types.ObjectId();
+        const storageKey = `${bug._id}/${_id}`;
+        const thumbnailKey = thumbnail ? `${bug._id}/${_id}.thumb.webp` : null;
+
+        await storage.save(storageKey, file.buffer);
+        if (thumbnail) await storage.save(thumbnailKey, thumbnail);
+
+        attachments.push({
+          _id,
+          filename,
+          mimeType,
+          size: file.size,
+          storageKey,
+          thumbnailKey,
+          commentId: commentId || null,
+          uploadedBy: req.user.id,
+        });
+      }
+
+      bug.attachments.push(...attachments);
+      await bug.save();
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await removeAttachmentFiles(attachments).catch(() => {});
+      throw error;
+    }
+
+    const ids = attachments.map((attachment) => String(attachment._id));
+    return res.status(201).json(bug.attachments.filter((attachment) => ids.includes(String(attachment._id))));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * List a bug's attachments
+ * GET /api/bugs/:id/attachments
+ *
+ * @param {string} id - Bug document ID or key
+ *
+ * @returns {array} Attachments, oldest first
+ * @throws {400} Invalid bug ID
+ * @throws {404} Bug not found
+ */
+router.get('/', loadBug, (req, res) => res.json(req.bug.attachments));
+
+/**
+ * Download an attachment
+ * GET /api/bugs/:id/attachments/:attachmentId
+ *
+ * Sent as a download with the original file name. Images may be shown
+ * in place with ?inline=true.
+ *
+ * @param {string} id - Bug document ID or key
+ * @param {string} attachmentId - Attachment ID
+ *
+ * @returns {file} The file
+ * @throws {400} Invalid bug ID
+ * @throws {404} Bug or attachment not found
+ */
+router.get('/:attachmentId', loadBug, (req, res) => {
+  const attachment = findAttachment(req);
+  if (!attachment) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+
+  const inline = req.query.inline === 'true' && IMAGE_TYPES.includes(attachment.mimeType);
+  return sendStored(res, attachment.storageKey, {
+    'Content-Type': attachment.mimeType === 'text/plain' ? 'text/plain; charset=utf-8' : attachment.mimeType,
+    'Content-Length': String(attachment.size),
+    'Content-Disposition': contentDisposition(attachment.filename, inline),
+  });
+});
+
+/**
+ * Download an image attachment's thumbnail
+ * GET /api/bugs/:id/attachments/:attachmentId/thumbnail
+ *
+ * @param {string} id - Bug document ID or key
+ * @param {string} attachmentId - Attachment ID
+ *
+ * @returns {file} WebP thumbnail
+ * @throws {400} Invalid bug ID
+ * @throws {404} Bug or attachment not found, or not an image
+ */
+router.get('/:attachmentId/thumbnail', loadBug, (req, res) => {
+  const attachment = findAttachment(req);
+  if (!attachment || !attachment.thumbnailKey) {
+    return res.status(404).json({ error: 'Thumbnail not found' });
+  }
+
+  return sendStored(res, attachment.thumbnailKey, {
+    'Content-Type': 'image/webp',
+    'Content-Disposition': contentDisposition(`${attachment.filename}.thumb.webp`, true),
+  });
+});
+
+/**
+ * Delete an attachment
+ * DELETE /api/bugs/:id/attachments/:attachmentId
+ *
+ * Reporters may only delete their own uploads.
+ *
+ * @param {string} id - Bug document ID or key
+ * @param {string} attachmentId - Attachment ID
+ *
+ * @returns {object} Confirmation message and the deleted attachment
+ * @throws {400} Invalid bug ID
+ * @throws {401} Unauthorized
+ * @throws {403} Not the uploader and not a maintainer or admin
+ * @throws {404} Bug or attachment not found
+ */
+router.delete('/:attachmentId', authMiddleware, requirePermission('attachment:delete'), loadBug, async (req, res, next) => {
+  try {
+    const attachment = findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    if (!hasPermission(req.user, 'attachment:delete', attachment)) {
+      return sendForbidden(res, 'attachment:delete');
+    }
+
+    req.bug.attachments.pull(attachment._id);
+    await req.bug.save();
+    await removeAttachmentFiles([attachment]);
+
+    return res.json({ message: 'Attachment deleted successfully', attachment });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,343 @@
+/**
+ * Auth Routes
+ * Handles user registration, login, logout and session lookup.
+ *
+ * Endpoints:
+ * POST   /api/auth/register - Create a new account and return a token
+ * POST   /api/auth/login    - Exchange email and password for a token
+ * POST   /api/auth/refresh  - Rotate a refresh token for a new token pair
+ * POST   /api/auth/logout   - Revoke the current session
+ * GET    /api/auth/me       - Retrieve the authenticated user's profile
+ *
+ * Logging in starts a session: a short-lived access token (`token`) plus
+ * a refresh token. Refresh tokens are single use; presenting one that was
+ * already rotated is treated as theft and revokes the whole session.
+ *
+ * Error bodies always have an `error` message; validation failures
+ * also include an `errors` object keyed by field name.
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { generateToken } = require('../utils/auth');
+const {
+  isValidEmail,
+  validatePassword,
+  isValidObjectId,
+} = require('../utils/validation');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Issue an access/refresh token pair for a user
+ *
+ * @param {Object} user - User document
+ * @param {string} [family] - Session to continue; a new one is started otherwise
+ * @returns {Promise<Object>} { token, refreshToken, refreshTokenId }
+ */
+async function issueTokens(user, family) {
+  const { token: refreshToken, document } = await RefreshToken.issue(user._id, family);
+
+  return {
+    token: generateToken(user, { sessionId: document.family }),
+    refreshToken,
+    refreshTokenId: document._id,
+  };
+}
+
+/**
+ * Register a new user
+ * POST /api/auth/register
+ *
+ * Validates the email format and password strength, then creates the
+ * user and returns a token so the client is logged in immediately.
+ *
+ * @param {string} username - Display name (must be unique)
+ * @param {string} email - Email address (must be unique)
+ * @param {string} password - Password meeting validatePassword rules
+ *
+ * @returns {object} { token, refreshToken, user }
+ * @throws {400} Missing or invalid fields
+ * @throws {409} Username or email already registered
+ */
+router.post('/register', async (req, res, next) => {
+  try {
+    const { username, email, password } = req.body || {};
+    const errors = {};
+
+    // Validate each field and collect messages by field name; non-string
+    // JSON values are rejected before any string method runs on them
+    if (username !== undefined && username !== null && typeof username !== 'string') {
+      errors.username = 'Username must be a string';
+    } else if (!username || !username.trim()) {
+      errors.username = 'Username is required';
+    }
+
+    if (email !== undefined && email !== null && typeof email !== 'string') {
+      errors.email = 'Email must be a string';
+    } else if (!email) {
+      errors.email = 'Email is required';
+    } else if (!isValidEmail(email)) {
+      errors.email = 'Email address is invalid';
+    }
+
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+      errors.password = 'Password must be a string';
+    } else {
+      const passwordCheck = validatePassword(password);
+      if (!passwordCheck.isValid) {
+        errors.password = passwordCheck.errors.join('. ');
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        errors,
+      });
+    }
+
+    // Reject duplicates before attempting the insert
+    const normalizedEmail = email.trim().toLowerCase();
+    const existing = await User.findOne({
+      $or: [{ email: normalizedEmail }, { username: username.trim() }],
+    });
+
+    if (existing) {
+      const field = existing.email === normalizedEmail ? 'email' : 'username';
+      return res.status(409).json({
+        error: `User with this ${field} already exists`,
+        errors: { [field]: `This ${field} is already registered` },
+      });
+    }
+
+    const user = await User.create({
+      username: username.trim(),
+      email: normalizedEmail,
+      password,
+    });
+
+    const { token, refreshToken } = await issueTokens(user);
+
+    return res.status(201).json({ token, refreshToken, user });
+  } catch (error) {
+    // Unique index violation from a concurrent registration
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'User already exists' });
+    }
+    return next(error);
+  }
+});
+
+/**
+ * Log in with email and password
+ * POST /api/auth/login
+ *
+ * Uses the same 401 message for unknown emails and wrong passwords so
+ * the endpoint cannot be used to discover registered addresses.
+ *
+ * @param {string} email - Registered email address
+ * @param {string} password - Account password
+ *
+ * @returns {object} { token, refreshToken, user }
+ * @throws {400} Missing or malformed credentials
+ * @throws {401} Invalid email or password
+ */
+router.post('/login', async (req, res, next) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if ((email && typeof email !== 'string') || (password && typeof password !== 'string')) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        errors: {
+          email: email && typeof email !== 'string' ? 'Email must be a string' : undefined,
+          password: password && typeof password !== 'string' ? 'Password must be a string' : undefined,
+        },
+      });
+    }
+
+    if (!email || !password) {
+      return res.status(400).json({
+        error: 'Email and password are required',
+        errors: {
+          email: !email ? 'Email is required' : undefined,
+          password: !password ? 'Password is required' : undefined,
+        },
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        errors: { email: 'Email address is invalid' },
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() })
+      .select('+password');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const { token, refreshToken } = await issueTokens(user);
+
+    return res.json({ token, refreshToken, user });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Rotate a refresh token
+ * POST /api/auth/refresh
+ *
+ * Issues a new pair in the same session, then marks the presented
+ * refresh token as used. Reusing a rotated token revokes the entire
+ * session, since it means a copy of the token is in someone else's hands.
+ *
+ * @param {string} refreshToken - Current refresh token
+ *
+ * @returns {object} { token, refreshToken }
+ * @throws {400} Missing refresh token
+ * @throws {401} Unknown, expired, reused or revoked refresh token
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        error: 'Refresh token is required',
+        errors: { refreshToken: 'Refresh token is required' },
+      });
+    }
+
+    const tokenHash = RefreshToken.hashToken(refreshToken);
+    const stored = await RefreshToken.findOne({ tokenHash });
+
+    if (!stored) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'invalid_refresh_token',
+      });
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      return res.status(401).json({
+        error: 'Refresh token has expired',
+        code: 'expired',
+      });
+    }
+
+    const reused = {
+      error: 'Refresh token has already been used; session revoked',
+      code: 'refresh_token_reused',
+    };
+
+    if (stored.revokedAt) {
+      await RefreshToken.revokeFamily(stored.family);
+      return res.status(401).json(reused);
+    }
+
+    const user = await User.findById(stored.user);
+
+    if (!user) {
+      await RefreshToken.revokeFamily(stored.family);
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'invalid_refresh_token',
+      });
+    }
+
+    // Issue the replacement before retiring the old token so the session
+    // always has a live token; access tokens in use stay valid meanwhile
+    const tokens = await issueTokens(user, stored.family);
+
+    // Claim the token atomically so two concurrent refreshes can't both
+    // win; the loser's replacement is revoked with the rest of the family
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), replacedBy: tokens.refreshTokenId } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      await RefreshToken.revokeFamily(stored.family);
+      return res.status(401).json(reused);
+    }
+
+    return res.json({ token: tokens.token, refreshToken: tokens.refreshToken });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Log out the current user
+ * POST /api/auth/logout
+ *
+ * Revokes every refresh token in the session, which also invalidates
+ * any access tokens issued for it. A refresh token in the body is
+ * revoked too, so clients holding only that can still log out cleanly.
+ *
+ * @param {string} [refreshToken] - Refresh token of the session to end
+ *
+ * @returns {object} Success message
+ * @throws {401} Unauthorized
+ */
+router.post('/logout', authMiddleware, async (req, res, next) => {
+  try {
+    const families = new Set();
+
+    if (req.user.sid) {
+      families.add(req.user.sid);
+    }
+
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken === 'string' && refreshToken) {
+      const stored = await RefreshToken.findOne({
+        tokenHash: RefreshToken.hashToken(refreshToken),
+        user: req.user.id,
+      });
+      if (stored) {
+        families.add(stored.family);
+      }
+    }
+
+    await Promise.all([...families].map((family) => RefreshToken.revokeFamily(family)));
+
+    return res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Retrieve the authenticated user's profile
+ * GET /api/auth/me
+ *
+ * @returns {object} User profile without the password hash
+ * @throws {401} Unauthorized
+ * @throws {404} User no longer exists
+ */
+router.get('/me', authMiddleware, async (req, res, next) => {
+  try {
+    const user = isValidObjectId(req.user.id)
+      ? await User.findById(req.user.id)
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.json(user);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
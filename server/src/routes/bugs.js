@@ -4,37 +4,154 @@
  * 
  * Endpoints:
  * POST   /api/bugs              - Create a new bug report
- * GET    /api/bugs              - Retrieve all bugs with filtering
- * GET    /api/bugs/:id          - Retrieve a single bug by ID
+ * GET    /api/bugs              - Retrieve a page of bugs with filtering and search
+ * GET    /api/bugs/workflow     - Retrieve the status workflow definition
+ * GET    /api/bugs/stream       - Live bug changes as Server-Sent Events
+ * GET    /api/bugs/:id          - Retrieve a single bug by ID or key (BUG-123)
+ * GET    /api/bugs/:id/transitions - Status changes available to the caller
+ * GET    /api/bugs/:id/history  - Retrieve the bug's change history
  * PUT    /api/bugs/:id          - Update bug details
+ * POST   /api/bugs/:id/assign   - Assign a user (or the caller) to a bug
+ * POST   /api/bugs/:id/unassign - Remove the bug's assignee
+ * POST   /api/bugs/:id/watch    - Watch a bug (get notified of changes)
+ * DELETE /api/bugs/:id/watch    - Stop watching a bug
  * DELETE /api/bugs/:id          - Delete a bug
- * POST   /api/bugs/:id/comments - Add a comment to a bug
+ * POST   /api/bugs/:id/comments - Add a comment (or a reply) to a bug
+ * PATCH  /api/bugs/:id/comments/:commentId - Edit a comment
+ * DELETE /api/bugs/:id/comments/:commentId - Delete a comment
+ *
+ * Attachment routes live in routes/attachments, under /api/bugs/:id/attachments.
+ *
+ * The same routes are mounted under /api/projects/:key/bugs (see
+ * routes/projects), where req.project is set and every route only sees
+ * that project's bugs.
+ *
+ * Write operations are guarded by role permissions (see utils/permissions):
+ * reporters may only edit bugs they reported, and only maintainers and
+ * admins may resolve, reassign or delete bugs. Status changes must follow
+ * the workflow in config/bugWorkflow.js. Creation and updates go through
+ * utils/bugUpdates, which integrations share.
+ *
+ * Saved changes, including comment edits and deletions, are published as
+ * bug events (see utils/bugEvents), which notify the bug's watchers and
+ * are pushed to open bug streams.
  */
 
 const express = require('express');
 const Bug = require('../models/Bug');
-const { isValidObjectId, sanitizeInput } = require('../utils/validation');
+const BugEvent = require('../models/BugEvent');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { isValidObjectId, normalizeMarkdown } = require('../utils/validation');
 const authMiddleware = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/auth');
+const sanitizeQuery = require('../middleware/sanitizeQuery');
+const { requirePermission, sendForbidden } = require('../middleware/permissions');
+const { hasPermission } = require('../utils/permissions');
+const { workflow } = require('../utils/bugWorkflow');
+const { snapshotBug } = require('../utils/bugHistory');
+const {
+  BugUpdateError,
+  checkAssignee,
+  checkDetails,
+  createBug,
+  applyBugUpdate,
+  saveBugUpdate,
+} = require('../utils/bugUpdates');
+const { publishBugEvent } = require('../utils/bugEvents');
+const { removeAttachmentFiles } = require('../utils/attachments');
+const attachmentRoutes = require('./attachments');
+const { bugStream } = require('../utils/bugStream');
+const {
+  parseLimit,
+  parseSort,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+} = require('../utils/pagination');
+const { MAX_QUERY_LENGTH, parseSearchTerms, highlightBug } = require('../utils/search');
+const { parseBugQuery, buildBugFilter, BugQueryError } = require('../utils/bugQuery');
+const PRIORITIES = require('../config/bugPriorities');
+const { SORT_FIELDS } = require('../config/bugListFields');
 
 const router = express.Router();
 
+/**
+ * Build the filter for the bug named in req.params.id
+ *
+ * Accepts the ObjectId or the key (WEB-123) and, on project-scoped
+ * routes, only matches bugs in that project.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Filter for findOne(), or null if the id is malformed
+ */
+function findBugFilter(req) {
+  const filter = Bug.refFilter(req.params.id);
+  if (filter && req.project) filter.project = req.project._id;
+  return filter;
+}
+
+/**
+ * Describe the authenticated user as the actor of a bug event
+ *
+ * @param {Object} req - Express request object
+ * @returns {{id: string, username: string}} Actor
+ */
+function getActor(req) {
+  return { id: String(req.user.id), username: req.user.username };
+}
+
+/**
+ * Send the response for a rejected bug update
+ *
+ * @param {Object} res - Express response object
+ * @param {BugUpdateError} error - Error thrown by applyBugUpdate
+ */
+function sendUpdateError(res, error) {
+  if (error.status === 403) {
+    return sendForbidden(res, error.permission);
+  }
+  return res.status(error.status).json(
+    error.errors ? { error: error.message, errors: error.errors } : { error: error.message }
+  );
+}
+
+/**
+ * Find the project a new bug is reported against
+ *
+ * @param {string} ref - Project ObjectId or key
+ * @returns {Promise<Object|null>} Project, or null if there is no such project
+ */
+async function findProjectByRef(ref) {
+  if (typeof ref !== 'string' || !ref) return null;
+  return Project.findOne(isValidObjectId(ref) ? { _id: ref } : { key: ref.toUpperCase() });
+}
+
 /**
  * Create a new bug report
  * POST /api/bugs
  * 
  * Requires authentication. Validates input and creates a bug
- * associated with the authenticated user.
+ * associated with the authenticated user. The bug belongs to the
+ * route's project, or to `project` when posted to /api/bugs, and is
+ * assigned to the project's default assignee.
  * 
- * @param {string} title - Bug title (5-200 characters)
+ * @param {string} project - Project ID or key (not needed on project routes)
+ * @param {string} title - Bug title (5-200 characters), stored as plain text
  * @param {string} description - Detailed bug description
  * @param {string} priority - Priority level (low/medium/high/critical)
  * @param {array} tags - Optional tags for categorization
  * 
  * @returns {object} Created bug document with populated user references
- * @throws {400} Invalid input validation
+ * @throws {400} Invalid input validation, or missing or unknown project
  * @throws {401} Unauthorized (requires authentication)
+ * @throws {403} Role may not create bugs
  */
-router.post('/', authMiddleware, async (req, res, next) => {
+router.post('/', authMiddleware, requirePermission('bug:create'), async (req, res, next) => {
   try {
     const { title, description, priority, tags } = req.body;
 
@@ -45,31 +162,31 @@ router.post('/', authMiddleware, async (req, res, next) => {
       });
     }
 
-    // Validate title length
-    if (title.length < 5) {
+    // Validate title and description, the same way as edits
+    const detailErrors = checkDetails({ title, description });
+    if (Object.keys(detailErrors).length > 0) {
       return res.status(400).json({
-        error: 'Title must be at least 5 characters',
+        error: Object.values(detailErrors)[0],
+        errors: detailErrors,
       });
     }
 
-    // Validate description length
-    if (description.length < 10) {
+    // Find the owning project
+    const project = req.project || await findProjectByRef(req.body.project);
+    if (!project) {
       return res.status(400).json({
-        error: 'Description must be at least 10 characters',
+        error: req.body.project ? 'Project not found' : 'Project is required',
       });
     }
 
-    // Create bug with sanitized input
-    const bug = await Bug.create({
-      title: sanitizeInput(title),
-      description: sanitizeInput(description),
-      priority: priority || 'medium',
-      reportedBy: req.user.id,
-      tags: tags || [],
-    });
+    // Create the bug, record its first history entry and publish it
+    const bug = await createBug(project, {
+      title, description, priority, tags,
+    }, getActor(req));
 
     // Populate referenced user data
     await bug.populate('reportedBy', 'username email');
+    await bug.populate('assignedTo', 'username email');
 
     return res.status(201).json(bug);
   } catch (error) {
@@ -78,26 +195,100 @@ router.post('/', authMiddleware, async (req, res, next) => {
 });
 
 /**
- * Retrieve all bugs with optional filtering
+ * Retrieve bugs with optional filtering, one page at a time
  * GET /api/bugs
  * 
  * Supports filtering by status and priority, with configurable sorting.
+ * Pages are fetched with `cursor` (the previous response's nextCursor);
+ * `page` is still accepted for offset paging. Per-status counts ignore
+ * the status filter so clients can show totals for every status.
  * No authentication required for reading bugs.
  * 
- * @query {string} status - Filter by status (open/in-progress/resolved)
+ * With `q`, bugs are full-text searched across title, description and
+ * comments and ordered by relevance (sortBy is ignored). Each bug then
+ * carries a `score` and `snippets` of the matching text, with match
+ * ranges for highlighting.
+ * 
+ * `query` takes a filter expression (see utils/bugQuery), e.g.
+ * `status:open,in-progress priority:>=high assignee:me -tag:wontfix`.
+ * Free text in the expression is searched like `q`. Send a token to use
+ * `me`.
+ * 
+ * @query {string} q - Full-text search string (words, "phrases", -excluded)
+ * @query {string} query - Filter expression
+ * @query {string} status - Filter by workflow status
  * @query {string} priority - Filter by priority (low/medium/high/critical)
- * @query {string} sortBy - Sort field (default: -createdAt)
+ * @query {string} sortBy - Comma-separated sort fields, '-' for descending
+ *   (createdAt, updatedAt, priority, status, title; default: -createdAt)
+ * @query {number} limit - Page size (default 20, max 100)
+ * @query {string} cursor - Cursor from a previous response
+ * @query {number} page - 1-based page number (ignored when cursor is set)
  * 
- * @returns {array} Array of bug documents
+ * @returns {object} { bugs, total, nextCursor, counts }
+ * @throws {400} Invalid parameter ({ error, param, allowed? }), cursor,
+ *   search string or query expression ({ error, token, position })
+ * @throws {401} A token was sent but is invalid
  */
-router.get('/', async (req, res, next) => {
+router.get('/', optionalAuth, sanitizeQuery({
+  params: {
+    status: { values: () => workflow.states },
+    priority: { values: PRIORITIES },
+    q: {},
+    query: {},
+    cursor: {},
+    limit: { type: 'integer' },
+    page: { type: 'integer' },
+  },
+  sort: { fields: SORT_FIELDS, default: '-createdAt' },
+}), async (req, res, next) => {
   try {
-    const { status, priority, sortBy = '-createdAt' } = req.query;
+    const { status, priority, sort, cursor, page } = req.sanitizedQuery;
     const query = {};
 
-    // Apply status filter if provided
-    if (status) {
-      query.status = status;
+    // Project routes only list their own backlog
+    if (req.project) {
+      query.project = req.project._id;
+    }
+
+    const limit = parseLimit(req.sanitizedQuery.limit);
+    if (limit === null) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    // Apply the filter expression if provided; its status terms are kept
+    // apart so they don't narrow the per-status counts
+    let expression = { conditions: [], text: '' };
+    let statusFilter = {};
+    if (req.sanitizedQuery.query) {
+      expression = parseBugQuery(req.sanitizedQuery.query);
+      const isStatus = (condition) => condition.field === 'status';
+      statusFilter = await buildBugFilter({ conditions: expression.conditions.filter(isStatus) });
+      const filter = await buildBugFilter({
+        conditions: expression.conditions.filter((condition) => !isStatus(condition)),
+      }, {
+        user: req.user,
+        resolveUsernames: async (usernames) => {
+          const users = await User.find({ username: { $in: usernames } }).select('username');
+          return Object.fromEntries(users.map((user) => [user.username, user._id]));
+        },
+      });
+
+      // Nest it so the status and priority parameters can't overwrite it
+      if (Object.keys(filter).length > 0) {
+        query.$and = [filter];
+      }
+    }
+
+    // Apply full-text search if provided, including free text from the expression
+    const search = (req.sanitizedQuery.q || '').trim();
+    if (search.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: `Search must be at most ${MAX_QUERY_LENGTH} characters`,
+      });
+    }
+    const q = [search, expression.text].filter(Boolean).join(' ');
+    if (q) {
+      query.$text = { $search: q };
     }
 
     // Apply priority filter if provided
@@ -105,27 +296,154 @@ router.get('/', async (req, res, next) => {
       query.priority = priority;
     }
 
-    // Query database with filters and sorting
-    const bugs = await Bug.find(query)
+    // Counts cover every status, so take them before the status filter
+    const countQuery = { ...query };
+
+    // Apply status filter if provided
+    if (status) {
+      query.status = status;
+    }
+    if (Object.keys(statusFilter).length > 0) {
+      query.$and = [...(query.$and || []), statusFilter];
+    }
+
+    // Relevance can't be expressed as a cursor filter, so search pages by offset
+    const sortKeys = parseSort(sort);
+    const pageQuery = { ...query };
+    let skip = 0;
+
+    if (cursor && q) {
+      skip = decodeOffsetCursor(cursor);
+      if (skip === null) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    } else if (cursor) {
+      const values = decodeCursor(cursor, sortKeys);
+      if (!values) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(pageQuery, cursorFilter(sortKeys, values));
+    } else if (page !== undefined) {
+      if (page < 1) {
+        return res.status(400).json({ error: 'page must be a positive integer' });
+      }
+      skip = (page - 1) * limit;
+    }
+
+    let findQuery = Bug.find(pageQuery)
       .populate('reportedBy', 'username email')
-      .populate('assignedTo', 'username email')
-      .sort(sortBy)
-      .exec();
+      .populate('assignedTo', 'username email');
+
+    if (q) {
+      findQuery = findQuery
+        .select({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1, _id: -1 });
+    } else {
+      findQuery = findQuery.sort(toSortObject(sortKeys));
+    }
+
+    // Fetch one extra bug to learn whether another page exists
+    const [bugs, total, statusCounts] = await Promise.all([
+      findQuery.skip(skip).limit(limit + 1).exec(),
+      Bug.countDocuments(query),
+      Bug.aggregate([
+        { $match: countQuery },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const hasMore = bugs.length > limit;
+    if (hasMore) bugs.pop();
+
+    const counts = {};
+    workflow.states.forEach((state) => {
+      counts[state] = 0;
+    });
+    statusCounts.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = q
+        ? encodeOffsetCursor(skip + bugs.length)
+        : encodeCursor(bugs[bugs.length - 1], sortKeys);
+    }
+
+    // Attach highlighted snippets to search results
+    let results = bugs;
+    if (q) {
+      const terms = parseSearchTerms(q);
+      results = bugs.map((bug) => ({ ...bug.toJSON(), snippets: highlightBug(bug, terms) }));
+    }
 
-    return res.json(bugs);
+    return res.json({
+      bugs: results,
+      total,
+      nextCursor,
+      counts,
+    });
   } catch (error) {
+    // Point the client at the part of the expression that is wrong
+    if (error instanceof BugQueryError) {
+      return res.status(400).json({
+        error: error.message,
+        token: error.token,
+        position: error.position,
+      });
+    }
     return next(error);
   }
 });
 
 /**
- * Retrieve a single bug by ID
+ * Retrieve the status workflow
+ * GET /api/bugs/workflow
+ *
+ * Returns the states (with labels) and transitions so clients can
+ * render status names without hard-coding them.
+ *
+ * @returns {object} { initial, states, transitions }
+ */
+router.get('/workflow', (req, res) => {
+  return res.json(workflow.definition);
+});
+
+/**
+ * Stream bug changes
+ * GET /api/bugs/stream
+ *
+ * Keeps the response open and sends created, updated, commented and
+ * deleted bugs as Server-Sent Events (see utils/bugStream). Under
+ * /api/projects/:key/bugs only that project's bugs are sent.
+ *
+ * EventSource reconnects with a Last-Event-ID header; clients that
+ * reconnect by hand can pass the id as ?lastEventId instead.
+ *
+ * @query {number} lastEventId - Id of the last event received
+ *
+ * @returns {stream} text/event-stream
+ * @throws {400} Invalid lastEventId
+ */
+router.get('/stream', sanitizeQuery({
+  params: { lastEventId: { type: 'integer' } },
+}), (req, res) => {
+  const projectId = req.project ? String(req.project._id) : null;
+
+  bugStream.connect(req, res, {
+    lastEventId: req.get('Last-Event-ID') || req.sanitizedQuery.lastEventId,
+    filter: (message) => !projectId || String(message.data.bug.project) === projectId,
+  });
+});
+
+/**
+ * Retrieve a single bug by ID or key
  * GET /api/bugs/:id
  * 
  * Fetches detailed information for a specific bug including
  * reporter, assignee, and all comments.
  * 
- * @param {string} id - Bug document ID (MongoDB ObjectId)
+ * @param {string} id - Bug document ID (MongoDB ObjectId) or key (BUG-123)
  * 
  * @returns {object} Bug document with populated references
  * @throws {400} Invalid bug ID format
@@ -133,12 +451,13 @@ router.get('/', async (req, res, next) => {
  */
 router.get('/:id', async (req, res, next) => {
   try {
-    // Validate ObjectId format
-    if (!isValidObjectId(req.params.id)) {
+    // Accept either the ObjectId or the key (WEB-123)
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
       return res.status(400).json({ error: 'Invalid bug ID' });
     }
 
-    const bug = await Bug.findById(req.params.id)
+    const bug = await Bug.findOne(bugFilter)
       .populate('reportedBy', 'username email')
       .populate('assignedTo', 'username email')
       .populate('comments.author', 'username email');
@@ -154,80 +473,270 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * List the status changes available to the caller
+ * GET /api/bugs/:id/transitions
+ *
+ * Filters the workflow transitions from the bug's current status by the
+ * caller's permissions, so clients only offer changes that will succeed.
+ *
+ * @param {string} id - Bug document ID or key
+ *
+ * @returns {object} { status, transitions: [{ to, label, requires }] }
+ * @throws {400} Invalid bug ID format
+ * @throws {401} Unauthorized
+ * @throws {404} Bug not found
+ */
+router.get('/:id/transitions', authMiddleware, async (req, res, next) => {
+  try {
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
+      return res.status(400).json({ error: 'Invalid bug ID' });
+    }
+
+    const bug = await Bug.findOne(bugFilter);
+
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    const transitions = hasPermission(req.user, 'bug:update', bug)
+      ? workflow.allowedTransitions(bug.status).filter(
+        (transition) => !transition.permission
+          || hasPermission(req.user, transition.permission)
+      )
+      : [];
+
+    return res.json({
+      status: bug.status,
+      transitions: transitions.map(({ to, label, requires }) => ({ to, label, requires })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Retrieve a bug's change history
+ * GET /api/bugs/:id/history
+ *
+ * Returns history events oldest first. Each event lists the changed
+ * fields with their old and new values; assignee ids are expanded to
+ * { _id, username } so clients can show names.
+ *
+ * @param {string} id - Bug document ID or key
+ *
+ * @returns {array} History events with populated actors
+ * @throws {400} Invalid bug ID format
+ * @throws {404} Bug not found
+ */
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
+      return res.status(400).json({ error: 'Invalid bug ID' });
+    }
+
+    const bug = await Bug.exists(bugFilter);
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    const events = await BugEvent.find({ bug: bug._id })
+      .populate('actor', 'username')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    // Expand assignee ids stored in the changes
+    const userIds = new Set();
+    events.forEach((event) => event.changes.forEach((change) => {
+      if (change.field === 'assignedTo') {
+        [change.from, change.to].filter(Boolean).forEach((id) => userIds.add(String(id)));
+      }
+    }));
+
+    const users = userIds.size > 0
+      ? await User.find({ _id: { $in: [...userIds] } }, 'username').lean()
+      : [];
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+    const expand = (id) => (id ? usersById.get(String(id)) || { _id: id, username: null } : null);
+
+    events.forEach((event) => event.changes.forEach((change) => {
+      if (change.field === 'assignedTo') {
+        change.from = expand(change.from);
+        change.to = expand(change.to);
+      }
+    }));
+
+    return res.json(events);
+  } catch (error) {
+    return next(error);
+  }
+});
+
 /**
  * Update bug details
  * PUT /api/bugs/:id
  * 
- * Allows updating bug status, priority, assignment, and tags.
- * Requires authentication. If status is changed to 'resolved',
- * sets the resolvedAt timestamp automatically.
+ * Allows updating the title, description, status, priority, assignment
+ * and tags. The title and description follow the rules for new bugs.
+ * Requires authentication. Reporters may only update their own bugs and
+ * changing the assignee needs 'bug:assign'. Status changes must be an
+ * allowed workflow transition, may need extra fields (e.g. resolution)
+ * and a permission such as 'bug:resolve'. resolvedAt and closedAt are
+ * kept in step with the status.
  * 
- * @param {string} id - Bug document ID
- * @param {string} status - New status (open/in-progress/resolved)
+ * @param {string} id - Bug document ID or key
+ * @param {string} title - New title (5-200 characters)
+ * @param {string} description - New Markdown description (at least 10 characters)
+ * @param {string} status - New workflow status
+ * @param {string} resolution - Resolution note (required for some transitions)
+ * @param {string} duplicateOf - Original bug ID when marking a duplicate
  * @param {string} priority - New priority (low/medium/high/critical)
- * @param {string} assignedTo - User ID to assign bug to
+ * @param {string} assignedTo - ID of an existing user to assign the bug to
  * @param {array} tags - Updated tags array
  * 
  * @returns {object} Updated bug document
- * @throws {400} Invalid input or ID format
+ * @throws {400} Invalid input or ID format, or unknown assignee
  * @throws {401} Unauthorized
+ * @throws {403} Missing permission for the requested change
  * @throws {404} Bug not found
  */
-router.put('/:id', authMiddleware, async (req, res, next) => {
+router.put('/:id', authMiddleware, requirePermission('bug:update'), async (req, res, next) => {
   try {
-    // Validate ObjectId format
-    if (!isValidObjectId(req.params.id)) {
+    // Accept either the ObjectId or the key (WEB-123)
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
       return res.status(400).json({ error: 'Invalid bug ID' });
     }
 
-    const { status, priority, assignedTo, tags } = req.body;
+    // Fetch bug document
+    const bug = await Bug.findOne(bugFilter);
 
-    // Validate status if provided
-    if (status && !['open', 'in-progress', 'resolved'].includes(status)) {
-      return res.status(400).json({
-        error: 'Invalid status. Must be one of: open, in-progress, resolved',
-      });
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
     }
 
-    // Validate priority if provided
-    if (priority && !['low', 'medium', 'high', 'critical'].includes(priority)) {
-      return res.status(400).json({
-        error: 'Invalid priority. Must be one of: low, medium, high, critical',
-      });
+    // Remember the current values for the history entry
+    const before = snapshotBug(bug);
+
+    // Check permissions and the workflow, then apply the changes
+    await applyBugUpdate(bug, req.body, req.user);
+
+    // Save updated bug and record what changed, if anything
+    await saveBugUpdate(bug, before, getActor(req));
+
+    // Populate references for response
+    await bug.populate('reportedBy', 'username email');
+    await bug.populate('assignedTo', 'username email');
+
+    return res.json(bug);
+  } catch (error) {
+    if (error instanceof BugUpdateError) {
+      return sendUpdateError(res, error);
     }
+    return next(error);
+  }
+});
 
-    // Fetch bug document
-    const bug = await Bug.findById(req.params.id);
+/**
+ * Assign a bug
+ * POST /api/bugs/:id/assign
+ * 
+ * Assigns the given user, or the caller when no userId is sent
+ * ("assign to me"). Assigning yourself needs 'bug:assign-self';
+ * assigning anyone else needs 'bug:assign'.
+ * 
+ * @param {string} id - Bug document ID or key
+ * @param {string} userId - User to assign (default: the caller)
+ * 
+ * @returns {object} Updated bug document
+ * @throws {400} Invalid bug ID or unknown user
+ * @throws {401} Unauthorized
+ * @throws {403} Missing permission
+ * @throws {404} Bug not found
+ */
+router.post('/:id/assign', authMiddleware, async (req, res, next) => {
+  try {
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
+      return res.status(400).json({ error: 'Invalid bug ID' });
+    }
+
+    const userId = (req.body && req.body.userId) || String(req.user.id);
+    const permission = userId === String(req.user.id) ? 'bug:assign-self' : 'bug:assign';
+    if (!hasPermission(req.user, permission)) {
+      return sendForbidden(res, permission);
+    }
+
+    const assigneeError = await checkAssignee(userId);
+    if (assigneeError) {
+      return res.status(400).json({ error: assigneeError, errors: { userId: assigneeError } });
+    }
 
+    const bug = await Bug.findOne(bugFilter);
     if (!bug) {
       return res.status(404).json({ error: 'Bug not found' });
     }
 
-    // Update status and set resolvedAt timestamp if resolved
-    if (status) {
-      bug.status = status;
-      if (status === 'resolved') {
-        bug.resolvedAt = new Date();
-      }
+    const before = snapshotBug(bug);
+    bug.assignedTo = userId;
+    bug.addWatcher(userId);
+    await saveBugUpdate(bug, before, getActor(req));
+
+    await bug.populate('reportedBy', 'username email');
+    await bug.populate('assignedTo', 'username email');
+
+    return res.json(bug);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Unassign a bug
+ * POST /api/bugs/:id/unassign
+ * 
+ * Assignees may take themselves off a bug with 'bug:assign-self';
+ * removing someone else needs 'bug:assign'. Unassigning a bug nobody is
+ * assigned to changes nothing and needs no permission.
+ * 
+ * @param {string} id - Bug document ID or key
+ * 
+ * @returns {object} Updated (or unchanged) bug document
+ * @throws {400} Invalid bug ID
+ * @throws {401} Unauthorized
+ * @throws {403} Missing permission
+ * @throws {404} Bug not found
+ */
+router.post('/:id/unassign', authMiddleware, async (req, res, next) => {
+  try {
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
+      return res.status(400).json({ error: 'Invalid bug ID' });
     }
 
-    // Update other fields if provided
-    if (priority) {
-      bug.priority = priority;
+    const bug = await Bug.findOne(bugFilter);
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
     }
-    if (assignedTo !== undefined) {
-      bug.assignedTo = assignedTo || null;
+
+    if (!bug.assignedTo) {
+      await bug.populate('reportedBy', 'username email');
+      return res.json(bug);
     }
-    if (tags) {
-      bug.tags = tags;
+
+    const self = String(bug.assignedTo) === String(req.user.id);
+    const permission = self ? 'bug:assign-self' : 'bug:assign';
+    if (!hasPermission(req.user, permission)) {
+      return sendForbidden(res, permission);
     }
 
-    // Save updated bug
-    await bug.save();
+    const before = snapshotBug(bug);
+    bug.assignedTo = null;
+    await saveBugUpdate(bug, before, getActor(req));
 
-    // Populate references for response
     await bug.populate('reportedBy', 'username email');
-    await bug.populate('assignedTo', 'username email');
 
     return res.json(bug);
   } catch (error) {
@@ -235,33 +744,121 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
   }
 });
 
+/**
+ * Watch a bug
+ * POST /api/bugs/:id/watch
+ * 
+ * Watchers get a notification when the bug is commented on or changed.
+ * Watching twice has no effect.
+ * 
+ * @param {string} id - Bug document ID or key
+ * 
+ * @returns {object} { watching: true, watchers }
+ * @throws {400} Invalid bug ID
+ * @throws {401} Unauthorized
+ * @throws {404} Bug not found
+ */
+router.post('/:id/watch', authMiddleware, async (req, res, next) => {
+  try {
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
+      return res.status(400).json({ error: 'Invalid bug ID' });
+    }
+
+    const bug = await Bug.findOneAndUpdate(
+      bugFilter,
+      { $addToSet: { watchers: req.user.id } },
+      { new: true }
+    );
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    return res.json({ watching: true, watchers: bug.watchers });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Stop watching a bug
+ * DELETE /api/bugs/:id/watch
+ * 
+ * @param {string} id - Bug document ID or key
+ * 
+ * @returns {object} { watching: false, watchers }
+ * @throws {400} Invalid bug ID
+ * @throws {401} Unauthorized
+ * @throws {404} Bug not found
+ */
+router.delete('/:id/watch', authMiddleware, async (req, res, next) => {
+  try {
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
+      return res.status(400).json({ error: 'Invalid bug ID' });
+    }
+
+    const bug = await Bug.findOneAndUpdate(
+      bugFilter,
+      { $pull: { watchers: req.user.id } },
+      { new: true }
+    );
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    return res.json({ watching: false, watchers: bug.watchers });
+  } catch (error) {
+    return next(error);
+  }
+});
+
 /**
  * Delete a bug
  * DELETE /api/bugs/:id
  * 
- * Permanently removes a bug from the database.
- * Requires authentication.
+ * Permanently removes a bug from the database, with its history,
+ * notifications, attachments and the back-references it left on the
+ * bugs it referenced.
+ * Requires authentication and the 'bug:delete' permission.
  * 
- * @param {string} id - Bug document ID
+ * @param {string} id - Bug document ID or key
  * 
  * @returns {object} Confirmation message and deleted bug data
  * @throws {400} Invalid bug ID format
  * @throws {401} Unauthorized
+ * @throws {403} Role may not delete bugs
  * @throws {404} Bug not found
  */
-router.delete('/:id', authMiddleware, async (req, res, next) => {
+router.delete('/:id', authMiddleware, requirePermission('bug:delete'), async (req, res, next) => {
   try {
-    // Validate ObjectId format
-    if (!isValidObjectId(req.params.id)) {
+    // Accept either the ObjectId or the key (WEB-123)
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
       return res.status(400).json({ error: 'Invalid bug ID' });
     }
 
-    const bug = await Bug.findByIdAndDelete(req.params.id);
+    const bug = await Bug.findOneAndDelete(bugFilter);
 
     if (!bug) {
       return res.status(404).json({ error: 'Bug not found' });
     }
 
+    // The history and notifications have nothing to refer to once the bug is gone
+    await BugEvent.deleteMany({ bug: bug._id });
+    await Notification.deleteMany({ bug: bug._id });
+    await removeAttachmentFiles(bug.attachments);
+
+    // Bugs it referenced should no longer list it
+    const referenced = [...bug.references, ...bug.comments.flatMap((comment) => comment.references)];
+    if (referenced.length > 0) {
+      await Bug.updateMany(
+        { _id: { $in: referenced } },
+        { $pull: { referencedBy: { bug: bug._id } } }
+      );
+    }
+    await publishBugEvent({ type: 'deleted', bug, actor: getActor(req) });
+
     return res.json({ 
       message: 'Bug deleted successfully', 
       bug 
@@ -277,43 +874,62 @@ router.delete('/:id', authMiddleware, async (req, res, next) => {
  * 
  * Adds a new comment to the bug's comment thread.
  * Requires authentication. Associates the comment with the
- * authenticated user as the author.
+ * authenticated user as the author. Pass parentId to reply to
+ * an existing comment.
  * 
- * @param {string} id - Bug document ID
+ * @param {string} id - Bug document ID or key
  * @param {string} text - Comment text content
+ * @param {string} parentId - Optional ID of the comment being replied to
  * 
  * @returns {object} Updated bug document with new comment
- * @throws {400} Invalid ID format or empty comment text
+ * @throws {400} Invalid ID format, empty comment text or unknown parent
  * @throws {401} Unauthorized
+ * @throws {403} Role may not comment
  * @throws {404} Bug not found
  */
-router.post('/:id/comments', authMiddleware, async (req, res, next) => {
+router.post('/:id/comments', authMiddleware, requirePermission('bug:comment'), async (req, res, next) => {
   try {
-    // Validate ObjectId format
-    if (!isValidObjectId(req.params.id)) {
+    // Accept either the ObjectId or the key (WEB-123)
+    const bugFilter = findBugFilter(req);
+    if (!bugFilter) {
       return res.status(400).json({ error: 'Invalid bug ID' });
     }
 
-    const { text } = req.body;
+    const { text, parentId } = req.body;
 
     // Validate comment text
-    if (!text || text.trim().length === 0) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
       return res.status(400).json({ error: 'Comment text is required' });
     }
 
-    const bug = await Bug.findById(req.params.id);
+    const bug = await Bug.findOne(bugFilter);
 
     if (!bug) {
       return res.status(404).json({ error: 'Bug not found' });
     }
 
+    // Replies must point at a live comment on the same bug
+    if (parentId) {
+      const parent = isValidObjectId(parentId) && bug.comments.id(parentId);
+      if (!parent || parent.deleted) {
+        return res.status(400).json({ error: 'Parent comment not found' });
+      }
+    }
+
     // Add new comment to comments array
     bug.comments.push({
-      text: sanitizeInput(text),
+      text: normalizeMarkdown(text),
       author: req.user.id,
+      parentId: parentId || null,
     });
 
     await bug.save();
+    await publishBugEvent({
+      type: 'commented',
+      bug,
+      actor: getActor(req),
+      comment: bug.comments[bug.comments.length - 1],
+    });
 
     // Populate comment authors for response
     await bug.populate('comments.author', 'username email');
@@ -324,4 +940,210 @@ router.post('/:id/comments', authMiddleware, async (req, res, next) => {
   }
 });
 
+/**
+ * Load a bug and one of its comments for the comment edit routes
+ *
+ * Sends the 400/404 response itself and returns null when either
+ * cannot be found.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} { bug, comment } or null
+ */
+async function findComment(req, res) {
+  const bugFilter = findBugFilter(req);
+  if (!bugFilter) {
+    res.status(400).json({ error: 'Invalid bug ID' });
+    return null;
+  }
+  if (!isValidObjectId(req.params.commentId)) {
+    res.status(400).json({ error: 'Invalid comment ID' });
+    return null;
+  }
+
+  const bug = await Bug.findOne(bugFilter);
+  if (!bug) {
+    res.status(404).json({ error: 'Bug not found' });
+    return null;
+  }
+
+  const comment = bug.comments.id(req.params.commentId);
+  if (!comment || comment.deleted) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  return { bug, comment };
+}
+
+/**
+ * Record a comment edit or deletion in the history and publish it
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} bug - Saved bug document
+ * @param {string} action - 'comment.updated' or 'comment.deleted'
+ * @param {Object} comment - The comment (only { _id, parentId } once deleted)
+ * @param {Object} [details] - { changes, previousMentions,
+ *   previousReferences } for edits
+ * @returns {Promise<void>}
+ */
+async function recordCommentChange(req, bug, action, comment, {
+  changes = [], previousMentions, previousReferences,
+} = {}) {
+  const actor = getActor(req);
+
+  await BugEvent.create({
+    bug: bug._id,
+    actor: actor.id,
+    action,
+    comment: comment._id,
+    changes,
+  });
+  await publishBugEvent({
+    type: action,
+    bug,
+    actor,
+    comment,
+    previousMentions,
+    previousReferences,
+  });
+}
+
+/**
+ * Edit a comment
+ * PATCH /api/bugs/:id/comments/:commentId
+ * 
+ * Only the comment author or an admin may edit. The previous text is
+ * kept in the comment's edits array and editedAt marks it as edited.
+ * The edit is recorded in the history and published as a
+ * 'comment.updated' bug event; users it newly mentions are notified.
+ * 
+ * @param {string} id - Bug document ID or key
+ * @param {string} commentId - Comment ID
+ * @param {string} text - New comment text
+ * 
+ * @returns {object} Updated bug document
+ * @throws {400} Invalid ID format or empty comment text
+ * @throws {401} Unauthorized
+ * @throws {403} Not the author or an admin
+ * @throws {404} Bug or comment not found
+ */
+router.patch('/:id/comments/:commentId', authMiddleware, requirePermission('comment:update'), async (req, res, next) => {
+  try {
+    const { text } = req.body;
+
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment text is required' });
+    }
+
+    const found = await findComment(req, res);
+    if (!found) return undefined;
+    const { bug, comment } = found;
+
+    if (!hasPermission(req.user, 'comment:update', comment)) {
+      return sendForbidden(res, 'comment:update');
+    }
+
+    const newText = normalizeMarkdown(text);
+    if (newText !== comment.text) {
+      const now = new Date();
+      const previousText = comment.text;
+      const previousMentions = comment.mentions.map(String);
+      const previousReferences = comment.references.map(String);
+
+      comment.edits.push({ text: previousText, editedAt: now });
+      comment.text = newText;
+      comment.editedAt = now;
+      await bug.save();
+
+      await recordCommentChange(req, bug, 'comment.updated', comment, {
+        changes: [{ field: 'text', from: previousText, to: newText }],
+        previousMentions,
+        previousReferences,
+      });
+    }
+
+    await bug.populate('comments.author', 'username email');
+
+    return res.json(bug);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Delete a comment
+ * DELETE /api/bugs/:id/comments/:commentId
+ * 
+ * Only the comment author or an admin may delete. Comments that have
+ * replies are blanked and marked deleted so the thread stays intact;
+ * others are removed outright. Either way the files attached to the
+ * comment are deleted with it, the text its earlier edits recorded in
+ * the history is redacted, and the deletion is recorded in the history
+ * and published as a 'comment.deleted' bug event without the text.
+ * 
+ * @param {string} id - Bug document ID or key
+ * @param {string} commentId - Comment ID
+ * 
+ * @returns {object} Updated bug document
+ * @throws {400} Invalid ID format
+ * @throws {401} Unauthorized
+ * @throws {403} Not the author or an admin
+ * @throws {404} Bug or comment not found
+ */
+router.delete('/:id/comments/:commentId', authMiddleware, requirePermission('comment:delete'), async (req, res, next) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) return undefined;
+    const { bug, comment } = found;
+
+    if (!hasPermission(req.user, 'comment:delete', comment)) {
+      return sendForbidden(res, 'comment:delete');
+    }
+
+    const hasReplies = bug.comments.some(
+      (other) => other.parentId && String(other.parentId) === String(comment._id)
+    );
+
+    if (hasReplies) {
+      comment.deleted = true;
+      comment.text = '[deleted]';
+      comment.edits = [];
+      comment.mentions = [];
+      comment.references = [];
+    } else {
+      bug.comments.pull(comment._id);
+    }
+
+    // The comment's attachments go with it
+    const attachments = bug.attachments.filter(
+      (attachment) => attachment.commentId && String(attachment.commentId) === String(comment._id)
+    );
+    attachments.forEach((attachment) => bug.attachments.pull(attachment._id));
+
+    await bug.save();
+    await removeAttachmentFiles(attachments);
+
+    // Edits recorded the old and new text; keep that out of the history
+    await BugEvent.updateMany(
+      { bug: bug._id, comment: comment._id, 'changes.field': 'text' },
+      { $set: { 'changes.$[text].from': '[deleted]', 'changes.$[text].to': '[deleted]' } },
+      { arrayFilters: [{ 'text.field': 'text' }] }
+    );
+    await recordCommentChange(req, bug, 'comment.deleted', {
+      _id: comment._id,
+      parentId: comment.parentId || null,
+    });
+
+    await bug.populate('comments.author', 'username email');
+
+    return res.json(bug);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Attachments: /api/bugs/:id/attachments
+router.use('/:id/attachments', attachmentRoutes);
+
 module.exports = router;
@@ -0,0 +1,396 @@
+/**
+ * Integration Routes
+ * Hooks called by outside services rather than by users.
+ *
+ * Endpoints:
+ * POST /api/integrations/vcs           - Link pushed commits to the bugs they mention
+ * POST /api/integrations/inbound-email - Turn a raw email into a bug or a comment
+ *
+ * Requests are signed with an HMAC-SHA256 of the raw body: VCS pushes
+ * like GitHub webhooks (X-Hub-Signature-256, keyed with
+ * VCS_WEBHOOK_SECRET), inbound email in X-Signature-256 (keyed with
+ * INBOUND_EMAIL_SECRET). Changes go through the same create and update
+ * paths as the bug routes (utils/bugUpdates), so the acting user's role
+ * decides what is allowed: the VCS_BOT_USER account for pushes, the
+ * sender for email.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { simpleParser } = require('mailparser');
+const Bug = require('../models/Bug');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { normalizeMarkdown } = require('../utils/validation');
+const { hasPermission } = require('../utils/permissions');
+const { workflow } = require('../utils/bugWorkflow');
+const { snapshotBug } = require('../utils/bugHistory');
+const { publishBugEvent } = require('../utils/bugEvents');
+const {
+  BugUpdateError,
+  createBug,
+  applyBugUpdate,
+  saveBugUpdate,
+} = require('../utils/bugUpdates');
+const { parseCommitRefs } = require('../utils/commitRefs');
+const {
+  findThreadedBugId,
+  findSubjectKeys,
+  cleanSubject,
+  extractReply,
+} = require('../utils/emailReplies');
+const { signPayload } = require('../utils/webhooks');
+
+const router = express.Router();
+
+/**
+ * Username the VCS hook acts as unless VCS_BOT_USER is set
+ */
+const DEFAULT_BOT_USER = 'vcs-bot';
+
+/**
+ * Status that fixing commits move bugs to
+ */
+const FIXED_STATUS = 'resolved';
+
+/**
+ * Largest raw email accepted
+ */
+const INBOUND_EMAIL_LIMIT = '10mb';
+
+/**
+ * Content types the inbound email hook reads as a raw message
+ */
+const RAW_EMAIL_TYPES = ['message/rfc822', 'text/plain'];
+
+/**
+ * Longest bug title (see the Bug model)
+ */
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Check a signature header against the raw body
+ *
+ * @param {string} [signature] - Header value, sha256=<hex>
+ * @param {Buffer} [body] - Raw request body
+ * @param {string} secret - Shared secret
+ * @returns {boolean} True if the signature matches
+ */
+function hasValidSignature(signature, body, secret) {
+  if (!signature || !body) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, body));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Normalise one commit from a push payload
+ *
+ * Accepts GitHub/GitLab-style commits ({ id, message, author: { name,
+ * email }, url, timestamp }); `sha` works in place of `id`.
+ *
+ * @param {Object} commit - Commit from the payload
+ * @returns {Object|null} { sha, message, author, url, committedAt }, or
+ *   null if the commit has no SHA or message
+ */
+function readCommit(commit) {
+  const sha = commit && (commit.id || commit.sha);
+  if (typeof sha !== 'string' || !sha.trim() || typeof commit.message !== 'string') {
+    return null;
+  }
+
+  const author = commit.author || {};
+  const committedAt = commit.timestamp ? new Date(commit.timestamp) : null;
+
+  return {
+    sha: sha.trim(),
+    message: commit.message,
+    author: typeof author.name === 'string' ? author.name : null,
+    url: typeof commit.url === 'string' ? commit.url : null,
+    committedAt: committedAt && !Number.isNaN(committedAt.getTime()) ? committedAt : null,
+  };
+}
+
+/**
+ * Build the comment posted on a bug for a linked commit
+ *
+ * @param {Object} commit - Normalised commit
+ * @param {string} action - 'fixes' or 'references'
+ * @returns {string} Comment text
+ */
+function commitComment(commit, action) {
+  const summary = commit.message.split('\n')[0].trim();
+  const lines = [
+    `${action === 'fixes' ? 'Fixed' : 'Referenced'} by commit ${commit.sha.slice(0, 7)}: ${summary}`,
+  ];
+  if (commit.author) {
+    lines.push(`Author: ${commit.author}`);
+  }
+  if (commit.url) {
+    lines.push(commit.url);
+  }
+  return normalizeMarkdown(lines.join('\n'));
+}
+
+/**
+ * Link a pushed commit to a bug
+ * POST /api/integrations/vcs
+ *
+ * Reads the bugs each commit message mentions (see utils/commitRefs),
+ * records the commit on each bug and comments with a link to it. Commits
+ * that fix a bug also move it to resolved when the workflow allows it.
+ * Commits already linked to a bug are skipped, so pushes can be resent.
+ *
+ * @param {string} repository - Repository name, or { full_name } / { name }
+ * @param {array} commits - Pushed commits ({ id, message, author, url, timestamp })
+ *
+ * @returns {object} { linked: [{ commit, bug, action, resolved, reason? }],
+ *   skipped: [{ commit, ref, reason }] }
+ * @throws {400} Missing commits array
+ * @throws {401} Missing or wrong signature
+ * @throws {503} Hook not configured, or bot user missing
+ */
+router.post('/vcs', async (req, res, next) => {
+  try {
+    const secret = process.env.VCS_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(503).json({ error: 'VCS integration is not configured' });
+    }
+    if (!hasValidSignature(req.get('X-Hub-Signature-256'), req.rawBody, secret)) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const { repository, commits } = req.body;
+    if (!Array.isArray(commits)) {
+      return res.status(400).json({ error: 'commits must be an array' });
+    }
+
+    const botUser = await User.findOne({ username: process.env.VCS_BOT_USER || DEFAULT_BOT_USER });
+    if (!botUser) {
+      return res.status(503).json({ error: 'VCS bot user not found' });
+    }
+    const user = { id: String(botUser._id), username: botUser.username, role: botUser.role };
+    const actor = { id: user.id, username: user.username };
+
+    const repositoryName = typeof repository === 'string'
+      ? repository
+      : (repository && (repository.full_name || repository.name)) || null;
+
+    const linked = [];
+    const skipped = [];
+
+    for (const rawCommit of commits) {
+      const commit = readCommit(rawCommit);
+      if (!commit) continue;
+
+      for (const { ref, action } of parseCommitRefs(commit.message)) {
+        const bug = await Bug.findOne(Bug.refFilter(ref));
+        if (!bug) {
+          skipped.push({ commit: commit.sha, ref, reason: 'Bug not found' });
+          continue;
+        }
+        if (bug.commits.some((linkedCommit) => linkedCommit.sha === commit.sha)) {
+          skipped.push({ commit: commit.sha, ref, reason: 'Already linked' });
+          continue;
+        }
+
+        const before = snapshotBug(bug);
+        const result = {
+          commit: commit.sha, bug: bug.key || String(bug._id), action, resolved: false,
+        };
+
+        bug.commits.push({ ...commit, repository: repositoryName, action });
+        bug.comments.push({ text: commitComment(commit, action), author: user.id });
+        const comment = bug.comments[bug.comments.length - 1];
+
+        if (action === 'fixes' && workflow.getTransition(bug.status, FIXED_STATUS)) {
+          try {
+            await applyBugUpdate(bug, {
+              status: FIXED_STATUS,
+              resolution: `Fixed by commit ${commit.sha.slice(0, 7)}`,
+            }, user);
+            result.resolved = true;
+          } catch (error) {
+            if (!(error instanceof BugUpdateError)) throw error;
+            result.reason = error.message;
+          }
+        }
+
+        await saveBugUpdate(bug, before, actor);
+        await publishBugEvent({
+          type: 'commented', bug, actor, comment,
+        });
+
+        linked.push(result);
+      }
+    }
+
+    return res.json({ linked, skipped });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Find the project a new bug emailed to the tracker belongs to
+ *
+ * The project key is the plus tag or local part of a recipient address
+ * (bugs+web@example.com or web@example.com); INBOUND_EMAIL_PROJECT is
+ * the fallback.
+ *
+ * @param {Array<Object>} recipients - Parsed addresses ({ address })
+ * @returns {Promise<Object|null>} Project, or null if none matches
+ */
+async function findInboundProject(recipients) {
+  const keys = recipients
+    .map(({ address }) => String(address || '').split('@')[0])
+    .map((local) => (local.includes('+') ? local.slice(local.indexOf('+') + 1) : local))
+    .filter(Boolean)
+    .map((key) => key.toUpperCase());
+
+  const fallback = process.env.INBOUND_EMAIL_PROJECT;
+  if (fallback) {
+    keys.push(fallback.toUpperCase());
+  }
+
+  for (const key of keys) {
+    const project = await Project.findOne({ key });
+    if (project) return project;
+  }
+  return null;
+}
+
+/**
+ * Find the bug an email replies to
+ *
+ * In-Reply-To/References pointing at one of our notifications win over
+ * a bracketed bug key in the subject. A subject key only counts when its
+ * prefix is an existing project's key.
+ *
+ * @param {Object} message - Parsed message
+ * @returns {Promise<Object|null>} Bug document, or null for a new report
+ */
+async function findRepliedBug(message) {
+  const bugId = findThreadedBugId(message.inReplyTo, message.references);
+  if (bugId) {
+    const bug = await Bug.findById(bugId);
+    if (bug) return bug;
+  }
+
+  for (const key of findSubjectKeys(message.subject)) {
+    const project = await Project.findOne({ key: key.slice(0, key.lastIndexOf('-')) });
+    const bug = project && await Bug.findOne({ project: project._id, key });
+    if (bug) return bug;
+  }
+  return null;
+}
+
+/**
+ * Turn an inbound email into a bug or a comment
+ * POST /api/integrations/inbound-email
+ *
+ * Takes the raw RFC 822 message as the body (Content-Type
+ * message/rfc822). The sender must match a user's email and acts as
+ * that user. Replies to a notification, or messages whose subject names
+ * an existing bug in brackets ([WEB-12]), become comments on it; anything else becomes a new
+ * bug titled by the subject. Quoted text and signatures are stripped
+ * from the body. Automatic replies (Auto-Submitted) are ignored.
+ *
+ * @returns {object} { action: 'created' | 'commented' | 'ignored', bug?,
+ *   comment?, reason? }
+ * @throws {400} Empty or unreadable message
+ * @throws {401} Missing or wrong signature
+ * @throws {403} Sender's role may not report bugs or comment
+ * @throws {422} Unknown sender, no project for the address, or too
+ *   little text for a bug or comment
+ * @throws {503} Hook not configured
+ */
+router.post('/inbound-email', express.raw({ type: RAW_EMAIL_TYPES, limit: INBOUND_EMAIL_LIMIT }), async (req, res, next) => {
+  try {
+    const secret = process.env.INBOUND_EMAIL_SECRET;
+    if (!secret) {
+      return res.status(503).json({ error: 'Inbound email is not configured' });
+    }
+    const raw = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!hasValidSignature(req.get('X-Signature-256'), raw, secret)) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    if (raw.length === 0) {
+      return res.status(400).json({ error: 'Send the raw message as message/rfc822' });
+    }
+
+    let message;
+    try {
+      message = await simpleParser(raw);
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not read the message' });
+    }
+
+    const autoSubmitted = message.headers.get('auto-submitted');
+    if (autoSubmitted && String(autoSubmitted).toLowerCase() !== 'no') {
+      return res.json({ action: 'ignored', reason: 'Automatic reply' });
+    }
+
+    const sender = message.from && message.from.value[0];
+    const user = sender && sender.address
+      ? await User.findOne({ email: sender.address.toLowerCase() })
+      : null;
+    if (!user) {
+      return res.status(422).json({ error: 'Sender is not a registered user' });
+    }
+    const actor = { id: String(user._id), username: user.username };
+    const permissionUser = { id: actor.id, role: user.role };
+
+    const text = extractReply(message.text);
+    const bug = await findRepliedBug(message);
+
+    if (bug) {
+      if (!hasPermission(permissionUser, 'bug:comment')) {
+        return res.status(403).json({ error: 'You do not have permission to comment' });
+      }
+      if (!text) {
+        return res.status(422).json({ error: 'The reply has no new text' });
+      }
+
+      bug.comments.push({ text: normalizeMarkdown(text), author: user._id });
+      const comment = bug.comments[bug.comments.length - 1];
+      await bug.save();
+      await publishBugEvent({
+        type: 'commented', bug, actor, comment,
+      });
+
+      return res.status(201).json({ action: 'commented', bug: bug.key, comment: comment._id });
+    }
+
+    if (!hasPermission(permissionUser, 'bug:create')) {
+      return res.status(403).json({ error: 'You do not have permission to report bugs' });
+    }
+
+    // mailparser gives an array when a header appears more than once
+    const project = await findInboundProject([message.to, message.cc]
+      .flatMap((header) => [].concat(header || []))
+      .flatMap((addresses) => addresses.value));
+    if (!project) {
+      return res.status(422).json({ error: 'No project found for the recipient address' });
+    }
+
+    const title = cleanSubject(message.subject).slice(0, MAX_TITLE_LENGTH);
+    if (title.length < 5) {
+      return res.status(422).json({ error: 'Subject must be at least 5 characters' });
+    }
+    if (text.length < 10) {
+      return res.status(422).json({ error: 'Message must be at least 10 characters' });
+    }
+
+    const created = await createBug(project, { title, description: text }, actor);
+
+    return res.status(201).json({ action: 'created', bug: created.key });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
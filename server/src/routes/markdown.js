@@ -0,0 +1,42 @@
+/**
+ * Markdown Routes
+ * Lets the client preview Markdown exactly as the server will store it.
+ *
+ * Endpoints:
+ * POST /api/markdown/preview - Render Markdown to sanitized HTML
+ */
+
+const express = require('express');
+const { normalizeMarkdown } = require('../utils/validation');
+const { MAX_MARKDOWN_LENGTH, renderMarkdown } = require('../utils/markdown');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Preview Markdown
+ * POST /api/markdown/preview
+ *
+ * Renders with the same rules as bug descriptions and comments
+ * (see utils/markdown). Nothing is stored.
+ *
+ * @param {string} text - Markdown source
+ *
+ * @returns {object} { html }
+ * @throws {400} Text missing, not a string or too long
+ * @throws {401} Unauthorized
+ */
+router.post('/preview', authMiddleware, (req, res) => {
+  const { text } = req.body || {};
+
+  if (typeof text !== 'string') {
+    return res.status(400).json({ error: 'Text is required' });
+  }
+  if (text.length > MAX_MARKDOWN_LENGTH) {
+    return res.status(400).json({ error: `Text must be at most ${MAX_MARKDOWN_LENGTH} characters` });
+  }
+
+  return res.json({ html: renderMarkdown(normalizeMarkdown(text)) });
+});
+
+module.exports = router;
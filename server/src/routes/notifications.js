@@ -0,0 +1,180 @@
+/**
+ * Notification Routes
+ * The caller's in-app notifications about bugs they watch.
+ *
+ * Endpoints:
+ * GET   /api/notifications              - A page of notifications, newest first
+ * GET   /api/notifications/unread-count - Number of unread notifications
+ * PATCH /api/notifications/:id          - Mark one notification read or unread
+ * POST  /api/notifications/read-all     - Mark every notification read
+ *
+ * Users only ever see and change their own notifications.
+ */
+
+const express = require('express');
+const Notification = require('../models/Notification');
+const { isValidObjectId } = require('../utils/validation');
+const authMiddleware = require('../middleware/auth');
+const sanitizeQuery = require('../middleware/sanitizeQuery');
+const {
+  parseLimit,
+  parseSort,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+} = require('../utils/pagination');
+
+const router = express.Router();
+
+/**
+ * Notifications are always listed newest first
+ */
+const SORT_KEYS = parseSort('-createdAt');
+
+/**
+ * List notifications
+ * GET /api/notifications
+ *
+ * @query {string} unread - 'true' to list only unread notifications
+ * @query {number} limit - Page size (default 20, max 100)
+ * @query {string} cursor - Cursor from a previous response
+ *
+ * @returns {object} { notifications, nextCursor, unreadCount }; each
+ *   notification has its bug ({ key, title }) and actor ({ username })
+ * @throws {400} Invalid parameter or cursor
+ * @throws {401} Unauthorized
+ */
+router.get('/', authMiddleware, sanitizeQuery({
+  params: {
+    unread: { values: ['true', 'false'] },
+    limit: { type: 'integer' },
+    cursor: {},
+  },
+}), async (req, res, next) => {
+  try {
+    const { unread, cursor } = req.sanitizedQuery;
+
+    const limit = parseLimit(req.sanitizedQuery.limit);
+    if (limit === null) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const query = { recipient: req.user.id };
+    if (unread === 'true') {
+      query.read = false;
+    }
+
+    const pageQuery = { ...query };
+    if (cursor) {
+      const values = decodeCursor(cursor, SORT_KEYS);
+      if (!values) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(pageQuery, cursorFilter(SORT_KEYS, values));
+    }
+
+    // Fetch one extra notification to learn whether another page exists
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(pageQuery)
+        .populate('bug', 'key title')
+        .populate('actor', 'username')
+        .sort(toSortObject(SORT_KEYS))
+        .limit(limit + 1),
+      Notification.countDocuments({ recipient: req.user.id, read: false }),
+    ]);
+
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+
+    return res.json({
+      notifications: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], SORT_KEYS) : null,
+      unreadCount,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Count unread notifications
+ * GET /api/notifications/unread-count
+ *
+ * Cheap enough for clients to poll.
+ *
+ * @returns {object} { count }
+ * @throws {401} Unauthorized
+ */
+router.get('/unread-count', authMiddleware, async (req, res, next) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user.id, read: false });
+
+    return res.json({ count });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Mark every notification read
+ * POST /api/notifications/read-all
+ *
+ * @returns {object} { updated } - Number of notifications marked read
+ * @throws {401} Unauthorized
+ */
+router.post('/read-all', authMiddleware, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    return res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Mark a notification read or unread
+ * PATCH /api/notifications/:id
+ *
+ * @param {string} id - Notification document ID
+ * @param {boolean} read - New read state
+ *
+ * @returns {object} Updated notification
+ * @throws {400} Invalid ID or read flag
+ * @throws {401} Unauthorized
+ * @throws {404} Notification not found (or not the caller's)
+ */
+router.patch('/:id', authMiddleware, async (req, res, next) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+
+    const { read } = req.body || {};
+    if (typeof read !== 'boolean') {
+      return res.status(400).json({ error: 'read must be true or false' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user.id },
+      { read, readAt: read ? new Date() : null },
+      { new: true }
+    )
+      .populate('bug', 'key title')
+      .populate('actor', 'username');
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    return res.json(notification);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
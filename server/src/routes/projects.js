@@ -0,0 +1,309 @@
+/**
+ * Project Routes
+ * Projects own bugs; each team works in its own project's backlog.
+ *
+ * Endpoints:
+ * GET    /api/projects          - List projects
+ * POST   /api/projects          - Create a project (admin)
+ * GET    /api/projects/:key     - Retrieve a project
+ * PATCH  /api/projects/:key     - Update name, description, members or default assignee
+ * DELETE /api/projects/:key     - Delete a project without bugs (admin)
+ * *      /api/projects/:key/bugs - The bug routes, limited to the project
+ *
+ * Projects are addressed by their key (e.g. WEB), case-insensitively.
+ */
+
+const express = require('express');
+const Project = require('../models/Project');
+const Bug = require('../models/Bug');
+const User = require('../models/User');
+const { isValidObjectId, sanitizeInput } = require('../utils/validation');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const bugRoutes = require('./bugs');
+
+const router = express.Router();
+
+/**
+ * User fields shown for members and the default assignee
+ */
+const USER_FIELDS = 'username email';
+
+/**
+ * Load the project named in req.params.key into req.project
+ *
+ * Sends 404 when there is no such project.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function loadProject(req, res, next) {
+  try {
+    const project = await Project.findOne({ key: String(req.params.key).toUpperCase() });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    req.project = project;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Validate the editable fields of a project
+ *
+ * Only fields present in the body are checked, so the same function
+ * serves create and partial updates.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [project] - Project being updated
+ * @returns {Promise<{values: Object, errors: Object}>} Accepted values and
+ *   field error messages (empty when valid)
+ */
+async function validateProject(body, project) {
+  const values = {};
+  const errors = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.name = 'Name is required';
+    } else {
+      values.name = sanitizeInput(body.name);
+    }
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string') {
+      errors.description = 'Description must be a string';
+    } else {
+      values.description = sanitizeInput(body.description);
+    }
+  }
+
+  if (body.members !== undefined) {
+    if (!Array.isArray(body.members) || !body.members.every(isValidObjectId)) {
+      errors.members = 'Members must be a list of user IDs';
+    } else {
+      const ids = [...new Set(body.members.map(String))];
+      if (await User.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+        errors.members = 'Every member must be an existing user';
+      } else {
+        values.members = ids;
+      }
+    }
+  }
+
+  if (body.defaultAssignee !== undefined) {
+    if (body.defaultAssignee === null || body.defaultAssignee === '') {
+      values.defaultAssignee = null;
+    } else if (!isValidObjectId(body.defaultAssignee)
+      || !(await User.exists({ _id: body.defaultAssignee }))) {
+      errors.defaultAssignee = 'Default assignee must be an existing user';
+    } else {
+      values.defaultAssignee = body.defaultAssignee;
+    }
+  }
+
+  // The default assignee has to be on the team
+  const members = values.members || (project ? project.members.map(String) : []);
+  const assignee = values.defaultAssignee !== undefined
+    ? values.defaultAssignee
+    : project && project.defaultAssignee;
+  if (assignee && !errors.members && !errors.defaultAssignee
+    && !members.includes(String(assignee))) {
+    errors.defaultAssignee = 'Default assignee must be a project member';
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Send the 409 for a duplicate project name or key
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} error - MongoDB duplicate key error
+ */
+function sendDuplicate(res, error) {
+  const field = Object.keys(error.keyPattern || {})[0] || 'key';
+  return res.status(409).json({
+    error: `A project with this ${field} already exists`,
+    errors: { [field]: `${field === 'key' ? 'Key' : 'Name'} is already used by another project` },
+  });
+}
+
+/**
+ * List projects
+ * GET /api/projects
+ *
+ * @returns {array} Projects ordered by name, with members and default
+ *   assignee populated
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const projects = await Project.find()
+      .populate('members', USER_FIELDS)
+      .populate('defaultAssignee', USER_FIELDS)
+      .sort({ name: 1 });
+
+    return res.json(projects);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Create a project
+ * POST /api/projects
+ *
+ * @param {string} name - Display name (unique)
+ * @param {string} key - Bug key prefix, 2-10 letters or digits (unique, fixed)
+ * @param {string} description - Optional summary
+ * @param {array} members - User IDs on the team
+ * @param {string} defaultAssignee - Member new bugs are assigned to
+ *
+ * @returns {object} Created project
+ * @throws {400} Validation failed ({ error, errors })
+ * @throws {401} Unauthorized
+ * @throws {403} Caller is not an admin
+ * @throws {409} Duplicate name or key
+ */
+router.post('/', authMiddleware, requirePermission('project:create'), async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const { values, errors } = await validateProject({ name: '', ...body });
+
+    if (typeof body.key !== 'string' || !body.key.trim()) {
+      errors.key = 'Key is required';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    const project = await Project.create({ ...values, key: body.key });
+
+    await project.populate('members', USER_FIELDS);
+    await project.populate('defaultAssignee', USER_FIELDS);
+
+    return res.status(201).json(project);
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicate(res, error);
+    }
+    // Key format is checked by the model
+    if (error.name === 'ValidationError') {
+      const errors = Object.fromEntries(
+        Object.entries(error.errors).map(([field, fieldError]) => [field, fieldError.message])
+      );
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+    return next(error);
+  }
+});
+
+/**
+ * Retrieve a project
+ * GET /api/projects/:key
+ *
+ * @param {string} key - Project key
+ *
+ * @returns {object} Project with members and default assignee populated
+ * @throws {404} Project not found
+ */
+router.get('/:key', loadProject, async (req, res, next) => {
+  try {
+    await req.project.populate('members', USER_FIELDS);
+    await req.project.populate('defaultAssignee', USER_FIELDS);
+
+    return res.json(req.project);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Update a project
+ * PATCH /api/projects/:key
+ *
+ * The key cannot change, since it is part of every bug key.
+ *
+ * @param {string} key - Project key
+ * @param {string} name - New display name
+ * @param {string} description - New summary
+ * @param {array} members - User IDs on the team (replaces the list)
+ * @param {string|null} defaultAssignee - Member new bugs are assigned to
+ *
+ * @returns {object} Updated project
+ * @throws {400} Validation failed or an attempt to change the key
+ * @throws {401} Unauthorized
+ * @throws {403} Caller is not a maintainer or admin
+ * @throws {404} Project not found
+ * @throws {409} Duplicate name
+ */
+router.patch('/:key', authMiddleware, requirePermission('project:update'), loadProject, async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const { values, errors } = await validateProject(body, req.project);
+
+    if (body.key !== undefined && String(body.key).toUpperCase() !== req.project.key) {
+      errors.key = 'Key cannot be changed';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    req.project.set(values);
+    await req.project.save();
+
+    await req.project.populate('members', USER_FIELDS);
+    await req.project.populate('defaultAssignee', USER_FIELDS);
+
+    return res.json(req.project);
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicate(res, error);
+    }
+    return next(error);
+  }
+});
+
+/**
+ * Delete a project
+ * DELETE /api/projects/:key
+ *
+ * Only empty projects can be deleted; move or delete their bugs first.
+ *
+ * @param {string} key - Project key
+ *
+ * @returns {object} Success message
+ * @throws {401} Unauthorized
+ * @throws {403} Caller is not an admin
+ * @throws {404} Project not found
+ * @throws {409} Project still has bugs
+ */
+router.delete('/:key', authMiddleware, requirePermission('project:delete'), loadProject, async (req, res, next) => {
+  try {
+    if (await Bug.exists({ project: req.project._id })) {
+      return res.status(409).json({ error: 'Project still has bugs' });
+    }
+
+    await req.project.deleteOne();
+
+    return res.json({ success: true, message: 'Project deleted' });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Project-scoped bug routes
+ * /api/projects/:key/bugs
+ */
+router.use('/:key/bugs', loadProject, bugRoutes);
+
+module.exports = router;
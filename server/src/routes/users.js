@@ -0,0 +1,282 @@
+/**
+ * User Routes
+ * Handles user administration.
+ *
+ * Endpoints:
+ * GET    /api/users          - Search users by username (for assignee pickers)
+ * GET    /api/users/me/email-preferences - The caller's email preferences
+ * PATCH  /api/users/me/email-preferences - Change the caller's email preferences
+ * GET    /api/users/unsubscribe?token=    - Confirmation page for an email's unsubscribe link
+ * POST   /api/users/unsubscribe?token=    - Turn email off (the page's button, or RFC 8058 one-click)
+ * PATCH  /api/users/:id/role - Change a user's role (admin only)
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const { isValidObjectId } = require('../utils/validation');
+const { ROLES } = require('../utils/permissions');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const sanitizeQuery = require('../middleware/sanitizeQuery');
+const { escapeRegExp } = require('../utils/search');
+const { verifyUnsubscribeToken } = require('../utils/auth');
+const { escapeHtml } = require('../utils/emailTemplates');
+const { EMAIL_TYPES, EMAIL_DELIVERY } = require('../config/emailPreferences');
+
+const router = express.Router();
+
+/**
+ * Maximum number of users a search returns
+ */
+const SEARCH_LIMIT = 10;
+
+/**
+ * Longest username prefix searched for
+ */
+const MAX_QUERY_LENGTH = 50;
+
+/**
+ * Search users
+ * GET /api/users?q=
+ *
+ * Matches usernames starting with q (case-insensitive), in name order,
+ * so pickers can offer completions as the user types. Without q the
+ * first users by name are returned. Only ids, usernames and roles are
+ * exposed.
+ *
+ * @query {string} q - Username prefix
+ *
+ * @returns {array} Up to 10 users as { _id, username, role }
+ * @throws {400} q is not a string
+ * @throws {401} Unauthorized
+ */
+router.get('/', authMiddleware, sanitizeQuery({ params: { q: {} } }), async (req, res, next) => {
+  try {
+    const q = (req.sanitizedQuery.q || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const filter = q ? { username: { $regex: `^${escapeRegExp(q)}`, $options: 'i' } } : {};
+
+    const users = await User.find(filter)
+      .select('username role')
+      .sort({ username: 1 })
+      .limit(SEARCH_LIMIT)
+      .lean();
+
+    return res.json(users);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Retrieve the caller's email preferences
+ * GET /api/users/me/email-preferences
+ *
+ * @returns {object} { delivery, assigned, status, commented, mentioned }
+ * @throws {401} Unauthorized
+ * @throws {404} User no longer exists
+ */
+router.get('/me/email-preferences', authMiddleware, async (req, res, next) => {
+  try {
+    const user = isValidObjectId(req.user.id)
+      ? await User.findById(req.user.id).select('emailPreferences')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.json(user.emailPreferences);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Change the caller's email preferences
+ * PATCH /api/users/me/email-preferences
+ *
+ * Only the fields sent are changed.
+ *
+ * @param {string} delivery - immediate, digest or off
+ * @param {boolean} assigned - Email when a bug is assigned to me
+ * @param {boolean} status - Email when a watched bug changes status
+ * @param {boolean} commented - Email when a watched bug gets a comment
+ * @param {boolean} mentioned - Email when someone @mentions me
+ *
+ * @returns {object} Updated preferences
+ * @throws {400} Unknown delivery mode or non-boolean switch
+ * @throws {401} Unauthorized
+ * @throws {404} User no longer exists
+ */
+router.patch('/me/email-preferences', authMiddleware, async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const update = {};
+    const errors = {};
+
+    if (body.delivery !== undefined) {
+      if (EMAIL_DELIVERY.includes(body.delivery)) {
+        update['emailPreferences.delivery'] = body.delivery;
+      } else {
+        errors.delivery = `Delivery must be one of: ${EMAIL_DELIVERY.join(', ')}`;
+      }
+    }
+    EMAIL_TYPES.forEach((type) => {
+      if (body[type] === undefined) return;
+      if (typeof body[type] === 'boolean') {
+        update[`emailPreferences.${type}`] = body[type];
+      } else {
+        errors[type] = `${type} must be true or false`;
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid email preferences', errors });
+    }
+
+    const user = isValidObjectId(req.user.id)
+      ? await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true, runValidators: true })
+        .select('emailPreferences')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.json(user.emailPreferences);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+const unsubscribeQuery = sanitizeQuery({ params: { token: {} } });
+
+/**
+ * Check the unsubscribe token in the query
+ *
+ * Sends the 400 response itself and returns null when the token is
+ * missing, invalid or expired.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string|null} User ID
+ */
+function unsubscribeUser(req, res) {
+  const userId = verifyUnsubscribeToken(req.sanitizedQuery.token);
+  if (!userId || !isValidObjectId(userId)) {
+    res.status(400).json({ error: 'Invalid or expired unsubscribe link' });
+    return null;
+  }
+  return userId;
+}
+
+/**
+ * Ask to confirm unsubscribing
+ * GET /api/users/unsubscribe?token=
+ *
+ * The link in every notification email points here. Mail scanners and
+ * link previews fetch such links, so this only shows a page whose button
+ * sends the POST below; nothing is changed.
+ *
+ * @query {string} token - Unsubscribe token
+ *
+ * @returns {string} Confirmation page
+ * @throws {400} Missing, invalid or expired token
+ */
+router.get('/unsubscribe', unsubscribeQuery, (req, res) => {
+  if (!unsubscribeUser(req, res)) return undefined;
+
+  const action = `?token=${encodeURIComponent(req.sanitizedQuery.token)}`;
+  return res.type('html').send(
+    '<p>Stop receiving Bug Tracker emails?</p>'
+    + `<form method="post" action="${escapeHtml(action)}">`
+    + '<input type="hidden" name="List-Unsubscribe" value="One-Click">'
+    + '<button type="submit">Unsubscribe</button>'
+    + '</form>'
+  );
+});
+
+/**
+ * Turn off all email for the user an unsubscribe token belongs to
+ * POST /api/users/unsubscribe?token=
+ *
+ * Sent by the confirmation page's button and by mail clients offering
+ * one-click unsubscribe (RFC 8058, List-Unsubscribe-Post). No login is
+ * needed; the signed token is the authorization.
+ *
+ * @query {string} token - Unsubscribe token
+ *
+ * @returns {string|object} Confirmation page for browsers, otherwise
+ *   { unsubscribed: true }
+ * @throws {400} Missing, invalid or expired token
+ * @throws {404} User no longer exists
+ */
+router.post('/unsubscribe', unsubscribeQuery, async (req, res, next) => {
+  try {
+    const userId = unsubscribeUser(req, res);
+    if (!userId) return undefined;
+
+    const user = await User.findByIdAndUpdate(userId, { 'emailPreferences.delivery': 'off' });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(
+        '<p>You will no longer receive Bug Tracker emails. '
+        + 'You can turn them back on in your email preferences.</p>'
+      );
+    }
+    return res.json({ unsubscribed: true });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Change a user's role
+ * PATCH /api/users/:id/role
+ *
+ * The new role takes effect when the user's current access token is
+ * next refreshed.
+ *
+ * @param {string} id - User document ID
+ * @param {string} role - New role (admin/maintainer/reporter/viewer)
+ *
+ * @returns {object} Updated user
+ * @throws {400} Invalid user ID or role
+ * @throws {401} Unauthorized
+ * @throws {403} Caller is not an admin
+ * @throws {404} User not found
+ */
+router.patch('/:id/role', authMiddleware, requirePermission('user:manage'), async (req, res, next) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const { role } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`,
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.json(user);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
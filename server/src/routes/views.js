@@ -0,0 +1,301 @@
+/**
+ * Saved View Routes
+ * Named bug list filters that users can reopen with one click.
+ *
+ * Endpoints:
+ * GET    /api/views     - List the caller's views and views shared with the team
+ * POST   /api/views     - Save a view
+ * GET    /api/views/:id - Retrieve a view
+ * PATCH  /api/views/:id - Update a view (owner or admin)
+ * DELETE /api/views/:id - Delete a view (owner or admin)
+ *
+ * Private views are only visible to their owner; shared views are
+ * visible to everyone but can only be changed by the owner or an admin.
+ */
+
+const express = require('express');
+const SavedView = require('../models/SavedView');
+const { isValidObjectId } = require('../utils/validation');
+const { hasPermission } = require('../utils/permissions');
+const { parseBugQuery, BugQueryError } = require('../utils/bugQuery');
+const { SORT_FIELDS, COLUMNS } = require('../config/bugListFields');
+const authMiddleware = require('../middleware/auth');
+const { sendForbidden } = require('../middleware/permissions');
+
+const router = express.Router();
+
+/**
+ * Fields a client may set on a view
+ */
+const EDITABLE_FIELDS = ['name', 'shared', 'query', 'search', 'sort', 'columns'];
+
+/**
+ * Validate the editable fields of a view
+ *
+ * Only fields present in the body are checked, so the same function
+ * serves create (after defaults) and partial updates.
+ *
+ * @param {Object} body - Request body
+ * @returns {{values: Object, errors: Object}} Accepted values and
+ *   field error messages (empty when valid)
+ */
+function validateView(body) {
+  const values = {};
+  const errors = {};
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+
+  if (values.name !== undefined
+    && (typeof values.name !== 'string' || !values.name.trim() || values.name.trim().length > 60)) {
+    errors.name = 'Name must be 1-60 characters';
+  }
+
+  if (values.shared !== undefined && typeof values.shared !== 'boolean') {
+    errors.shared = 'Shared must be true or false';
+  }
+
+  if (values.query !== undefined) {
+    if (typeof values.query !== 'string') {
+      errors.query = 'Query must be a string';
+    } else {
+      try {
+        parseBugQuery(values.query);
+      } catch (error) {
+        if (!(error instanceof BugQueryError)) throw error;
+        errors.query = `${error.message} (at "${error.token}")`;
+      }
+    }
+  }
+
+  if (values.search !== undefined && typeof values.search !== 'string') {
+    errors.search = 'Search must be a string';
+  }
+
+  if (values.sort !== undefined) {
+    const keys = typeof values.sort === 'string'
+      ? values.sort.split(/[\s,]+/).filter(Boolean).map((key) => key.replace(/^[-+]/, ''))
+      : null;
+    if (!keys || keys.length === 0 || keys.some((key) => !SORT_FIELDS[key])) {
+      errors.sort = `Sort fields must be from: ${Object.keys(SORT_FIELDS).join(', ')}`;
+    }
+  }
+
+  if (values.columns !== undefined
+    && (!Array.isArray(values.columns) || values.columns.some((column) => !COLUMNS.includes(column)))) {
+    errors.columns = `Columns must be from: ${COLUMNS.join(', ')}`;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Load a view the caller can see
+ *
+ * Private views of other users are reported as not found rather than
+ * forbidden so their existence is not revealed.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} The view, or null after sending 400/404
+ */
+async function findVisibleView(req, res) {
+  if (!isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid view ID' });
+    return null;
+  }
+
+  const view = await SavedView.findById(req.params.id);
+  if (!view || (!view.shared && String(view.owner) !== String(req.user.id))) {
+    res.status(404).json({ error: 'View not found' });
+    return null;
+  }
+
+  return view;
+}
+
+/**
+ * Check whether an owner already has another view with a name
+ *
+ * @param {string} owner - Owner user ID
+ * @param {string} name - View name
+ * @param {string} [excludeId] - View being renamed
+ * @returns {Promise<boolean>} True if the name is taken
+ */
+async function isNameTaken(owner, name, excludeId) {
+  const query = { owner, name: name.trim() };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Boolean(await SavedView.exists(query));
+}
+
+/**
+ * Send the 409 for a duplicate view name
+ */
+function sendDuplicateName(res) {
+  return res.status(409).json({
+    error: 'You already have a view with this name',
+    errors: { name: 'Name is already used by another of your views' },
+  });
+}
+
+/**
+ * List views
+ * GET /api/views
+ *
+ * Returns the caller's own views and views shared by others, ordered by
+ * name, with the owner's username.
+ *
+ * @returns {array} Saved views
+ * @throws {401} Unauthorized
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const views = await SavedView.find({
+      $or: [{ owner: req.user.id }, { shared: true }],
+    })
+      .populate('owner', 'username')
+      .sort({ name: 1 });
+
+    return res.json(views);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Save a view
+ * POST /api/views
+ *
+ * @param {string} name - Tab label (unique among the caller's views)
+ * @param {boolean} shared - Share with the team (default false)
+ * @param {string} query - Filter expression
+ * @param {string} search - Full-text search string
+ * @param {string} sort - Sort string, e.g. '-priority,createdAt'
+ * @param {array} columns - Fields to show in the list
+ *
+ * @returns {object} Created view
+ * @throws {400} Validation failed ({ error, errors })
+ * @throws {401} Unauthorized
+ * @throws {409} Duplicate view name
+ */
+router.post('/', authMiddleware, async (req, res, next) => {
+  try {
+    const { values, errors } = validateView({ name: '', ...req.body });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    if (await isNameTaken(req.user.id, values.name)) {
+      return sendDuplicateName(res);
+    }
+
+    const view = await SavedView.create({ ...values, owner: req.user.id });
+
+    await view.populate('owner', 'username');
+
+    return res.status(201).json(view);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Retrieve a view
+ * GET /api/views/:id
+ *
+ * @param {string} id - View document ID
+ *
+ * @returns {object} Saved view
+ * @throws {400} Invalid view ID
+ * @throws {401} Unauthorized
+ * @throws {404} View not found or private to another user
+ */
+router.get('/:id', authMiddleware, async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req, res);
+    if (!view) return undefined;
+
+    await view.populate('owner', 'username');
+
+    return res.json(view);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Update a view
+ * PATCH /api/views/:id
+ *
+ * Accepts any of the fields POST takes.
+ *
+ * @param {string} id - View document ID
+ *
+ * @returns {object} Updated view
+ * @throws {400} Invalid view ID or validation failed
+ * @throws {401} Unauthorized
+ * @throws {403} Not the owner or an admin
+ * @throws {404} View not found or private to another user
+ * @throws {409} Duplicate view name
+ */
+router.patch('/:id', authMiddleware, async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req, res);
+    if (!view) return undefined;
+
+    if (!hasPermission(req.user, 'view:update', view)) {
+      return sendForbidden(res, 'view:update');
+    }
+
+    const { values, errors } = validateView(req.body || {});
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    if (values.name !== undefined && await isNameTaken(view.owner, values.name, view._id)) {
+      return sendDuplicateName(res);
+    }
+
+    view.set(values);
+    await view.save();
+
+    await view.populate('owner', 'username');
+
+    return res.json(view);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Delete a view
+ * DELETE /api/views/:id
+ *
+ * @param {string} id - View document ID
+ *
+ * @returns {object} Success message
+ * @throws {400} Invalid view ID
+ * @throws {401} Unauthorized
+ * @throws {403} Not the owner or an admin
+ * @throws {404} View not found or private to another user
+ */
+router.delete('/:id', authMiddleware, async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req, res);
+    if (!view) return undefined;
+
+    if (!hasPermission(req.user, 'view:delete', view)) {
+      return sendForbidden(res, 'view:delete');
+    }
+
+    await view.deleteOne();
+
+    return res.json({ success: true, message: 'View deleted' });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,370 @@
+/**
+ * Webhook Routes
+ * Outside services (chat, CI) that receive bug events. Admin only.
+ *
+ * Endpoints:
+ * GET    /api/webhooks                 - List webhooks
+ * POST   /api/webhooks                 - Register a webhook
+ * GET    /api/webhooks/:id             - Retrieve a webhook
+ * PATCH  /api/webhooks/:id             - Update URL, secret, events, project or active
+ * DELETE /api/webhooks/:id             - Delete a webhook and its delivery log
+ * GET    /api/webhooks/:id/deliveries  - A page of the delivery log, newest first
+ * POST   /api/webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery again
+ *
+ * Payloads are signed with the webhook's secret (see utils/webhooks). The
+ * secret is only returned when the webhook is created or given a new one.
+ */
+
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Project = require('../models/Project');
+const { isValidObjectId } = require('../utils/validation');
+const { BUG_EVENT_TYPES } = require('../utils/bugEvents');
+const { generateSecret, sendDelivery } = require('../utils/webhooks');
+const authMiddleware = require('../middleware/auth');
+const sanitizeQuery = require('../middleware/sanitizeQuery');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  parseLimit,
+  parseSort,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+} = require('../utils/pagination');
+
+const router = express.Router();
+
+/**
+ * The delivery log is always listed newest first
+ */
+const DELIVERY_SORT_KEYS = parseSort('-createdAt');
+
+router.use(authMiddleware, requirePermission('webhook:manage'));
+
+/**
+ * Load the webhook named in req.params.id into req.webhook
+ *
+ * Sends 400 for malformed ids and 404 when there is no such webhook.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function loadWebhook(req, res, next) {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    req.webhook = webhook;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Validate the editable fields of a webhook
+ *
+ * Only fields present in the body are checked, so the same function
+ * serves create and partial updates.
+ *
+ * @param {Object} body - Request body
+ * @returns {Promise<{values: Object, errors: Object}>} Accepted values and
+ *   field error messages (empty when valid)
+ */
+async function validateWebhook(body) {
+  const values = {};
+  const errors = {};
+
+  if (body.url !== undefined) {
+    let url = null;
+    try {
+      url = typeof body.url === 'string' ? new URL(body.url) : null;
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.url = 'URL must be an http or https address';
+    } else {
+      values.url = url.toString();
+    }
+  }
+
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16) {
+      errors.secret = 'Secret must be at least 16 characters';
+    } else {
+      values.secret = body.secret;
+    }
+  }
+
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0
+      || !body.events.every((event) => BUG_EVENT_TYPES.includes(event))) {
+      errors.events = `Events must be a list of: ${BUG_EVENT_TYPES.join(', ')}`;
+    } else {
+      values.events = [...new Set(body.events)];
+    }
+  }
+
+  if (body.project !== undefined) {
+    if (body.project === null || body.project === '') {
+      values.project = null;
+    } else {
+      const ref = String(body.project);
+      const project = isValidObjectId(ref)
+        ? await Project.findById(ref)
+        : await Project.findOne({ key: ref.toUpperCase() });
+      if (!project) {
+        errors.project = 'Project not found';
+      } else {
+        values.project = project._id;
+      }
+    }
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.active = 'Active must be true or false';
+    } else {
+      values.active = body.active;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * List webhooks
+ * GET /api/webhooks
+ *
+ * @returns {array} Webhooks, newest first (without secrets)
+ * @throws {401} Unauthorized
+ * @throws {403} Caller is not an admin
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+
+    return res.json(webhooks);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Register a webhook
+ * POST /api/webhooks
+ *
+ * @param {string} url - http(s) endpoint to POST events to
+ * @param {string} secret - Signing secret, at least 16 characters
+ *   (generated when omitted)
+ * @param {array} events - Event types (default: all)
+ * @param {string} project - Project id or key to limit events to (optional)
+ * @param {boolean} active - Whether to send events (default true)
+ *
+ * @returns {object} Created webhook, including its secret
+ * @throws {400} Validation failed ({ error, errors })
+ * @throws {401} Unauthorized
+ * @throws {403} Caller is not an admin
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const { values, errors } = await validateWebhook({ url: '', events: BUG_EVENT_TYPES, ...body });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    const webhook = await Webhook.create({
+      secret: generateSecret(),
+      ...values,
+      createdBy: req.user.id,
+    });
+
+    return res.status(201).json(webhook);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Retrieve a webhook
+ * GET /api/webhooks/:id
+ *
+ * @param {string} id - Webhook document ID
+ *
+ * @returns {object} Webhook (without its secret)
+ * @throws {400} Invalid ID
+ * @throws {404} Webhook not found
+ */
+router.get('/:id', loadWebhook, (req, res) => {
+  return res.json(req.webhook);
+});
+
+/**
+ * Update a webhook
+ * PATCH /api/webhooks/:id
+ *
+ * @param {string} id - Webhook document ID
+ * @param {string} url - New endpoint
+ * @param {string} secret - New signing secret
+ * @param {array} events - Event types (replaces the list)
+ * @param {string|null} project - Project id or key, or null for all
+ * @param {boolean} active - Pause or resume deliveries
+ *
+ * @returns {object} Updated webhook; includes the secret if it changed
+ * @throws {400} Validation failed
+ * @throws {404} Webhook not found
+ */
+router.patch('/:id', loadWebhook, async (req, res, next) => {
+  try {
+    const { values, errors } = await validateWebhook(req.body || {});
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    req.webhook.set(values);
+    await req.webhook.save();
+
+    return res.json(req.webhook);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Delete a webhook
+ * DELETE /api/webhooks/:id
+ *
+ * @param {string} id - Webhook document ID
+ *
+ * @returns {object} Success message
+ * @throws {404} Webhook not found
+ */
+router.delete('/:id', loadWebhook, async (req, res, next) => {
+  try {
+    await WebhookDelivery.deleteMany({ webhook: req.webhook._id });
+    await req.webhook.deleteOne();
+
+    return res.json({ success: true, message: 'Webhook deleted' });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * List a webhook's deliveries
+ * GET /api/webhooks/:id/deliveries
+ *
+ * @param {string} id - Webhook document ID
+ * @query {string} status - pending, succeeded or failed
+ * @query {number} limit - Page size (default 20, max 100)
+ * @query {string} cursor - Cursor from a previous response
+ *
+ * @returns {object} { deliveries, nextCursor }; each delivery lists its
+ *   attempts with response codes
+ * @throws {400} Invalid parameter or cursor
+ * @throws {404} Webhook not found
+ */
+router.get('/:id/deliveries', loadWebhook, sanitizeQuery({
+  params: {
+    status: { values: ['pending', 'succeeded', 'failed'] },
+    limit: { type: 'integer' },
+    cursor: {},
+  },
+}), async (req, res, next) => {
+  try {
+    const { status, cursor } = req.sanitizedQuery;
+
+    const limit = parseLimit(req.sanitizedQuery.limit);
+    if (limit === null) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const query = { webhook: req.webhook._id };
+    if (status) {
+      query.status = status;
+    }
+    if (cursor) {
+      const values = decodeCursor(cursor, DELIVERY_SORT_KEYS);
+      if (!values) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(query, cursorFilter(DELIVERY_SORT_KEYS, values));
+    }
+
+    // Fetch one extra delivery to learn whether another page exists
+    const deliveries = await WebhookDelivery.find(query)
+      .sort(toSortObject(DELIVERY_SORT_KEYS))
+      .limit(limit + 1);
+
+    const hasMore = deliveries.length > limit;
+    const page = deliveries.slice(0, limit);
+
+    return res.json({
+      deliveries: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], DELIVERY_SORT_KEYS) : null,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Send a delivery again
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ *
+ * Creates a new delivery with the same payload and makes its first
+ * attempt before responding; failures are retried like any other.
+ *
+ * @param {string} id - Webhook document ID
+ * @param {string} deliveryId - Delivery to resend
+ *
+ * @returns {object} The new delivery with its first attempt
+ * @throws {400} Invalid delivery ID
+ * @throws {404} Webhook or delivery not found
+ * @throws {409} Webhook is paused
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', loadWebhook, async (req, res, next) => {
+  try {
+    if (!isValidObjectId(req.params.deliveryId)) {
+      return res.status(400).json({ error: 'Invalid delivery ID' });
+    }
+
+    const original = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: req.webhook._id,
+    });
+    if (!original) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (!req.webhook.active) {
+      return res.status(409).json({ error: 'Webhook is paused' });
+    }
+
+    const delivery = await sendDelivery({
+      webhook: req.webhook._id,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id,
+    });
+
+    return res.status(201).json(delivery);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
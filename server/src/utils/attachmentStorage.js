@@ -0,0 +1,147 @@
+/**
+ * Attachment Storage
+ *
+ * Keeps the bytes of bug attachments. A storage is any object with
+ *
+ *   save(key, buffer)   -> Promise<void>
+ *   read(key)           -> Readable stream (errors with code ENOENT if missing)
+ *   remove(key)         -> Promise<void> (missing keys are ignored)
+ *
+ * Keys are generated by the attachment routes ("<bugId>/<attachmentId>")
+ * and never come from users. Two storages are provided:
+ *
+ * - disk:   files under a directory, the default
+ * - memory: a Map, for tests
+ *
+ * The default storage follows ATTACHMENT_STORAGE (memory under test,
+ * disk otherwise) and is created on first use.
+ */
+
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+
+/**
+ * Directory the disk storage uses when ATTACHMENT_DIR is not set
+ */
+const DEFAULT_ATTACHMENT_DIR = 'uploads';
+
+/**
+ * Keys are path segments of letters, digits, dots, dashes and underscores
+ */
+const KEY_PATTERN = /^[\w-]+(\.[\w-]+)*(\/[\w-]+(\.[\w-]+)*)*$/;
+
+/**
+ * Reject keys that could escape the storage root
+ *
+ * @param {string} key - Storage key
+ * @throws {Error} For malformed keys
+ */
+function assertKey(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+/**
+ * Create a storage that keeps files on disk
+ *
+ * @param {string} [root] - Directory (ATTACHMENT_DIR, or ./uploads)
+ * @returns {Object} Storage
+ */
+function createDiskStorage(root = process.env.ATTACHMENT_DIR || DEFAULT_ATTACHMENT_DIR) {
+  const resolve = (key) => {
+    assertKey(key);
+    return path.join(root, key);
+  };
+
+  return {
+    root,
+
+    async save(key, buffer) {
+      const file = resolve(key);
+      await fsPromises.mkdir(path.dirname(file), { recursive: true });
+      await fsPromises.writeFile(file, buffer);
+    },
+
+    read(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async remove(key) {
+      await fsPromises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+/**
+ * Create a storage that keeps files in memory
+ *
+ * @returns {Object} Storage, with the Map of files as `files`
+ */
+function createMemoryStorage() {
+  const files = new Map();
+
+  return {
+    files,
+
+    async save(key, buffer) {
+      assertKey(key);
+      files.set(key, Buffer.from(buffer));
+    },
+
+    read(key) {
+      assertKey(key);
+      if (!files.has(key)) {
+        const stream = new Readable({ read() {} });
+        process.nextTick(() => stream.destroy(Object.assign(new Error(`No such file: ${key}`), { code: 'ENOENT' })));
+        return stream;
+      }
+      return Readable.from([files.get(key)]);
+    },
+
+    async remove(key) {
+      assertKey(key);
+      files.delete(key);
+    },
+  };
+}
+
+/**
+ * Create the storage named by ATTACHMENT_STORAGE
+ *
+ * @returns {Object} Storage
+ * @throws {Error} For unknown storage names
+ */
+function storageFromEnv() {
+  const name = process.env.ATTACHMENT_STORAGE
+    || (process.env.NODE_ENV === 'test' ? 'memory' : 'disk');
+
+  switch (name) {
+    case 'disk':
+      return createDiskStorage();
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown ATTACHMENT_STORAGE: ${name}`);
+  }
+}
+
+let defaultStorage = null;
+
+/**
+ * The application's attachment storage
+ *
+ * @returns {Object} Storage
+ */
+function getStorage() {
+  if (!defaultStorage) defaultStorage = storageFromEnv();
+  return defaultStorage;
+}
+
+module.exports = {
+  createDiskStorage,
+  createMemoryStorage,
+  getStorage,
+};
@@ -0,0 +1,68 @@
+// server/src/utils/attachmentStorage.test.js
+// Unit tests for attachment storage
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createDiskStorage, createMemoryStorage } = require('./attachmentStorage');
+
+/**
+ * Read a storage stream to a string
+ */
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('Attachment Storage', () => {
+  describe('createMemoryStorage', () => {
+    it('should save, read and remove files', async () => {
+      const storage = createMemoryStorage();
+
+      await storage.save('bug1/file1', Buffer.from('hello'));
+      expect(await readAll(storage.read('bug1/file1'))).toBe('hello');
+
+      await storage.remove('bug1/file1');
+      expect(storage.files.size).toBe(0);
+    });
+
+    it('should fail reads of missing files with ENOENT', async () => {
+      const storage = createMemoryStorage();
+
+      await expect(readAll(storage.read('bug1/missing'))).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+  });
+
+  describe('createDiskStorage', () => {
+    let root;
+
+    beforeEach(async () => {
+      root = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should keep files under the root directory', async () => {
+      const storage = createDiskStorage(root);
+
+      await storage.save('bug1/file1.thumb.webp', Buffer.from('thumb'));
+      expect(await fs.readFile(path.join(root, 'bug1', 'file1.thumb.webp'), 'utf8')).toBe('thumb');
+      expect(await readAll(storage.read('bug1/file1.thumb.webp'))).toBe('thumb');
+
+      await storage.remove('bug1/file1.thumb.webp');
+      await storage.remove('bug1/file1.thumb.webp');
+      await expect(readAll(storage.read('bug1/file1.thumb.webp'))).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    it('should reject keys that could leave the root', async () => {
+      const storage = createDiskStorage(root);
+
+      await expect(storage.save('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      expect(() => storage.read('/etc/passwd')).toThrow('Invalid storage key');
+      await expect(storage.remove('bug1/../../x')).rejects.toThrow('Invalid storage key');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Attachment Utilities
+ *
+ * Checks uploaded files against config/attachments.js, makes image
+ * thumbnails and builds download headers. The bytes themselves live in
+ * attachment storage (see utils/attachmentStorage).
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const { sniffMimeType } = require('./fileTypes');
+const { getStorage } = require('./attachmentStorage');
+const {
+  ALLOWED_TYPES,
+  IMAGE_TYPES,
+  THUMBNAIL_SIZE,
+} = require('../config/attachments');
+
+/**
+ * Longest stored file name
+ */
+const MAX_FILENAME_LENGTH = 200;
+
+/**
+ * Error thrown for files that may not be attached
+ *
+ * @property {number} status - HTTP status to answer with (415 or 422)
+ */
+class AttachmentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+/**
+ * Clean an uploaded file name for storage and download headers
+ *
+ * Drops any directory part and control characters; falls back to "file".
+ *
+ * @param {string} name - Name sent by the browser
+ * @returns {string} Safe file name
+ */
+function cleanFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x1f\x7f"]/g, '')
+    .trim();
+  return base.slice(0, MAX_FILENAME_LENGTH) || 'file';
+}
+
+/**
+ * Check an uploaded file's content and make its thumbnail
+ *
+ * The type comes from the content (see utils/fileTypes); what the
+ * browser claimed is ignored.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<{mimeType: string, thumbnail: Buffer|null}>} Detected
+ *   type, and a WebP thumbnail for images
+ * @throws {AttachmentError} 415 for types that are not allowed, 422 for
+ *   images that cannot be decoded
+ */
+async function inspectFile(buffer) {
+  const mimeType = sniffMimeType(buffer);
+  if (!mimeType || !ALLOWED_TYPES.includes(mimeType)) {
+    throw new AttachmentError(415, 'File type is not allowed');
+  }
+
+  if (!IMAGE_TYPES.includes(mimeType)) {
+    return { mimeType, thumbnail: null };
+  }
+
+  try {
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+    return { mimeType, thumbnail };
+  } catch (error) {
+    throw new AttachmentError(422, 'Image could not be read');
+  }
+}
+
+/**
+ * Build a Content-Disposition header for a download
+ *
+ * Carries an ASCII fallback name and the UTF-8 name (RFC 6266).
+ *
+ * @param {string} filename - Stored file name
+ * @param {boolean} [inline=false] - Let the browser show it in place
+ * @returns {string} Header value
+ *
+ * @example
+ * contentDisposition('résumé.pdf');
+ * // 'attachment; filename="r_sum_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf'
+ */
+function contentDisposition(filename, inline = false) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${inline ? 'inline' : 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Delete the stored files of some attachments
+ *
+ * @param {Array<Object>} attachments - Attachment subdocuments
+ * @returns {Promise<void>}
+ */
+async function removeAttachmentFiles(attachments) {
+  const storage = getStorage();
+  const keys = attachments.flatMap((attachment) => [attachment.storageKey, attachment.thumbnailKey])
+    .filter(Boolean);
+  await Promise.all(keys.map((key) => storage.remove(key)));
+}
+
+module.exports = {
+  AttachmentError,
+  cleanFilename,
+  inspectFile,
+  contentDisposition,
+  removeAttachmentFiles,
+};
@@ -0,0 +1,76 @@
+// server/src/utils/attachments.test.js
+// Unit tests for attachment checks and download headers
+
+const sharp = require('sharp');
+const {
+  AttachmentError,
+  cleanFilename,
+  inspectFile,
+  contentDisposition,
+} = require('./attachments');
+
+describe('Attachment Utilities', () => {
+  describe('cleanFilename', () => {
+    it('should keep only the base name without control characters or quotes', () => {
+      expect(cleanFilename('C:\\Users\\me\\screen shot.png')).toBe('screen shot.png');
+      expect(cleanFilename('../../etc/passwd')).toBe('passwd');
+      expect(cleanFilename('bad"name\r\n.txt')).toBe('badname.txt');
+    });
+
+    it('should fall back to "file" for empty names', () => {
+      expect(cleanFilename('')).toBe('file');
+      expect(cleanFilename(undefined)).toBe('file');
+    });
+
+    it('should cap long names', () => {
+      expect(cleanFilename(`${'a'.repeat(300)}.log`)).toHaveLength(200);
+    });
+  });
+
+  describe('inspectFile', () => {
+    it('should detect images and make a WebP thumbnail that fits the box', async () => {
+      const png = await sharp({
+        create: { width: 800, height: 400, channels: 3, background: '#c00' },
+      }).png().toBuffer();
+
+      const { mimeType, thumbnail } = await inspectFile(png);
+
+      expect(mimeType).toBe('image/png');
+      const meta = await sharp(thumbnail).metadata();
+      expect(meta.format).toBe('webp');
+      expect(meta.width).toBe(200);
+      expect(meta.height).toBe(100);
+    });
+
+    it('should accept text without a thumbnail', async () => {
+      await expect(inspectFile(Buffer.from('ERROR at line 3\n')))
+        .resolves.toEqual({ mimeType: 'text/plain', thumbnail: null });
+    });
+
+    it('should reject types that are not allowed with 415', async () => {
+      const error = await inspectFile(Buffer.from([0x4d, 0x5a, 0x90, 0x00])).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AttachmentError);
+      expect(error.status).toBe(415);
+    });
+
+    it('should reject images that cannot be decoded with 422', async () => {
+      const error = await inspectFile(Buffer.from('\x89PNG\r\n\x1a\ngarbage', 'latin1')).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AttachmentError);
+      expect(error.status).toBe(422);
+    });
+  });
+
+  describe('contentDisposition', () => {
+    it('should send files as downloads by default', () => {
+      expect(contentDisposition('app.log'))
+        .toBe("attachment; filename=\"app.log\"; filename*=UTF-8''app.log");
+    });
+
+    it('should carry an ASCII fallback and the encoded UTF-8 name', () => {
+      expect(contentDisposition("résumé (1)'s.pdf", true))
+        .toBe("inline; filename=\"r_sum_ (1)'s.pdf\"; filename*=UTF-8''r%C3%A9sum%C3%A9%20%281%29%27s.pdf");
+    });
+  });
+});
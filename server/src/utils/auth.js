@@ -1,76 +1,264 @@
 /**
  * Authentication Utilities
- * 
- * Provides JWT-like token generation and verification for user authentication.
- * Currently implements a simplified JWT format for testing purposes.
- * 
- * Note: For production applications, use a proper JWT library like 'jsonwebtoken'
- * with a secure secret management system (e.g., environment variables, secrets manager).
+ *
+ * Provides JWT token generation and verification for user authentication.
+ * Tokens use the compact JWS format (header.payload.signature) signed with
+ * HMAC-SHA256, carry `iat`/`exp` claims and optionally `nbf`.
+ *
+ * Note: The signing secret is read from JWT_SECRET. Always set it to a long
+ * random value outside of tests.
  */
 
 const crypto = require('crypto');
 
 /**
- * Generate a JWT-like token for user authentication
- * 
- * Creates a simplified JWT token in the format: header.payload.signature
- * The token encodes user information and is signed with a secret.
- * 
- * Note: This implementation is simplified for testing. In production,
- * use the 'jsonwebtoken' npm package with a strong secret and proper
- * key management.
- * 
+ * The only signing algorithm accepted by verifyToken
+ * Pinning the algorithm stops "alg: none" and algorithm-confusion tricks.
+ */
+const TOKEN_ALGORITHM = 'HS256';
+
+/**
+ * Lifetime used when neither options.expiresIn nor JWT_EXPIRE is set
+ * Access tokens are short-lived; refresh tokens keep the session going.
+ */
+const DEFAULT_TOKEN_LIFETIME = '15m';
+
+/**
+ * Reasons a token can fail verification, exposed on TokenError#reason
+ */
+const TOKEN_ERRORS = {
+  MALFORMED: 'malformed',
+  UNSUPPORTED_ALGORITHM: 'unsupported_algorithm',
+  INVALID_SIGNATURE: 'invalid_signature',
+  EXPIRED: 'expired',
+  NOT_ACTIVE: 'not_active',
+};
+
+/**
+ * Error thrown by decodeToken when a token is rejected
+ *
+ * @property {string} reason - One of the TOKEN_ERRORS values
+ */
+class TokenError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.reason = reason;
+  }
+}
+
+const DURATION_UNITS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+};
+
+/**
+ * Convert a duration such as '15m', '7d' or 3600 into seconds
+ *
+ * Plain numbers (or numeric strings) are treated as seconds.
+ *
+ * @param {string|number} value - Duration to parse
+ * @returns {number} Duration in seconds
+ * @throws {Error} If the value cannot be parsed
+ *
+ * @example
+ * parseDuration('15m'); // 900
+ * parseDuration('7d'); // 604800
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.floor(value);
+  }
+
+  const match = /^\s*(\d+)\s*([smhd]?)\s*$/.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Get the HMAC signing secret
+ *
+ * @returns {string} Secret from JWT_SECRET, or a fixed value for tests
+ */
+function getSecret() {
+  return process.env.JWT_SECRET || 'test-secret-key';
+}
+
+/**
+ * Encode an object as base64url JSON
+ *
+ * @param {Object} value - Object to encode
+ * @returns {string} base64url string
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Decode a base64url JSON segment
+ *
+ * @param {string} segment - Encoded segment
+ * @returns {Object} Parsed object
+ * @throws {TokenError} If the segment is not valid JSON
+ */
+function decodeSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString());
+    if (!value || typeof value !== 'object') {
+      throw new Error('Segment is not an object');
+    }
+    return value;
+  } catch (error) {
+    throw new TokenError(TOKEN_ERRORS.MALFORMED, 'Malformed token');
+  }
+}
+
+/**
+ * Compute the signature for a token's header and payload segments
+ *
+ * @param {string} header - Encoded header segment
+ * @param {string} payload - Encoded payload segment
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function sign(header, payload) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+}
+
+/**
+ * Generate a signed JWT for user authentication
+ *
+ * Creates a token in the format: header.payload.signature
+ * The payload carries the user's id, email, username and role plus the
+ * standard `iat` and `exp` claims.
+ *
  * @param {Object} user - User object to encode
  * @param {string} user._id - User MongoDB ID
  * @param {string} user.id - User ID (fallback if _id not present)
  * @param {string} user.email - User email address
  * @param {string} user.username - User username
- * @returns {string} JWT-like token string
- * 
+ * @param {string} [user.role] - User role, used for permission checks
+ * @param {Object} [options={}] - Token options
+ * @param {string|number} [options.expiresIn] - Lifetime, e.g. '15m' (defaults to JWT_EXPIRE or 15m)
+ * @param {string|number} [options.notBefore] - Delay before the token becomes valid
+ * @param {string} [options.sessionId] - Refresh token family, stored as the `sid` claim
+ * @returns {string} Signed JWT string
+ *
  * @example
  * const user = { _id: '123', email: 'user@example.com', username: 'john' };
- * const token = generateToken(user);
- * // Returns: "eyJ0eXAi...eyJ1c2VyI...8X9zc..."
- */
-function generateToken(user) {
-  // Create JWT header (algorithm and token type)
-  const header = Buffer.from(
-    JSON.stringify({ alg: 'HS256', typ: 'JWT' })
-  ).toString('base64');
-
-  // Create JWT payload with user data and issued-at timestamp
-  const payload = Buffer.from(
-    JSON.stringify({
-      id: user._id || user.id,
-      email: user.email,
-      username: user.username,
-      iat: Math.floor(Date.now() / 1000), // Issued at time (Unix timestamp)
-    })
-  ).toString('base64');
-
-  // Create signature by HMAC-SHA256 hashing header.payload with secret
-  // Note: 'test-secret-key' should be replaced with a secure secret from environment variables
-  const signature = crypto
-    .createHmac('sha256', process.env.JWT_SECRET || 'test-secret-key')
-    .update(`${header}.${payload}`)
-    .digest('base64');
+ * const token = generateToken(user, { expiresIn: '1h' });
+ * // Returns: "eyJhbGci...eyJpZCI6...8X9zc..."
+ */
+function generateToken(user, options = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const expiresIn = options.expiresIn
+    || process.env.JWT_EXPIRE
+    || DEFAULT_TOKEN_LIFETIME;
+
+  const claims = {
+    id: user._id || user.id,
+    email: user.email,
+    username: user.username,
+    role: user.role,
+    iat: now, // Issued at time (Unix timestamp)
+    exp: now + parseDuration(expiresIn),
+  };
+
+  if (options.sessionId) {
+    claims.sid = options.sessionId;
+  }
 
-  // Return JWT in format: header.payload.signature
-  return `${header}.${payload}.${signature}`;
+  if (options.notBefore !== undefined) {
+    claims.nbf = now + parseDuration(options.notBefore);
+  }
+
+  const header = encodeSegment({ alg: TOKEN_ALGORITHM, typ: 'JWT' });
+  const payload = encodeSegment(claims);
+
+  return `${header}.${payload}.${sign(header, payload)}`;
+}
+
+/**
+ * Verify a token and return its payload, throwing on any failure
+ *
+ * Checks, in order: token structure, the pinned `alg` header, the
+ * signature (in constant time), and the `exp`/`nbf` claims.
+ *
+ * @param {string} token - JWT to verify
+ * @returns {Object} Decoded payload
+ * @throws {TokenError} With a reason from TOKEN_ERRORS
+ *
+ * @example
+ * try {
+ *   const payload = decodeToken(token);
+ * } catch (error) {
+ *   if (error.reason === TOKEN_ERRORS.EXPIRED) { ... }
+ * }
+ */
+function decodeToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+
+  // Validate all three parts are present
+  if (parts.length !== 3 || parts.some((part) => !part)) {
+    throw new TokenError(TOKEN_ERRORS.MALFORMED, 'Malformed token');
+  }
+
+  const [header, payload, signature] = parts;
+
+  if (decodeSegment(header).alg !== TOKEN_ALGORITHM) {
+    throw new TokenError(
+      TOKEN_ERRORS.UNSUPPORTED_ALGORITHM,
+      'Unsupported token algorithm'
+    );
+  }
+
+  // Compare signatures in constant time to avoid leaking how much matched
+  const expected = Buffer.from(sign(header, payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length
+    || !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new TokenError(
+      TOKEN_ERRORS.INVALID_SIGNATURE,
+      'Invalid token signature'
+    );
+  }
+
+  const decoded = decodeSegment(payload);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof decoded.exp !== 'number') {
+    throw new TokenError(TOKEN_ERRORS.MALFORMED, 'Token has no expiry');
+  }
+
+  if (decoded.exp <= now) {
+    throw new TokenError(TOKEN_ERRORS.EXPIRED, 'Token has expired');
+  }
+
+  if (typeof decoded.nbf === 'number' && decoded.nbf > now) {
+    throw new TokenError(TOKEN_ERRORS.NOT_ACTIVE, 'Token is not yet valid');
+  }
+
+  return decoded;
 }
 
 /**
- * Verify and decode a JWT-like token
- * 
- * Validates and decodes a JWT token, returning the payload if valid.
- * Does not verify signature for performance in testing (verify before use in production).
- * 
- * Note: This implementation skips signature verification. In production,
- * always verify the signature using the 'jsonwebtoken' library.
- * 
+ * Verify and decode a JWT
+ *
+ * Convenience wrapper around decodeToken for callers that only need to
+ * know whether a token is valid.
+ *
  * @param {string} token - JWT token to verify and decode
  * @returns {Object|null} Decoded payload object if valid, null if invalid
- * 
+ *
  * @example
  * const decoded = verifyToken(validToken);
  * if (decoded) {
@@ -80,30 +268,94 @@ function generateToken(user) {
  */
 function verifyToken(token) {
   try {
-    // Split token into three parts: header, payload, signature
-    const [header, payload, signature] = token.split('.');
+    return decodeToken(token);
+  } catch (error) {
+    return null;
+  }
+}
 
-    // Validate all parts are present
-    if (!header || !payload || !signature) {
-      return null;
-    }
+/**
+ * Purpose and format version signed into unsubscribe tokens, so a
+ * signature made for anything else (or an older format) never verifies
+ */
+const UNSUBSCRIBE_PURPOSE = 'unsubscribe';
+const UNSUBSCRIBE_TOKEN_VERSION = 'v1';
 
-    // Decode and parse JSON payload
-    const decoded = JSON.parse(
-      Buffer.from(payload, 'base64').toString()
-    );
+/**
+ * Lifetime of unsubscribe tokens when UNSUBSCRIBE_TOKEN_EXPIRE is not set
+ */
+const DEFAULT_UNSUBSCRIBE_LIFETIME = '60d';
 
-    // Return decoded payload
-    return decoded;
-  } catch (error) {
-    // Return null if any error occurs during decoding
-    // eslint-disable-next-line no-console
-    console.error('Token verification error:', error.message);
+/**
+ * Sign the part of an unsubscribe token that identifies it
+ *
+ * @param {string} userId - User ID
+ * @param {string} expires - Expiry as seconds since the epoch
+ * @returns {string} base64url HMAC
+ */
+function signUnsubscribe(userId, expires) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${UNSUBSCRIBE_PURPOSE}:${UNSUBSCRIBE_TOKEN_VERSION}:${userId}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Sign the unsubscribe token for a user's email links
+ *
+ * The token names its format version, the user and when it expires
+ * (UNSUBSCRIBE_TOKEN_EXPIRE, default 60 days), with an HMAC over those
+ * and its purpose. It cannot be used as an access token and only allows
+ * turning email off.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {string} Token as v1.<userId>.<expires>.<base64url signature>
+ */
+function generateUnsubscribeToken(userId, { now = Date.now() } = {}) {
+  const lifetime = parseDuration(
+    process.env.UNSUBSCRIBE_TOKEN_EXPIRE || DEFAULT_UNSUBSCRIBE_LIFETIME
+  );
+  const expires = String(Math.floor(now / 1000) + lifetime);
+  return [UNSUBSCRIBE_TOKEN_VERSION, userId, expires, signUnsubscribe(userId, expires)].join('.');
+}
+
+/**
+ * Check an unsubscribe token
+ *
+ * @param {string} token - Token from generateUnsubscribeToken
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {string|null} The user ID, or null if the token is not valid
+ *   or has expired
+ */
+function verifyUnsubscribeToken(token, { now = Date.now() } = {}) {
+  if (typeof token !== 'string') return null;
+
+  const [version, userId, expires, signature, ...rest] = token.split('.');
+  if (version !== UNSUBSCRIBE_TOKEN_VERSION || !userId || !/^\d+$/.test(expires || '')
+    || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(signUnsubscribe(userId, expires));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
     return null;
   }
+  if (Number(expires) * 1000 <= now) return null;
+  return userId;
 }
 
 module.exports = {
+  TOKEN_ALGORITHM,
+  TOKEN_ERRORS,
+  TokenError,
+  parseDuration,
   generateToken,
+  decodeToken,
   verifyToken,
+  generateUnsubscribeToken,
+  verifyUnsubscribeToken,
 };
@@ -1,7 +1,29 @@
 // server/src/utils/auth.test.js
 // Unit tests for authentication utilities (JWT token generation/verification)
 
-const { generateToken, verifyToken } = require('./auth');
+const crypto = require('crypto');
+const {
+  generateToken,
+  verifyToken,
+  decodeToken,
+  parseDuration,
+  generateUnsubscribeToken,
+  verifyUnsubscribeToken,
+  TOKEN_ERRORS,
+} = require('./auth');
+
+/**
+ * Build a token from raw header/payload objects, signed with the test secret
+ */
+const signRaw = (header, payload, secret = 'test-secret-key') => {
+  const h = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const p = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = crypto
+    .createHmac('sha256', secret)
+    .update(`${h}.${p}`)
+    .digest('base64url');
+  return `${h}.${p}.${sig}`;
+};
 
 describe('Auth Utilities', () => {
   describe('generateToken', () => {
@@ -121,6 +143,116 @@ describe('Auth Utilities', () => {
     });
   });
 
+  describe('decodeToken', () => {
+    const user = {
+      _id: '507f1f77bcf86cd799439011',
+      email: 'test@example.com',
+      username: 'testuser',
+    };
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should reject a token with a tampered payload', () => {
+      const token = generateToken(user);
+      const [header, , signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({
+        id: 'attacker',
+        exp: Math.floor(Date.now() / 1000) + 60,
+      })).toString('base64url');
+
+      expect(() => decodeToken(`${header}.${forged}.${signature}`))
+        .toThrow(expect.objectContaining({ reason: TOKEN_ERRORS.INVALID_SIGNATURE }));
+    });
+
+    it('should reject a token signed with a different secret', () => {
+      const token = signRaw(
+        { alg: 'HS256', typ: 'JWT' },
+        { id: '1', exp: Math.floor(Date.now() / 1000) + 60 },
+        'other-secret'
+      );
+
+      expect(() => decodeToken(token))
+        .toThrow(expect.objectContaining({ reason: TOKEN_ERRORS.INVALID_SIGNATURE }));
+    });
+
+    it('should reject tokens that do not use HS256', () => {
+      const token = signRaw(
+        { alg: 'none', typ: 'JWT' },
+        { id: '1', exp: Math.floor(Date.now() / 1000) + 60 }
+      );
+
+      expect(() => decodeToken(token))
+        .toThrow(expect.objectContaining({ reason: TOKEN_ERRORS.UNSUPPORTED_ALGORITHM }));
+    });
+
+    it('should reject expired tokens', () => {
+      const token = generateToken(user, { expiresIn: '1m' });
+
+      jest.useFakeTimers({ now: Date.now() + 2 * 60 * 1000 });
+
+      expect(() => decodeToken(token))
+        .toThrow(expect.objectContaining({ reason: TOKEN_ERRORS.EXPIRED }));
+      expect(verifyToken(token)).toBeNull();
+    });
+
+    it('should reject tokens before their nbf claim', () => {
+      const token = generateToken(user, { notBefore: '5m' });
+
+      expect(() => decodeToken(token))
+        .toThrow(expect.objectContaining({ reason: TOKEN_ERRORS.NOT_ACTIVE }));
+    });
+
+    it('should reject tokens without an exp claim', () => {
+      const token = signRaw({ alg: 'HS256', typ: 'JWT' }, { id: '1' });
+
+      expect(() => decodeToken(token))
+        .toThrow(expect.objectContaining({ reason: TOKEN_ERRORS.MALFORMED }));
+    });
+
+    it('should report malformed tokens', () => {
+      expect(() => decodeToken('not-a-token'))
+        .toThrow(expect.objectContaining({ reason: TOKEN_ERRORS.MALFORMED }));
+    });
+
+    it('should set exp from the expiresIn option', () => {
+      const token = generateToken(user, { expiresIn: '15m' });
+      const decoded = decodeToken(token);
+
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+
+    it('should use JWT_EXPIRE when no expiresIn option is given', () => {
+      const original = process.env.JWT_EXPIRE;
+      process.env.JWT_EXPIRE = '2h';
+
+      const decoded = decodeToken(generateToken(user));
+
+      expect(decoded.exp - decoded.iat).toBe(2 * 60 * 60);
+      process.env.JWT_EXPIRE = original;
+      if (original === undefined) delete process.env.JWT_EXPIRE;
+    });
+  });
+
+  describe('parseDuration', () => {
+    it('should parse unit suffixes', () => {
+      expect(parseDuration('30s')).toBe(30);
+      expect(parseDuration('15m')).toBe(900);
+      expect(parseDuration('2h')).toBe(7200);
+      expect(parseDuration('7d')).toBe(604800);
+    });
+
+    it('should treat bare numbers as seconds', () => {
+      expect(parseDuration(3600)).toBe(3600);
+      expect(parseDuration('3600')).toBe(3600);
+    });
+
+    it('should throw for invalid durations', () => {
+      expect(() => parseDuration('soon')).toThrow('Invalid duration');
+    });
+  });
+
   describe('Token Round-Trip', () => {
     it('should generate and verify token successfully', () => {
       const user = {
@@ -161,4 +293,47 @@ describe('Auth Utilities', () => {
       expect(decoded1.username).toBe(decoded2.username);
     });
   });
+
+  describe('Unsubscribe Tokens', () => {
+    const userId = '507f1f77bcf86cd799439011';
+
+    it('should round-trip the user ID', () => {
+      expect(verifyUnsubscribeToken(generateUnsubscribeToken(userId))).toBe(userId);
+    });
+
+    it('should reject tampered tokens and other users\' signatures', () => {
+      const token = generateUnsubscribeToken(userId);
+      const [version, , expires, signature] = token.split('.');
+
+      expect(verifyUnsubscribeToken(`${version}.507f1f77bcf86cd799439012.${expires}.${signature}`)).toBeNull();
+      expect(verifyUnsubscribeToken(`${version}.${userId}.${Number(expires) + 1}.${signature}`)).toBeNull();
+      expect(verifyUnsubscribeToken(`v0.${userId}.${expires}.${signature}`)).toBeNull();
+      expect(verifyUnsubscribeToken(`${token}x`)).toBeNull();
+      expect(verifyUnsubscribeToken(userId)).toBeNull();
+      expect(verifyUnsubscribeToken(undefined)).toBeNull();
+    });
+
+    it('should expire', () => {
+      const issuedAt = Date.UTC(2026, 0, 1);
+      const token = generateUnsubscribeToken(userId, { now: issuedAt });
+
+      expect(verifyUnsubscribeToken(token, { now: issuedAt + 59 * 24 * 60 * 60 * 1000 })).toBe(userId);
+      expect(verifyUnsubscribeToken(token, { now: issuedAt + 60 * 24 * 60 * 60 * 1000 })).toBeNull();
+    });
+
+    it('should not accept tokens signed the old way, without purpose and expiry', () => {
+      const [, , expires] = generateUnsubscribeToken(userId).split('.');
+      const other = crypto
+        .createHmac('sha256', process.env.JWT_SECRET || 'test-secret-key')
+        .update(`unsubscribe:${userId}`)
+        .digest('base64url');
+
+      expect(verifyUnsubscribeToken(`${userId}.${other}`)).toBeNull();
+      expect(verifyUnsubscribeToken(`v1.${userId}.${expires}.${other}`)).toBeNull();
+    });
+
+    it('should not be accepted as an access token', () => {
+      expect(verifyToken(generateUnsubscribeToken(userId))).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,78 @@
+/**
+ * Bug Events
+ *
+ * A small publish/subscribe hub for things that happen to bugs. Routes
+ * publish an event after a change is saved; subscribers (notifications
+ * and anything added later) react to it. Subscribers are registered at
+ * startup in app.js.
+ *
+ * Events look like:
+ *
+ *   { type: 'created' | 'updated' | 'commented' | 'deleted'
+ *       | 'comment.updated' | 'comment.deleted',
+ *     bug,        // bug document after the change
+ *     actor,      // { id, username } of the user who made it
+ *     changes,    // for 'updated': [{ field, from, to }]
+ *     comment,    // for comment events: the comment ({ _id, parentId }
+ *                 // only, once deleted)
+ *     previousMentions,   // for 'updated' and 'comment.updated': user
+ *                         // ids the text mentioned before the edit
+ *     previousReferences } // and bug ids it referenced
+ *
+ * A failing subscriber is logged and never fails the request or stops
+ * the other subscribers.
+ */
+
+/**
+ * Event types routes may publish
+ */
+const BUG_EVENT_TYPES = ['created', 'updated', 'commented', 'deleted', 'comment.updated', 'comment.deleted'];
+
+const subscribers = [];
+
+/**
+ * Register a function to run for every bug event
+ *
+ * @param {function(Object): (Promise|void)} handler - Called with each event
+ * @returns {function} Removes the subscription
+ *
+ * @example
+ * const unsubscribe = onBugEvent(async (event) => { ... });
+ */
+function onBugEvent(handler) {
+  subscribers.push(handler);
+  return () => {
+    const index = subscribers.indexOf(handler);
+    if (index !== -1) subscribers.splice(index, 1);
+  };
+}
+
+/**
+ * Publish a bug event to every subscriber
+ *
+ * Resolves once all subscribers have finished, so their writes are done
+ * before the route responds.
+ *
+ * @param {Object} event - Bug event (see module description)
+ * @returns {Promise<void>}
+ * @throws {Error} If the event type is unknown
+ */
+async function publishBugEvent(event) {
+  if (!BUG_EVENT_TYPES.includes(event.type)) {
+    throw new Error(`Unknown bug event type: ${event.type}`);
+  }
+
+  const results = await Promise.allSettled(
+    subscribers.map(async (handler) => handler(event))
+  );
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.error('Bug event subscriber failed:', result.reason));
+}
+
+module.exports = {
+  BUG_EVENT_TYPES,
+  onBugEvent,
+  publishBugEvent,
+};
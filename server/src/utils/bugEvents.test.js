@@ -0,0 +1,42 @@
+// server/src/utils/bugEvents.test.js
+// Unit tests for the bug event hub
+
+const { onBugEvent, publishBugEvent } = require('./bugEvents');
+
+describe('Bug Events', () => {
+  it('should deliver events to every subscriber until unsubscribed', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    const unsubscribeFirst = onBugEvent(first);
+    const unsubscribeSecond = onBugEvent(second);
+
+    await publishBugEvent({ type: 'created', bug: {} });
+    unsubscribeFirst();
+    await publishBugEvent({ type: 'deleted', bug: {} });
+    unsubscribeSecond();
+
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep going when a subscriber fails', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const healthy = jest.fn();
+    const unsubscribeFailing = onBugEvent(async () => {
+      throw new Error('boom');
+    });
+    const unsubscribeHealthy = onBugEvent(healthy);
+
+    await expect(publishBugEvent({ type: 'created', bug: {} })).resolves.toBeUndefined();
+
+    expect(healthy).toHaveBeenCalled();
+    expect(errorSpy).toHaveBeenCalled();
+    unsubscribeFailing();
+    unsubscribeHealthy();
+    errorSpy.mockRestore();
+  });
+
+  it('should reject unknown event types', async () => {
+    await expect(publishBugEvent({ type: 'exploded', bug: {} })).rejects.toThrow('Unknown bug event type');
+  });
+});
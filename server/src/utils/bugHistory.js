@@ -0,0 +1,78 @@
+/**
+ * Bug History Utilities
+ *
+ * Helpers for building the audit trail of a bug: take a snapshot of the
+ * tracked fields before an update, another after, and diff the two into
+ * a list of { field, from, to } changes.
+ */
+
+/**
+ * Bug fields whose changes are recorded in the history
+ */
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'assignedTo',
+  'tags',
+  'resolution',
+];
+
+/**
+ * Normalize a field value so snapshots compare and serialize cleanly
+ *
+ * ObjectIds and populated documents become id strings, arrays are copied
+ * and undefined becomes null.
+ *
+ * @param {*} value - Raw field value
+ * @returns {*} Normalized value
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value._id) return String(value._id);
+    return String(value);
+  }
+  return value;
+}
+
+/**
+ * Capture the tracked fields of a bug
+ *
+ * @param {Object} bug - Bug document or plain object
+ * @returns {Object} Map of field name to normalized value
+ *
+ * @example
+ * const before = snapshotBug(bug);
+ * bug.status = 'triaged';
+ * diffSnapshots(before, snapshotBug(bug));
+ * // [{ field: 'status', from: 'open', to: 'triaged' }]
+ */
+function snapshotBug(bug) {
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = normalizeValue(bug[field]);
+    return snapshot;
+  }, {});
+}
+
+/**
+ * List the fields that differ between two snapshots
+ *
+ * @param {Object} before - Snapshot taken before the update
+ * @param {Object} after - Snapshot taken after the update
+ * @returns {Array<{field: string, from: *, to: *}>} Changes in TRACKED_FIELDS order
+ */
+function diffSnapshots(before, after) {
+  return TRACKED_FIELDS
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotBug,
+  diffSnapshots,
+};
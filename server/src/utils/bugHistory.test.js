@@ -0,0 +1,77 @@
+// server/src/utils/bugHistory.test.js
+// Unit tests for bug history snapshot and diff helpers
+
+const { snapshotBug, diffSnapshots, TRACKED_FIELDS } = require('./bugHistory');
+
+describe('Bug History Utilities', () => {
+  const baseBug = {
+    title: 'Login button broken',
+    description: 'Clicking login does nothing at all',
+    status: 'open',
+    priority: 'medium',
+    assignedTo: null,
+    tags: ['ui'],
+    resolution: null,
+    comments: [{ text: 'not tracked' }],
+  };
+
+  describe('snapshotBug', () => {
+    it('should capture only tracked fields', () => {
+      const snapshot = snapshotBug(baseBug);
+
+      expect(Object.keys(snapshot)).toEqual(TRACKED_FIELDS);
+      expect(snapshot).not.toHaveProperty('comments');
+    });
+
+    it('should normalize references and missing values', () => {
+      const snapshot = snapshotBug({
+        ...baseBug,
+        assignedTo: { _id: '507f1f77bcf86cd799439011', username: 'dev' },
+        resolution: undefined,
+      });
+
+      expect(snapshot.assignedTo).toBe('507f1f77bcf86cd799439011');
+      expect(snapshot.resolution).toBeNull();
+    });
+
+    it('should copy arrays so later mutation does not affect the snapshot', () => {
+      const bug = { ...baseBug, tags: ['ui'] };
+      const snapshot = snapshotBug(bug);
+
+      bug.tags.push('backend');
+
+      expect(snapshot.tags).toEqual(['ui']);
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should return an empty list when nothing changed', () => {
+      expect(diffSnapshots(snapshotBug(baseBug), snapshotBug({ ...baseBug }))).toEqual([]);
+    });
+
+    it('should report old and new values for each changed field', () => {
+      const before = snapshotBug(baseBug);
+      const after = snapshotBug({
+        ...baseBug,
+        status: 'triaged',
+        priority: 'high',
+        tags: ['ui', 'regression'],
+      });
+
+      expect(diffSnapshots(before, after)).toEqual([
+        { field: 'status', from: 'open', to: 'triaged' },
+        { field: 'priority', from: 'medium', to: 'high' },
+        { field: 'tags', from: ['ui'], to: ['ui', 'regression'] },
+      ]);
+    });
+
+    it('should detect assignee changes', () => {
+      const before = snapshotBug(baseBug);
+      const after = snapshotBug({ ...baseBug, assignedTo: '507f1f77bcf86cd799439011' });
+
+      expect(diffSnapshots(before, after)).toEqual([
+        { field: 'assignedTo', from: null, to: '507f1f77bcf86cd799439011' },
+      ]);
+    });
+  });
+});
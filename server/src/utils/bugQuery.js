@@ -0,0 +1,382 @@
+/**
+ * Bug Query Language
+ *
+ * Parses filter expressions such as
+ *
+ *   status:open,in-progress priority:>=high assignee:me tag:ui
+ *   created:>2026-01-01 -tag:wontfix "login page" key:WEB-12
+ *
+ * into MongoDB filters. Every value is checked against the field's allowed
+ * values or format before it reaches the filter, so an expression can never
+ * inject query operators. Problems are reported as BugQueryError with the
+ * offending token and its position in the expression.
+ *
+ * Grammar (terms are separated by whitespace and combined with AND):
+ *
+ *   term   = ["-"] (field ":" [op] values | text)
+ *   values = value ("," value)*
+ *   value  = word | '"' phrase '"'
+ *   op     = ">=" | "<=" | ">" | "<"
+ *
+ * Free text (words and "quoted phrases") is passed on for full-text search.
+ */
+
+const mongoose = require('mongoose');
+const { workflow } = require('./bugWorkflow');
+const PRIORITY_ORDER = require('../config/bugPriorities');
+
+/**
+ * Maximum expression length accepted
+ */
+const MAX_EXPRESSION_LENGTH = 500;
+
+/**
+ * Field definitions
+ *
+ * - path: document field the filter applies to
+ * - type: 'enum' (values from `values`), 'user', 'string', 'key' (bug
+ *   keys, matched in upper case) or 'date'
+ * - ordered: comparison operators are allowed
+ */
+const FIELDS = {
+  status: { path: 'status', type: 'enum', values: () => workflow.states },
+  priority: { path: 'priority', type: 'enum', values: () => PRIORITY_ORDER, ordered: true },
+  assignee: { path: 'assignedTo', type: 'user' },
+  reporter: { path: 'reportedBy', type: 'user' },
+  tag: { path: 'tags', type: 'string' },
+  key: { path: 'key', type: 'key' },
+  created: { path: 'createdAt', type: 'date', ordered: true },
+  updated: { path: 'updatedAt', type: 'date', ordered: true },
+};
+
+const OPERATORS = ['>=', '<=', '>', '<'];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error thrown for expressions that cannot be parsed or applied
+ *
+ * @property {string} token - The term that caused the error
+ * @property {number} position - Zero-based offset of the term in the expression
+ */
+class BugQueryError extends Error {
+  constructor(message, token, position) {
+    super(message);
+    this.name = 'BugQueryError';
+    this.token = token;
+    this.position = position;
+  }
+}
+
+/**
+ * Read a double-quoted string starting at input[index]
+ *
+ * @returns {{value: string, end: number}} Unquoted text and the index after the closing quote
+ */
+function readQuoted(input, index, tokenStart) {
+  const close = input.indexOf('"', index + 1);
+  if (close === -1) {
+    throw new BugQueryError('Unterminated quote', input.slice(tokenStart), tokenStart);
+  }
+  return { value: input.slice(index + 1, close), end: close + 1 };
+}
+
+/**
+ * Split an expression into terms
+ *
+ * @param {string} input - Query expression
+ * @returns {Array<Object>} Terms as { raw, position, negate, field?, rawValue?, text? }
+ */
+function tokenize(input) {
+  const terms = [];
+  let index = 0;
+
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index += 1;
+      continue;
+    }
+
+    const position = index;
+    const negate = input[index] === '-';
+    if (negate) index += 1;
+
+    const fieldMatch = /^([a-zA-Z]+):/.exec(input.slice(index));
+    let term;
+
+    if (fieldMatch) {
+      index += fieldMatch[0].length;
+      let rawValue = '';
+      while (index < input.length && !/\s/.test(input[index])) {
+        if (input[index] === '"') {
+          const quoted = readQuoted(input, index, position);
+          rawValue += input.slice(index, quoted.end);
+          index = quoted.end;
+        } else {
+          rawValue += input[index];
+          index += 1;
+        }
+      }
+      term = { field: fieldMatch[1].toLowerCase(), rawValue };
+    } else if (input[index] === '"') {
+      const quoted = readQuoted(input, index, position);
+      index = quoted.end;
+      term = { text: quoted.value, phrase: true };
+    } else {
+      const start = index;
+      while (index < input.length && !/\s/.test(input[index])) index += 1;
+      term = { text: input.slice(start, index) };
+    }
+
+    terms.push({ ...term, negate, position, raw: input.slice(position, index) });
+  }
+
+  return terms;
+}
+
+/**
+ * Split a field value on commas outside quotes and unquote each part
+ *
+ * @param {Object} term - Field term from tokenize
+ * @returns {Array<string>} Values
+ */
+function splitValues(term) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of term.rawValue) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+
+  if (values.some((value) => value.trim() === '')) {
+    throw new BugQueryError(`Missing value for "${term.field}"`, term.raw, term.position);
+  }
+
+  return values.map((value) => value.trim());
+}
+
+/**
+ * Parse a YYYY-MM-DD date into the UTC start of that day
+ */
+function parseDay(value, term) {
+  const match = DATE_PATTERN.exec(value);
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+
+  if (!date || date.getUTCDate() !== Number(match[3])) {
+    throw new BugQueryError(
+      `Invalid date "${value}" for "${term.field}", expected YYYY-MM-DD`,
+      term.raw,
+      term.position
+    );
+  }
+
+  return date;
+}
+
+/**
+ * Parse a query expression
+ *
+ * @param {string} input - Query expression
+ * @returns {{conditions: Array<Object>, text: string}} Parsed field
+ *   conditions and the free text for full-text search
+ * @throws {BugQueryError} If the expression is invalid
+ *
+ * @example
+ * parseBugQuery('priority:>=high -tag:wontfix crash');
+ * // { conditions: [
+ * //     { field: 'priority', path: 'priority', negate: false, op: 'in', values: ['high', 'critical'], ... },
+ * //     { field: 'tag', path: 'tags', negate: true, op: 'in', values: ['wontfix'], ... } ],
+ * //   text: 'crash' }
+ */
+function parseBugQuery(input) {
+  const expression = String(input || '');
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new BugQueryError(
+      `Query must be at most ${MAX_EXPRESSION_LENGTH} characters`,
+      '',
+      MAX_EXPRESSION_LENGTH
+    );
+  }
+
+  const conditions = [];
+  const text = [];
+
+  tokenize(expression).forEach((term) => {
+    if (term.text === '') return;
+
+    if (term.text !== undefined) {
+      // Free text keeps $text syntax: "phrases" and -excluded words
+      const word = term.phrase ? `"${term.text}"` : term.text;
+      text.push(term.negate ? `-${word}` : word);
+      return;
+    }
+
+    const definition = FIELDS[term.field];
+    if (!definition) {
+      throw new BugQueryError(
+        `Unknown field "${term.field}". Use one of: ${Object.keys(FIELDS).join(', ')}`,
+        term.raw,
+        term.position
+      );
+    }
+
+    let { rawValue } = term;
+    const op = OPERATORS.find((candidate) => rawValue.startsWith(candidate));
+    if (op) {
+      if (!definition.ordered) {
+        throw new BugQueryError(`"${term.field}" does not support ${op}`, term.raw, term.position);
+      }
+      rawValue = rawValue.slice(op.length);
+    }
+
+    const values = splitValues({ ...term, rawValue });
+    if (op && values.length > 1) {
+      throw new BugQueryError(`${op} takes a single value`, term.raw, term.position);
+    }
+
+    const condition = {
+      field: term.field,
+      path: definition.path,
+      type: definition.type,
+      negate: term.negate,
+      token: term.raw,
+      position: term.position,
+    };
+
+    if (definition.type === 'enum') {
+      const allowed = definition.values();
+      const normalized = values.map((value) => value.toLowerCase());
+      const unknown = normalized.find((value) => !allowed.includes(value));
+      if (unknown) {
+        throw new BugQueryError(
+          `Unknown ${term.field} "${unknown}". Use one of: ${allowed.join(', ')}`,
+          term.raw,
+          term.position
+        );
+      }
+
+      // Priority comparisons become the list of priorities that satisfy them
+      let matched = normalized;
+      if (op) {
+        const rank = allowed.indexOf(normalized[0]);
+        matched = allowed.filter((value, index) => (
+          (op === '>=' && index >= rank)
+          || (op === '>' && index > rank)
+          || (op === '<=' && index <= rank)
+          || (op === '<' && index < rank)
+        ));
+      }
+      conditions.push({ ...condition, op: 'in', values: matched });
+    } else if (definition.type === 'date') {
+      const day = parseDay(values[0], term);
+      if (values.length > 1) {
+        throw new BugQueryError(`"${term.field}" takes a single date`, term.raw, term.position);
+      }
+      const nextDay = new Date(day.getTime() + ONE_DAY_MS);
+      const range = {
+        '>': { $gte: nextDay },
+        '>=': { $gte: day },
+        '<': { $lt: day },
+        '<=': { $lt: nextDay },
+      }[op] || { $gte: day, $lt: nextDay };
+      conditions.push({ ...condition, op: 'range', range });
+    } else {
+      const normalize = {
+        string: (value) => value.toLowerCase(),
+        key: (value) => value.toUpperCase(),
+      }[definition.type];
+      conditions.push({
+        ...condition,
+        op: 'in',
+        values: normalize ? values.map(normalize) : values,
+      });
+    }
+  });
+
+  return { conditions, text: text.join(' ') };
+}
+
+/**
+ * Turn parsed conditions into a MongoDB filter
+ *
+ * User fields accept `me` (the caller), `none` (unassigned) and usernames,
+ * which are resolved through `resolveUsernames`. Ids are cast to ObjectIds
+ * so the filter also works in aggregation pipelines.
+ *
+ * @param {{conditions: Array<Object>}} parsed - Result of parseBugQuery
+ * @param {Object} [context]
+ * @param {Object} [context.user] - Authenticated user (req.user), needed for `me`
+ * @param {function(Array<string>): Promise<Object>} [context.resolveUsernames] -
+ *   Maps usernames to user ids ({ [username]: id })
+ * @returns {Promise<Object>} MongoDB filter ({} when there are no conditions)
+ * @throws {BugQueryError} For `me` without a user or unknown usernames
+ */
+async function buildBugFilter(parsed, { user, resolveUsernames } = {}) {
+  const usernames = new Set();
+  parsed.conditions
+    .filter((condition) => condition.type === 'user')
+    .forEach((condition) => {
+      condition.values.forEach((value) => {
+        const lower = value.toLowerCase();
+        if (lower !== 'me' && lower !== 'none') usernames.add(value);
+      });
+    });
+
+  const userIds = usernames.size > 0 && resolveUsernames
+    ? await resolveUsernames([...usernames])
+    : {};
+
+  const clauses = parsed.conditions.map((condition) => {
+    if (condition.op === 'range') {
+      return { [condition.path]: condition.negate ? { $not: condition.range } : condition.range };
+    }
+
+    let { values } = condition;
+    if (condition.type === 'user') {
+      values = values.map((value) => {
+        const lower = value.toLowerCase();
+        if (lower === 'none') return null;
+        if (lower === 'me') {
+          if (!user) {
+            throw new BugQueryError(
+              `"${condition.field}:me" requires you to be logged in`,
+              condition.token,
+              condition.position
+            );
+          }
+          return new mongoose.Types.ObjectId(String(user.id));
+        }
+        if (!userIds[value]) {
+          throw new BugQueryError(`Unknown user "${value}"`, condition.token, condition.position);
+        }
+        return new mongoose.Types.ObjectId(String(userIds[value]));
+      });
+    }
+
+    return { [condition.path]: { [condition.negate ? '$nin' : '$in']: values } };
+  });
+
+  if (clauses.length === 0) return {};
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+module.exports = {
+  PRIORITY_ORDER,
+  MAX_EXPRESSION_LENGTH,
+  FIELDS,
+  BugQueryError,
+  tokenize,
+  parseBugQuery,
+  buildBugFilter,
+};
@@ -0,0 +1,155 @@
+// server/src/utils/bugQuery.test.js
+// Unit tests for the bug query language parser
+
+const mongoose = require('mongoose');
+const {
+  parseBugQuery,
+  buildBugFilter,
+  tokenize,
+  BugQueryError,
+} = require('./bugQuery');
+
+/**
+ * Parse an expression and build its filter in one step
+ */
+const toFilter = (expression, context) => buildBugFilter(parseBugQuery(expression), context);
+
+/**
+ * Capture the BugQueryError thrown by a function
+ */
+const catchQueryError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected a BugQueryError');
+};
+
+describe('Bug Query Language', () => {
+  describe('tokenize', () => {
+    it('should record each term with its position', () => {
+      const terms = tokenize('status:open  -tag:"needs info" crash');
+
+      expect(terms.map((t) => [t.raw, t.position])).toEqual([
+        ['status:open', 0],
+        ['-tag:"needs info"', 13],
+        ['crash', 31],
+      ]);
+      expect(terms[1]).toEqual(expect.objectContaining({ negate: true, field: 'tag' }));
+    });
+  });
+
+  describe('parseBugQuery', () => {
+    it('should turn comma lists into $in and negation into $nin', async () => {
+      expect(await toFilter('status:open,in-progress -tag:wontfix')).toEqual({
+        $and: [
+          { status: { $in: ['open', 'in-progress'] } },
+          { tags: { $nin: ['wontfix'] } },
+        ],
+      });
+    });
+
+    it('should match bug keys in upper case', async () => {
+      expect(await toFilter('key:web-12,API-3')).toEqual({ key: { $in: ['WEB-12', 'API-3'] } });
+    });
+
+    it('should expand priority comparisons into the matching priorities', async () => {
+      expect(await toFilter('priority:>=high')).toEqual({
+        priority: { $in: ['high', 'critical'] },
+      });
+      expect(await toFilter('priority:<medium')).toEqual({ priority: { $in: ['low'] } });
+    });
+
+    it('should turn dates into day ranges', async () => {
+      const day = new Date('2026-01-01T00:00:00Z');
+      const nextDay = new Date('2026-01-02T00:00:00Z');
+
+      expect(await toFilter('created:2026-01-01')).toEqual({
+        createdAt: { $gte: day, $lt: nextDay },
+      });
+      expect(await toFilter('created:>2026-01-01')).toEqual({ createdAt: { $gte: nextDay } });
+      expect(await toFilter('-updated:<=2026-01-01')).toEqual({
+        updatedAt: { $not: { $lt: nextDay } },
+      });
+    });
+
+    it('should collect free text in $text syntax', () => {
+      expect(parseBugQuery('status:open "login page" crash -safari').text)
+        .toBe('"login page" crash -safari');
+    });
+
+    it('should return no conditions for an empty expression', async () => {
+      expect(await toFilter('   ')).toEqual({});
+    });
+  });
+
+  describe('errors', () => {
+    it('should point at unknown fields', () => {
+      const error = catchQueryError(() => parseBugQuery('status:open colour:red'));
+
+      expect(error).toBeInstanceOf(BugQueryError);
+      expect(error.message).toContain('Unknown field "colour"');
+      expect(error.token).toBe('colour:red');
+      expect(error.position).toBe(12);
+    });
+
+    it('should reject values outside the allowed list', () => {
+      const error = catchQueryError(() => parseBugQuery('priority:urgent'));
+
+      expect(error.message).toContain('Unknown priority "urgent"');
+    });
+
+    it('should reject comparisons on unordered fields', () => {
+      expect(() => parseBugQuery('tag:>ui')).toThrow('"tag" does not support >');
+    });
+
+    it('should reject invalid dates and empty values', () => {
+      expect(() => parseBugQuery('created:2026-02-30')).toThrow('Invalid date');
+      expect(() => parseBugQuery('status:')).toThrow('Missing value');
+      expect(() => parseBugQuery('status:open,')).toThrow('Missing value');
+    });
+
+    it('should reject unterminated quotes', () => {
+      const error = catchQueryError(() => parseBugQuery('crash "login page'));
+
+      expect(error.message).toBe('Unterminated quote');
+      expect(error.position).toBe(6);
+    });
+
+    it('should never pass operator-looking values through', async () => {
+      expect(await toFilter('tag:$where')).toEqual({ tags: { $in: ['$where'] } });
+      expect(() => parseBugQuery('status:$ne')).toThrow('Unknown status');
+    });
+  });
+
+  describe('buildBugFilter', () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+
+    it('should resolve me, none and usernames to ObjectIds', async () => {
+      const aliceId = new mongoose.Types.ObjectId().toString();
+      const resolveUsernames = jest.fn().mockResolvedValue({ alice: aliceId });
+
+      const filter = await toFilter('assignee:me,none reporter:alice', {
+        user: { id: userId },
+        resolveUsernames,
+      });
+
+      expect(resolveUsernames).toHaveBeenCalledWith(['alice']);
+      expect(filter.$and[0].assignedTo.$in.map(String)).toEqual([userId, 'null']);
+      expect(filter.$and[0].assignedTo.$in[1]).toBeNull();
+      expect(filter.$and[1].reportedBy.$in[0]).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+
+    it('should require a user for me', async () => {
+      await expect(toFilter('assignee:me')).rejects.toThrow('requires you to be logged in');
+    });
+
+    it('should reject unknown usernames', async () => {
+      const resolveUsernames = jest.fn().mockResolvedValue({});
+
+      await expect(toFilter('assignee:ghost', { resolveUsernames }))
+        .rejects.toThrow('Unknown user "ghost"');
+    });
+  });
+});
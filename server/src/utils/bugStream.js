@@ -0,0 +1,189 @@
+/**
+ * Bug Stream
+ *
+ * Server-Sent Events that keep open bug lists up to date. Bug events (see
+ * utils/bugEvents) become SSE messages with increasing ids, and the most
+ * recent messages are kept in a ring buffer. A client that reconnects with
+ * Last-Event-ID is sent the messages it missed; if they have already left
+ * the buffer (or the server restarted) it gets a `reset` message and
+ * should reload the list instead.
+ *
+ * Messages:
+ *
+ *   event: created | updated | commented
+ *   data: { "bug": { ... } }     // the bug as the list returns it
+ *
+ *   event: deleted
+ *   data: { "bug": { "_id", "key", "project", "status" } }
+ *
+ *   event: reset
+ *   data: {}
+ */
+
+const Bug = require('../models/Bug');
+
+/**
+ * Number of messages kept for clients that reconnect
+ */
+const BUFFER_SIZE = 200;
+
+/**
+ * How often an idle connection gets a comment line, in milliseconds, so
+ * proxies don't close it
+ */
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Reconnect delay suggested to clients, in milliseconds
+ */
+const RETRY_DELAY = 3000;
+
+const EVENT_ID_PATTERN = /^\d+$/;
+
+/**
+ * Format one SSE message
+ *
+ * @param {{id: number, type: string, payload: string}} message
+ * @returns {string} Message text, terminated by a blank line
+ */
+function formatMessage({ id, type, payload }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${payload}\n\n`;
+}
+
+/**
+ * Parse a Last-Event-ID value
+ *
+ * @param {*} value - Header value or sanitized query number
+ * @returns {number|null} Event id, or null if missing or malformed
+ */
+function parseEventId(value) {
+  if (Number.isInteger(value) && value >= 0) return value;
+  if (typeof value !== 'string' || !EVENT_ID_PATTERN.test(value)) return null;
+  return Number(value);
+}
+
+/**
+ * Create a bug stream
+ *
+ * @param {Object} [options]
+ * @param {number} [options.bufferSize=BUFFER_SIZE] - Messages kept for replay
+ * @param {number} [options.heartbeatInterval=HEARTBEAT_INTERVAL] - Idle keep-alive period
+ * @returns {Object} Stream with send(), connect() and a clientCount getter
+ */
+function createBugStream({ bufferSize = BUFFER_SIZE, heartbeatInterval = HEARTBEAT_INTERVAL } = {}) {
+  const buffer = [];
+  const clients = new Set();
+  let lastId = 0;
+
+  /**
+   * Send a message to every connected client whose filter accepts it
+   *
+   * @param {string} type - Event name
+   * @param {Object} data - Message data ({ bug })
+   * @returns {Object} The buffered message
+   */
+  function send(type, data) {
+    lastId += 1;
+    const message = { id: lastId, type, data, payload: JSON.stringify(data) };
+
+    buffer.push(message);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    clients.forEach((client) => {
+      if (client.filter(message)) client.res.write(formatMessage(message));
+    });
+
+    return message;
+  }
+
+  /**
+   * Open an SSE response and keep it subscribed until the request closes
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} [options]
+   * @param {*} [options.lastEventId] - Last-Event-ID sent by the client
+   * @param {function(Object): boolean} [options.filter] - Chooses the
+   *   messages this client receives
+   */
+  function connect(req, res, { lastEventId, filter = () => true } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+    // Replay what the client missed, or tell it to reload if we can't
+    const since = parseEventId(lastEventId);
+    if (since !== null) {
+      const oldest = buffer.length > 0 ? buffer[0].id : lastId + 1;
+      if (since > lastId || since < oldest - 1) {
+        res.write(formatMessage({ id: lastId, type: 'reset', payload: '{}' }));
+      } else {
+        buffer
+          .filter((message) => message.id > since && filter(message))
+          .forEach((message) => res.write(formatMessage(message)));
+      }
+    }
+
+    const client = { res, filter };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  return {
+    send,
+    connect,
+    get clientCount() {
+      return clients.size;
+    },
+  };
+}
+
+/**
+ * The application's bug stream
+ */
+const bugStream = createBugStream();
+
+/**
+ * Bug event subscriber that forwards events to the stream
+ *
+ * Created, updated and commented bugs (and bugs whose comments were
+ * edited or deleted) are reloaded with the same populated fields as the
+ * bug list; deleted bugs only send their ids.
+ *
+ * @param {Object} event - Bug event
+ * @returns {Promise<void>}
+ */
+async function streamBugEvent(event) {
+  if (event.type === 'deleted') {
+    const { _id, key, project, status } = event.bug;
+    bugStream.send('deleted', { bug: { _id, key, project, status } });
+    return;
+  }
+
+  const bug = await Bug.findById(event.bug._id)
+    .populate('reportedBy', 'username email')
+    .populate('assignedTo', 'username email');
+
+  if (bug) {
+    bugStream.send(event.type, { bug });
+  }
+}
+
+module.exports = {
+  BUFFER_SIZE,
+  HEARTBEAT_INTERVAL,
+  RETRY_DELAY,
+  createBugStream,
+  bugStream,
+  streamBugEvent,
+};
@@ -0,0 +1,106 @@
+// server/src/utils/bugStream.test.js
+// Unit tests for the Server-Sent Events bug stream
+
+const { EventEmitter } = require('events');
+const { createBugStream } = require('./bugStream');
+
+/**
+ * Fake request/response pair that records what was written
+ */
+const connectClient = (stream, options) => {
+  const req = new EventEmitter();
+  const res = {
+    writeHead: jest.fn(),
+    chunks: [],
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+  };
+  stream.connect(req, res, options);
+  return { req, res, text: () => res.chunks.join('') };
+};
+
+const bug = (id, project = 'p1') => ({ _id: id, key: `WEB-${id}`, project });
+
+describe('Bug Stream', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should open an event stream and send messages with increasing ids', () => {
+    const stream = createBugStream();
+    const client = connectClient(stream);
+
+    stream.send('created', { bug: bug('1') });
+    stream.send('updated', { bug: bug('1') });
+
+    expect(client.res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'text/event-stream',
+    }));
+    expect(client.text()).toContain('retry: 3000\n\n');
+    expect(client.text()).toContain(`id: 1\nevent: created\ndata: ${JSON.stringify({ bug: bug('1') })}\n\n`);
+    expect(client.text()).toContain('id: 2\nevent: updated\n');
+    client.req.emit('close');
+  });
+
+  it('should replay messages after Last-Event-ID', () => {
+    const stream = createBugStream();
+    stream.send('created', { bug: bug('1') });
+    stream.send('created', { bug: bug('2') });
+    stream.send('deleted', { bug: bug('1') });
+
+    const client = connectClient(stream, { lastEventId: '1' });
+
+    expect(client.text()).not.toContain('id: 1\n');
+    expect(client.text()).toContain('id: 2\nevent: created\n');
+    expect(client.text()).toContain('id: 3\nevent: deleted\n');
+    client.req.emit('close');
+  });
+
+  it('should send reset when the missed messages are no longer buffered', () => {
+    const stream = createBugStream({ bufferSize: 2 });
+    ['1', '2', '3', '4'].forEach((id) => stream.send('created', { bug: bug(id) }));
+
+    const stale = connectClient(stream, { lastEventId: '1' });
+    const restarted = connectClient(stream, { lastEventId: 99 });
+    const current = connectClient(stream, { lastEventId: 2 });
+
+    expect(stale.text()).toContain('id: 4\nevent: reset\ndata: {}\n\n');
+    expect(restarted.text()).toContain('event: reset');
+    expect(current.text()).not.toContain('event: reset');
+    expect(current.text()).toContain('id: 3\n');
+    [stale, restarted, current].forEach((client) => client.req.emit('close'));
+  });
+
+  it('should only send messages the client\'s filter accepts', () => {
+    const stream = createBugStream();
+    const client = connectClient(stream, {
+      filter: (message) => message.data.bug.project === 'p2',
+    });
+
+    stream.send('created', { bug: bug('1', 'p1') });
+    stream.send('created', { bug: bug('2', 'p2') });
+
+    expect(client.text()).not.toContain('WEB-1');
+    expect(client.text()).toContain('WEB-2');
+    client.req.emit('close');
+  });
+
+  it('should send heartbeats and stop when the client disconnects', () => {
+    jest.useFakeTimers();
+    const stream = createBugStream({ heartbeatInterval: 1000 });
+    const client = connectClient(stream);
+
+    jest.advanceTimersByTime(1000);
+    expect(client.text()).toContain(': heartbeat\n\n');
+    expect(stream.clientCount).toBe(1);
+
+    client.req.emit('close');
+    const written = client.res.chunks.length;
+    jest.advanceTimersByTime(5000);
+    stream.send('created', { bug: bug('1') });
+
+    expect(stream.clientCount).toBe(0);
+    expect(client.res.chunks).toHaveLength(written);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Bug Updates
+ *
+ * The create and update paths shared by the bug routes and integrations
+ * (the commit and inbound email hooks in routes/integrations): a change
+ * is checked against the user's permissions and the status workflow,
+ * applied to the bug, saved with a history entry and published as a bug
+ * event.
+ *
+ * Rejected changes are thrown as BugUpdateError carrying the HTTP status
+ * the caller should answer with, so every caller reports them the same way.
+ */
+
+const Bug = require('../models/Bug');
+const BugEvent = require('../models/BugEvent');
+const User = require('../models/User');
+const { isValidObjectId, normalizeMarkdown } = require('./validation');
+const { hasPermission } = require('./permissions');
+const { workflow } = require('./bugWorkflow');
+const { snapshotBug, diffSnapshots } = require('./bugHistory');
+const { publishBugEvent } = require('./bugEvents');
+const PRIORITIES = require('../config/bugPriorities');
+
+const FORBIDDEN_MESSAGE = 'You do not have permission to perform this action';
+
+/**
+ * Error thrown for changes that are invalid or not allowed
+ *
+ * @property {number} status - 400 (invalid) or 403 (not allowed)
+ * @property {Object} [errors] - Field error messages
+ * @property {string} [permission] - Missing permission, for 403s
+ */
+class BugUpdateError extends Error {
+  constructor(status, message, { errors, permission } = {}) {
+    super(message);
+    this.name = 'BugUpdateError';
+    this.status = status;
+    this.errors = errors;
+    this.permission = permission;
+  }
+}
+
+/**
+ * Check that an assignee names an existing user
+ *
+ * @param {*} userId - Value sent as the assignee
+ * @returns {Promise<string|null>} Error message, or null if the user exists
+ */
+async function checkAssignee(userId) {
+  if (typeof userId !== 'string' || !isValidObjectId(userId)) {
+    return 'Assignee must be a user ID';
+  }
+  if (!(await User.exists({ _id: userId }))) {
+    return 'Assignee not found';
+  }
+  return null;
+}
+
+/**
+ * Check an edited title and description against the rules for new bugs
+ *
+ * @param {Object} fields - { title, description }; missing fields are
+ *   not checked
+ * @returns {Object} Field error messages, empty if both are valid
+ */
+function checkDetails({ title, description }) {
+  const errors = {};
+
+  if (title !== undefined) {
+    if (typeof title !== 'string' || title.trim().length < 5) {
+      errors.title = 'Title must be at least 5 characters';
+    } else if (title.trim().length > 200) {
+      errors.title = 'Title cannot exceed 200 characters';
+    }
+  }
+  if (description !== undefined
+    && (typeof description !== 'string' || description.length < 10)) {
+    errors.description = 'Description must be at least 10 characters';
+  }
+
+  return errors;
+}
+
+/**
+ * Create a bug, start its history and publish it
+ *
+ * The bug goes to the project's default assignee, if any; the reporter
+ * and the assignee watch it. The title is trimmed and stored as plain
+ * text (it is escaped wherever it is output) and the Markdown description
+ * normalized here; length checks are left to the caller.
+ *
+ * @param {Object} project - Owning project document
+ * @param {Object} fields - { title, description, priority, tags }
+ * @param {{id: string, username: string}} actor - Reporter
+ * @returns {Promise<Object>} Created bug document
+ */
+async function createBug(project, fields, actor) {
+  const {
+    title, description, priority, tags,
+  } = fields;
+
+  const bug = await Bug.create({
+    project: project._id,
+    title: title.trim(),
+    description: normalizeMarkdown(description),
+    priority: priority || 'medium',
+    reportedBy: actor.id,
+    assignedTo: project.defaultAssignee || null,
+    watchers: [actor.id, project.defaultAssignee].filter(Boolean),
+    tags: tags || [],
+  });
+
+  // Start the history with the initial field values
+  await BugEvent.create({
+    bug: bug._id,
+    actor: actor.id,
+    action: 'created',
+    changes: diffSnapshots(snapshotBug({}), snapshotBug(bug)),
+  });
+  await publishBugEvent({ type: 'created', bug, actor });
+
+  return bug;
+}
+
+/**
+ * Check and apply a change to a bug without saving it
+ *
+ * The title and description are checked and cleaned the same way as
+ * when the bug is created.
+ *
+ * @param {Object} bug - Bug document
+ * @param {Object} fields - { title, description, status, priority,
+ *   assignedTo, tags, resolution, duplicateOf }; missing fields are left alone
+ * @param {Object} user - User making the change ({ id, role })
+ * @returns {Promise<void>}
+ * @throws {BugUpdateError} If the change is invalid or not allowed
+ */
+async function applyBugUpdate(bug, fields, user) {
+  const {
+    title, description, status, priority, assignedTo, tags, resolution, duplicateOf,
+  } = fields;
+
+  if (priority && !PRIORITIES.includes(priority)) {
+    throw new BugUpdateError(400, `Invalid priority. Must be one of: ${PRIORITIES.join(', ')}`);
+  }
+
+  const detailErrors = checkDetails({ title, description });
+  if (Object.keys(detailErrors).length > 0) {
+    throw new BugUpdateError(400, Object.values(detailErrors)[0], { errors: detailErrors });
+  }
+
+  // Check ownership and change-specific permissions
+  if (!hasPermission(user, 'bug:update', bug)) {
+    throw new BugUpdateError(403, FORBIDDEN_MESSAGE, { permission: 'bug:update' });
+  }
+
+  // Check the status change against the workflow
+  const statusChanged = Boolean(status) && status !== bug.status;
+  if (statusChanged) {
+    const check = workflow.validateTransition(bug.status, status, fields);
+
+    if (!check.ok) {
+      throw new BugUpdateError(400, check.error, { errors: check.errors });
+    }
+
+    const { permission } = check.transition;
+    if (permission && !hasPermission(user, permission)) {
+      throw new BugUpdateError(403, FORBIDDEN_MESSAGE, { permission });
+    }
+
+    if (check.transition.requires && check.transition.requires.includes('duplicateOf')) {
+      if (!isValidObjectId(duplicateOf) || String(duplicateOf) === String(bug._id)
+        || !(await Bug.exists({ _id: duplicateOf }))) {
+        throw new BugUpdateError(400, 'duplicateOf must be the ID of another existing bug', {
+          errors: { duplicateOf: 'Original bug not found' },
+        });
+      }
+    }
+  }
+  if (assignedTo !== undefined
+    && String(assignedTo || '') !== String(bug.assignedTo || '')
+    && !hasPermission(user, 'bug:assign')) {
+    throw new BugUpdateError(403, FORBIDDEN_MESSAGE, { permission: 'bug:assign' });
+  }
+  if (assignedTo) {
+    const assigneeError = await checkAssignee(assignedTo);
+    if (assigneeError) {
+      throw new BugUpdateError(400, assigneeError, { errors: { assignedTo: assigneeError } });
+    }
+  }
+
+  // Update status and the resolvedAt/closedAt bookkeeping
+  if (statusChanged) {
+    workflow.applyTransition(bug, status, { resolution, duplicateOf });
+  }
+
+  // Update other fields if provided
+  if (title !== undefined) {
+    bug.title = title.trim();
+  }
+  if (description !== undefined) {
+    bug.description = normalizeMarkdown(description);
+  }
+  if (priority) {
+    bug.priority = priority;
+  }
+  if (assignedTo !== undefined) {
+    bug.assignedTo = assignedTo || null;
+    bug.addWatcher(bug.assignedTo);
+  }
+  if (tags) {
+    bug.tags = tags;
+  }
+}
+
+/**
+ * Save a bug, record what changed in its history and publish the change
+ *
+ * The event carries the mentions and references the description had
+ * before, so only new ones are notified and linked.
+ *
+ * @param {Object} bug - Modified bug document
+ * @param {Object} before - snapshotBug() taken before the changes
+ * @param {{id: string, username: string}} actor - User who made the changes
+ * @returns {Promise<Array<Object>>} Recorded changes (empty if none)
+ */
+async function saveBugUpdate(bug, before, actor) {
+  // Saving resolves the mentions and references of a changed description
+  const previousMentions = (bug.mentions || []).map(String);
+  const previousReferences = (bug.references || []).map(String);
+  await bug.save();
+
+  const changes = diffSnapshots(before, snapshotBug(bug));
+  if (changes.length > 0) {
+    await BugEvent.create({
+      bug: bug._id,
+      actor: actor.id,
+      action: 'updated',
+      changes,
+    });
+    await publishBugEvent({
+      type: 'updated', bug, actor, changes, previousMentions, previousReferences,
+    });
+  }
+
+  return changes;
+}
+
+module.exports = {
+  BugUpdateError,
+  checkAssignee,
+  checkDetails,
+  createBug,
+  applyBugUpdate,
+  saveBugUpdate,
+};
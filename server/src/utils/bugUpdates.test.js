@@ -0,0 +1,94 @@
+// server/src/utils/bugUpdates.test.js
+// Unit tests for the shared bug update checks
+
+const { BugUpdateError, applyBugUpdate } = require('./bugUpdates');
+
+/**
+ * A bug stand-in with just the fields and methods updates touch
+ */
+const makeBug = (fields = {}) => ({
+  _id: 'b1',
+  status: 'open',
+  priority: 'medium',
+  reportedBy: 'u1',
+  assignedTo: null,
+  watchers: [],
+  addWatcher(userId) {
+    this.watchers.push(userId);
+  },
+  ...fields,
+});
+
+const maintainer = { id: 'u2', role: 'maintainer' };
+const reporter = { id: 'u1', role: 'reporter' };
+
+/**
+ * Run an update and return the error it throws
+ */
+const rejection = async (bug, fields, user) => {
+  try {
+    await applyBugUpdate(bug, fields, user);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the update to be rejected');
+};
+
+describe('applyBugUpdate', () => {
+  it('should apply a resolve transition with its bookkeeping', async () => {
+    const bug = makeBug();
+
+    await applyBugUpdate(bug, { status: 'resolved', resolution: 'Patched', priority: 'high' }, maintainer);
+
+    expect(bug.status).toBe('resolved');
+    expect(bug.resolution).toBe('Patched');
+    expect(bug.resolvedAt).toBeInstanceOf(Date);
+    expect(bug.priority).toBe('high');
+  });
+
+  it('should reject invalid changes with a 400', async () => {
+    const badPriority = await rejection(makeBug(), { priority: 'urgent' }, maintainer);
+    expect(badPriority).toBeInstanceOf(BugUpdateError);
+    expect(badPriority.status).toBe(400);
+
+    const noResolution = await rejection(makeBug(), { status: 'resolved' }, maintainer);
+    expect(noResolution.status).toBe(400);
+    expect(noResolution.errors).toHaveProperty('resolution');
+  });
+
+  it('should name the missing permission on a 403', async () => {
+    const notOwner = await rejection(makeBug({ reportedBy: 'u9' }), { priority: 'low' }, reporter);
+    expect(notOwner).toMatchObject({ status: 403, permission: 'bug:update' });
+
+    const cannotResolve = await rejection(makeBug(), { status: 'resolved', resolution: 'Patched' }, reporter);
+    expect(cannotResolve).toMatchObject({ status: 403, permission: 'bug:resolve' });
+
+    const cannotAssign = await rejection(makeBug(), { assignedTo: 'u3' }, reporter);
+    expect(cannotAssign).toMatchObject({ status: 403, permission: 'bug:assign' });
+  });
+
+  it('should edit the title and description like on create', async () => {
+    const bug = makeBug({ title: 'Old title', description: 'Old description text' });
+
+    await applyBugUpdate(bug, {
+      title: '  Crash on <Save>  ',
+      description: 'Steps:\r\n1. Save\r\n',
+    }, reporter);
+
+    expect(bug.title).toBe('Crash on <Save>');
+    expect(bug.description).toBe('Steps:\n1. Save\n');
+  });
+
+  it('should reject a title or description that is too short', async () => {
+    const error = await rejection(makeBug(), { title: 'Bug', description: 'Short' }, reporter);
+
+    expect(error.status).toBe(400);
+    expect(error.errors).toEqual({
+      title: 'Title must be at least 5 characters',
+      description: 'Description must be at least 10 characters',
+    });
+
+    const notText = await rejection(makeBug(), { title: { $ne: '' } }, reporter);
+    expect(notText.errors).toHaveProperty('title');
+  });
+});
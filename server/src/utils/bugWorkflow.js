@@ -0,0 +1,169 @@
+/**
+ * Bug Workflow Utilities
+ *
+ * Builds a status state machine from a workflow definition (see
+ * config/bugWorkflow.js) and applies transitions to bug documents,
+ * including the resolvedAt/closedAt bookkeeping.
+ */
+
+const defaultDefinition = require('../config/bugWorkflow');
+
+/**
+ * Create a workflow from a definition
+ *
+ * @param {Object} definition - Workflow definition
+ * @param {string} definition.initial - State new bugs start in
+ * @param {Object} definition.states - Map of state name to options
+ * @param {Array<Object>} definition.transitions - Allowed transitions
+ * @returns {Object} Workflow API
+ * @throws {Error} If the definition references unknown states
+ *
+ * @example
+ * const workflow = createWorkflow(definition);
+ * workflow.canTransition('open', 'in-progress'); // true
+ */
+function createWorkflow(definition) {
+  const stateNames = Object.keys(definition.states);
+
+  // Fail fast on typos in the definition
+  const assertState = (name) => {
+    if (!stateNames.includes(name)) {
+      throw new Error(`Unknown workflow state: ${name}`);
+    }
+  };
+
+  assertState(definition.initial);
+  definition.transitions.forEach((transition) => {
+    assertState(transition.to);
+    transition.from.forEach(assertState);
+  });
+
+  /**
+   * Find the transition between two states
+   *
+   * @param {string} from - Current state
+   * @param {string} to - Target state
+   * @returns {Object|null} Transition definition or null if not allowed
+   */
+  function getTransition(from, to) {
+    return definition.transitions.find(
+      (transition) => transition.to === to && transition.from.includes(from)
+    ) || null;
+  }
+
+  /**
+   * List the transitions available from a state
+   *
+   * @param {string} from - Current state
+   * @returns {Array<Object>} Transitions as { to, label, requires, permission }
+   */
+  function allowedTransitions(from) {
+    return definition.transitions
+      .filter((transition) => transition.from.includes(from))
+      .map((transition) => ({
+        to: transition.to,
+        label: definition.states[transition.to].label,
+        requires: transition.requires || [],
+        permission: transition.permission || null,
+      }));
+  }
+
+  /**
+   * Check a requested transition and its required fields
+   *
+   * @param {string} from - Current state
+   * @param {string} to - Target state
+   * @param {Object} [fields={}] - Values supplied with the request
+   * @returns {{ok: boolean, error?: string, errors?: Object, transition?: Object}}
+   */
+  function validateTransition(from, to, fields = {}) {
+    if (!stateNames.includes(to)) {
+      return {
+        ok: false,
+        error: `Invalid status. Must be one of: ${stateNames.join(', ')}`,
+      };
+    }
+
+    const transition = getTransition(from, to);
+    if (!transition) {
+      const allowed = allowedTransitions(from).map((t) => t.to);
+      return {
+        ok: false,
+        error: `Cannot change status from ${from} to ${to}. `
+          + `Allowed: ${allowed.join(', ') || 'none'}`,
+      };
+    }
+
+    const errors = {};
+    (transition.requires || []).forEach((field) => {
+      const value = fields[field];
+      if (value === undefined || value === null || String(value).trim() === '') {
+        errors[field] = `${field} is required when changing status to ${to}`;
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return {
+        ok: false,
+        error: `Missing required fields for status ${to}`,
+        errors,
+      };
+    }
+
+    return { ok: true, transition };
+  }
+
+  /**
+   * Move a bug to a new state and update its timestamps
+   *
+   * Does not validate; call validateTransition first.
+   *
+   * @param {Object} bug - Bug document
+   * @param {string} to - Target state
+   * @param {Object} [fields={}] - Values supplied with the request
+   * @param {Date} [now=new Date()] - Time of the change
+   */
+  function applyTransition(bug, to, fields = {}, now = new Date()) {
+    const state = definition.states[to];
+
+    bug.status = to;
+
+    if (fields.resolution !== undefined) {
+      bug.resolution = String(fields.resolution).trim();
+    }
+    if (fields.duplicateOf !== undefined) {
+      bug.duplicateOf = fields.duplicateOf;
+    }
+
+    if (state.resolved) {
+      bug.resolvedAt = now;
+      bug.closedAt = null;
+    }
+
+    if (state.closed) {
+      bug.closedAt = now;
+    }
+
+    if (state.reopen) {
+      bug.resolvedAt = null;
+      bug.closedAt = null;
+      bug.resolution = null;
+      bug.duplicateOf = null;
+    }
+  }
+
+  return {
+    initial: definition.initial,
+    states: stateNames,
+    definition,
+    getTransition,
+    allowedTransitions,
+    validateTransition,
+    applyTransition,
+  };
+}
+
+module.exports = {
+  createWorkflow,
+  workflow: createWorkflow(defaultDefinition),
+};
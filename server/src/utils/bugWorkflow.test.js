@@ -0,0 +1,112 @@
+// server/src/utils/bugWorkflow.test.js
+// Unit tests for the bug status state machine
+
+const { createWorkflow, workflow } = require('./bugWorkflow');
+
+describe('Bug Workflow', () => {
+  describe('createWorkflow', () => {
+    it('should reject definitions that reference unknown states', () => {
+      expect(() => createWorkflow({
+        initial: 'open',
+        states: { open: {} },
+        transitions: [{ from: ['open'], to: 'done' }],
+      })).toThrow('Unknown workflow state: done');
+    });
+
+    it('should support custom definitions', () => {
+      const custom = createWorkflow({
+        initial: 'new',
+        states: { new: { label: 'New' }, done: { label: 'Done', closed: true } },
+        transitions: [{ from: ['new'], to: 'done' }],
+      });
+
+      expect(custom.states).toEqual(['new', 'done']);
+      expect(custom.validateTransition('new', 'done').ok).toBe(true);
+      expect(custom.validateTransition('done', 'new').ok).toBe(false);
+    });
+  });
+
+  describe('validateTransition', () => {
+    it('should allow listed transitions', () => {
+      expect(workflow.validateTransition('open', 'in-progress').ok).toBe(true);
+    });
+
+    it('should reject transitions that are not listed', () => {
+      const result = workflow.validateTransition('closed', 'in-progress');
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain('Cannot change status from closed to in-progress');
+      expect(result.error).toContain('reopened');
+    });
+
+    it('should reject unknown states', () => {
+      const result = workflow.validateTransition('open', 'done');
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain('Invalid status');
+    });
+
+    it('should require a resolution note when resolving', () => {
+      const missing = workflow.validateTransition('in-progress', 'resolved', {});
+      const blank = workflow.validateTransition('in-progress', 'resolved', { resolution: '  ' });
+      const given = workflow.validateTransition('in-progress', 'resolved', { resolution: 'Fixed null check' });
+
+      expect(missing.ok).toBe(false);
+      expect(missing.errors).toHaveProperty('resolution');
+      expect(blank.ok).toBe(false);
+      expect(given.ok).toBe(true);
+      expect(given.transition.permission).toBe('bug:resolve');
+    });
+  });
+
+  describe('allowedTransitions', () => {
+    it('should list targets with labels and required fields', () => {
+      const transitions = workflow.allowedTransitions('resolved');
+
+      expect(transitions.map((t) => t.to)).toEqual(['closed', 'reopened']);
+      expect(transitions[0]).toEqual(expect.objectContaining({ label: 'Closed', requires: [] }));
+    });
+  });
+
+  describe('applyTransition', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+
+    it('should set resolvedAt and the resolution when resolving', () => {
+      const bug = { status: 'in-progress', resolvedAt: null, closedAt: null };
+
+      workflow.applyTransition(bug, 'resolved', { resolution: ' Fixed ' }, now);
+
+      expect(bug.status).toBe('resolved');
+      expect(bug.resolvedAt).toBe(now);
+      expect(bug.closedAt).toBeNull();
+      expect(bug.resolution).toBe('Fixed');
+    });
+
+    it('should set closedAt and keep resolvedAt when closing a resolved bug', () => {
+      const resolvedAt = new Date('2025-12-31T00:00:00Z');
+      const bug = { status: 'resolved', resolvedAt, closedAt: null };
+
+      workflow.applyTransition(bug, 'closed', {}, now);
+
+      expect(bug.closedAt).toBe(now);
+      expect(bug.resolvedAt).toBe(resolvedAt);
+    });
+
+    it('should clear timestamps and resolution when reopening', () => {
+      const bug = {
+        status: 'closed',
+        resolvedAt: new Date(),
+        closedAt: new Date(),
+        resolution: 'Fixed',
+        duplicateOf: null,
+      };
+
+      workflow.applyTransition(bug, 'reopened', {}, now);
+
+      expect(bug.status).toBe('reopened');
+      expect(bug.resolvedAt).toBeNull();
+      expect(bug.closedAt).toBeNull();
+      expect(bug.resolution).toBeNull();
+    });
+  });
+});
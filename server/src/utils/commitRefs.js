@@ -0,0 +1,65 @@
+/**
+ * Commit References
+ *
+ * Finds the bugs a commit message talks about. A reference is a keyword
+ * followed by one or more bugs:
+ *
+ *   Fixes WEB-42                  -> fix WEB-42
+ *   closes #WEB-7, WEB-8 and #9f… -> fix WEB-7, WEB-8 and the bug with that id
+ *   refs #507f1f77bcf86cd799439011 -> reference that bug
+ *
+ * Fixing keywords: fix, fixes, fixed, close, closes, closed, resolve,
+ * resolves, resolved. Referencing keywords: ref, refs, references, see.
+ * Keywords are case-insensitive and may be followed by a colon. Bugs are
+ * keys (WEB-42) or 24-character ids, optionally prefixed with #.
+ */
+
+const FIX_KEYWORDS = ['fix', 'fixes', 'fixed', 'close', 'closes', 'closed', 'resolve', 'resolves', 'resolved'];
+const REF_KEYWORDS = ['ref', 'refs', 'references', 'see'];
+
+const BUG_REF = '#?(?:[A-Za-z][A-Za-z0-9]*-[1-9]\\d*|[0-9a-fA-F]{24})\\b';
+
+const REFERENCE_PATTERN = new RegExp(
+  `\\b(${[...FIX_KEYWORDS, ...REF_KEYWORDS].join('|')}):?\\s+(${BUG_REF}(?:\\s*(?:,|\\band\\b)\\s*${BUG_REF})*)`,
+  'gi'
+);
+
+const SINGLE_REF_PATTERN = new RegExp(BUG_REF, 'g');
+
+/**
+ * Find the bug references in a commit message
+ *
+ * A bug mentioned by both a fixing and a referencing keyword counts as
+ * fixed. Refs are returned without the # prefix, keys upper-cased.
+ *
+ * @param {string} message - Commit message
+ * @returns {Array<{ref: string, action: string}>} References in order of
+ *   first mention; action is 'fixes' or 'references'
+ *
+ * @example
+ * parseCommitRefs('Fix login redirect\n\nFixes web-42, refs WEB-7');
+ * // [{ ref: 'WEB-42', action: 'fixes' }, { ref: 'WEB-7', action: 'references' }]
+ */
+function parseCommitRefs(message) {
+  const found = new Map();
+
+  for (const match of String(message || '').matchAll(REFERENCE_PATTERN)) {
+    const action = FIX_KEYWORDS.includes(match[1].toLowerCase()) ? 'fixes' : 'references';
+
+    (match[2].match(SINGLE_REF_PATTERN) || []).forEach((raw) => {
+      const ref = raw.replace(/^#/, '');
+      const normalized = ref.includes('-') ? ref.toUpperCase() : ref.toLowerCase();
+      if (!found.has(normalized) || action === 'fixes') {
+        found.set(normalized, action);
+      }
+    });
+  }
+
+  return [...found].map(([ref, action]) => ({ ref, action }));
+}
+
+module.exports = {
+  FIX_KEYWORDS,
+  REF_KEYWORDS,
+  parseCommitRefs,
+};
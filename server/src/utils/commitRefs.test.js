@@ -0,0 +1,35 @@
+// server/src/utils/commitRefs.test.js
+// Unit tests for finding bug references in commit messages
+
+const { parseCommitRefs } = require('./commitRefs');
+
+describe('parseCommitRefs', () => {
+  it('should find fixing and referencing keywords', () => {
+    expect(parseCommitRefs('Fix login redirect\n\nFixes web-42, refs WEB-7')).toEqual([
+      { ref: 'WEB-42', action: 'fixes' },
+      { ref: 'WEB-7', action: 'references' },
+    ]);
+  });
+
+  it('should accept ids, # prefixes, colons and lists', () => {
+    expect(parseCommitRefs('Closes: #WEB-1, WEB-2 and #507F1F77BCF86CD799439011')).toEqual([
+      { ref: 'WEB-1', action: 'fixes' },
+      { ref: 'WEB-2', action: 'fixes' },
+      { ref: '507f1f77bcf86cd799439011', action: 'fixes' },
+    ]);
+    expect(parseCommitRefs('refs #507f1f77bcf86cd799439011')).toEqual([
+      { ref: '507f1f77bcf86cd799439011', action: 'references' },
+    ]);
+  });
+
+  it('should treat a bug that is both fixed and referenced as fixed', () => {
+    expect(parseCommitRefs('See WEB-3. Resolved WEB-3')).toEqual([{ ref: 'WEB-3', action: 'fixes' }]);
+  });
+
+  it('should ignore bare mentions and words that only contain a keyword', () => {
+    expect(parseCommitRefs('Mention WEB-4 without a keyword')).toEqual([]);
+    expect(parseCommitRefs('prefixes WEB-5 and suffixed WEB-6')).toEqual([]);
+    expect(parseCommitRefs('fixes the WEB-7 crash')).toEqual([]);
+    expect(parseCommitRefs('')).toEqual([]);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Email Notifications
+ *
+ * Turns bug events (see utils/bugEvents) into emails:
+ *
+ * - assigned:  the new assignee, when a bug is assigned to them
+ * - status:    the bug's watchers, when its status changes
+ * - commented: the bug's watchers, when someone comments
+ * - mentioned: anyone @mentioned in a new bug or comment (or newly
+ *   mentioned in an edited description or comment), watching or not
+ *
+ * Each person gets at most one email per event; being assigned or
+ * mentioned wins over the general watcher email. The user who made the
+ * change is never emailed about it.
+ *
+ * Users choose per type whether they want email and whether it is sent
+ * immediately or held for a daily digest (emailPreferences on the User
+ * model). Every email carries an unsubscribe link that turns email off.
+ *
+ * Emails about a bug share a thread, and their Message-IDs name the bug,
+ * so replies (sent to MAIL_REPLY_TO) can be added to it as comments by
+ * the inbound email hook.
+ */
+
+const User = require('../models/User');
+const DigestEmailItem = require('../models/DigestEmailItem');
+const { workflow } = require('./bugWorkflow');
+const { generateUnsubscribeToken } = require('./auth');
+const { renderEmail, renderDigest } = require('./emailTemplates');
+const { mailer } = require('./mailer');
+const { bugMessageId, bugThreadId } = require('./emailReplies');
+const { eventMentions } = require('./mentions');
+
+/**
+ * How often digests are sent, in milliseconds, unless DIGEST_INTERVAL is set
+ */
+const DEFAULT_DIGEST_INTERVAL = 24 * 60 * 60 * 1000;
+
+/**
+ * Link that turns off a user's email
+ *
+ * @param {string} userId - User ID
+ * @returns {string} URL under API_URL
+ */
+function unsubscribeUrl(userId) {
+  const base = process.env.API_URL || 'http://localhost:5000';
+  return `${base}/api/users/unsubscribe?token=${encodeURIComponent(generateUnsubscribeToken(userId))}`;
+}
+
+/**
+ * Headers for notification emails: one-click unsubscribe (RFC 8058), and
+ * Auto-Submitted (RFC 3834) so out-of-office replies are not sent back
+ *
+ * @param {string} url - Unsubscribe link
+ * @returns {Object} Headers
+ */
+function notificationHeaders(url) {
+  return {
+    'Auto-Submitted': 'auto-generated',
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
+}
+
+/**
+ * Work out who should get an email about a bug event, and which
+ *
+ * @param {Object} event - Bug event
+ * @returns {Promise<Map<string, Object>>} Recipient ID -> { type,
+ *   summary, detail }
+ */
+async function planEmails(event) {
+  const { bug } = event;
+  const actor = (event.actor && event.actor.username) || 'Someone';
+  const ref = bug.key || `"${bug.title}"`;
+  const watchers = [...new Set((bug.watchers || []).map(String))];
+  const emails = new Map();
+
+  if (event.type === 'updated') {
+    const change = (field) => (event.changes || []).find((item) => item.field === field);
+
+    const status = change('status');
+    if (status) {
+      const state = workflow.definition.states[status.to];
+      const summary = `${actor} moved ${ref} to ${state ? state.label : status.to}`;
+      watchers.forEach((userId) => emails.set(userId, { type: 'status', summary, detail: null }));
+    }
+
+    const assignee = change('assignedTo');
+    if (assignee && assignee.to) {
+      emails.set(String(assignee.to), {
+        type: 'assigned',
+        summary: `${actor} assigned ${ref} to you`,
+        detail: null,
+      });
+    }
+  }
+
+  if (event.type === 'commented' && event.comment) {
+    watchers.forEach((userId) => emails.set(userId, {
+      type: 'commented',
+      summary: `${actor} commented on ${ref}`,
+      detail: event.comment.text,
+    }));
+  }
+
+  // Mentions were resolved to users when the text was saved
+  const mentionDetail = event.comment ? event.comment.text : bug.description;
+  eventMentions(event).forEach((userId) => emails.set(userId, {
+    type: 'mentioned',
+    summary: `${actor} mentioned you on ${ref}`,
+    detail: mentionDetail,
+  }));
+
+  if (event.actor) {
+    emails.delete(String(event.actor.id));
+  }
+  return emails;
+}
+
+/**
+ * Email the people a bug event concerns
+ *
+ * Subscribed to bug events in app.js. Immediate emails are handed to the
+ * mailer without waiting for delivery; failures are logged. Digest
+ * emails are stored until the next sendDigests().
+ *
+ * @param {Object} event - Bug event
+ * @returns {Promise<{sent: number, queued: number}>} Emails sent and queued
+ */
+async function emailWatchers(event) {
+  const emails = await planEmails(event);
+  if (emails.size === 0) return { sent: 0, queued: 0 };
+
+  const users = await User.find({ _id: { $in: [...emails.keys()] } })
+    .select('username email emailPreferences');
+
+  const digestItems = [];
+  let sent = 0;
+
+  users.forEach((user) => {
+    const email = emails.get(String(user._id));
+    const delivery = user.emailDelivery(email.type);
+
+    if (delivery === 'digest') {
+      digestItems.push({ recipient: user._id, bug: event.bug._id, ...email });
+    } else if (delivery === 'immediate') {
+      const url = unsubscribeUrl(String(user._id));
+      const content = renderEmail(email.type, {
+        recipient: user, bug: event.bug, ...email, unsubscribeUrl: url,
+      });
+
+      mailer.send({
+        to: user.email,
+        replyTo: process.env.MAIL_REPLY_TO || undefined,
+        ...content,
+        messageId: bugMessageId(event.bug._id),
+        references: bugThreadId(event.bug._id),
+        headers: notificationHeaders(url),
+      }).catch((error) => console.error('Email notification failed:', error));
+      sent += 1;
+    }
+  });
+
+  if (digestItems.length > 0) {
+    await DigestEmailItem.insertMany(digestItems);
+  }
+  return { sent, queued: digestItems.length };
+}
+
+/**
+ * Send every user with held emails their digest
+ *
+ * Items are removed once their digest is sent. Users who turned email
+ * off since the items were queued get nothing, and their items are
+ * dropped.
+ *
+ * @returns {Promise<number>} Digests sent
+ */
+async function sendDigests() {
+  const recipients = await DigestEmailItem.distinct('recipient');
+  let sent = 0;
+
+  for (const recipientId of recipients) {
+    const [user, items] = await Promise.all([
+      User.findById(recipientId).select('username email emailPreferences'),
+      DigestEmailItem.find({ recipient: recipientId })
+        .sort({ createdAt: 1 })
+        .populate('bug', 'key title'),
+    ]);
+    const ids = items.map((item) => item._id);
+    const live = items.filter((item) => item.bug);
+
+    if (user && live.length > 0 && user.emailPreferences.delivery !== 'off') {
+      const url = unsubscribeUrl(String(user._id));
+      try {
+        await mailer.send({
+          to: user.email,
+          ...renderDigest({ recipient: user, items: live, unsubscribeUrl: url }),
+          headers: notificationHeaders(url),
+        });
+        sent += 1;
+      } catch (error) {
+        // Keep the items for the next run
+        console.error('Digest email failed:', error);
+        continue;
+      }
+    }
+
+    await DigestEmailItem.deleteMany({ _id: { $in: ids } });
+  }
+
+  return sent;
+}
+
+/**
+ * Send digests on a timer
+ *
+ * Started by server/index.js. The timer does not keep the process alive.
+ *
+ * @param {number} [interval] - Milliseconds between runs (DIGEST_INTERVAL, or daily)
+ * @returns {function} Stops the timer
+ */
+function scheduleDigests(interval = Number(process.env.DIGEST_INTERVAL) || DEFAULT_DIGEST_INTERVAL) {
+  const timer = setInterval(() => {
+    sendDigests().catch((error) => console.error('Digest run failed:', error));
+  }, interval);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  planEmails,
+  emailWatchers,
+  sendDigests,
+  scheduleDigests,
+};
@@ -0,0 +1,81 @@
+// server/src/utils/emailNotifications.test.js
+// Unit tests for choosing who is emailed about bug events
+
+const { planEmails } = require('./emailNotifications');
+
+const bug = {
+  _id: 'b1', key: 'WEB-12', title: 'Login broken', watchers: ['u1', 'u2', 'u3'],
+};
+const actor = { id: 'u1', username: 'alice' };
+
+describe('Email Notifications', () => {
+  describe('planEmails', () => {
+    it('should email watchers about status changes, except the actor', async () => {
+      const emails = await planEmails({
+        type: 'updated', bug, actor, changes: [{ field: 'status', from: 'open', to: 'resolved' }],
+      });
+
+      expect([...emails.keys()]).toEqual(['u2', 'u3']);
+      expect(emails.get('u2')).toEqual({ type: 'status', summary: 'alice moved WEB-12 to Resolved', detail: null });
+    });
+
+    it('should send the new assignee an assignment email instead', async () => {
+      const emails = await planEmails({
+        type: 'updated',
+        bug,
+        actor,
+        changes: [
+          { field: 'status', from: 'open', to: 'in-progress' },
+          { field: 'assignedTo', from: null, to: 'u3' },
+        ],
+      });
+
+      expect(emails.get('u2').type).toBe('status');
+      expect(emails.get('u3')).toEqual({ type: 'assigned', summary: 'alice assigned WEB-12 to you', detail: null });
+    });
+
+    it('should send mentioned users a mention email, watching or not', async () => {
+      const comment = { text: '@bob @dave please look', mentions: ['u2', 'u4', 'u1'] };
+      const emails = await planEmails({
+        type: 'commented', bug, actor, comment,
+      });
+
+      expect(emails.get('u2')).toEqual({ type: 'mentioned', summary: 'alice mentioned you on WEB-12', detail: comment.text });
+      expect(emails.get('u3').type).toBe('commented');
+      expect(emails.get('u4').type).toBe('mentioned');
+      expect(emails.has('u1')).toBe(false);
+    });
+
+    it('should email users mentioned in a new bug\'s description', async () => {
+      const emails = await planEmails({
+        type: 'created', bug: { ...bug, description: 'cc @bob', mentions: ['u2'] }, actor,
+      });
+
+      expect([...emails.keys()]).toEqual(['u2']);
+      expect(emails.get('u2').detail).toBe('cc @bob');
+    });
+
+    it('should email users newly mentioned in an edited description', async () => {
+      const emails = await planEmails({
+        type: 'updated',
+        bug: { ...bug, description: 'cc @bob @carol', mentions: ['u2', 'u4'] },
+        actor,
+        changes: [{ field: 'description', from: 'cc @bob', to: 'cc @bob @carol' }],
+        previousMentions: ['u2'],
+      });
+
+      expect([...emails.keys()]).toEqual(['u4']);
+      expect(emails.get('u4')).toEqual({
+        type: 'mentioned', summary: 'alice mentioned you on WEB-12', detail: 'cc @bob @carol',
+      });
+    });
+
+    it('should skip events with nothing to email about', async () => {
+      const emails = await planEmails({
+        type: 'updated', bug, actor, changes: [{ field: 'priority', from: 'low', to: 'high' }],
+      });
+
+      expect(emails.size).toBe(0);
+    });
+  });
+});
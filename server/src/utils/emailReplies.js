@@ -0,0 +1,167 @@
+/**
+ * Email Replies
+ *
+ * Helpers for reading email sent to the tracker (see the inbound email
+ * hook in routes/integrations):
+ *
+ * - Notification emails carry Message-IDs naming their bug, so a reply's
+ *   In-Reply-To or References header leads back to the bug.
+ * - Subjects may name a bug by its key in brackets, as our notification
+ *   subjects do, e.g. "Re: [WEB-12] Login broken". Bare WORD-123 text
+ *   ("UTF-8", "ISO-8601") is not a key.
+ * - Only the new part of a message is kept: quoted text, the "On ...
+ *   wrote:" line above it, forwarded originals and signatures are cut.
+ */
+
+const crypto = require('crypto');
+const { MAIL_DOMAIN } = require('./mailer');
+
+/**
+ * Matches the bug id in one of our Message-IDs: <bug-<id>[.<random>]@domain>
+ */
+const BUG_MESSAGE_ID_PATTERN = /<bug-([0-9a-f]{24})(?:\.[0-9a-f]+)?@([^>]+)>/gi;
+
+/**
+ * Matches a bracketed bug key in a subject ([WEB-12])
+ */
+const SUBJECT_KEY_PATTERN = /\[\s*([A-Za-z][A-Za-z0-9]*-[1-9]\d*)\s*\]/g;
+
+/**
+ * Reply and forward prefixes stripped from subjects
+ */
+const SUBJECT_PREFIX_PATTERN = /^\s*((re|fwd?|aw|sv)\s*:\s*)+/i;
+
+/**
+ * Lines where the quoted or signature part of a message starts
+ */
+const CUT_LINE_PATTERNS = [
+  /^--\s*$/, // Signature delimiter
+  /^_{5,}\s*$/, // Outlook separator
+  /^-{3,}\s*(original message|forwarded message)\s*-{3,}\s*$/i,
+  /^sent from my /i,
+  /^get outlook for /i,
+];
+
+/**
+ * Message-ID for a notification about a bug
+ *
+ * @param {string} bugId - Bug ID
+ * @returns {string} Unique Message-ID naming the bug
+ */
+function bugMessageId(bugId) {
+  return `<bug-${bugId}.${crypto.randomBytes(6).toString('hex')}@${MAIL_DOMAIN}>`;
+}
+
+/**
+ * Message-ID every notification about a bug refers to, so mail clients
+ * thread them together
+ *
+ * @param {string} bugId - Bug ID
+ * @returns {string} Message-ID
+ */
+function bugThreadId(bugId) {
+  return `<bug-${bugId}@${MAIL_DOMAIN}>`;
+}
+
+/**
+ * Find the bug a reply is about from its In-Reply-To/References headers
+ *
+ * @param {...(string|Array<string>)} headers - Header values
+ * @returns {string|null} Bug ID from the first of our Message-IDs found
+ */
+function findThreadedBugId(...headers) {
+  const text = headers.flat().filter(Boolean).join(' ');
+  for (const match of text.matchAll(BUG_MESSAGE_ID_PATTERN)) {
+    if (match[2].toLowerCase() === MAIL_DOMAIN) {
+      return match[1].toLowerCase();
+    }
+  }
+  return null;
+}
+
+/**
+ * Bracketed bug keys named in a subject, in order
+ *
+ * @param {string} subject - Email subject
+ * @returns {Array<string>} Keys, upper-cased
+ */
+function findSubjectKeys(subject) {
+  return [...String(subject || '').matchAll(SUBJECT_KEY_PATTERN)]
+    .map((match) => match[1].toUpperCase());
+}
+
+/**
+ * Strip Re:/Fwd: prefixes from a subject
+ *
+ * @param {string} subject - Email subject
+ * @returns {string} Subject text
+ *
+ * @example
+ * cleanSubject('Re: Fwd: Checkout fails'); // 'Checkout fails'
+ */
+function cleanSubject(subject) {
+  return String(subject || '').replace(SUBJECT_PREFIX_PATTERN, '').trim();
+}
+
+/**
+ * Whether lines[index] starts an attribution such as
+ * "On Mon, 1 Jan 2024, Alice <a@example.com> wrote:", which clients
+ * sometimes wrap over two lines
+ */
+function isAttribution(lines, index) {
+  const line = lines[index].trim();
+  if (!/^on\s/i.test(line)) return false;
+  if (/wrote:$/i.test(line)) return true;
+  return index + 1 < lines.length && /wrote:$/i.test(lines[index + 1].trim());
+}
+
+/**
+ * Whether lines[index] starts an Outlook-style quoted header block
+ * ("From: ..." followed by "Sent:" or "Date:")
+ */
+function isQuotedHeader(lines, index) {
+  return /^from:\s/i.test(lines[index].trim())
+    && lines.slice(index + 1, index + 4).some((line) => /^(sent|date):\s/i.test(line.trim()));
+}
+
+/**
+ * Keep only the new text of an email
+ *
+ * Everything from the first signature delimiter, attribution line,
+ * forwarded/original message separator or quoted header block on is
+ * dropped, as are lines quoted with ">".
+ *
+ * @param {string} text - Plain-text body
+ * @returns {string} New text, trimmed
+ *
+ * @example
+ * extractReply('Still broken.\n\nOn Mon, Bob wrote:\n> Fixed?\n');
+ * // 'Still broken.'
+ */
+function extractReply(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const kept = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    if (CUT_LINE_PATTERNS.some((pattern) => pattern.test(line))
+      || isAttribution(lines, index)
+      || isQuotedHeader(lines, index)) {
+      break;
+    }
+    if (!/^\s*>/.test(line)) {
+      kept.push(line.trimEnd());
+    }
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+module.exports = {
+  bugMessageId,
+  bugThreadId,
+  findThreadedBugId,
+  findSubjectKeys,
+  cleanSubject,
+  extractReply,
+};
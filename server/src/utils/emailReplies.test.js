@@ -0,0 +1,60 @@
+// server/src/utils/emailReplies.test.js
+// Unit tests for reading replies sent to the tracker
+
+const {
+  bugMessageId,
+  bugThreadId,
+  findThreadedBugId,
+  findSubjectKeys,
+  cleanSubject,
+  extractReply,
+} = require('./emailReplies');
+
+const BUG_ID = '507f1f77bcf86cd799439011';
+
+describe('Email Replies', () => {
+  describe('findThreadedBugId', () => {
+    it('should find the bug in our notification Message-IDs', () => {
+      expect(findThreadedBugId(bugMessageId(BUG_ID))).toBe(BUG_ID);
+      expect(findThreadedBugId(undefined, ['<other@example.com>', bugThreadId(BUG_ID)])).toBe(BUG_ID);
+    });
+
+    it('should ignore Message-IDs from other domains', () => {
+      expect(findThreadedBugId(`<bug-${BUG_ID}@example.com>`)).toBeNull();
+      expect(findThreadedBugId(undefined, undefined)).toBeNull();
+    });
+  });
+
+  describe('subjects', () => {
+    it('should find bug keys and strip reply prefixes', () => {
+      expect(findSubjectKeys('Re: [web-12] Login broken (see [ WEB-3 ])')).toEqual(['WEB-12', 'WEB-3']);
+      expect(cleanSubject('RE: Fwd: Checkout fails ')).toBe('Checkout fails');
+      expect(cleanSubject(undefined)).toBe('');
+    });
+
+    it('should not take words with numbers for bug keys', () => {
+      expect(findSubjectKeys('UTF-8 garbled in exports')).toEqual([]);
+      expect(findSubjectKeys('COVID-19 form rejects dates')).toEqual([]);
+      expect(findSubjectKeys('ISO-8601 dates shown as WEB-12')).toEqual([]);
+    });
+  });
+
+  describe('extractReply', () => {
+    it('should drop quoted text and the attribution line', () => {
+      const text = 'Still broken on Safari.\r\n\r\nOn Mon, 1 Jan 2024 at 10:00, Bob <bob@example.com>\r\nwrote:\r\n> Is it fixed?\r\n';
+
+      expect(extractReply(text)).toBe('Still broken on Safari.');
+    });
+
+    it('should cut signatures, forwarded originals and Outlook headers', () => {
+      expect(extractReply('Thanks!\n-- \nAlice\nACME Corp')).toBe('Thanks!');
+      expect(extractReply('See below\n\n-----Original Message-----\nFrom: Bob')).toBe('See below');
+      expect(extractReply('Works now\n\nFrom: Bob <bob@example.com>\nSent: Monday\nSubject: Re: WEB-1')).toBe('Works now');
+      expect(extractReply('Quick note\n\nSent from my iPhone')).toBe('Quick note');
+    });
+
+    it('should keep inline text between quotes', () => {
+      expect(extractReply('> question one\nanswer one\n> question two\nanswer two')).toBe('answer one\nanswer two');
+    });
+  });
+});
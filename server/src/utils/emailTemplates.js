@@ -0,0 +1,168 @@
+/**
+ * Email Templates
+ *
+ * Renders notification emails as { subject, text, html }. Every email
+ * has the same layout: a greeting, the summary line, an optional quoted
+ * detail (such as the comment), a link to the bug and an unsubscribe
+ * footer. Templates only choose the subject and the wording around it.
+ *
+ * All values are escaped in the HTML version.
+ */
+
+/**
+ * Templates by email type (see config/emailPreferences.js)
+ *
+ * - subject: Subject line for the bug
+ * - detailLabel: Heading shown above the detail, if any
+ */
+const TEMPLATES = {
+  assigned: {
+    subject: (bug) => `[${bug.key}] Assigned to you: ${bug.title}`,
+  },
+  status: {
+    subject: (bug) => `[${bug.key}] Status changed: ${bug.title}`,
+  },
+  commented: {
+    subject: (bug) => `[${bug.key}] New comment: ${bug.title}`,
+    detailLabel: 'Comment',
+  },
+  mentioned: {
+    subject: (bug) => `[${bug.key}] You were mentioned: ${bug.title}`,
+    detailLabel: 'Comment',
+  },
+};
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Link to a bug in the web app
+ *
+ * The list has no per-bug page, so this filters it to the bug's key
+ * (or searches for the title of a bug saved before keys existed).
+ *
+ * @param {Object} bug - Bug ({ key, title })
+ * @returns {string} URL under CLIENT_URL
+ */
+function bugUrl(bug) {
+  const base = process.env.CLIENT_URL || 'http://localhost:3000';
+  return bug.key
+    ? `${base}/?query=${encodeURIComponent(`key:${bug.key}`)}`
+    : `${base}/?q=${encodeURIComponent(`"${bug.title}"`)}`;
+}
+
+/**
+ * Render the footer that explains why the email was sent
+ */
+function footer(unsubscribeUrl) {
+  return {
+    text: `You get these emails because of your Bug Tracker email preferences.\nUnsubscribe: ${unsubscribeUrl}`,
+    html: `<p style="color:#666;font-size:12px">You get these emails because of your Bug Tracker email preferences. <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`,
+  };
+}
+
+/**
+ * Render one notification email
+ *
+ * @param {string} type - Email type (assigned, status, commented, mentioned)
+ * @param {Object} context
+ * @param {Object} context.recipient - { username }
+ * @param {Object} context.bug - { key, title }
+ * @param {string} context.summary - e.g. "alice moved WEB-12 to Resolved"
+ * @param {string} [context.detail] - Quoted text such as the comment
+ * @param {string} context.unsubscribeUrl - Link that turns email off
+ * @returns {{subject: string, text: string, html: string}} Email content
+ * @throws {Error} For unknown types
+ *
+ * @example
+ * renderEmail('status', { recipient, bug, summary: 'alice moved WEB-12 to Resolved', unsubscribeUrl });
+ * // { subject: '[WEB-12] Status changed: Login fails', text: 'Hi bob, ...', html: '<p>Hi bob,</p>...' }
+ */
+function renderEmail(type, {
+  recipient, bug, summary, detail, unsubscribeUrl,
+}) {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown email type: ${type}`);
+  }
+
+  const link = bugUrl(bug);
+  const end = footer(unsubscribeUrl);
+
+  const text = [
+    `Hi ${recipient.username},`,
+    `${summary}.`,
+    detail ? `${template.detailLabel}:\n${detail.split('\n').map((line) => `> ${line}`).join('\n')}` : null,
+    `View the bug: ${link}`,
+    '--',
+    end.text,
+  ].filter(Boolean).join('\n\n');
+
+  const html = [
+    `<p>Hi ${escapeHtml(recipient.username)},</p>`,
+    `<p>${escapeHtml(summary)}.</p>`,
+    detail ? `<p><strong>${template.detailLabel}:</strong></p><blockquote style="white-space:pre-wrap">${escapeHtml(detail)}</blockquote>` : null,
+    `<p><a href="${escapeHtml(link)}">View ${escapeHtml(bug.key)}</a></p>`,
+    '<hr>',
+    end.html,
+  ].filter(Boolean).join('\n');
+
+  return { subject: template.subject(bug), text, html };
+}
+
+/**
+ * Render a daily digest
+ *
+ * @param {Object} context
+ * @param {Object} context.recipient - { username }
+ * @param {Array<Object>} context.items - { bug: { key, title }, summary,
+ *   detail } in the order they happened
+ * @param {string} context.unsubscribeUrl - Link that turns email off
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+function renderDigest({ recipient, items, unsubscribeUrl }) {
+  const end = footer(unsubscribeUrl);
+  const count = `${items.length} update${items.length === 1 ? '' : 's'}`;
+
+  const text = [
+    `Hi ${recipient.username},`,
+    `Here is what happened on your bugs:`,
+    items.map((item) => [
+      `* ${item.summary}`,
+      item.detail ? `  > ${item.detail.replace(/\n/g, '\n  > ')}` : null,
+      `  ${bugUrl(item.bug)}`,
+    ].filter(Boolean).join('\n')).join('\n\n'),
+    '--',
+    end.text,
+  ].join('\n\n');
+
+  const html = [
+    `<p>Hi ${escapeHtml(recipient.username)},</p>`,
+    '<p>Here is what happened on your bugs:</p>',
+    '<ul>',
+    ...items.map((item) => `<li><a href="${escapeHtml(bugUrl(item.bug))}">${escapeHtml(item.summary)}</a>${
+      item.detail ? `<blockquote style="white-space:pre-wrap">${escapeHtml(item.detail)}</blockquote>` : ''
+    }</li>`),
+    '</ul>',
+    '<hr>',
+    end.html,
+  ].join('\n');
+
+  return { subject: `Bug Tracker digest: ${count}`, text, html };
+}
+
+module.exports = {
+  escapeHtml,
+  bugUrl,
+  renderEmail,
+  renderDigest,
+};
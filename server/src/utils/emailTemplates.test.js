@@ -0,0 +1,74 @@
+// server/src/utils/emailTemplates.test.js
+// Unit tests for notification email rendering
+
+const { renderEmail, renderDigest, bugUrl } = require('./emailTemplates');
+
+const recipient = { username: 'bob' };
+const bug = { key: 'WEB-12', title: 'Login <button> broken' };
+const unsubscribeUrl = 'http://localhost:5000/api/users/unsubscribe?token=abc';
+
+describe('Email Templates', () => {
+  describe('bugUrl', () => {
+    it('should link to the bug by key, or by title before keys existed', () => {
+      expect(bugUrl(bug)).toBe('http://localhost:3000/?query=key%3AWEB-12');
+      expect(bugUrl({ title: 'Login broken' })).toBe('http://localhost:3000/?q=%22Login%20broken%22');
+    });
+  });
+
+  describe('renderEmail', () => {
+    it('should render the subject, summary, quoted detail, link and unsubscribe footer', () => {
+      const email = renderEmail('commented', {
+        recipient, bug, summary: 'alice commented on WEB-12', detail: 'Still broken\non Safari', unsubscribeUrl,
+      });
+
+      expect(email.subject).toBe('[WEB-12] New comment: Login <button> broken');
+      expect(email.text).toContain('Hi bob,');
+      expect(email.text).toContain('alice commented on WEB-12.');
+      expect(email.text).toContain('> Still broken\n> on Safari');
+      expect(email.text).toContain(bugUrl(bug));
+      expect(email.text).toContain(`Unsubscribe: ${unsubscribeUrl}`);
+    });
+
+    it('should escape values in the HTML version', () => {
+      const email = renderEmail('mentioned', {
+        recipient, bug, summary: 'alice mentioned you on WEB-12', detail: '<script>alert(1)</script>', unsubscribeUrl,
+      });
+
+      expect(email.subject).toBe('[WEB-12] You were mentioned: Login <button> broken');
+      expect(email.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(email.html).not.toContain('<script>');
+      expect(email.html).toContain(`href="${unsubscribeUrl}"`);
+    });
+
+    it('should leave out the detail block when there is none', () => {
+      const email = renderEmail('assigned', {
+        recipient, bug, summary: 'alice assigned WEB-12 to you', unsubscribeUrl,
+      });
+
+      expect(email.subject).toBe('[WEB-12] Assigned to you: Login <button> broken');
+      expect(email.text).not.toContain('Comment:');
+    });
+
+    it('should reject unknown types', () => {
+      expect(() => renderEmail('exploded', { recipient, bug, unsubscribeUrl })).toThrow('Unknown email type: exploded');
+    });
+  });
+
+  describe('renderDigest', () => {
+    it('should list every item in one email', () => {
+      const email = renderDigest({
+        recipient,
+        items: [
+          { bug, summary: 'alice moved WEB-12 to Resolved' },
+          { bug: { key: 'WEB-13', title: 'Crash' }, summary: 'carol commented on WEB-13', detail: 'Fixed?' },
+        ],
+        unsubscribeUrl,
+      });
+
+      expect(email.subject).toBe('Bug Tracker digest: 2 updates');
+      expect(email.text).toContain('* alice moved WEB-12 to Resolved');
+      expect(email.text).toContain('* carol commented on WEB-13\n  > Fixed?');
+      expect(email.html.match(/<li>/g)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * File Type Sniffing
+ *
+ * Works out a file's type from its first bytes, so uploads are judged by
+ * what they contain rather than by their name or the type the browser
+ * claimed. Anything that is not a known binary format but decodes as
+ * UTF-8 without NUL bytes counts as plain text (logs, JSON, stack traces).
+ */
+
+/**
+ * Bytes read when deciding whether a file is text
+ */
+const TEXT_SAMPLE_SIZE = 8192;
+
+/**
+ * Known formats by signature
+ *
+ * - bytes: the leading bytes, one character per byte
+ * - check: extra test for formats whose signature is not enough
+ */
+const SIGNATURES = [
+  { type: 'image/png', bytes: '\x89PNG\r\n\x1a\n' },
+  { type: 'image/jpeg', bytes: '\xff\xd8\xff' },
+  { type: 'image/gif', bytes: 'GIF87a' },
+  { type: 'image/gif', bytes: 'GIF89a' },
+  {
+    type: 'image/webp',
+    bytes: 'RIFF',
+    check: (buffer) => matches(buffer, 'WEBP', 8),
+  },
+  { type: 'application/pdf', bytes: '%PDF-' },
+  { type: 'application/zip', bytes: 'PK\x03\x04' },
+  { type: 'application/zip', bytes: 'PK\x05\x06' },
+  { type: 'application/gzip', bytes: '\x1f\x8b' },
+];
+
+/**
+ * Whether buffer holds `bytes` at `offset`
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} bytes - Expected bytes, one character per byte
+ * @param {number} [offset=0] - Where they should start
+ * @returns {boolean} True on a match
+ */
+function matches(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  for (let index = 0; index < bytes.length; index += 1) {
+    if (buffer[offset + index] !== bytes.charCodeAt(index)) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a buffer looks like UTF-8 text
+ *
+ * Only the first TEXT_SAMPLE_SIZE bytes are checked; a multi-byte
+ * character cut off at the end of the sample is allowed.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True for text
+ */
+function isText(buffer) {
+  const sample = buffer.subarray(0, TEXT_SAMPLE_SIZE);
+  if (sample.length === 0 || sample.includes(0)) return false;
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Detect a file's type from its contents
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if unrecognised
+ *
+ * @example
+ * sniffMimeType(fs.readFileSync('screenshot.png')); // 'image/png'
+ * sniffMimeType(Buffer.from('ERROR at line 3'));     // 'text/plain'
+ */
+function sniffMimeType(buffer) {
+  const known = SIGNATURES.find((signature) => matches(buffer, signature.bytes)
+    && (!signature.check || signature.check(buffer)));
+  if (known) return known.type;
+
+  return isText(buffer) ? 'text/plain' : null;
+}
+
+module.exports = {
+  sniffMimeType,
+};
@@ -0,0 +1,43 @@
+// server/src/utils/fileTypes.test.js
+// Unit tests for file type sniffing
+
+const { sniffMimeType } = require('./fileTypes');
+
+describe('File Types', () => {
+  describe('sniffMimeType', () => {
+    it('should recognise binary formats by their signature', () => {
+      expect(sniffMimeType(Buffer.from('\x89PNG\r\n\x1a\n....', 'latin1'))).toBe('image/png');
+      expect(sniffMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+      expect(sniffMimeType(Buffer.from('GIF89a....'))).toBe('image/gif');
+      expect(sniffMimeType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1'))).toBe('image/webp');
+      expect(sniffMimeType(Buffer.from('%PDF-1.7\n'))).toBe('application/pdf');
+      expect(sniffMimeType(Buffer.from('PK\x03\x04....', 'latin1'))).toBe('application/zip');
+      expect(sniffMimeType(Buffer.from([0x1f, 0x8b, 0x08, 0x00]))).toBe('application/gzip');
+    });
+
+    it('should not take other RIFF files for WebP', () => {
+      expect(sniffMimeType(Buffer.from('RIFF\x00\x00\x00\x00WAVEfmt ', 'latin1'))).toBeNull();
+    });
+
+    it('should treat UTF-8 without NUL bytes as plain text', () => {
+      expect(sniffMimeType(Buffer.from('TypeError: x is undefined\n  at app.js:3 – café'))).toBe('text/plain');
+      expect(sniffMimeType(Buffer.from('{"level":"error"}'))).toBe('text/plain');
+    });
+
+    it('should treat HTML as plain text, not markup', () => {
+      // Served as text/plain with nosniff, so it never renders
+      expect(sniffMimeType(Buffer.from('<html><script>alert(1)</script></html>'))).toBe('text/plain');
+    });
+
+    it('should allow a multi-byte character cut off by the sample', () => {
+      const text = Buffer.concat([Buffer.alloc(8191, 'a'), Buffer.from('é')]);
+      expect(sniffMimeType(text)).toBe('text/plain');
+    });
+
+    it('should reject unknown binary content and empty files', () => {
+      expect(sniffMimeType(Buffer.from([0x4d, 0x5a, 0x90, 0x00]))).toBeNull();
+      expect(sniffMimeType(Buffer.from([0xc3, 0x28]))).toBeNull();
+      expect(sniffMimeType(Buffer.alloc(0))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Mailer
+ *
+ * Sends email through a pluggable transport. A transport is any object
+ * with
+ *
+ *   send(message) -> Promise<{ messageId }>
+ *
+ * where message is { from, to, subject, text, html, headers, messageId,
+ * references }. A messageId in the message is kept, so replies can be
+ * threaded. Three transports are provided:
+ *
+ * - smtp:   delivers through an SMTP server (nodemailer)
+ * - file:   writes each message as JSON to a directory, for development
+ * - memory: keeps messages in `sent`, for tests
+ *
+ * The default mailer picks its transport from MAIL_TRANSPORT (memory
+ * under test, file otherwise) and is created on first use, so SMTP
+ * settings are only read when mail is actually sent.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Domain used in generated Message-IDs
+ */
+const MAIL_DOMAIN = 'bugtracker.local';
+
+/**
+ * Sender used when MAIL_FROM is not set
+ */
+const DEFAULT_FROM = `Bug Tracker <no-reply@${MAIL_DOMAIN}>`;
+
+/**
+ * Directory the file transport writes to when MAIL_DIR is not set
+ */
+const DEFAULT_MAIL_DIR = 'mail';
+
+/**
+ * Make a message id for transports that do not assign their own
+ */
+function generateMessageId() {
+  return `<${crypto.randomUUID()}@${MAIL_DOMAIN}>`;
+}
+
+/**
+ * Create a transport that delivers through an SMTP server
+ *
+ * @param {Object} [options] - nodemailer SMTP options; defaults come from
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+ * @returns {{send: function}} Transport
+ */
+function createSmtpTransport(options = {}) {
+  // Loaded here so the other transports work without it
+  const nodemailer = require('nodemailer');
+
+  const smtp = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    ...options,
+  });
+
+  return {
+    async send(message) {
+      const info = await smtp.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+/**
+ * Create a transport that writes messages to JSON files
+ *
+ * @param {string} [dir] - Output directory (MAIL_DIR, or ./mail)
+ * @returns {{send: function, dir: string}} Transport
+ */
+function createFileTransport(dir = process.env.MAIL_DIR || DEFAULT_MAIL_DIR) {
+  return {
+    dir,
+    async send(message) {
+      const messageId = message.messageId || generateMessageId();
+      const file = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, file), JSON.stringify({ ...message, messageId }, null, 2));
+      return { messageId };
+    },
+  };
+}
+
+/**
+ * Create a transport that keeps messages in memory
+ *
+ * @returns {{send: function, sent: Array<Object>, clear: function}} Transport
+ */
+function createMemoryTransport() {
+  const sent = [];
+
+  return {
+    sent,
+    async send(message) {
+      const messageId = message.messageId || generateMessageId();
+      sent.push({ ...message, messageId });
+      return { messageId };
+    },
+    clear() {
+      sent.length = 0;
+    },
+  };
+}
+
+/**
+ * Create the transport named by MAIL_TRANSPORT
+ *
+ * @returns {{send: function}} Transport
+ * @throws {Error} For unknown transport names
+ */
+function transportFromEnv() {
+  const name = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+}
+
+/**
+ * Create a mailer
+ *
+ * @param {Object} [options]
+ * @param {Object|function} [options.transport] - Transport, or a function
+ *   that creates one on first use (default: transportFromEnv)
+ * @param {string} [options.from] - Sender (MAIL_FROM, or DEFAULT_FROM)
+ * @returns {Object} Mailer with send(message) and the transport getter
+ *
+ * @example
+ * const mailer = createMailer({ transport: createMemoryTransport() });
+ * await mailer.send({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+ * mailer.transport.sent; // [{ messageId, from, to, subject, text }]
+ */
+function createMailer({ transport = transportFromEnv, from } = {}) {
+  let current = typeof transport === 'function' ? null : transport;
+
+  return {
+    get transport() {
+      if (!current) current = transport();
+      return current;
+    },
+
+    /**
+     * Send a message
+     *
+     * @param {Object} message - { to, subject, text, html, headers }
+     * @returns {Promise<{messageId: string}>} Transport result
+     */
+    send(message) {
+      return this.transport.send({
+        from: from || process.env.MAIL_FROM || DEFAULT_FROM,
+        ...message,
+      });
+    },
+  };
+}
+
+/**
+ * The application's mailer
+ */
+const mailer = createMailer();
+
+module.exports = {
+  MAIL_DOMAIN,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+  createMailer,
+  mailer,
+};
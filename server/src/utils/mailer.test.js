@@ -0,0 +1,66 @@
+// server/src/utils/mailer.test.js
+// Unit tests for the mailer and its transports
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  createFileTransport,
+  createMemoryTransport,
+  createMailer,
+} = require('./mailer');
+
+describe('Mailer', () => {
+  describe('createMailer', () => {
+    it('should send through the transport with a default sender', async () => {
+      const transport = createMemoryTransport();
+      const mailer = createMailer({ transport });
+
+      const info = await mailer.send({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+
+      expect(info.messageId).toMatch(/^<.+@bugtracker\.local>$/);
+      expect(transport.sent).toEqual([{
+        messageId: info.messageId,
+        from: 'Bug Tracker <no-reply@bugtracker.local>',
+        to: 'a@example.com',
+        subject: 'Hi',
+        text: 'Hello',
+      }]);
+    });
+
+    it('should create a lazy transport on first use only', async () => {
+      const factory = jest.fn(createMemoryTransport);
+      const mailer = createMailer({ transport: factory, from: 'bot@example.com' });
+      expect(factory).not.toHaveBeenCalled();
+
+      await mailer.send({ to: 'a@example.com', subject: 'One' });
+      await mailer.send({ to: 'b@example.com', subject: 'Two' });
+
+      expect(factory).toHaveBeenCalledTimes(1);
+      expect(mailer.transport.sent.map((message) => message.from)).toEqual(['bot@example.com', 'bot@example.com']);
+    });
+  });
+
+  describe('createFileTransport', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should write each message to a JSON file', async () => {
+      const transport = createFileTransport(path.join(dir, 'out'));
+
+      const { messageId } = await transport.send({ to: 'a@example.com', subject: 'Hi' });
+
+      const files = await fs.readdir(path.join(dir, 'out'));
+      expect(files).toHaveLength(1);
+      const written = JSON.parse(await fs.readFile(path.join(dir, 'out', files[0]), 'utf8'));
+      expect(written).toEqual({ messageId, to: 'a@example.com', subject: 'Hi' });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Markdown Rendering
+ *
+ * Bug descriptions and comments are stored as the Markdown the user
+ * wrote and rendered here into HTML, which the Bug model keeps next to
+ * the source (descriptionHtml, comments.textHtml) so clients never render
+ * Markdown themselves.
+ *
+ * Raw HTML in the source is shown as text (markdown-it's html option is
+ * off), and the output is passed through an allowlist sanitizer as well,
+ * so no script, style, event handler or javascript: URL can get through
+ * even if the renderer misbehaves. External links open in a new tab with
+ * rel="nofollow noopener noreferrer"; links to bugs stay in the app.
+ *
+ * Given the users and bugs the text names (see utils/mentions), known
+ * @mentions are wrapped in <span class="mention"> and known #WEB-12
+ * references become links to the bug. Unknown ones stay plain text, as
+ * do any in code or inside links.
+ */
+
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const { MENTION_PATTERN, BUG_REF_PATTERN, trimMention } = require('./mentions');
+
+/**
+ * Longest source accepted by the preview endpoint
+ */
+const MAX_MARKDOWN_LENGTH = 50000;
+
+const markdown = new MarkdownIt({
+  html: false,
+  linkify: true,
+  breaks: true,
+});
+
+/**
+ * A mention or a bug reference, whichever comes first
+ */
+const REFERENCE_PATTERN = new RegExp(`${MENTION_PATTERN.source}|${BUG_REF_PATTERN.source}`, 'g');
+
+/**
+ * Link to a bug in the client's bug list, filtered to its key
+ *
+ * Keys never change, so stored HTML keeps pointing at the right bug
+ * after it is renamed.
+ *
+ * @param {Object} bug - Bug with key
+ * @returns {string} Relative URL
+ */
+function bugLink(bug) {
+  return `/?query=${encodeURIComponent(`key:${bug.key}`)}`;
+}
+
+/**
+ * Split a text token around the known mentions and references in it
+ *
+ * @param {Object} state - markdown-it core state
+ * @param {Object} token - Text token
+ * @param {{users: Map, bugs: Map}} links - Known users and bugs
+ * @returns {Array<Object>} Tokens replacing the text token
+ */
+function splitReferences(state, token, links) {
+  const tokens = [];
+  const { content } = token;
+  let position = 0;
+
+  const pushText = (text) => {
+    if (!text) return;
+    const textToken = new state.Token('text', '', 0);
+    textToken.content = text;
+    tokens.push(textToken);
+  };
+
+  for (const match of content.matchAll(REFERENCE_PATTERN)) {
+    const isMention = match[2] !== undefined;
+    const start = match.index + (isMention ? match[1] : match[3]).length;
+    let label;
+    let open;
+
+    if (isMention) {
+      const name = trimMention(match[2]);
+      const user = links.users.get(name);
+      if (!user) continue;
+
+      label = `@${name}`;
+      open = new state.Token('mention_open', 'span', 1);
+      open.attrSet('class', 'mention');
+    } else {
+      const bug = links.bugs.get(match[4].toUpperCase());
+      if (!bug) continue;
+
+      label = `#${match[4]}`;
+      open = new state.Token('link_open', 'a', 1);
+      open.attrSet('href', bugLink(bug));
+      open.attrSet('class', 'bug-ref');
+      open.attrSet('title', bug.title);
+    }
+
+    pushText(content.slice(position, start));
+    tokens.push(open);
+    pushText(label);
+    tokens.push(new state.Token(open.type.replace('_open', '_close'), open.tag, -1));
+    position = start + label.length;
+  }
+
+  if (position === 0) return [token];
+  pushText(content.slice(position));
+  return tokens;
+}
+
+/**
+ * Core rule linking mentions and references in text outside links
+ * (code spans are separate tokens, so they are never touched)
+ */
+markdown.core.ruler.push('references', (state) => {
+  const { links } = state.env;
+  if (!links) return;
+
+  state.tokens.forEach((block) => {
+    if (block.type !== 'inline') return;
+
+    let linkDepth = 0;
+    block.children = block.children.flatMap((token) => {
+      if (token.type === 'link_open') linkDepth += 1;
+      if (token.type === 'link_close') linkDepth -= 1;
+      return token.type === 'text' && linkDepth === 0
+        ? splitReferences(state, token, links)
+        : [token];
+    });
+  });
+});
+
+/**
+ * What may appear in rendered HTML: the tags markdown-it produces, with
+ * only the attributes it sets
+ */
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'blockquote', 'pre', 'code', 'em', 'strong', 's',
+    'ul', 'ol', 'li', 'a', 'img', 'span',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style'],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+    span: ['mention'],
+    a: ['bug-ref'],
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https'],
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: (tagName, attribs) => (attribs.class === 'bug-ref'
+      ? { tagName, attribs }
+      : {
+        tagName,
+        attribs: { ...attribs, rel: 'nofollow noopener noreferrer', target: '_blank' },
+      }),
+  },
+};
+
+/**
+ * Render Markdown to sanitized HTML
+ *
+ * @param {string} source - Markdown text
+ * @param {{users: Map, bugs: Map}} [links] - Users and bugs to link, from
+ *   resolveReferences (see utils/mentions); nothing is linked without it
+ * @returns {string} HTML, or '' for empty input
+ *
+ * @example
+ * renderMarkdown('Fails when `a < b`');
+ * // '<p>Fails when <code>a &lt; b</code></p>\n'
+ */
+function renderMarkdown(source, links = null) {
+  if (typeof source !== 'string' || source.length === 0) return '';
+  return sanitizeHtml(markdown.render(source, { links }), SANITIZE_OPTIONS);
+}
+
+module.exports = {
+  MAX_MARKDOWN_LENGTH,
+  renderMarkdown,
+};
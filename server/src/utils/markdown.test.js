@@ -0,0 +1,81 @@
+// server/src/utils/markdown.test.js
+// Unit tests for Markdown rendering
+
+const { renderMarkdown } = require('./markdown');
+
+describe('Markdown Rendering', () => {
+  describe('renderMarkdown', () => {
+    it('should render formatting, lists and code blocks', () => {
+      const html = renderMarkdown('**Steps**\n\n1. Open `Vec<String>`\n2. Crash\n\n```rust\nlet a = b < c;\n```');
+
+      expect(html).toContain('<strong>Steps</strong>');
+      expect(html).toContain('<ol>\n<li>Open <code>Vec&lt;String&gt;</code></li>');
+      expect(html).toContain('<pre><code class="language-rust">let a = b &lt; c;\n</code></pre>');
+    });
+
+    it('should keep single line breaks, as in pasted logs', () => {
+      expect(renderMarkdown('line 1\nline 2')).toBe('<p>line 1<br />\nline 2</p>\n');
+    });
+
+    it('should open links in a new tab with rel=noopener', () => {
+      expect(renderMarkdown('[docs](https://example.com/docs) and https://example.com'))
+        .toBe('<p><a href="https://example.com/docs" rel="nofollow noopener noreferrer" target="_blank">docs</a>'
+          + ' and <a href="https://example.com" rel="nofollow noopener noreferrer" target="_blank">https://example.com</a></p>\n');
+    });
+
+    it('should show raw HTML as text', () => {
+      const html = renderMarkdown('<script>alert(1)</script>\n\n<img src=x onerror="alert(1)">');
+
+      expect(html).not.toMatch(/<script|<img/);
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    });
+
+    it('should drop dangerous link and image URLs', () => {
+      const html = renderMarkdown('[click](javascript:alert(1)) ![x](data:image/png;base64,AAAA) [y](//evil.example)');
+
+      expect(html).not.toMatch(/href="javascript:|src="data:|href="\/\/evil/);
+      expect(html).toContain('<img alt="x" />');
+    });
+
+    it('should link known mentions and bug references only', () => {
+      const links = {
+        users: new Map([['alice', { username: 'alice' }]]),
+        bugs: new Map([['WEB-12', { key: 'WEB-12', title: 'Login broken' }]]),
+      };
+
+      const html = renderMarkdown('@alice, @ghost: see #WEB-12 and #WEB-99', links);
+
+      expect(html).toContain('<span class="mention">@alice</span>, @ghost');
+      expect(html).toContain('<a href="/?query=key%3AWEB-12" class="bug-ref" title="Login broken"');
+      expect(html).toContain('>#WEB-12</a> and #WEB-99');
+    });
+
+    it('should open bug links in the app and escape their titles', () => {
+      const links = {
+        users: new Map(),
+        bugs: new Map([['WEB-12', { key: 'WEB-12', title: 'Crash on <Save> & "quit"' }]]),
+      };
+
+      const html = renderMarkdown('See #WEB-12', links);
+
+      expect(html).toContain('class="bug-ref" title="Crash on &lt;Save&gt; &amp; &quot;quit&quot;">#WEB-12</a>');
+      expect(html).not.toMatch(/target|rel=/);
+    });
+
+    it('should leave mentions and references in code and links alone', () => {
+      const links = {
+        users: new Map([['alice', { username: 'alice' }]]),
+        bugs: new Map([['WEB-12', { key: 'WEB-12', title: 'Login broken' }]]),
+      };
+
+      const html = renderMarkdown('`@alice #WEB-12` [#WEB-12](https://example.com)', links);
+
+      expect(html).not.toMatch(/mention|bug-ref/);
+    });
+
+    it('should return an empty string for empty input', () => {
+      expect(renderMarkdown('')).toBe('');
+      expect(renderMarkdown(undefined)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Mentions and Bug References
+ *
+ * Finds @username mentions and #WEB-12 bug references in descriptions
+ * and comments. The Bug model resolves them when the text is saved
+ * (mentions and references on the bug or comment) and utils/markdown
+ * renders the known ones as links; unknown names and keys stay text.
+ *
+ * When a bug is reported or commented on, or its description or a
+ * comment is edited, linkMentions (subscribed to bug events in app.js)
+ * makes the mentioned users watch the bug and records a back-reference
+ * on every bug referenced.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * @username, not preceded by a word character (so emails don't match)
+ */
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_][\w.-]*)/g;
+
+/**
+ * #KEY-123, not preceded by a word character or & (HTML entities)
+ */
+const BUG_REF_PATTERN = /(^|[^\w&#])#([A-Za-z][A-Za-z0-9]*-[1-9]\d*)\b/g;
+
+/**
+ * Usernames may end in dots or dashes only in the middle; trailing ones
+ * are punctuation
+ */
+function trimMention(name) {
+  return name.replace(/[.-]+$/, '');
+}
+
+/**
+ * Find the usernames @mentioned in some text
+ *
+ * @param {string} text - Description or comment text
+ * @returns {Array<string>} Usernames without the @, each once
+ *
+ * @example
+ * findMentions('@alice can you check? cc @bob.'); // ['alice', 'bob']
+ */
+function findMentions(text) {
+  const names = [...String(text || '').matchAll(MENTION_PATTERN)]
+    .map((match) => trimMention(match[2]));
+  return [...new Set(names)];
+}
+
+/**
+ * Find the bug keys #referenced in some text
+ *
+ * @param {string} text - Description or comment text
+ * @returns {Array<string>} Upper-case keys without the #, each once
+ *
+ * @example
+ * findBugRefs('Same as #web-12, see #API-3'); // ['WEB-12', 'API-3']
+ */
+function findBugRefs(text) {
+  const keys = [...String(text || '').matchAll(BUG_REF_PATTERN)]
+    .map((match) => match[2].toUpperCase());
+  return [...new Set(keys)];
+}
+
+/**
+ * Look up the users and bugs named in some texts
+ *
+ * @param {Array<string>} texts - Descriptions or comment texts
+ * @returns {Promise<{users: Map<string, Object>, bugs: Map<string, Object>}>}
+ *   Users by username and bugs ({ _id, key, title }) by key; names and
+ *   keys that don't exist are left out
+ */
+async function resolveReferences(texts) {
+  const usernames = [...new Set(texts.flatMap(findMentions))];
+  const keys = [...new Set(texts.flatMap(findBugRefs))];
+
+  // The Bug model requires this module, so look it up when needed
+  const Bug = mongoose.model('Bug');
+  const [users, bugs] = await Promise.all([
+    usernames.length > 0 ? User.find({ username: { $in: usernames } }).select('username') : [],
+    keys.length > 0 ? Bug.find({ key: { $in: keys } }).select('key title') : [],
+  ]);
+
+  return {
+    users: new Map(users.map((user) => [user.username, user])),
+    bugs: new Map(bugs.map((bug) => [bug.key, bug])),
+  };
+}
+
+/**
+ * The text a bug event added or changed: the description of a new or
+ * edited bug, or a new or edited comment
+ *
+ * @param {Object} event - Bug event
+ * @returns {Object|null} Bug or comment, or null for other events
+ */
+function eventSource(event) {
+  if (event.type === 'created') return event.bug;
+  if (event.type === 'updated') {
+    const edited = (event.changes || []).some((change) => change.field === 'description');
+    return edited ? event.bug : null;
+  }
+  if (event.type === 'commented' || event.type === 'comment.updated') return event.comment || null;
+  return null;
+}
+
+/**
+ * IDs in a list that were not in the previous list
+ */
+function addedIds(ids, previous) {
+  const before = (previous || []).map(String);
+  return (ids || []).map(String).filter((id) => !before.includes(id));
+}
+
+/**
+ * The users a bug event's text mentions
+ *
+ * For an edited description or comment, only users it did not mention
+ * before count.
+ *
+ * @param {Object} event - Bug event
+ * @returns {Array<string>} User IDs
+ */
+function eventMentions(event) {
+  const source = eventSource(event);
+  return source ? addedIds(source.mentions, event.previousMentions) : [];
+}
+
+/**
+ * Make mentioned users watch the bug and record back-references
+ *
+ * Subscribed to bug events in app.js; handles 'created' and 'updated'
+ * (the description), 'commented' and 'comment.updated' events. Edits
+ * only count mentions and references the text did not have before. Each
+ * referencing bug is recorded once on the referenced bug, the first time
+ * it mentions it.
+ *
+ * @param {Object} event - Bug event
+ * @returns {Promise<void>}
+ */
+async function linkMentions(event) {
+  const { bug } = event;
+  const source = eventSource(event);
+  if (!source) return;
+
+  const Bug = mongoose.model('Bug');
+
+  const watchers = eventMentions(event)
+    .filter((userId) => !event.actor || userId !== String(event.actor.id));
+  if (watchers.length > 0) {
+    await Bug.updateOne({ _id: bug._id }, { $addToSet: { watchers: { $each: watchers } } });
+  }
+
+  const referenced = addedIds(source.references, event.previousReferences)
+    .filter((bugId) => bugId !== String(bug._id));
+  await Promise.all(referenced.map((bugId) => Bug.updateOne(
+    { _id: bugId, 'referencedBy.bug': { $ne: bug._id } },
+    {
+      $push: {
+        referencedBy: {
+          bug: bug._id,
+          key: bug.key,
+          commentId: source === bug ? null : source._id,
+          actor: event.actor ? event.actor.id : null,
+        },
+      },
+    }
+  )));
+}
+
+module.exports = {
+  MENTION_PATTERN,
+  BUG_REF_PATTERN,
+  trimMention,
+  findMentions,
+  findBugRefs,
+  resolveReferences,
+  eventMentions,
+  linkMentions,
+};
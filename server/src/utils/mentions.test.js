@@ -0,0 +1,63 @@
+// server/src/utils/mentions.test.js
+// Unit tests for finding @mentions and #bug references
+
+const { findMentions, findBugRefs, eventMentions } = require('./mentions');
+
+describe('Mentions', () => {
+  describe('findMentions', () => {
+    it('should find each @username once, without trailing punctuation', () => {
+      expect(findMentions('@bob can you check? cc @carol. @bob')).toEqual(['bob', 'carol']);
+      expect(findMentions('(@dave.smith)')).toEqual(['dave.smith']);
+    });
+
+    it('should ignore email addresses', () => {
+      expect(findMentions('mail bob@example.com')).toEqual([]);
+      expect(findMentions('')).toEqual([]);
+    });
+  });
+
+  describe('findBugRefs', () => {
+    it('should find each #KEY-123 once, in upper case', () => {
+      expect(findBugRefs('Same as #WEB-12 and #web-12; see #API-3.')).toEqual(['WEB-12', 'API-3']);
+    });
+
+    it('should ignore things that only look like references', () => {
+      expect(findBugRefs('#12, #WEB, page#WEB-1, &#WEB-2, ##WEB-3, #WEB-0')).toEqual([]);
+      expect(findBugRefs(undefined)).toEqual([]);
+    });
+  });
+
+  describe('eventMentions', () => {
+    it('should take mentions from the comment or the new bug', () => {
+      const bug = { mentions: ['u1'] };
+
+      expect(eventMentions({ type: 'created', bug })).toEqual(['u1']);
+      expect(eventMentions({ type: 'commented', bug, comment: { mentions: ['u2'] } })).toEqual(['u2']);
+      expect(eventMentions({ type: 'updated', bug })).toEqual([]);
+    });
+
+    it('should only count new mentions in an edited comment', () => {
+      const event = {
+        type: 'comment.updated',
+        bug: {},
+        comment: { mentions: ['u1', 'u2'] },
+        previousMentions: ['u1'],
+      };
+
+      expect(eventMentions(event)).toEqual(['u2']);
+      expect(eventMentions({ type: 'comment.deleted', bug: {}, comment: { _id: 'c1' } })).toEqual([]);
+    });
+
+    it('should only count new mentions in an edited description', () => {
+      const bug = { mentions: ['u1', 'u2'] };
+      const changes = [{ field: 'description', from: '@alice', to: '@alice @bob' }];
+
+      expect(eventMentions({
+        type: 'updated', bug, changes, previousMentions: ['u1'],
+      })).toEqual(['u2']);
+      expect(eventMentions({
+        type: 'updated', bug, changes: [{ field: 'priority', from: 'low', to: 'high' }],
+      })).toEqual([]);
+    });
+  });
+});
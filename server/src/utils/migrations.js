@@ -0,0 +1,180 @@
+/**
+ * Data Migrations
+ *
+ * One-off updates that bring documents written by older versions in line
+ * with the current models. Each migration is idempotent, so running them
+ * all again (`npm run migrate`, see server/migrate.js) only touches
+ * documents that still need it.
+ */
+
+const Bug = require('../models/Bug');
+const Counter = require('../models/Counter');
+const Project = require('../models/Project');
+const PRIORITIES = require('../config/bugPriorities');
+
+/**
+ * Project that bugs reported before projects existed are filed under
+ */
+const DEFAULT_PROJECT = {
+  key: 'LEGACY',
+  name: 'Legacy bugs',
+  description: 'Bugs reported before projects existed',
+};
+
+/**
+ * Lower-case the tags of bugs saved before tags were normalized
+ *
+ * @returns {Promise<number>} Number of bugs updated
+ */
+async function lowercaseTags() {
+  const result = await Bug.updateMany(
+    { tags: { $elemMatch: { $regex: /[A-Z]|^\s|\s$/ } } },
+    [{
+      $set: {
+        tags: {
+          $map: {
+            input: '$tags',
+            as: 'tag',
+            in: { $toLower: { $trim: { input: '$$tag' } } },
+          },
+        },
+      },
+    }]
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Set the priorityRank that priority sorts and cursors use on bugs saved
+ * before it existed (bugs without a priority rank as 'medium', the
+ * model's default)
+ *
+ * @returns {Promise<number>} Number of bugs updated
+ */
+async function setPriorityRanks() {
+  const result = await Bug.updateMany(
+    { priorityRank: { $exists: false } },
+    [{
+      $set: {
+        priorityRank: { $indexOfArray: [PRIORITIES, { $ifNull: ['$priority', 'medium'] }] },
+      },
+    }]
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * File bugs saved before projects existed under the default project,
+ * creating it if there are any
+ *
+ * @returns {Promise<number>} Number of bugs updated
+ */
+async function assignOrphanBugs() {
+  if (!(await Bug.exists({ project: null }))) return 0;
+
+  const project = await Project.findOneAndUpdate(
+    { key: DEFAULT_PROJECT.key },
+    { $setOnInsert: DEFAULT_PROJECT },
+    { new: true, upsert: true }
+  );
+
+  const result = await Bug.updateMany({ project: null }, { $set: { project: project._id } });
+  return result.modifiedCount;
+}
+
+/**
+ * Give bugs saved before keys existed the next keys of their project,
+ * oldest first
+ *
+ * @returns {Promise<number>} Number of bugs updated
+ */
+async function assignMissingKeys() {
+  const bugs = await Bug.find({ key: null, project: { $ne: null } })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('project')
+    .populate('project', 'key')
+    .lean();
+
+  let updated = 0;
+  for (const bug of bugs) {
+    if (bug.project) {
+      const number = await Counter.next(bug.project.key);
+      const result = await Bug.updateOne(
+        { _id: bug._id, key: null },
+        { $set: { number, key: `${bug.project.key}-${number}` } }
+      );
+      updated += result.modifiedCount;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Bug links rendered before they pointed at the bug's key
+ */
+const TITLE_BUG_LINK = /href="\/\?q=[^"]*" class="bug-ref"/;
+
+/**
+ * Render again the Markdown whose #references link to a title search,
+ * so they link to the bug's key instead
+ *
+ * Clearing the stored HTML makes the Bug model render it on save; the
+ * bug's updatedAt is left alone.
+ *
+ * @returns {Promise<number>} Number of bugs updated
+ */
+async function relinkBugReferences() {
+  const bugs = await Bug.find({
+    $or: [{ descriptionHtml: TITLE_BUG_LINK }, { 'comments.textHtml': TITLE_BUG_LINK }],
+  });
+
+  for (const bug of bugs) {
+    if (TITLE_BUG_LINK.test(bug.descriptionHtml)) {
+      bug.descriptionHtml = '';
+    }
+    bug.comments
+      .filter((comment) => TITLE_BUG_LINK.test(comment.textHtml))
+      .forEach((comment) => { comment.textHtml = ''; });
+    await bug.save({ timestamps: false });
+  }
+  return bugs.length;
+}
+
+/**
+ * Migrations in the order they run
+ */
+const MIGRATIONS = [
+  { name: 'lowercase-tags', run: lowercaseTags },
+  { name: 'set-priority-ranks', run: setPriorityRanks },
+  { name: 'assign-orphan-bugs', run: assignOrphanBugs },
+  { name: 'assign-missing-keys', run: assignMissingKeys },
+  { name: 'relink-bug-references', run: relinkBugReferences },
+];
+
+/**
+ * Run every migration in order
+ *
+ * @param {Object} [options]
+ * @param {function(string): void} [options.log] - Called with a line per migration
+ * @returns {Promise<Object>} Documents updated, by migration name
+ */
+async function runMigrations({ log = () => {} } = {}) {
+  const results = {};
+  for (const migration of MIGRATIONS) {
+    // Later migrations may rely on earlier ones, so run them one at a time
+    results[migration.name] = await migration.run();
+    log(`${migration.name}: ${results[migration.name]} updated`);
+  }
+  return results;
+}
+
+module.exports = {
+  DEFAULT_PROJECT,
+  MIGRATIONS,
+  lowercaseTags,
+  setPriorityRanks,
+  assignOrphanBugs,
+  assignMissingKeys,
+  relinkBugReferences,
+  runMigrations,
+};
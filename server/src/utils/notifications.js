@@ -0,0 +1,117 @@
+/**
+ * Notification Utilities
+ *
+ * Turns bug events (see utils/bugEvents) into in-app notifications for
+ * the bug's watchers and anyone @mentioned in a new bug or comment (or
+ * newly mentioned in an edited description or comment). The user who made a change is never
+ * notified of it. Events with nothing worth telling (creation without
+ * mentions, deletion, comment edits and deletions) are skipped.
+ */
+
+const Notification = require('../models/Notification');
+const { workflow } = require('./bugWorkflow');
+const { eventMentions } = require('./mentions');
+
+/**
+ * Longest comment excerpt quoted in a message
+ */
+const EXCERPT_LENGTH = 80;
+
+/**
+ * Shorten text to an excerpt
+ */
+function excerpt(text) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH - 1)}…` : value;
+}
+
+/**
+ * Describe a bug event for one recipient
+ *
+ * Being mentioned takes priority over everything else. Status changes
+ * take priority over assignment, and assignment over other field
+ * changes, when an update touches several fields.
+ *
+ * @param {Object} event - Bug event
+ * @param {string} recipientId - User the message is for
+ * @returns {{type: string, message: string}|null} Notification type and
+ *   message, or null if the event needs no notification
+ *
+ * @example
+ * describeEvent({ type: 'updated', bug, actor: { username: 'bob' },
+ *   changes: [{ field: 'status', from: 'open', to: 'resolved' }] }, id);
+ * // { type: 'status', message: 'bob moved WEB-12 to Resolved' }
+ */
+function describeEvent(event, recipientId) {
+  const actor = (event.actor && event.actor.username) || 'Someone';
+  const ref = event.bug.key || `"${event.bug.title}"`;
+
+  if (eventMentions(event).includes(String(recipientId))) {
+    return { type: 'mentioned', message: `${actor} mentioned you on ${ref}` };
+  }
+
+  if (event.type === 'commented') {
+    return {
+      type: 'commented',
+      message: `${actor} commented on ${ref}: "${excerpt(event.comment && event.comment.text)}"`,
+    };
+  }
+
+  if (event.type !== 'updated' || !event.changes || event.changes.length === 0) {
+    return null;
+  }
+
+  const change = (field) => event.changes.find((item) => item.field === field);
+
+  const status = change('status');
+  if (status) {
+    const state = workflow.definition.states[status.to];
+    return { type: 'status', message: `${actor} moved ${ref} to ${state ? state.label : status.to}` };
+  }
+
+  const assignee = change('assignedTo');
+  if (assignee) {
+    let message;
+    if (!assignee.to) message = `${actor} unassigned ${ref}`;
+    else if (String(assignee.to) === String(recipientId)) message = `${actor} assigned ${ref} to you`;
+    else message = `${actor} changed the assignee of ${ref}`;
+    return { type: 'assigned', message };
+  }
+
+  const fields = event.changes.map((item) => item.field).join(', ');
+  return { type: 'updated', message: `${actor} updated ${fields} on ${ref}` };
+}
+
+/**
+ * Create notifications for a bug event's watchers
+ *
+ * Subscribed to bug events in app.js.
+ *
+ * @param {Object} event - Bug event
+ * @returns {Promise<Array<Object>>} Created notifications
+ */
+async function notifyWatchers(event) {
+  const actorId = event.actor ? String(event.actor.id) : null;
+  const recipients = [...new Set([...(event.bug.watchers || []), ...eventMentions(event)].map(String))]
+    .filter((userId) => userId !== actorId);
+
+  const notifications = recipients
+    .map((recipient) => {
+      const description = describeEvent(event, recipient);
+      return description && {
+        recipient,
+        bug: event.bug._id,
+        actor: actorId,
+        ...description,
+      };
+    })
+    .filter(Boolean);
+
+  if (notifications.length === 0) return [];
+  return Notification.insertMany(notifications);
+}
+
+module.exports = {
+  describeEvent,
+  notifyWatchers,
+};
@@ -0,0 +1,91 @@
+// server/src/utils/notifications.test.js
+// Unit tests for turning bug events into notification messages
+
+const { describeEvent } = require('./notifications');
+
+describe('Notification Utilities', () => {
+  const bug = { _id: 'b1', key: 'WEB-12', title: 'Login button broken' };
+  const actor = { id: 'u1', username: 'bob' };
+
+  describe('describeEvent', () => {
+    it('should quote comments', () => {
+      const event = { type: 'commented', bug, actor, comment: { text: 'Still broken\n on Safari' } };
+
+      expect(describeEvent(event, 'u2')).toEqual({
+        type: 'commented',
+        message: 'bob commented on WEB-12: "Still broken on Safari"',
+      });
+    });
+
+    it('should name the new status by its label', () => {
+      const event = {
+        type: 'updated',
+        bug,
+        actor,
+        changes: [
+          { field: 'priority', from: 'low', to: 'high' },
+          { field: 'status', from: 'open', to: 'in-progress' },
+        ],
+      };
+
+      expect(describeEvent(event, 'u2')).toEqual({
+        type: 'status',
+        message: 'bob moved WEB-12 to In Progress',
+      });
+    });
+
+    it('should tell the new assignee the bug is theirs', () => {
+      const event = { type: 'updated', bug, actor, changes: [{ field: 'assignedTo', from: null, to: 'u2' }] };
+
+      expect(describeEvent(event, 'u2').message).toBe('bob assigned WEB-12 to you');
+      expect(describeEvent(event, 'u3').message).toBe('bob changed the assignee of WEB-12');
+    });
+
+    it('should list other changed fields', () => {
+      const event = { type: 'updated', bug, actor, changes: [{ field: 'tags', from: [], to: ['ui'] }] };
+
+      expect(describeEvent(event, 'u2')).toEqual({ type: 'updated', message: 'bob updated tags on WEB-12' });
+    });
+
+    it('should tell mentioned users they were mentioned', () => {
+      const comment = { text: '@carol can you check?', mentions: ['u3'] };
+      const event = { type: 'commented', bug, actor, comment };
+
+      expect(describeEvent(event, 'u3')).toEqual({ type: 'mentioned', message: 'bob mentioned you on WEB-12' });
+      expect(describeEvent(event, 'u2').type).toBe('commented');
+      expect(describeEvent({ type: 'created', bug: { ...bug, mentions: ['u3'] }, actor }, 'u3').type).toBe('mentioned');
+    });
+
+    it('should skip events nobody needs to hear about', () => {
+      expect(describeEvent({ type: 'created', bug, actor }, 'u2')).toBeNull();
+      expect(describeEvent({ type: 'updated', bug, actor, changes: [] }, 'u2')).toBeNull();
+      expect(describeEvent({ type: 'comment.deleted', bug, actor, comment: { _id: 'c1' } }, 'u2')).toBeNull();
+    });
+
+    it('should only tell users newly mentioned in an edited comment', () => {
+      const event = {
+        type: 'comment.updated',
+        bug,
+        actor,
+        comment: { text: '@carol @dave ping', mentions: ['u3', 'u4'] },
+        previousMentions: ['u3'],
+      };
+
+      expect(describeEvent(event, 'u4').type).toBe('mentioned');
+      expect(describeEvent(event, 'u3')).toBeNull();
+    });
+
+    it('should tell users newly mentioned in an edited description', () => {
+      const event = {
+        type: 'updated',
+        bug: { ...bug, mentions: ['u3', 'u4'] },
+        actor,
+        changes: [{ field: 'description', from: '@carol', to: '@carol @dave' }],
+        previousMentions: ['u3'],
+      };
+
+      expect(describeEvent(event, 'u4')).toEqual({ type: 'mentioned', message: 'bob mentioned you on WEB-12' });
+      expect(describeEvent(event, 'u3')).toEqual({ type: 'updated', message: 'bob updated description on WEB-12' });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Pagination Utilities
+ *
+ * Cursor (keyset) pagination for list endpoints. A cursor records the sort
+ * values of the last document on a page; the next page is everything that
+ * sorts after it. `_id` is always added as a final sort key so documents
+ * with equal sort values are neither skipped nor repeated.
+ *
+ * Orders that cannot be expressed as a filter (such as text-search
+ * relevance) use offset cursors instead, which record how many documents
+ * have already been returned.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Default and maximum page sizes
+ */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse a limit query parameter
+ *
+ * @param {*} value - Raw query value
+ * @param {Object} [options]
+ * @param {number} [options.defaultLimit=DEFAULT_LIMIT] - Used when value is missing
+ * @param {number} [options.maxLimit=MAX_LIMIT] - Upper bound
+ * @returns {number|null} Page size, or null if the value is not a positive integer
+ *
+ * @example
+ * parseLimit('50'); // 50
+ * parseLimit('500'); // 100
+ * parseLimit('abc'); // null
+ */
+function parseLimit(value, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  if (value === undefined || value === '') return defaultLimit;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) return null;
+
+  return Math.min(limit, maxLimit);
+}
+
+/**
+ * Parse a sort string into an ordered list of keys
+ *
+ * Accepts Mongoose-style strings: fields separated by spaces or commas,
+ * each optionally prefixed with '-' for descending order. `_id` is
+ * appended as a tiebreaker in the direction of the last key.
+ *
+ * @param {string} sort - Sort string, e.g. '-createdAt'
+ * @returns {Array<{field: string, direction: number}>} Sort keys
+ *
+ * @example
+ * parseSort('-priority,createdAt');
+ * // [{ field: 'priority', direction: -1 }, { field: 'createdAt', direction: 1 },
+ * //  { field: '_id', direction: 1 }]
+ */
+function parseSort(sort) {
+  const keys = String(sort || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((part) => (part.startsWith('-')
+      ? { field: part.slice(1), direction: -1 }
+      : { field: part.replace(/^\+/, ''), direction: 1 }));
+
+  if (!keys.some((key) => key.field === '_id')) {
+    const last = keys[keys.length - 1];
+    keys.push({ field: '_id', direction: last ? last.direction : 1 });
+  }
+
+  return keys;
+}
+
+/**
+ * Convert sort keys into a Mongoose sort object
+ *
+ * @param {Array<{field: string, direction: number}>} keys - From parseSort
+ * @returns {Object} e.g. { createdAt: -1, _id: -1 }
+ */
+function toSortObject(keys) {
+  return keys.reduce((sort, key) => ({ ...sort, [key.field]: key.direction }), {});
+}
+
+/**
+ * Read a (possibly nested) field from a document
+ *
+ * @param {Object} doc - Document or plain object
+ * @param {string} field - Dotted path
+ * @returns {*} Field value
+ */
+function getField(doc, field) {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return field.split('.').reduce((value, part) => (value == null ? value : value[part]), source);
+}
+
+/**
+ * Tag values whose type would be lost in JSON
+ */
+function encodeValue(value) {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+}
+
+/**
+ * Restore a value tagged by encodeValue
+ */
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      const date = new Date(value.$date);
+      if (Number.isNaN(date.getTime())) throw new Error('Invalid date in cursor');
+      return date;
+    }
+    if (typeof value.$oid === 'string') {
+      if (!mongoose.Types.ObjectId.isValid(value.$oid)) throw new Error('Invalid id in cursor');
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Unexpected object in cursor');
+  }
+  return value;
+}
+
+/**
+ * Build an opaque cursor pointing just past a document
+ *
+ * @param {Object} doc - Last document on the page
+ * @param {Array<{field: string, direction: number}>} keys - Sort keys
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(doc, keys) {
+  const values = keys.map((key) => encodeValue(getField(doc, key.field)));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ *
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Array<{field: string, direction: number}>} keys - Sort keys
+ * @returns {Array|null} Sort values, or null if the cursor is malformed or
+ *   was made for a different sort
+ */
+function decodeCursor(cursor, keys) {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== keys.length) return null;
+    return values.map(decodeValue);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build a query matching documents that sort after the cursor values
+ *
+ * For keys k1..kn this is: k1 past v1, or k1 = v1 and k2 past v2, and so on.
+ *
+ * @param {Array<{field: string, direction: number}>} keys - Sort keys
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} MongoDB filter
+ *
+ * @example
+ * cursorFilter([{ field: 'createdAt', direction: -1 }, { field: '_id', direction: -1 }], [date, id]);
+ * // { $or: [{ createdAt: { $lt: date } }, { createdAt: date, _id: { $lt: id } }] }
+ */
+function cursorFilter(keys, values) {
+  const clauses = keys.map((key, index) => {
+    const clause = {};
+    for (let i = 0; i < index; i += 1) {
+      clause[keys[i].field] = values[i];
+    }
+    clause[key.field] = { [key.direction === 1 ? '$gt' : '$lt']: values[index] };
+    return clause;
+  });
+
+  return { $or: clauses };
+}
+
+/**
+ * Build an offset cursor
+ *
+ * @param {number} offset - Number of documents already returned
+ * @returns {string} base64url cursor
+ */
+function encodeOffsetCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeOffsetCursor
+ *
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {number|null} Offset, or null if the cursor is malformed
+ */
+function decodeOffsetCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  parseSort,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+};
@@ -0,0 +1,96 @@
+// server/src/utils/pagination.test.js
+// Unit tests for cursor pagination helpers
+
+const mongoose = require('mongoose');
+const {
+  parseLimit,
+  parseSort,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+} = require('./pagination');
+
+describe('Pagination Utilities', () => {
+  describe('parseLimit', () => {
+    it('should use the default when no limit is given', () => {
+      expect(parseLimit(undefined)).toBe(DEFAULT_LIMIT);
+    });
+
+    it('should cap the limit at the maximum', () => {
+      expect(parseLimit('1000')).toBe(MAX_LIMIT);
+    });
+
+    it('should reject non-positive or non-integer limits', () => {
+      expect(parseLimit('0')).toBeNull();
+      expect(parseLimit('2.5')).toBeNull();
+      expect(parseLimit('ten')).toBeNull();
+    });
+  });
+
+  describe('parseSort', () => {
+    it('should append _id in the direction of the last key', () => {
+      expect(parseSort('-createdAt')).toEqual([
+        { field: 'createdAt', direction: -1 },
+        { field: '_id', direction: -1 },
+      ]);
+    });
+
+    it('should parse several comma or space separated keys', () => {
+      const keys = parseSort('-priority,createdAt');
+
+      expect(toSortObject(keys)).toEqual({ priority: -1, createdAt: 1, _id: 1 });
+      expect(parseSort('-priority createdAt')).toEqual(keys);
+    });
+  });
+
+  describe('cursors', () => {
+    const keys = parseSort('-createdAt');
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date('2026-03-01T12:00:00Z'),
+    };
+
+    it('should round-trip dates and ObjectIds', () => {
+      const values = decodeCursor(encodeCursor(doc, keys), keys);
+
+      expect(values[0]).toEqual(doc.createdAt);
+      expect(values[1].toString()).toBe(doc._id.toString());
+      expect(values[1]).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+
+    it('should return null for malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor', keys)).toBeNull();
+      expect(decodeCursor(Buffer.from('{"$where":1}').toString('base64url'), keys)).toBeNull();
+    });
+
+    it('should return null for a cursor made for another sort', () => {
+      const cursor = encodeCursor(doc, keys);
+
+      expect(decodeCursor(cursor, parseSort('-priority,createdAt'))).toBeNull();
+    });
+
+    it('should reject operator objects smuggled into the cursor', () => {
+      const cursor = Buffer.from(JSON.stringify([{ $ne: null }, 'x'])).toString('base64url');
+
+      expect(decodeCursor(cursor, keys)).toBeNull();
+    });
+  });
+
+  describe('cursorFilter', () => {
+    it('should match documents after the cursor, breaking ties on later keys', () => {
+      const keys = parseSort('-priority,createdAt');
+      const date = new Date('2026-03-01T12:00:00Z');
+
+      expect(cursorFilter(keys, ['high', date, 'id1'])).toEqual({
+        $or: [
+          { priority: { $lt: 'high' } },
+          { priority: 'high', createdAt: { $gt: date } },
+          { priority: 'high', createdAt: date, _id: { $gt: 'id1' } },
+        ],
+      });
+    });
+  });
+});
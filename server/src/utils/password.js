@@ -0,0 +1,170 @@
+/**
+ * Password Hashing Utilities
+ *
+ * Salted password hashing built on Node's crypto.scrypt. Hashes are stored
+ * as self-describing strings so the cost parameters can be raised later:
+ *
+ *   scrypt$<N>$<r>$<p>$<salt>$<hash>
+ *
+ * where salt and hash are base64 encoded. needsRehash() reports hashes made
+ * with older parameters so they can be upgraded at the next login.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Prefix used by the old placeholder hook that only prefixed the password
+ * Such values are still accepted by verifyPassword and always need a rehash.
+ */
+const LEGACY_PREFIX = 'hashed_';
+
+/**
+ * Get the scrypt cost parameters for new hashes
+ *
+ * N can be tuned with SCRYPT_COST (must be a power of two). Raising it
+ * causes existing hashes to be upgraded the next time their owner logs in.
+ *
+ * @returns {{N: number, r: number, p: number}} Cost parameters
+ */
+function getHashParams() {
+  return {
+    N: parseInt(process.env.SCRYPT_COST, 10) || 16384,
+    r: 8,
+    p: 1,
+  };
+}
+
+/**
+ * Derive a key with scrypt, sizing maxmem for the chosen parameters
+ *
+ * @param {string} password - Plain-text password
+ * @param {Buffer} salt - Per-password random salt
+ * @param {{N: number, r: number, p: number}} params - Cost parameters
+ * @returns {Promise<Buffer>} Derived key
+ */
+function deriveKey(password, salt, { N, r, p }) {
+  return scrypt(password, salt, KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+}
+
+/**
+ * Parse a stored hash string into its parts
+ *
+ * @param {string} stored - Stored hash
+ * @returns {Object|null} { params, salt, hash } or null if not an scrypt hash
+ */
+function parseHash(stored) {
+  if (typeof stored !== 'string') return null;
+
+  const parts = stored.split('$');
+  if (parts.length !== 6 || parts[0] !== HASH_PREFIX) return null;
+
+  const [N, r, p] = parts.slice(1, 4).map((value) => parseInt(value, 10));
+  if (![N, r, p].every(Number.isInteger)) return null;
+
+  return {
+    params: { N, r, p },
+    salt: Buffer.from(parts[4], 'base64'),
+    hash: Buffer.from(parts[5], 'base64'),
+  };
+}
+
+/**
+ * Check whether a value is already a stored scrypt hash
+ *
+ * @param {string} value - Value to inspect
+ * @returns {boolean} True if the value is in the scrypt hash format
+ */
+function isHashed(value) {
+  return parseHash(value) !== null;
+}
+
+/**
+ * Hash a password with a fresh random salt
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash string
+ *
+ * @example
+ * const stored = await hashPassword('SecurePass123');
+ * // 'scrypt$16384$8$1$3q2+7w...$Zm9v...'
+ */
+async function hashPassword(password) {
+  const params = getHashParams();
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await deriveKey(password, salt, params);
+
+  return [
+    HASH_PREFIX,
+    params.N,
+    params.r,
+    params.p,
+    salt.toString('base64'),
+    hash.toString('base64'),
+  ].join('$');
+}
+
+/**
+ * Verify a password against a stored hash
+ *
+ * Comparison is done in constant time. Legacy "hashed_" values are
+ * accepted so accounts created before real hashing can still log in.
+ *
+ * @param {string} password - Plain-text password to check
+ * @param {string} stored - Stored hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+
+  const parsed = parseHash(stored);
+
+  if (!parsed) {
+    if (!stored.startsWith(LEGACY_PREFIX)) return false;
+    const expected = Buffer.from(stored);
+    const actual = Buffer.from(`${LEGACY_PREFIX}${password}`);
+    return expected.length === actual.length
+      && crypto.timingSafeEqual(expected, actual);
+  }
+
+  const hash = await deriveKey(password, parsed.salt, parsed.params);
+  return hash.length === parsed.hash.length
+    && crypto.timingSafeEqual(hash, parsed.hash);
+}
+
+/**
+ * Check whether a stored hash was made with outdated parameters
+ *
+ * @param {string} stored - Stored hash
+ * @returns {boolean} True if the password should be hashed again
+ */
+function needsRehash(stored) {
+  const parsed = parseHash(stored);
+  if (!parsed) return true;
+
+  const current = getHashParams();
+  return parsed.params.N !== current.N
+    || parsed.params.r !== current.r
+    || parsed.params.p !== current.p;
+}
+
+module.exports = {
+  getHashParams,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  isHashed,
+};
@@ -0,0 +1,90 @@
+// server/src/utils/password.test.js
+// Unit tests for scrypt password hashing utilities
+
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  isHashed,
+} = require('./password');
+
+describe('Password Utilities', () => {
+  const originalCost = process.env.SCRYPT_COST;
+
+  afterEach(() => {
+    if (originalCost === undefined) {
+      delete process.env.SCRYPT_COST;
+    } else {
+      process.env.SCRYPT_COST = originalCost;
+    }
+  });
+
+  describe('hashPassword', () => {
+    it('should produce an encoded scrypt hash', async () => {
+      const stored = await hashPassword('SecurePass123');
+
+      expect(stored).toMatch(/^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+      expect(stored).not.toContain('SecurePass123');
+      expect(isHashed(stored)).toBe(true);
+    });
+
+    it('should use a different salt for each hash', async () => {
+      const first = await hashPassword('SecurePass123');
+      const second = await hashPassword('SecurePass123');
+
+      expect(first).not.toBe(second);
+    });
+  });
+
+  describe('verifyPassword', () => {
+    it('should accept the correct password', async () => {
+      const stored = await hashPassword('SecurePass123');
+
+      await expect(verifyPassword('SecurePass123', stored)).resolves.toBe(true);
+    });
+
+    it('should reject an incorrect password', async () => {
+      const stored = await hashPassword('SecurePass123');
+
+      await expect(verifyPassword('securepass123', stored)).resolves.toBe(false);
+    });
+
+    it('should verify hashes made with older cost parameters', async () => {
+      process.env.SCRYPT_COST = '1024';
+      const stored = await hashPassword('SecurePass123');
+      delete process.env.SCRYPT_COST;
+
+      await expect(verifyPassword('SecurePass123', stored)).resolves.toBe(true);
+    });
+
+    it('should accept legacy "hashed_" values', async () => {
+      await expect(verifyPassword('password123', 'hashed_password123')).resolves.toBe(true);
+      await expect(verifyPassword('wrong', 'hashed_password123')).resolves.toBe(false);
+    });
+
+    it('should reject non-string input', async () => {
+      await expect(verifyPassword(undefined, 'hashed_x')).resolves.toBe(false);
+      await expect(verifyPassword('x', null)).resolves.toBe(false);
+      await expect(verifyPassword('x', 'plaintext')).resolves.toBe(false);
+    });
+  });
+
+  describe('needsRehash', () => {
+    it('should be false for hashes made with the current parameters', async () => {
+      const stored = await hashPassword('SecurePass123');
+
+      expect(needsRehash(stored)).toBe(false);
+    });
+
+    it('should be true when the cost parameters change', async () => {
+      const stored = await hashPassword('SecurePass123');
+      process.env.SCRYPT_COST = '32768';
+
+      expect(needsRehash(stored)).toBe(true);
+    });
+
+    it('should be true for legacy values', () => {
+      expect(needsRehash('hashed_password123')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Permission Utilities
+ *
+ * Role-based access control for bugs, projects, posts, saved views and
+ * user management.
+ * Each permission lists the roles that may use it on any resource
+ * (`roles`) and the roles that may only use it on resources they own
+ * (`ownRoles`), with `ownerField` naming the field that holds the owner.
+ */
+
+/**
+ * Available user roles, from most to least privileged
+ */
+const ROLES = ['admin', 'maintainer', 'reporter', 'viewer'];
+
+/**
+ * Role assumed for tokens that carry no role claim
+ */
+const DEFAULT_ROLE = 'viewer';
+
+/**
+ * Permission definitions
+ */
+const PERMISSIONS = {
+  'bug:create': {
+    roles: ['admin', 'maintainer', 'reporter'],
+  },
+  'bug:update': {
+    roles: ['admin', 'maintainer'],
+    ownRoles: ['reporter'],
+    ownerField: 'reportedBy',
+  },
+  'bug:resolve': {
+    roles: ['admin', 'maintainer'],
+  },
+  'bug:assign': {
+    roles: ['admin', 'maintainer'],
+  },
+  'bug:assign-self': {
+    roles: ['admin', 'maintainer', 'reporter'],
+  },
+  'bug:delete': {
+    roles: ['admin', 'maintainer'],
+  },
+  'bug:comment': {
+    roles: ['admin', 'maintainer', 'reporter'],
+  },
+  'attachment:upload': {
+    roles: ['admin', 'maintainer', 'reporter'],
+  },
+  'attachment:delete': {
+    roles: ['admin', 'maintainer'],
+    ownRoles: ['reporter'],
+    ownerField: 'uploadedBy',
+  },
+  'comment:update': {
+    roles: ['admin'],
+    ownRoles: ['maintainer', 'reporter'],
+    ownerField: 'author',
+  },
+  'comment:delete': {
+    roles: ['admin'],
+    ownRoles: ['maintainer', 'reporter'],
+    ownerField: 'author',
+  },
+  'project:create': {
+    roles: ['admin'],
+  },
+  'project:update': {
+    roles: ['admin', 'maintainer'],
+  },
+  'project:delete': {
+    roles: ['admin'],
+  },
+  'post:create': {
+    roles: ['admin', 'maintainer', 'reporter'],
+  },
+  'post:update': {
+    roles: ['admin'],
+    ownRoles: ['maintainer', 'reporter'],
+    ownerField: 'author',
+  },
+  'post:delete': {
+    roles: ['admin'],
+    ownRoles: ['maintainer', 'reporter'],
+    ownerField: 'author',
+  },
+  'user:manage': {
+    roles: ['admin'],
+  },
+  'webhook:manage': {
+    roles: ['admin'],
+  },
+  'view:update': {
+    roles: ['admin'],
+    ownRoles: ['maintainer', 'reporter', 'viewer'],
+    ownerField: 'owner',
+  },
+  'view:delete': {
+    roles: ['admin'],
+    ownRoles: ['maintainer', 'reporter', 'viewer'],
+    ownerField: 'owner',
+  },
+};
+
+/**
+ * Get a user's role, falling back to DEFAULT_ROLE
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {string} Role name
+ */
+function getRole(user) {
+  return user && ROLES.includes(user.role) ? user.role : DEFAULT_ROLE;
+}
+
+/**
+ * Get the id of a resource's owner, whether or not the field is populated
+ *
+ * @param {Object} resource - Document being accessed
+ * @param {string} field - Owner field name
+ * @returns {string|null} Owner id as a string
+ */
+function getOwnerId(resource, field) {
+  const owner = resource && resource[field];
+  if (!owner) return null;
+  return String(owner._id || owner);
+}
+
+/**
+ * Check whether a user holds a permission
+ *
+ * Without a resource, ownership-scoped permissions count as held so
+ * route-level checks can let owners through; pass the resource once it
+ * is loaded to check ownership.
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} permission - Permission name, e.g. 'bug:delete'
+ * @param {Object} [resource] - Document the action applies to
+ * @returns {boolean} True if the action is allowed
+ *
+ * @example
+ * hasPermission({ id: '1', role: 'reporter' }, 'bug:update', bug);
+ * // true only if bug.reportedBy is user 1
+ */
+function hasPermission(user, permission, resource) {
+  const definition = PERMISSIONS[permission];
+  if (!definition) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  const role = getRole(user);
+
+  if (definition.roles.includes(role)) {
+    return true;
+  }
+
+  if (!definition.ownRoles || !definition.ownRoles.includes(role)) {
+    return false;
+  }
+
+  if (resource === undefined) {
+    return true;
+  }
+
+  return getOwnerId(resource, definition.ownerField) === String(user.id);
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  getRole,
+  hasPermission,
+};
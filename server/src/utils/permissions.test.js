@@ -0,0 +1,98 @@
+// server/src/utils/permissions.test.js
+// Unit tests for role-based permission checks
+
+const { hasPermission, getRole, DEFAULT_ROLE } = require('./permissions');
+
+describe('Permission Utilities', () => {
+  const admin = { id: 'a1', role: 'admin' };
+  const maintainer = { id: 'm1', role: 'maintainer' };
+  const reporter = { id: 'r1', role: 'reporter' };
+  const viewer = { id: 'v1', role: 'viewer' };
+
+  describe('getRole', () => {
+    it('should return the user role when valid', () => {
+      expect(getRole(maintainer)).toBe('maintainer');
+    });
+
+    it('should fall back to the default role', () => {
+      expect(getRole({ id: 'x' })).toBe(DEFAULT_ROLE);
+      expect(getRole({ id: 'x', role: 'superuser' })).toBe(DEFAULT_ROLE);
+      expect(getRole(undefined)).toBe(DEFAULT_ROLE);
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should allow only maintainers and admins to delete bugs', () => {
+      expect(hasPermission(admin, 'bug:delete')).toBe(true);
+      expect(hasPermission(maintainer, 'bug:delete')).toBe(true);
+      expect(hasPermission(reporter, 'bug:delete')).toBe(false);
+      expect(hasPermission(viewer, 'bug:delete')).toBe(false);
+    });
+
+    it('should let reporters update only their own bugs', () => {
+      const ownBug = { reportedBy: 'r1' };
+      const otherBug = { reportedBy: { _id: 'someone-else' } };
+
+      expect(hasPermission(reporter, 'bug:update', ownBug)).toBe(true);
+      expect(hasPermission(reporter, 'bug:update', otherBug)).toBe(false);
+      expect(hasPermission(maintainer, 'bug:update', otherBug)).toBe(true);
+    });
+
+    it('should treat ownership-scoped permissions as held when no resource is given', () => {
+      expect(hasPermission(reporter, 'bug:update')).toBe(true);
+      expect(hasPermission(viewer, 'bug:update')).toBe(false);
+    });
+
+    it('should not let viewers create or comment', () => {
+      expect(hasPermission(viewer, 'bug:create')).toBe(false);
+      expect(hasPermission(viewer, 'bug:comment')).toBe(false);
+    });
+
+    it('should let admins edit any post and authors edit their own', () => {
+      const post = { author: 'm1' };
+
+      expect(hasPermission(admin, 'post:update', post)).toBe(true);
+      expect(hasPermission(maintainer, 'post:update', post)).toBe(true);
+      expect(hasPermission(reporter, 'post:update', post)).toBe(false);
+    });
+
+    it('should let only the author or an admin change a comment', () => {
+      const comment = { author: { _id: 'r1', username: 'reporter' } };
+
+      expect(hasPermission(reporter, 'comment:update', comment)).toBe(true);
+      expect(hasPermission(maintainer, 'comment:delete', comment)).toBe(false);
+      expect(hasPermission(admin, 'comment:delete', comment)).toBe(true);
+    });
+
+    it('should let only admins create projects and maintainers manage them', () => {
+      expect(hasPermission(admin, 'project:create')).toBe(true);
+      expect(hasPermission(maintainer, 'project:create')).toBe(false);
+      expect(hasPermission(maintainer, 'project:update')).toBe(true);
+      expect(hasPermission(reporter, 'project:update')).toBe(false);
+    });
+
+    it('should let reporters assign only themselves', () => {
+      expect(hasPermission(reporter, 'bug:assign-self')).toBe(true);
+      expect(hasPermission(reporter, 'bug:assign')).toBe(false);
+      expect(hasPermission(viewer, 'bug:assign-self')).toBe(false);
+    });
+
+    it('should let only admins manage webhooks', () => {
+      expect(hasPermission(admin, 'webhook:manage')).toBe(true);
+      expect(hasPermission(maintainer, 'webhook:manage')).toBe(false);
+    });
+
+    it('should let reporters delete only the attachments they uploaded', () => {
+      const attachment = { uploadedBy: 'r1' };
+
+      expect(hasPermission(reporter, 'attachment:delete', attachment)).toBe(true);
+      expect(hasPermission(reporter, 'attachment:delete', { uploadedBy: 'm1' })).toBe(false);
+      expect(hasPermission(maintainer, 'attachment:delete', attachment)).toBe(true);
+      expect(hasPermission(viewer, 'attachment:upload')).toBe(false);
+    });
+
+    it('should throw for unknown permissions', () => {
+      expect(() => hasPermission(admin, 'bug:teleport')).toThrow('Unknown permission');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Search Utilities
+ *
+ * Helpers for full-text bug search: parsing the search string the same
+ * way MongoDB's $text operator does (words, "quoted phrases" and -negated
+ * terms) and building highlighted snippets for matching fields.
+ *
+ * MongoDB stems words when matching, so highlighting matches on a
+ * simplified stem: "crashes" highlights "crash", "crashed" and "crashing".
+ */
+
+/**
+ * Characters of context kept on each side of the first match
+ */
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Maximum length accepted for a search string
+ */
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Reduce a word to a rough stem for highlighting
+ *
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  const suffix = ['ing', 'ed', 'es', 's'].find(
+    (ending) => word.endsWith(ending) && word.length - ending.length >= 3
+  );
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a search string into the terms worth highlighting
+ *
+ * @param {string} q - Search string
+ * @returns {{words: Array<string>, phrases: Array<string>}} Lower-case terms;
+ *   negated terms are left out
+ *
+ * @example
+ * parseSearchTerms('login "blank page" -safari');
+ * // { words: ['login', 'blank', 'page'], phrases: ['blank page'] }
+ */
+function parseSearchTerms(q) {
+  const phrases = [];
+  const words = [];
+  const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(q || '').toLowerCase())) !== null) {
+    if (match[2] !== undefined) {
+      if (!match[1] && match[2].trim()) {
+        phrases.push(match[2].trim());
+        words.push(...match[2].split(/\W+/).filter(Boolean));
+      }
+    } else if (!match[3]) {
+      words.push(...match[4].split(/\W+/).filter(Boolean));
+    }
+  }
+
+  return { words: [...new Set(words)], phrases };
+}
+
+/**
+ * Find match ranges for the search terms in a piece of text
+ *
+ * @param {string} text - Text to search
+ * @param {{words: Array<string>, phrases: Array<string>}} terms - From parseSearchTerms
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges
+ */
+function findMatches(text, terms) {
+  if (!text) return [];
+
+  const patterns = [
+    ...terms.phrases.map((phrase) => escapeRegExp(phrase).replace(/\s+/g, '\\s+')),
+    ...terms.words.map((word) => `\\b${escapeRegExp(stem(word))}\\w*`),
+  ];
+  if (patterns.length === 0) return [];
+
+  const ranges = [];
+  const regex = new RegExp(patterns.join('|'), 'gi');
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex += 1;
+    } else {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Build a snippet around the first match in a piece of text
+ *
+ * @param {string} text - Field text
+ * @param {{words: Array<string>, phrases: Array<string>}} terms - From parseSearchTerms
+ * @param {number} [radius=SNIPPET_RADIUS] - Context kept around the first match
+ * @returns {{text: string, matches: Array<[number, number]>}|null} Snippet with
+ *   match ranges relative to the snippet text, or null if nothing matches
+ *
+ * @example
+ * buildSnippet('The login page crashes on submit', parseSearchTerms('crash'));
+ * // { text: 'The login page crashes on submit', matches: [[15, 22]] }
+ */
+function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  const matches = findMatches(text, terms);
+  if (matches.length === 0) return null;
+
+  let start = Math.max(matches[0][0] - radius, 0);
+  let end = Math.min(matches[0][1] + radius, text.length);
+
+  // Avoid cutting words in half at the edges
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matches[0][0]) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > matches[0][1]) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset]),
+  };
+}
+
+/**
+ * Build highlighted snippets for every matching field of a bug
+ *
+ * @param {Object} bug - Bug document or plain object
+ * @param {{words: Array<string>, phrases: Array<string>}} terms - From parseSearchTerms
+ * @returns {Array<Object>} Snippets as { field, text, matches }, with
+ *   commentId set for comment matches
+ */
+function highlightBug(bug, terms) {
+  const snippets = [];
+
+  ['title', 'description'].forEach((field) => {
+    const snippet = buildSnippet(bug[field], terms);
+    if (snippet) snippets.push({ field, ...snippet });
+  });
+
+  (bug.comments || []).forEach((comment) => {
+    if (comment.deleted) return;
+    const snippet = buildSnippet(comment.text, terms);
+    if (snippet) snippets.push({ field: 'comment', commentId: comment._id, ...snippet });
+  });
+
+  return snippets;
+}
+
+module.exports = {
+  SNIPPET_RADIUS,
+  MAX_QUERY_LENGTH,
+  escapeRegExp,
+  parseSearchTerms,
+  findMatches,
+  buildSnippet,
+  highlightBug,
+};
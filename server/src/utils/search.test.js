@@ -0,0 +1,76 @@
+// server/src/utils/search.test.js
+// Unit tests for search term parsing and snippet highlighting
+
+const {
+  parseSearchTerms,
+  findMatches,
+  buildSnippet,
+  highlightBug,
+  SNIPPET_RADIUS,
+} = require('./search');
+
+describe('Search Utilities', () => {
+  describe('parseSearchTerms', () => {
+    it('should split words and keep quoted phrases', () => {
+      expect(parseSearchTerms('Login "blank page"')).toEqual({
+        words: ['login', 'blank', 'page'],
+        phrases: ['blank page'],
+      });
+    });
+
+    it('should leave out negated words and phrases', () => {
+      expect(parseSearchTerms('crash -safari -"dark mode"')).toEqual({
+        words: ['crash'],
+        phrases: [],
+      });
+    });
+  });
+
+  describe('findMatches', () => {
+    it('should match other forms of a word', () => {
+      const text = 'It crashed, then kept crashing';
+
+      expect(findMatches(text, parseSearchTerms('crashes'))).toEqual([[3, 10], [22, 30]]);
+    });
+
+    it('should only match at the start of words', () => {
+      expect(findMatches('relogin flow', parseSearchTerms('login'))).toEqual([]);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should return null when nothing matches', () => {
+      expect(buildSnippet('Nothing relevant here', parseSearchTerms('crash'))).toBeNull();
+    });
+
+    it('should trim long text around the first match with ellipses', () => {
+      const text = `${'padding '.repeat(20)}the app crashes here${' more words'.repeat(20)}`;
+      const snippet = buildSnippet(text, parseSearchTerms('crash'));
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      expect(snippet.text.length).toBeLessThanOrEqual(SNIPPET_RADIUS * 2 + 'crashes'.length + 2);
+
+      const [[start, end]] = snippet.matches;
+      expect(snippet.text.slice(start, end)).toBe('crashes');
+    });
+  });
+
+  describe('highlightBug', () => {
+    it('should report matching fields and comments, skipping deleted comments', () => {
+      const bug = {
+        title: 'Login crash',
+        description: 'Nothing to see',
+        comments: [
+          { _id: 'c1', text: 'Same crash on mobile' },
+          { _id: 'c2', text: 'crash', deleted: true },
+        ],
+      };
+
+      const snippets = highlightBug(bug, parseSearchTerms('crash'));
+
+      expect(snippets.map((s) => s.field)).toEqual(['title', 'comment']);
+      expect(snippets[1]).toEqual(expect.objectContaining({ commentId: 'c1', matches: [[5, 10]] }));
+    });
+  });
+});
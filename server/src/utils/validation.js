@@ -85,8 +85,10 @@ function validatePassword(password) {
  * - Leading/trailing whitespace
  * - Angle brackets (< and >) which could be used for HTML injection
  * 
- * Note: This is a basic sanitization. For production HTML contexts, consider
- * using a dedicated HTML sanitization library like 'sanitize-html' or 'DOMPurify'.
+ * Note: This is a basic sanitization for short fields such as project
+ * names. Bug titles are stored as plain text and escaped wherever they are
+ * output; Markdown bodies (descriptions, comments) are kept as written with
+ * normalizeMarkdown and made safe when rendered (see utils/markdown).
  * 
  * @param {string} input - Raw user input to sanitize
  * @returns {string} Sanitized input string
@@ -105,6 +107,27 @@ function sanitizeInput(input) {
   return input.trim().replace(/[<>]/g, '');
 }
 
+/**
+ * Prepare Markdown source for storage
+ * 
+ * Keeps the text as written, since angle brackets and whitespace mean
+ * something in Markdown (two trailing spaces are a line break) and in
+ * pasted stack traces. Only line endings are unified.
+ * 
+ * @param {string} input - Markdown text from the user
+ * @returns {string} Text to store ('' for non-strings)
+ * 
+ * @example
+ * normalizeMarkdown('Panics on Vec<String>\r\n'); // 'Panics on Vec<String>\n'
+ */
+function normalizeMarkdown(input) {
+  if (typeof input !== 'string') {
+    return '';
+  }
+
+  return input.replace(/\r\n?/g, '\n');
+}
+
 /**
  * Validates if a string is a valid MongoDB ObjectId format
  * 
@@ -128,5 +151,6 @@ module.exports = {
   isValidEmail,
   validatePassword,
   sanitizeInput,
+  normalizeMarkdown,
   isValidObjectId,
 };
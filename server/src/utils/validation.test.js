@@ -5,6 +5,7 @@ const {
   isValidEmail,
   validatePassword,
   sanitizeInput,
+  normalizeMarkdown,
   isValidObjectId,
 } = require('./validation');
 
@@ -96,6 +97,21 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('normalizeMarkdown', () => {
+    it('should keep angle brackets and leading indentation', () => {
+      expect(normalizeMarkdown('    let v: Vec<String>;\nif a < b {}')).toBe('    let v: Vec<String>;\nif a < b {}');
+    });
+
+    it('should only unify line endings', () => {
+      expect(normalizeMarkdown('one\r\ntwo\rthree  \nfour\n\n')).toBe('one\ntwo\nthree  \nfour\n\n');
+    });
+
+    it('should handle non-string inputs', () => {
+      expect(normalizeMarkdown(null)).toBe('');
+      expect(normalizeMarkdown({ text: 'x' })).toBe('');
+    });
+  });
+
   describe('isValidObjectId', () => {
     it('should validate correct MongoDB ObjectId format', () => {
       expect(isValidObjectId('507f1f77bcf86cd799439011')).toBe(true);
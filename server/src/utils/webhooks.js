@@ -0,0 +1,246 @@
+/**
+ * Webhook Delivery
+ *
+ * Sends bug events to registered webhooks (see models/Webhook) as JSON
+ * POSTs. Each body is signed with the webhook's secret:
+ *
+ *   X-BugTracker-Signature: sha256=<hex HMAC-SHA256 of the raw body>
+ *
+ * so receivers can check that the request came from us. Every event
+ * becomes a WebhookDelivery that records each attempt. Failed attempts
+ * (network errors and non-2xx responses) are retried with exponential
+ * backoff until MAX_ATTEMPTS is reached.
+ *
+ * Retries are scheduled in this process, so a restart drops pending
+ * retries; their deliveries stay `pending` and can be redelivered.
+ */
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+/**
+ * Attempts made before a delivery is marked failed
+ */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Delay before the first retry, in milliseconds; doubled for each further
+ * retry. WEBHOOK_RETRY_DELAY overrides it.
+ */
+const DEFAULT_RETRY_DELAY = 10000;
+
+/**
+ * How long a receiver has to respond, in milliseconds
+ */
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Bug fields included in payloads
+ */
+const BUG_FIELDS = [
+  '_id', 'key', 'title', 'status', 'priority', 'project',
+  'reportedBy', 'assignedTo', 'tags', 'createdAt', 'updatedAt',
+];
+
+/**
+ * Sign a request body
+ *
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value, 'sha256=<hex>'
+ *
+ * @example
+ * signPayload('s3cret', '{"event":"created"}'); // 'sha256=6f1c...'
+ */
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Create a random webhook secret
+ *
+ * @returns {string} 64 hex characters
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Delay before retrying after a number of failed attempts
+ *
+ * @param {number} attempts - Attempts made so far (1 or more)
+ * @returns {number} Milliseconds to wait
+ *
+ * @example
+ * retryDelay(1); // 10000
+ * retryDelay(3); // 40000
+ */
+function retryDelay(attempts) {
+  const base = parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || DEFAULT_RETRY_DELAY;
+  return base * 2 ** (attempts - 1);
+}
+
+/**
+ * Pick the id of a reference whether or not it is populated
+ */
+function refId(value) {
+  if (!value) return null;
+  return value._id ? value._id : value;
+}
+
+/**
+ * Build the JSON payload for a bug event
+ *
+ * @param {Object} event - Bug event (see utils/bugEvents)
+ * @returns {Object} { event, bug, actor, changes?, comment? }
+ */
+function buildPayload(event) {
+  const source = typeof event.bug.toObject === 'function' ? event.bug.toObject() : event.bug;
+  const bug = {};
+  BUG_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) bug[field] = source[field];
+  });
+  bug.project = refId(bug.project);
+  bug.reportedBy = refId(bug.reportedBy);
+  bug.assignedTo = refId(bug.assignedTo);
+
+  const payload = {
+    event: event.type,
+    bug,
+    actor: event.actor || null,
+  };
+  if (event.changes) payload.changes = event.changes;
+  if (event.comment) {
+    payload.comment = {
+      _id: event.comment._id,
+      text: event.comment.text,
+      parentId: event.comment.parentId || null,
+    };
+  }
+
+  // Round-trip so ids and dates are stored exactly as they are sent
+  return JSON.parse(JSON.stringify(payload));
+}
+
+/**
+ * POST a delivery to its webhook and record the attempt
+ *
+ * Schedules the next retry when the attempt fails and attempts remain.
+ * Deliveries whose webhook was deleted or paused are marked failed.
+ *
+ * @param {string} deliveryId - WebhookDelivery id
+ * @returns {Promise<Object|null>} Updated delivery, or null if it no
+ *   longer exists
+ */
+async function attemptDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery || delivery.status !== 'pending') return delivery;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.attempts.push({ error: webhook ? 'Webhook is paused' : 'Webhook was deleted' });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const attempt = { attemptedAt: new Date(started) };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BugTracker-Webhooks',
+        'X-BugTracker-Event': delivery.event,
+        'X-BugTracker-Delivery': String(delivery._id),
+        'X-BugTracker-Signature': signPayload(webhook.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    attempt.statusCode = response.status;
+    if (!response.ok) attempt.error = `Responded with ${response.status}`;
+    // Read the body so the connection is released
+    await response.text();
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+  }
+  attempt.duration = Date.now() - started;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    const delay = retryDelay(delivery.attempts.length);
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+    setTimeout(() => {
+      attemptDelivery(deliveryId).catch((error) => {
+        console.error('Webhook retry failed:', error);
+      });
+    }, delay).unref();
+  }
+
+  return delivery.save();
+}
+
+/**
+ * Create a delivery and make its first attempt
+ *
+ * @param {Object} fields - { webhook, event, payload, redeliveryOf? }
+ * @returns {Promise<Object>} Delivery after the first attempt
+ */
+async function sendDelivery(fields) {
+  const delivery = await WebhookDelivery.create(fields);
+  return attemptDelivery(delivery._id);
+}
+
+/**
+ * Bug event subscriber that sends the event to matching webhooks
+ *
+ * Deliveries are recorded before this resolves; the POSTs themselves run
+ * in the background so a slow receiver never delays the request.
+ *
+ * @param {Object} event - Bug event
+ * @returns {Promise<void>}
+ */
+async function dispatchWebhooks(event) {
+  const project = refId(event.bug.project);
+  const webhooks = await Webhook.find({
+    active: true,
+    events: event.type,
+    $or: [{ project: null }, { project }],
+  });
+  if (webhooks.length === 0) return;
+
+  const payload = buildPayload(event);
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+    webhook: webhook._id,
+    event: event.type,
+    payload,
+  })));
+
+  deliveries.forEach((delivery) => {
+    attemptDelivery(delivery._id).catch((error) => {
+      console.error('Webhook delivery failed:', error);
+    });
+  });
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  signPayload,
+  generateSecret,
+  retryDelay,
+  buildPayload,
+  attemptDelivery,
+  sendDelivery,
+  dispatchWebhooks,
+};
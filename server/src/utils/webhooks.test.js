@@ -0,0 +1,88 @@
+// server/src/utils/webhooks.test.js
+// Unit tests for webhook signing, backoff and payloads
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const {
+  signPayload,
+  generateSecret,
+  retryDelay,
+  buildPayload,
+} = require('./webhooks');
+
+describe('Webhook Utilities', () => {
+  describe('signPayload', () => {
+    it('should sign the raw body with HMAC-SHA256', () => {
+      const body = '{"event":"created"}';
+      const expected = crypto.createHmac('sha256', 'topsecretkey1234').update(body).digest('hex');
+
+      expect(signPayload('topsecretkey1234', body)).toBe(`sha256=${expected}`);
+      expect(signPayload('anothersecret123', body)).not.toBe(`sha256=${expected}`);
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should create distinct 64-character hex secrets', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('retryDelay', () => {
+    afterEach(() => {
+      delete process.env.WEBHOOK_RETRY_DELAY;
+    });
+
+    it('should double the delay for each failed attempt', () => {
+      expect(retryDelay(1)).toBe(10000);
+      expect(retryDelay(2)).toBe(20000);
+      expect(retryDelay(4)).toBe(80000);
+    });
+
+    it('should use WEBHOOK_RETRY_DELAY as the first delay', () => {
+      process.env.WEBHOOK_RETRY_DELAY = '50';
+
+      expect(retryDelay(1)).toBe(50);
+      expect(retryDelay(3)).toBe(200);
+    });
+  });
+
+  describe('buildPayload', () => {
+    it('should include the bug summary, actor, changes and comment', () => {
+      const projectId = new mongoose.Types.ObjectId();
+      const payload = buildPayload({
+        type: 'commented',
+        bug: {
+          _id: 'b1',
+          key: 'WEB-1',
+          title: 'Broken login',
+          status: 'open',
+          project: { _id: projectId, key: 'WEB' },
+          reportedBy: { _id: 'u1', username: 'alice' },
+          assignedTo: null,
+          comments: [{ text: 'not sent' }],
+          watchers: ['u1'],
+        },
+        actor: { id: 'u2', username: 'bob' },
+        comment: { _id: 'c1', text: 'Still broken', author: 'u2' },
+      });
+
+      expect(payload).toEqual({
+        event: 'commented',
+        bug: {
+          _id: 'b1',
+          key: 'WEB-1',
+          title: 'Broken login',
+          status: 'open',
+          project: String(projectId),
+          reportedBy: 'u1',
+          assignedTo: null,
+        },
+        actor: { id: 'u2', username: 'bob' },
+        comment: { _id: 'c1', text: 'Still broken', parentId: null },
+      });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+// attachments.test.js - Integration tests for bug attachments
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const { generateToken } = require('../../src/utils/auth');
+const { getStorage } = require('../../src/utils/attachmentStorage');
+
+let mongoServer;
+let png;
+let reporterToken;
+let otherReporterToken;
+let maintainerToken;
+let viewerToken;
+
+/**
+ * Report a bug in the WEB project as the reporter
+ */
+const createBug = async () => {
+  const res = await request(app)
+    .post('/api/bugs')
+    .set('Authorization', `Bearer ${reporterToken}`)
+    .send({ project: 'WEB', title: 'Login button broken', description: 'Clicking login does nothing' });
+  return res.body;
+};
+
+/**
+ * Upload files ([buffer, name] pairs) to a bug
+ */
+const upload = (bug, files, token = reporterToken) => {
+  const req = request(app)
+    .post(`/api/bugs/${bug.key}/attachments`)
+    .set('Authorization', `Bearer ${token}`);
+  files.forEach(([buffer, name]) => req.attach('files', buffer, name));
+  return req;
+};
+
+// Setup in-memory MongoDB server, users and project before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const [reporter, otherReporter, maintainer, viewer] = await User.create([
+    { username: 'reporter', email: 'reporter@example.com', password: 'Password123', role: 'reporter' },
+    { username: 'other', email: 'other@example.com', password: 'Password123', role: 'reporter' },
+    { username: 'maintainer', email: 'maintainer@example.com', password: 'Password123', role: 'maintainer' },
+    { username: 'viewer', email: 'viewer@example.com', password: 'Password123', role: 'viewer' },
+  ]);
+  reporterToken = generateToken(reporter);
+  otherReporterToken = generateToken(otherReporter);
+  maintainerToken = generateToken(maintainer);
+  viewerToken = generateToken(viewer);
+
+  await Project.create({ name: 'Website', key: 'WEB' });
+
+  png = await sharp({
+    create: { width: 640, height: 480, channels: 3, background: '#336699' },
+  }).png().toBuffer();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Clear bugs and stored files; keep the users and project
+afterEach(async () => {
+  getStorage().files.clear();
+
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    if (!['users', 'projects'].includes(collections[key].collectionName)) {
+      await collections[key].deleteMany({});
+    }
+  }
+});
+
+describe('POST /api/bugs/:id/attachments', () => {
+  it('should store files by their sniffed type, with thumbnails for images', async () => {
+    const bug = await createBug();
+
+    const res = await upload(bug, [[png, 'écran.png'], [Buffer.from('ERROR at line 3\n'), 'server.log']]);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toHaveLength(2);
+    expect(res.body[0]).toMatchObject({ filename: 'écran.png', mimeType: 'image/png', hasThumbnail: true });
+    expect(res.body[1]).toMatchObject({ filename: 'server.log', mimeType: 'text/plain', hasThumbnail: false });
+    expect(res.body[0]).not.toHaveProperty('storageKey');
+    expect(getStorage().files.size).toBe(3);
+
+    const list = await request(app).get(`/api/bugs/${bug.key}/attachments`);
+    expect(list.body.map((attachment) => attachment.filename)).toEqual(['écran.png', 'server.log']);
+  });
+
+  it('should reject disallowed content whatever the file is called', async () => {
+    const bug = await createBug();
+
+    const res = await upload(bug, [[png, 'ok.png'], [Buffer.from([0x4d, 0x5a, 0x90, 0x00]), 'photo.png']]);
+
+    expect(res.status).toBe(415);
+    expect(res.body.error).toBe('photo.png: File type is not allowed');
+    expect(getStorage().files.size).toBe(0);
+  });
+
+  it('should reject uploads without files, or with too many', async () => {
+    const bug = await createBug();
+
+    const empty = await upload(bug, []);
+    expect(empty.status).toBe(400);
+
+    const tooMany = await upload(bug, Array.from({ length: 6 }, (_, index) => [Buffer.from('log'), `${index}.log`]));
+    expect(tooMany.status).toBe(400);
+  });
+
+  it('should attach files to an existing comment only', async () => {
+    const bug = await createBug();
+    const commented = await request(app)
+      .post(`/api/bugs/${bug.key}/comments`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ text: 'Log attached' });
+    const commentId = commented.body.comments[0]._id;
+
+    const res = await request(app)
+      .post(`/api/bugs/${bug.key}/attachments`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .field('commentId', commentId)
+      .attach('files', Buffer.from('stack trace'), 'trace.txt');
+    expect(res.status).toBe(201);
+    expect(res.body[0].commentId).toBe(commentId);
+
+    const unknown = await request(app)
+      .post(`/api/bugs/${bug.key}/attachments`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .field('commentId', String(new mongoose.Types.ObjectId()))
+      .attach('files', Buffer.from('stack trace'), 'trace.txt');
+    expect(unknown.status).toBe(400);
+  });
+
+  it('should require authentication and the upload permission', async () => {
+    const bug = await createBug();
+
+    const anonymous = await request(app)
+      .post(`/api/bugs/${bug.key}/attachments`)
+      .attach('files', png, 'a.png');
+    expect(anonymous.status).toBe(401);
+
+    const viewer = await upload(bug, [[png, 'a.png']], viewerToken);
+    expect(viewer.status).toBe(403);
+  });
+});
+
+describe('GET /api/bugs/:id/attachments/:attachmentId', () => {
+  it('should download with the stored type and a safe disposition', async () => {
+    const bug = await createBug();
+    const [attachment] = (await upload(bug, [[Buffer.from('<script>alert(1)</script>'), 'page.html']])).body;
+
+    const res = await request(app).get(`/api/bugs/${bug.key}/attachments/${attachment._id}?inline=true`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe("attachment; filename=\"page.html\"; filename*=UTF-8''page.html");
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    expect(res.text).toBe('<script>alert(1)</script>');
+  });
+
+  it('should show images inline when asked, and serve their thumbnail', async () => {
+    const bug = await createBug();
+    const [attachment] = (await upload(bug, [[png, 'screen.png']])).body;
+    const url = `/api/bugs/${bug.key}/attachments/${attachment._id}`;
+
+    const image = await request(app).get(`${url}?inline=true`);
+    expect(image.headers['content-disposition']).toMatch(/^inline; /);
+    expect(image.body.equals(png)).toBe(true);
+
+    const thumbnail = await request(app).get(`${url}/thumbnail`);
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    expect((await sharp(thumbnail.body).metadata()).width).toBe(200);
+  });
+
+  it('should return 404 for unknown attachments', async () => {
+    const bug = await createBug();
+
+    const res = await request(app).get(`/api/bugs/${bug.key}/attachments/${new mongoose.Types.ObjectId()}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/bugs/:id/attachments/:attachmentId', () => {
+  it('should let the uploader delete their file but not other reporters', async () => {
+    const bug = await createBug();
+    const [attachment] = (await upload(bug, [[png, 'screen.png']])).body;
+    const url = `/api/bugs/${bug.key}/attachments/${attachment._id}`;
+
+    const other = await request(app).delete(url).set('Authorization', `Bearer ${otherReporterToken}`);
+    expect(other.status).toBe(403);
+
+    const own = await request(app).delete(url).set('Authorization', `Bearer ${reporterToken}`);
+    expect(own.status).toBe(200);
+    expect(getStorage().files.size).toBe(0);
+
+    const list = await request(app).get(`/api/bugs/${bug.key}/attachments`);
+    expect(list.body).toEqual([]);
+  });
+
+  it('should remove attachment files when the bug is deleted', async () => {
+    const bug = await createBug();
+    await upload(bug, [[png, 'screen.png']]);
+
+    await request(app)
+      .delete(`/api/bugs/${bug.key}`)
+      .set('Authorization', `Bearer ${maintainerToken}`);
+
+    expect(getStorage().files.size).toBe(0);
+  });
+
+  it('should remove the files of a deleted comment', async () => {
+    const bug = await createBug();
+    const commented = await request(app)
+      .post(`/api/bugs/${bug.key}/comments`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ text: 'Log attached' });
+    const commentId = commented.body.comments[0]._id;
+    await request(app)
+      .post(`/api/bugs/${bug.key}/attachments`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .field('commentId', commentId)
+      .attach('files', Buffer.from('stack trace'), 'trace.txt');
+    await upload(bug, [[png, 'screen.png']]);
+
+    const res = await request(app)
+      .delete(`/api/bugs/${bug.key}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${reporterToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.attachments.map((attachment) => attachment.filename)).toEqual(['screen.png']);
+    expect(getStorage().files.size).toBe(2); // the screenshot and its thumbnail
+  });
+});
@@ -0,0 +1,271 @@
+// authRoutes.test.js - Integration tests for /api/auth endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+
+let mongoServer;
+
+const validUser = {
+  username: 'authuser',
+  email: 'auth@example.com',
+  password: 'Password123',
+};
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Start every test with empty users and sessions
+afterEach(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+});
+
+describe('POST /api/auth/register', () => {
+  it('should create a user and return a token', async () => {
+    const res = await request(app).post('/api/auth/register').send(validUser);
+
+    expect(res.status).toBe(201);
+    expect(res.body.token.split('.')).toHaveLength(3);
+    expect(res.body.user.email).toBe(validUser.email);
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  it('should return 400 with field errors for invalid input', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: '', email: 'not-an-email', password: 'weak' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.errors).toHaveProperty('username');
+    expect(res.body.errors).toHaveProperty('email');
+    expect(res.body.errors).toHaveProperty('password');
+  });
+
+  it('should return 400 for non-string fields', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 1, email: {}, password: ['Password123'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual({
+      username: 'Username must be a string',
+      email: 'Email must be a string',
+      password: 'Password must be a string',
+    });
+  });
+
+  it('should return 409 when the email is already registered', async () => {
+    await request(app).post('/api/auth/register').send(validUser);
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...validUser, username: 'someoneelse' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toContain('already exists');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  beforeEach(async () => {
+    await request(app).post('/api/auth/register').send(validUser);
+  });
+
+  it('should return a token for valid credentials', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: validUser.email, password: validUser.password });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.user.username).toBe(validUser.username);
+  });
+
+  it('should return 401 for a wrong password', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: validUser.email, password: 'WrongPass123' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid email or password');
+  });
+
+  it('should return 401 for an unknown email', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: validUser.password });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid email or password');
+  });
+
+  it('should return 400 for non-string credentials', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: { $gt: '' }, password: 12345678 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.email).toBe('Email must be a string');
+    expect(res.body.errors.password).toBe('Password must be a string');
+  });
+
+  it('should return 400 when credentials are missing', async () => {
+    const res = await request(app).post('/api/auth/login').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('errors');
+  });
+});
+
+describe('GET /api/auth/me and POST /api/auth/logout', () => {
+  let token;
+
+  beforeEach(async () => {
+    const res = await request(app).post('/api/auth/register').send(validUser);
+    token = res.body.token;
+  });
+
+  it('should return the current user', async () => {
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.email).toBe(validUser.email);
+    expect(res.body).not.toHaveProperty('password');
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/auth/me');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should log out an authenticated user', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  it('should reject the access token after logout', async () => {
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('revoked');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  let session;
+
+  beforeEach(async () => {
+    const res = await request(app).post('/api/auth/register').send(validUser);
+    session = res.body;
+  });
+
+  it('should store only a hash of the refresh token', async () => {
+    const stored = await RefreshToken.findOne({});
+
+    expect(stored.tokenHash).not.toBe(session.refreshToken);
+    expect(stored.tokenHash).toBe(RefreshToken.hashToken(session.refreshToken));
+  });
+
+  it('should rotate the refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.refreshToken).not.toBe(session.refreshToken);
+  });
+
+  it('should keep the session active while rotating', async () => {
+    const { family } = await RefreshToken.findOne({});
+    const activeAfterClaim = [];
+    const claim = RefreshToken.findOneAndUpdate.bind(RefreshToken);
+    const spy = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (...args) => {
+      const result = await claim(...args);
+      activeAfterClaim.push(await RefreshToken.isFamilyActive(family));
+      return result;
+    });
+
+    try {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(activeAfterClaim).toEqual([true]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    const old = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(session.refreshToken) });
+    expect(old.revokedAt).not.toBeNull();
+    expect(old.replacedBy).not.toBeNull();
+  });
+
+  it('should revoke the session when a rotated token is reused', async () => {
+    const rotated = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+
+    const reuse = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.code).toBe('refresh_token_reused');
+
+    // The legitimately rotated token is now revoked as well
+    const next = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: rotated.body.refreshToken });
+
+    expect(next.status).toBe(401);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${rotated.body.token}`);
+
+    expect(me.status).toBe(401);
+  });
+
+  it('should return 401 for an unknown refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'not-a-real-token' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 when the refresh token is missing', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+
+    expect(res.status).toBe(400);
+  });
+});
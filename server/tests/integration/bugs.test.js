@@ -0,0 +1,1010 @@
+// bugs.test.js - Integration tests for bug API endpoints
+
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const Notification = require('../../src/models/Notification');
+const { generateToken } = require('../../src/utils/auth');
+const { onBugEvent } = require('../../src/utils/bugEvents');
+const PRIORITIES = require('../../src/config/bugPriorities');
+const { runMigrations } = require('../../src/utils/migrations');
+
+let mongoServer;
+let project;
+let reporter;
+let maintainer;
+let reporterToken;
+let maintainerToken;
+
+/**
+ * Create a bug through the API as the reporter
+ */
+const createBug = async (overrides = {}) => {
+  const res = await request(app)
+    .post('/api/bugs')
+    .set('Authorization', `Bearer ${reporterToken}`)
+    .send({
+      project: 'WEB',
+      title: 'Login button broken',
+      description: 'Clicking the login button does nothing',
+      priority: 'high',
+      ...overrides,
+    });
+  return res.body;
+};
+
+// Setup in-memory MongoDB server and users before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  reporter = await User.create({
+    username: 'reporter',
+    email: 'reporter@example.com',
+    password: 'Password123',
+    role: 'reporter',
+  });
+  maintainer = await User.create({
+    username: 'maintainer',
+    email: 'maintainer@example.com',
+    password: 'Password123',
+    role: 'maintainer',
+  });
+  reporterToken = generateToken(reporter);
+  maintainerToken = generateToken(maintainer);
+
+  project = await Project.create({ name: 'Website', key: 'WEB' });
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Keep the users and project, remove everything else between tests
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    if (!['users', 'projects'].includes(collections[key].collectionName)) {
+      await collections[key].deleteMany({});
+    }
+  }
+});
+
+describe('GET /api/bugs', () => {
+  /**
+   * Insert bugs directly with increasing creation times
+   */
+  const seedBugs = (count, overrides = {}) => Bug.insertMany(
+    Array.from({ length: count }, (_, i) => ({
+      title: `Seeded bug number ${i}`,
+      description: 'Inserted for pagination tests',
+      project: project._id,
+      reportedBy: reporter._id,
+      createdAt: new Date(Date.UTC(2026, 0, 1, 0, i)),
+      ...overrides,
+    }))
+  );
+
+  it('should return a page with total, counts and a next cursor', async () => {
+    await seedBugs(3);
+    await seedBugs(2, { status: 'triaged' });
+
+    const res = await request(app).get('/api/bugs?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs).toHaveLength(2);
+    expect(res.body.total).toBe(5);
+    expect(res.body.nextCursor).toEqual(expect.any(String));
+    expect(res.body.counts).toEqual(expect.objectContaining({ open: 3, triaged: 2, closed: 0 }));
+  });
+
+  it('should walk every bug exactly once by following cursors', async () => {
+    await seedBugs(5);
+    const seen = [];
+    let cursor = null;
+
+    do {
+      const query = cursor ? `?limit=2&cursor=${cursor}` : '?limit=2';
+      const res = await request(app).get(`/api/bugs${query}`);
+      seen.push(...res.body.bugs.map((bug) => bug.title));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([4, 3, 2, 1, 0].map((i) => `Seeded bug number ${i}`));
+  });
+
+  it('should keep counts for every status when filtering by status', async () => {
+    await seedBugs(2);
+    await seedBugs(1, { status: 'triaged' });
+
+    const res = await request(app).get('/api/bugs?status=triaged');
+
+    expect(res.body.total).toBe(1);
+    expect(res.body.counts).toEqual(expect.objectContaining({ open: 2, triaged: 1 }));
+  });
+
+  it('should still support page numbers', async () => {
+    await seedBugs(5);
+
+    const res = await request(app).get('/api/bugs?limit=2&page=3');
+
+    expect(res.body.bugs.map((bug) => bug.title)).toEqual(['Seeded bug number 0']);
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  it('should reject malformed cursors and limits', async () => {
+    const badCursor = await request(app).get('/api/bugs?cursor=garbage');
+    const badLimit = await request(app).get('/api/bugs?limit=-1');
+
+    expect(badCursor.status).toBe(400);
+    expect(badLimit.status).toBe(400);
+  });
+
+  it('should sort priority by severity and page through multi-key sorts', async () => {
+    await seedBugs(1, { priority: 'low' });
+    await seedBugs(1, { priority: 'critical' });
+    await seedBugs(2, { priority: 'medium' });
+
+    const first = await request(app).get('/api/bugs?sortBy=-priority,createdAt&limit=2');
+    const second = await request(app)
+      .get(`/api/bugs?sortBy=-priority,createdAt&limit=2&cursor=${first.body.nextCursor}`);
+
+    const priorities = [...first.body.bugs, ...second.body.bugs].map((bug) => bug.priority);
+    expect(priorities).toEqual(['critical', 'medium', 'medium', 'low']);
+  });
+
+  it('should reject sorting on fields outside the whitelist', async () => {
+    const res = await request(app).get('/api/bugs?sortBy=reportedBy.password');
+
+    expect(res.status).toBe(400);
+    expect(res.body.param).toBe('sortBy');
+    expect(res.body.allowed).toContain('priority');
+  });
+
+  it('should reject operator injection in filters', async () => {
+    await seedBugs(2);
+
+    const operatorKey = await request(app).get('/api/bugs?status[$ne]=closed');
+    const repeated = await request(app).get('/api/bugs?status=open&status=closed');
+    const unknown = await request(app).get('/api/bugs?priority=urgent');
+
+    expect(operatorKey.status).toBe(400);
+    expect(repeated.status).toBe(400);
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.allowed).toEqual(['low', 'medium', 'high', 'critical']);
+  });
+});
+
+describe('GET /api/bugs?q=', () => {
+  beforeAll(async () => {
+    // $text queries need the text index to exist
+    await Bug.init();
+  });
+
+  it('should rank title matches first and return highlighted snippets', async () => {
+    await createBug({
+      title: 'Checkout page is slow',
+      description: 'The login form on checkout freezes',
+    });
+    await createBug({
+      title: 'Login button broken',
+      description: 'Clicking the button does nothing',
+    });
+
+    const res = await request(app).get('/api/bugs?q=login');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.bugs[0].title).toBe('Login button broken');
+
+    const [snippet] = res.body.bugs[0].snippets;
+    expect(snippet.field).toBe('title');
+    expect(snippet.text.slice(...snippet.matches[0])).toBe('Login');
+  });
+
+  it('should find bugs by comment text', async () => {
+    const bug = await createBug();
+    await request(app)
+      .post(`/api/bugs/${bug._id}/comments`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ text: 'Reproduced on Firefox nightly' });
+
+    const res = await request(app).get('/api/bugs?q=firefox');
+
+    expect(res.body.bugs).toHaveLength(1);
+    expect(res.body.bugs[0].snippets[0].field).toBe('comment');
+  });
+
+  it('should page search results with cursors', async () => {
+    await createBug({ title: 'Crash on save one', description: 'The editor crashes on save' });
+    await createBug({ title: 'Crash on save two', description: 'The editor crashes on save' });
+    await createBug({ title: 'Crash on save six', description: 'The editor crashes on save' });
+
+    const first = await request(app).get('/api/bugs?q=crash&limit=2');
+    const second = await request(app).get(`/api/bugs?q=crash&limit=2&cursor=${first.body.nextCursor}`);
+
+    const titles = [...first.body.bugs, ...second.body.bugs].map((bug) => bug.title);
+    expect(new Set(titles).size).toBe(3);
+    expect(second.body.nextCursor).toBeNull();
+  });
+});
+
+describe('GET /api/bugs?query=', () => {
+  it('should filter with a query expression', async () => {
+    await createBug({ title: 'High UI bug here', priority: 'high', tags: ['ui'] });
+    await createBug({ title: 'Critical API bug', priority: 'critical', tags: ['api'] });
+    await createBug({ title: 'Low priority UI bug', priority: 'low', tags: ['ui'] });
+
+    const res = await request(app)
+      .get('/api/bugs')
+      .query({ query: 'priority:>=high -tag:api' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs.map((bug) => bug.title)).toEqual(['High UI bug here']);
+  });
+
+  it('should match tags whatever their case', async () => {
+    const bug = await createBug({ title: 'Mixed case tags', tags: ['UI', 'Frontend'] });
+    expect(bug.tags).toEqual(['ui', 'frontend']);
+
+    const upper = await request(app).get('/api/bugs').query({ query: 'tag:UI' });
+    const mixed = await request(app).get('/api/bugs').query({ query: 'tag:Frontend' });
+
+    expect(upper.body.bugs.map((item) => item.title)).toEqual(['Mixed case tags']);
+    expect(mixed.body.bugs.map((item) => item.title)).toEqual(['Mixed case tags']);
+  });
+
+  it('should find a bug by key after it is renamed', async () => {
+    const bug = await createBug();
+    await createBug({ title: 'Signup form broken' });
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ title: 'Login button "does nothing"' });
+
+    const res = await request(app).get('/api/bugs').query({ query: 'key:web-1' });
+
+    expect(res.body.bugs.map((item) => item.title)).toEqual(['Login button "does nothing"']);
+  });
+
+  it('should resolve assignee:me for the logged-in user', async () => {
+    const bug = await createBug();
+    await Bug.findByIdAndUpdate(bug._id, { assignedTo: maintainer._id });
+    await createBug({ title: 'Unassigned bug report' });
+
+    const res = await request(app)
+      .get('/api/bugs')
+      .query({ query: 'assignee:me' })
+      .set('Authorization', `Bearer ${maintainerToken}`);
+
+    expect(res.body.total).toBe(1);
+    expect(res.body.bugs[0]._id).toBe(bug._id);
+  });
+
+  it('should point at the bad token in errors', async () => {
+    const res = await request(app)
+      .get('/api/bugs')
+      .query({ query: 'status:open colour:red' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual(expect.objectContaining({ token: 'colour:red', position: 12 }));
+  });
+
+  it('should require login for assignee:me', async () => {
+    const res = await request(app)
+      .get('/api/bugs')
+      .query({ query: 'assignee:me' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('logged in');
+  });
+});
+
+describe('Legacy bugs', () => {
+  it('should still update and comment on a bug saved before projects existed', async () => {
+    const { insertedId } = await Bug.collection.insertOne({
+      title: 'Bug from before projects',
+      description: 'Stored without a project or key',
+      status: 'open',
+      priority: 'medium',
+      reportedBy: reporter._id,
+      watchers: [],
+      comments: [],
+      tags: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    const updated = await request(app)
+      .put(`/api/bugs/${insertedId}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ status: 'triaged' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.status).toBe('triaged');
+
+    const commented = await request(app)
+      .post(`/api/bugs/${insertedId}/comments`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ text: 'Still happening' });
+    expect(commented.status).toBe(200);
+    expect(commented.body.key).toBeUndefined();
+  });
+
+  it('should page bugs saved before priorityRank existed by severity once migrated', async () => {
+    const priorities = ['low', 'critical', 'medium', 'high', 'medium'];
+    await Bug.collection.insertMany(priorities.map((priority, i) => ({
+      project: project._id,
+      key: `WEB-${i + 1}`,
+      title: `Legacy bug number ${i}`,
+      description: 'Stored without a priority rank',
+      status: 'open',
+      priority,
+      reportedBy: reporter._id,
+      watchers: [],
+      comments: [],
+      tags: [],
+      createdAt: new Date(Date.UTC(2025, 0, i + 1)),
+      updatedAt: new Date(Date.UTC(2025, 0, i + 1)),
+    })));
+    await runMigrations();
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const query = `?sortBy=-priority,createdAt&limit=2${cursor ? `&cursor=${cursor}` : ''}`;
+      const res = await request(app).get(`/api/bugs${query}`);
+      seen.push(...res.body.bugs.map((bug) => bug.key));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual(['WEB-2', 'WEB-4', 'WEB-3', 'WEB-5', 'WEB-1']);
+  });
+});
+
+describe('Bug keys', () => {
+  it('should number new bugs sequentially', async () => {
+    const first = await createBug();
+    const second = await createBug({ title: 'Signup form broken' });
+
+    expect(first.key).toBe('WEB-1');
+    expect(second.key).toBe('WEB-2');
+    expect(second.number).toBe(2);
+  });
+
+  it('should not hand out the same key to concurrent creates', async () => {
+    const bugs = await Promise.all(
+      Array.from({ length: 5 }, (_, i) => createBug({ title: `Concurrent bug ${i}` }))
+    );
+
+    expect(new Set(bugs.map((bug) => bug.key)).size).toBe(5);
+  });
+
+  it('should look bugs up by key or id', async () => {
+    const bug = await createBug();
+
+    const byKey = await request(app).get('/api/bugs/web-1');
+    expect(byKey.status).toBe(200);
+    expect(byKey.body._id).toBe(bug._id);
+
+    const byId = await request(app).get(`/api/bugs/${bug._id}`);
+    expect(byId.body.key).toBe('WEB-1');
+
+    const history = await request(app).get('/api/bugs/WEB-1/history');
+    expect(history.body[0].action).toBe('created');
+  });
+
+  it('should reject malformed references and 404 unknown keys', async () => {
+    const malformed = await request(app).get('/api/bugs/WEB-abc');
+    expect(malformed.status).toBe(400);
+
+    const unknown = await request(app).get('/api/bugs/WEB-999');
+    expect(unknown.status).toBe(404);
+  });
+});
+
+describe('Bug permissions', () => {
+  it('should not let a reporter delete a bug', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .delete(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual(expect.objectContaining({
+      code: 'forbidden',
+      permission: 'bug:delete',
+    }));
+  });
+
+  it('should let a maintainer delete a bug', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .delete(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should not let a reporter edit someone else\'s bug', async () => {
+    const bug = await Bug.create({
+      title: 'Maintainer bug report',
+      description: 'Reported by the maintainer',
+      project: project._id,
+      reportedBy: maintainer._id,
+    });
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ priority: 'low' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Bug status workflow', () => {
+  it('should reject transitions the workflow does not allow', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ status: 'closed' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Cannot change status from open to closed');
+  });
+
+  it('should require a resolution note to resolve', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ status: 'resolved' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveProperty('resolution');
+  });
+
+  it('should not let a reporter resolve their own bug', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ status: 'resolved', resolution: 'Fixed it' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.permission).toBe('bug:resolve');
+  });
+
+  it('should set and clear resolvedAt across resolve and reopen', async () => {
+    const bug = await createBug();
+
+    const resolved = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ status: 'resolved', resolution: 'Fixed the handler' });
+
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.resolvedAt).not.toBeNull();
+
+    const reopened = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ status: 'reopened' });
+
+    expect(reopened.status).toBe(200);
+    expect(reopened.body.resolvedAt).toBeNull();
+    expect(reopened.body.resolution).toBeNull();
+  });
+
+  it('should list only the transitions the caller may use', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .get(`/api/bugs/${bug._id}/transitions`)
+      .set('Authorization', `Bearer ${reporterToken}`);
+
+    const targets = res.body.transitions.map((t) => t.to);
+    expect(targets).toContain('triaged');
+    expect(targets).not.toContain('resolved');
+  });
+});
+
+describe('GET /api/bugs/:id/history', () => {
+  it('should record who changed which fields', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ status: 'triaged', priority: 'critical' });
+
+    const res = await request(app).get(`/api/bugs/${bug._id}/history`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(2);
+    expect(res.body[0].action).toBe('created');
+    expect(res.body[1].actor.username).toBe('maintainer');
+    expect(res.body[1].changes).toEqual([
+      { field: 'status', from: 'open', to: 'triaged' },
+      { field: 'priority', from: 'high', to: 'critical' },
+    ]);
+  });
+
+  it('should record title and description edits', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ title: 'Login button does nothing', description: 'Clicking **login** does nothing' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.descriptionHtml).toContain('<strong>login</strong>');
+
+    const history = await request(app).get(`/api/bugs/${bug._id}/history`);
+    expect(history.body[1].changes).toEqual([
+      { field: 'title', from: 'Login button broken', to: 'Login button does nothing' },
+      {
+        field: 'description',
+        from: 'Clicking the login button does nothing',
+        to: 'Clicking **login** does nothing',
+      },
+    ]);
+  });
+
+  it('should validate edited titles like new ones', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ title: 'Bug' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.title).toBe('Title must be at least 5 characters');
+  });
+
+  it('should only accept the configured priorities', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ priority: 'urgent' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(`Invalid priority. Must be one of: ${PRIORITIES.join(', ')}`);
+  });
+
+  it('should not record an event when nothing changed', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ priority: 'high' });
+
+    const res = await request(app).get(`/api/bugs/${bug._id}/history`);
+
+    expect(res.body).toHaveLength(1);
+  });
+});
+
+describe('Bug assignment', () => {
+  it('should reject assignees that are not users', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ assignedTo: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.assignedTo).toBe('Assignee not found');
+  });
+
+  it('should let a reporter assign themselves but nobody else', async () => {
+    const bug = await createBug();
+
+    const self = await request(app)
+      .post(`/api/bugs/${bug.key}/assign`)
+      .set('Authorization', `Bearer ${reporterToken}`);
+    expect(self.status).toBe(200);
+    expect(self.body.assignedTo.username).toBe('reporter');
+
+    const other = await request(app)
+      .post(`/api/bugs/${bug.key}/assign`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ userId: String(maintainer._id) });
+    expect(other.status).toBe(403);
+  });
+
+  it('should assign, unassign and record both in the history', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .post(`/api/bugs/${bug._id}/assign`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ userId: String(reporter._id) });
+    const res = await request(app)
+      .post(`/api/bugs/${bug._id}/unassign`)
+      .set('Authorization', `Bearer ${maintainerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.assignedTo).toBeNull();
+
+    const history = await request(app).get(`/api/bugs/${bug._id}/history`);
+    expect(history.body.map((event) => event.changes[0].to && event.changes[0].to.username))
+      .toEqual(expect.arrayContaining(['reporter']));
+    expect(history.body).toHaveLength(3);
+  });
+
+  it('should treat unassigning an unassigned bug as a no-op', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .post(`/api/bugs/${bug.key}/unassign`)
+      .set('Authorization', `Bearer ${reporterToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.assignedTo).toBeNull();
+
+    const history = await request(app).get(`/api/bugs/${bug._id}/history`);
+    expect(history.body).toHaveLength(1);
+  });
+
+  it('should search users by username prefix', async () => {
+    const res = await request(app)
+      .get('/api/users?q=MAIN')
+      .set('Authorization', `Bearer ${reporterToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([expect.objectContaining({ username: 'maintainer', role: 'maintainer' })]);
+    expect(res.body[0].email).toBeUndefined();
+  });
+});
+
+describe('Bug comments', () => {
+  /**
+   * Add a comment to a bug as the reporter
+   */
+  const addComment = (bugId, body) => request(app)
+    .post(`/api/bugs/${bugId}/comments`)
+    .set('Authorization', `Bearer ${reporterToken}`)
+    .send(body);
+
+  it('should thread replies under their parent comment', async () => {
+    const bug = await createBug();
+    const first = await addComment(bug._id, { text: 'Which browser?' });
+    const parentId = first.body.comments[0]._id;
+
+    const res = await addComment(bug._id, { text: 'Firefox', parentId });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comments[1].parentId).toBe(parentId);
+  });
+
+  it('should reject replies to unknown comments', async () => {
+    const bug = await createBug();
+
+    const res = await addComment(bug._id, {
+      text: 'Reply to nothing',
+      parentId: new mongoose.Types.ObjectId().toString(),
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Parent comment not found');
+  });
+
+  it('should keep the previous text when a comment is edited', async () => {
+    const bug = await createBug();
+    const created = await addComment(bug._id, { text: 'Typo hre' });
+    const commentId = created.body.comments[0]._id;
+
+    const res = await request(app)
+      .patch(`/api/bugs/${bug._id}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ text: 'Typo here' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comments[0].text).toBe('Typo here');
+    expect(res.body.comments[0].editedAt).toBeTruthy();
+    expect(res.body.comments[0].edits[0].text).toBe('Typo hre');
+  });
+
+  it('should record and publish comment edits and deletions', async () => {
+    const bug = await createBug();
+    const created = await addComment(bug._id, { text: 'Typo hre' });
+    const commentId = created.body.comments[0]._id;
+    const events = [];
+    const payloads = [];
+    const unsubscribe = onBugEvent((event) => {
+      events.push([event.type, String(event.comment._id)]);
+      payloads.push(JSON.stringify(event));
+    });
+
+    try {
+      await request(app)
+        .patch(`/api/bugs/${bug._id}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .send({ text: 'Typo here' });
+      await request(app)
+        .delete(`/api/bugs/${bug._id}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${reporterToken}`);
+    } finally {
+      unsubscribe();
+    }
+
+    expect(events).toEqual([['comment.updated', commentId], ['comment.deleted', commentId]]);
+
+    const history = await request(app).get(`/api/bugs/${bug._id}/history`);
+    expect(history.body.slice(1).map((event) => [event.action, event.comment])).toEqual([
+      ['comment.updated', commentId],
+      ['comment.deleted', commentId],
+    ]);
+    expect(history.body[1].changes).toEqual([{ field: 'text', from: '[deleted]', to: '[deleted]' }]);
+    expect(JSON.stringify(history.body)).not.toMatch(/Typo/);
+    expect(payloads[1]).not.toMatch(/Typo/);
+  });
+
+  it('should not let another user edit a comment', async () => {
+    const bug = await createBug();
+    const created = await addComment(bug._id, { text: 'Mine' });
+    const commentId = created.body.comments[0]._id;
+
+    const res = await request(app)
+      .patch(`/api/bugs/${bug._id}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ text: 'Not yours' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.permission).toBe('comment:update');
+  });
+
+  it('should blank deleted comments that have replies', async () => {
+    const bug = await createBug();
+    const first = await addComment(bug._id, { text: 'Parent' });
+    const parentId = first.body.comments[0]._id;
+    await addComment(bug._id, { text: 'Child', parentId });
+
+    const res = await request(app)
+      .delete(`/api/bugs/${bug._id}/comments/${parentId}`)
+      .set('Authorization', `Bearer ${reporterToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.comments).toHaveLength(2);
+    expect(res.body.comments[0]).toEqual(expect.objectContaining({
+      deleted: true,
+      text: '[deleted]',
+    }));
+  });
+
+  it('should remove deleted comments without replies', async () => {
+    const bug = await createBug();
+    const created = await addComment(bug._id, { text: 'Short-lived' });
+    const commentId = created.body.comments[0]._id;
+
+    const res = await request(app)
+      .delete(`/api/bugs/${bug._id}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${reporterToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.comments).toHaveLength(0);
+  });
+});
+
+describe('Markdown bodies', () => {
+  it('should store the description as written and render it to HTML', async () => {
+    const bug = await createBug({
+      description: 'Panics when a < b:\n\n```\nthread main panicked at Vec<String>\n```\n<script>alert(1)</script>',
+    });
+
+    expect(bug.description).toContain('when a < b');
+    expect(bug.description).toContain('Vec<String>');
+    expect(bug.descriptionHtml).toContain('<p>Panics when a &lt; b:</p>');
+    expect(bug.descriptionHtml).toContain('<pre><code>thread main panicked at Vec&lt;String&gt;');
+    expect(bug.descriptionHtml).not.toContain('<script>');
+  });
+
+  it('should keep trailing whitespace and store titles as plain text', async () => {
+    const bug = await createBug({
+      title: '  Crash on <Save> & quit ',
+      description: 'First line  \r\nsecond line\n',
+    });
+
+    expect(bug.title).toBe('Crash on <Save> & quit');
+    expect(bug.description).toBe('First line  \nsecond line\n');
+    expect(bug.descriptionHtml).toContain('First line<br');
+  });
+
+  it('should reject titles that are not text', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ project: 'WEB', title: ['Crash', 'on save'], description: 'Clicking save crashes the app' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.title).toBe('Title must be at least 5 characters');
+  });
+
+  it('should render comments again when they are edited', async () => {
+    const bug = await createBug();
+    const created = await request(app)
+      .post(`/api/bugs/${bug._id}/comments`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ text: 'See [the log](https://example.com/log)' });
+    const [comment] = created.body.comments;
+    expect(comment.textHtml).toContain('rel="nofollow noopener noreferrer"');
+
+    const res = await request(app)
+      .patch(`/api/bugs/${bug._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ text: 'Fixed by `Option<T>`' });
+
+    expect(res.body.comments[0].textHtml).toBe('<p>Fixed by <code>Option&lt;T&gt;</code></p>\n');
+  });
+
+  it('should preview Markdown without storing anything', async () => {
+    const res = await request(app)
+      .post('/api/markdown/preview')
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ text: '- one\n- **two**' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.html).toBe('<ul>\n<li>one</li>\n<li><strong>two</strong></li>\n</ul>\n');
+    expect(await Bug.countDocuments()).toBe(0);
+  });
+
+  it('should require a login and text to preview', async () => {
+    const anonymous = await request(app).post('/api/markdown/preview').send({ text: 'hi' });
+    expect(anonymous.status).toBe(401);
+
+    const missing = await request(app)
+      .post('/api/markdown/preview')
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({});
+    expect(missing.status).toBe(400);
+  });
+});
+
+describe('Mentions and bug references', () => {
+  /**
+   * Comment on a bug as the reporter
+   */
+  const addComment = (bugId, text) => request(app)
+    .post(`/api/bugs/${bugId}/comments`)
+    .set('Authorization', `Bearer ${reporterToken}`)
+    .send({ text });
+
+  it('should resolve mentions, notify and add the mentioned user as a watcher', async () => {
+    const bug = await createBug();
+
+    const res = await addComment(bug._id, '@maintainer can you look? @nobody too');
+
+    const [comment] = res.body.comments;
+    expect(comment.mentions).toEqual([String(maintainer._id)]);
+    expect(comment.textHtml).toContain('<span class="mention">@maintainer</span>');
+    expect(comment.textHtml).toContain('@nobody too');
+
+    const stored = await Bug.findById(bug._id);
+    expect(stored.watchers.map(String)).toContain(String(maintainer._id));
+
+    const notification = await Notification.findOne({ recipient: maintainer._id });
+    expect(notification.type).toBe('mentioned');
+    expect(notification.message).toBe('reporter mentioned you on WEB-1');
+  });
+
+  it('should handle mentions in a new bug\'s description', async () => {
+    const bug = await createBug({ description: 'Broken since the last deploy, cc @maintainer' });
+
+    expect(bug.mentions).toEqual([String(maintainer._id)]);
+    expect(await Notification.countDocuments({ recipient: maintainer._id, type: 'mentioned' })).toBe(1);
+  });
+
+  it('should link bug references and record one back-reference per bug', async () => {
+    const target = await createBug();
+    const source = await createBug({ title: 'Logout button broken' });
+
+    const res = await addComment(source._id, 'Probably the same cause as #WEB-1, not #WEB-99');
+    await addComment(source._id, 'Definitely #web-1');
+
+    const [comment] = res.body.comments;
+    expect(comment.references).toEqual([target._id]);
+    expect(comment.textHtml).toContain('class="bug-ref"');
+    expect(comment.textHtml).toContain('>#WEB-1</a>, not #WEB-99');
+
+    const referenced = await Bug.findById(target._id);
+    expect(referenced.referencedBy).toHaveLength(1);
+    expect(referenced.referencedBy[0].key).toBe('WEB-2');
+    expect(String(referenced.referencedBy[0].commentId)).toBe(comment._id);
+  });
+
+  it('should drop the back-references of a deleted bug', async () => {
+    const target = await createBug();
+    const source = await createBug({ title: 'Logout button broken', description: 'Same cause as #WEB-1' });
+    await addComment(source._id, 'Still the same as #WEB-1');
+
+    const res = await request(app)
+      .delete(`/api/bugs/${source._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`);
+
+    expect(res.status).toBe(200);
+    expect((await Bug.findById(target._id)).referencedBy).toHaveLength(0);
+  });
+
+  it('should handle mentions and references added by a description edit', async () => {
+    const target = await createBug();
+    const bug = await createBug({ title: 'Logout button broken' });
+    const edit = (description) => request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ description });
+
+    await edit('Same cause as #WEB-1, cc @maintainer');
+    await edit('Same cause as #WEB-1, cc @maintainer, see the logs');
+
+    const stored = await Bug.findById(bug._id);
+    expect(stored.watchers.map(String)).toContain(String(maintainer._id));
+    expect(await Notification.countDocuments({ recipient: maintainer._id, type: 'mentioned' })).toBe(1);
+
+    const referenced = await Bug.findById(target._id);
+    expect(referenced.referencedBy).toHaveLength(1);
+    expect(referenced.referencedBy[0]).toMatchObject({ key: 'WEB-2', commentId: null });
+  });
+});
+
+describe('GET /api/bugs/stream', () => {
+  let server;
+
+  beforeAll((done) => {
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  /**
+   * Open the stream and resolve with its text once `until` appears
+   */
+  const readStream = (headers, until, onOpen = () => {}) => new Promise((resolve, reject) => {
+    const req = http.get({ port: server.address().port, path: '/api/bugs/stream', headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (!text) onOpen();
+        text += chunk;
+        if (text.includes(until)) {
+          req.destroy();
+          resolve({ res, text });
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+
+  it('should push new bugs and replay them after Last-Event-ID', async () => {
+    const live = await readStream({}, 'WEB-1', () => createBug());
+
+    expect(live.res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(live.text).toMatch(/id: (\d+)\nevent: created\ndata: .*"key":"WEB-1"/);
+
+    const [, id] = /id: (\d+)\nevent: created/.exec(live.text);
+    const replay = await readStream({ 'Last-Event-ID': String(Number(id) - 1) }, 'WEB-1');
+    expect(replay.text).toContain(`id: ${id}\nevent: created`);
+  });
+});
+
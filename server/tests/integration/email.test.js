@@ -0,0 +1,209 @@
+// email.test.js - Integration tests for email notifications, digests and preferences
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const { generateToken, generateUnsubscribeToken } = require('../../src/utils/auth');
+const { mailer } = require('../../src/utils/mailer');
+const { sendDigests } = require('../../src/utils/emailNotifications');
+
+let mongoServer;
+let maintainer;
+let watcher;
+let reporterToken;
+let maintainerToken;
+let watcherToken;
+
+/**
+ * Report a bug in the WEB project as the reporter
+ */
+const createBug = async () => {
+  const res = await request(app)
+    .post('/api/bugs')
+    .set('Authorization', `Bearer ${reporterToken}`)
+    .send({ project: 'WEB', title: 'Login button broken', description: 'Clicking login does nothing' });
+  return res.body;
+};
+
+/**
+ * Comment on a bug as the given user
+ */
+const comment = (bug, token, text) => request(app)
+  .post(`/api/bugs/${bug.key}/comments`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ text });
+
+/**
+ * Messages sent to an address
+ */
+const inbox = (address) => mailer.transport.sent.filter((message) => message.to === address);
+
+// Setup in-memory MongoDB server, users and project before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  let reporter;
+  [reporter, maintainer, watcher] = await User.create([
+    { username: 'reporter', email: 'reporter@example.com', password: 'Password123', role: 'reporter' },
+    { username: 'maintainer', email: 'maintainer@example.com', password: 'Password123', role: 'maintainer' },
+    { username: 'watcher', email: 'watcher@example.com', password: 'Password123', role: 'reporter' },
+  ]);
+  reporterToken = generateToken(reporter);
+  maintainerToken = generateToken(maintainer);
+  watcherToken = generateToken(watcher);
+
+  await Project.create({ name: 'Website', key: 'WEB' });
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Reset preferences and clear sent mail; keep the users and project
+afterEach(async () => {
+  mailer.transport.clear();
+  await User.updateMany({}, { $unset: { emailPreferences: 1 } });
+
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    if (!['users', 'projects'].includes(collections[key].collectionName)) {
+      await collections[key].deleteMany({});
+    }
+  }
+});
+
+describe('Email notifications', () => {
+  it('should email the assignee with an unsubscribe link', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .post(`/api/bugs/${bug.key}/assign`)
+      .set('Authorization', `Bearer ${reporterToken}`);
+    mailer.transport.clear();
+
+    await request(app)
+      .post(`/api/bugs/${bug.key}/assign`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ userId: String(watcher._id) });
+
+    const [email] = inbox('watcher@example.com');
+    expect(email.subject).toBe('[WEB-1] Assigned to you: Login button broken');
+    expect(email.text).toContain('maintainer assigned WEB-1 to you.');
+    expect(email.headers['List-Unsubscribe']).toMatch(/\/api\/users\/unsubscribe\?token=/);
+    expect(email.messageId).toMatch(new RegExp(`^<bug-${bug._id}\\.`));
+    expect(inbox('maintainer@example.com')).toHaveLength(0);
+  });
+
+  it('should email watchers about comments and mentioned users about mentions', async () => {
+    const bug = await createBug();
+    await comment(bug, watcherToken, 'Same here, @maintainer can you look?');
+
+    expect(inbox('reporter@example.com')[0].subject).toBe('[WEB-1] New comment: Login button broken');
+    expect(inbox('maintainer@example.com')[0].subject).toBe('[WEB-1] You were mentioned: Login button broken');
+    expect(inbox('watcher@example.com')).toHaveLength(0);
+  });
+
+  it('should respect per-type switches and hold digest email until the digest runs', async () => {
+    await request(app)
+      .patch('/api/users/me/email-preferences')
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ delivery: 'digest', status: false });
+
+    const bug = await createBug();
+    await request(app)
+      .put(`/api/bugs/${bug.key}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ status: 'triaged' });
+    await comment(bug, maintainerToken, 'Looking into it');
+    await comment(bug, maintainerToken, 'Found the cause');
+
+    expect(inbox('reporter@example.com')).toHaveLength(0);
+
+    expect(await sendDigests()).toBe(1);
+    const [digest] = inbox('reporter@example.com');
+    expect(digest.subject).toBe('Bug Tracker digest: 2 updates');
+    expect(digest.text).toContain('> Looking into it');
+    expect(digest.text).toContain('> Found the cause');
+    expect(digest.text).not.toContain('Triaged');
+
+    expect(await sendDigests()).toBe(0);
+  });
+});
+
+describe('/api/users/me/email-preferences', () => {
+  it('should default to immediate email of every type', async () => {
+    const res = await request(app)
+      .get('/api/users/me/email-preferences')
+      .set('Authorization', `Bearer ${watcherToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      delivery: 'immediate', assigned: true, status: true, commented: true, mentioned: true,
+    });
+  });
+
+  it('should validate changes', async () => {
+    const res = await request(app)
+      .patch('/api/users/me/email-preferences')
+      .set('Authorization', `Bearer ${watcherToken}`)
+      .send({ delivery: 'hourly', commented: 'no' });
+
+    expect(res.status).toBe(400);
+    expect(Object.keys(res.body.errors)).toEqual(['delivery', 'commented']);
+  });
+});
+
+describe('/api/users/unsubscribe', () => {
+  it('should turn email off from the link in an email', async () => {
+    const bug = await createBug();
+    await comment(bug, maintainerToken, 'Looking into it');
+    const [email] = inbox('reporter@example.com');
+    const link = email.text.match(/Unsubscribe: \S+(\/api\/users\/unsubscribe\?token=\S+)/)[1];
+
+    // Opening the link only asks for confirmation
+    const page = await request(app).get(link);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('<form method="post"');
+    mailer.transport.clear();
+    await comment(bug, maintainerToken, 'Still looking');
+    expect(inbox('reporter@example.com')).toHaveLength(1);
+
+    const res = await request(app).post(link).set('Accept', 'text/html');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('no longer receive');
+
+    mailer.transport.clear();
+    await comment(bug, maintainerToken, 'Found the cause');
+    expect(inbox('reporter@example.com')).toHaveLength(0);
+  });
+
+  it('should unsubscribe with a one-click POST from a mail client', async () => {
+    const token = generateUnsubscribeToken(String(maintainer._id));
+
+    const res = await request(app)
+      .post(`/api/users/unsubscribe?token=${encodeURIComponent(token)}`)
+      .type('form')
+      .send('List-Unsubscribe=One-Click');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ unsubscribed: true });
+    expect((await User.findById(maintainer._id)).emailPreferences.delivery).toBe('off');
+  });
+
+  it('should reject forged and expired tokens', async () => {
+    const forged = await request(app)
+      .post(`/api/users/unsubscribe?token=v1.${maintainer._id}.9999999999.forged`);
+    expect(forged.status).toBe(400);
+
+    const expired = generateUnsubscribeToken(String(maintainer._id), { now: Date.UTC(2020, 0, 1) });
+    const res = await request(app)
+      .get(`/api/users/unsubscribe?token=${encodeURIComponent(expired)}`);
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,280 @@
+// integrations.test.js - Integration tests for the VCS push and inbound email hooks
+
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const Bug = require('../../src/models/Bug');
+const BugEvent = require('../../src/models/BugEvent');
+
+const SECRET = 'vcs-test-secret';
+const EMAIL_SECRET = 'email-test-secret';
+
+let mongoServer;
+let reporter;
+let project;
+
+/**
+ * Send a push payload, signed with `secret`
+ */
+const push = (payload, secret = SECRET) => {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  return request(app)
+    .post('/api/integrations/vcs')
+    .set('Content-Type', 'application/json')
+    .set('X-Hub-Signature-256', `sha256=${signature}`)
+    .send(body);
+};
+
+/**
+ * Send a raw email to the inbound hook, signed with `secret`
+ */
+const sendEmail = (raw, secret = EMAIL_SECRET) => {
+  const signature = crypto.createHmac('sha256', secret).update(raw).digest('hex');
+
+  return request(app)
+    .post('/api/integrations/inbound-email')
+    .set('Content-Type', 'message/rfc822')
+    .set('X-Signature-256', `sha256=${signature}`)
+    .send(raw);
+};
+
+/**
+ * Build a raw RFC 822 message
+ */
+const email = ({
+  from = 'Reporter <Reporter@Example.com>', to = 'bugs+web@example.com', subject, body, headers = {},
+}) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  'Message-ID: <m1@mail.example.com>',
+  ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  body,
+].join('\r\n');
+
+/**
+ * Build a pushed commit
+ */
+const commit = (sha, message) => ({
+  id: sha,
+  message,
+  author: { name: 'Dana Dev', email: 'dana@example.com' },
+  url: `https://git.example.com/web/commit/${sha}`,
+  timestamp: '2024-05-01T10:00:00Z',
+});
+
+/**
+ * Create a bug in the WEB project
+ */
+const createBug = (fields = {}) => Bug.create({
+  project: project._id,
+  title: 'Checkout fails',
+  description: 'Payment step errors out',
+  reportedBy: reporter._id,
+  ...fields,
+});
+
+// Start MongoDB before all tests
+beforeAll(async () => {
+  process.env.VCS_WEBHOOK_SECRET = SECRET;
+  process.env.INBOUND_EMAIL_SECRET = EMAIL_SECRET;
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  [reporter] = await User.create([
+    { username: 'reporter', email: 'reporter@example.com', password: 'Password123' },
+    { username: 'vcs-bot', email: 'vcs-bot@example.com', password: 'Password123', role: 'maintainer' },
+  ]);
+  project = await Project.create({ name: 'Website', key: 'WEB' });
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  delete process.env.VCS_WEBHOOK_SECRET;
+  delete process.env.INBOUND_EMAIL_SECRET;
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Keep the users and project, remove everything else between tests
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    if (!['users', 'projects'].includes(collections[key].collectionName)) {
+      await collections[key].deleteMany({});
+    }
+  }
+});
+
+describe('POST /api/integrations/vcs', () => {
+  it('should reject unsigned and wrongly signed pushes', async () => {
+    const unsigned = await request(app)
+      .post('/api/integrations/vcs')
+      .send({ commits: [] });
+    expect(unsigned.status).toBe(401);
+
+    const wrong = await push({ commits: [] }, 'not-the-secret');
+    expect(wrong.status).toBe(401);
+  });
+
+  it('should resolve fixed bugs through the normal update path', async () => {
+    const bug = await createBug();
+
+    const res = await push({
+      repository: { full_name: 'acme/web' },
+      commits: [commit('a1b2c3d4e5f6', 'Handle declined cards\n\nFixes WEB-1')],
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.linked).toEqual([
+      {
+        commit: 'a1b2c3d4e5f6', bug: 'WEB-1', action: 'fixes', resolved: true,
+      },
+    ]);
+
+    const updated = await Bug.findById(bug._id);
+    expect(updated.status).toBe('resolved');
+    expect(updated.resolution).toBe('Fixed by commit a1b2c3d');
+    expect(updated.resolvedAt).toBeInstanceOf(Date);
+    expect(updated.commits[0]).toMatchObject({
+      sha: 'a1b2c3d4e5f6', author: 'Dana Dev', repository: 'acme/web', action: 'fixes',
+    });
+    expect(updated.comments[0].text).toContain('Fixed by commit a1b2c3d: Handle declined cards');
+
+    const history = await BugEvent.find({ bug: bug._id, action: 'updated' });
+    expect(history).toHaveLength(1);
+    expect(history[0].changes.map((change) => change.field)).toContain('status');
+  });
+
+  it('should only link and comment on referenced bugs', async () => {
+    const bug = await createBug();
+
+    const res = await push({ commits: [commit('bbb222', `Refactor checkout, refs #${bug._id}`)] });
+
+    expect(res.body.linked[0]).toMatchObject({ action: 'references', resolved: false });
+    const updated = await Bug.findById(bug._id);
+    expect(updated.status).toBe('open');
+    expect(updated.commits).toHaveLength(1);
+    expect(updated.comments[0].text).toContain('Referenced by commit bbb222');
+  });
+
+  it('should skip unknown bugs and commits that are already linked', async () => {
+    await createBug();
+    const payload = { commits: [commit('ccc333', 'Fixes WEB-1 and WEB-99')] };
+
+    const first = await push(payload);
+    expect(first.body.skipped).toEqual([{ commit: 'ccc333', ref: 'WEB-99', reason: 'Bug not found' }]);
+
+    const again = await push(payload);
+    expect(again.body.linked).toEqual([]);
+    expect(again.body.skipped[0]).toEqual({ commit: 'ccc333', ref: 'WEB-1', reason: 'Already linked' });
+
+    const bug = await Bug.findOne({ key: 'WEB-1' });
+    expect(bug.commits).toHaveLength(1);
+    expect(bug.comments).toHaveLength(1);
+  });
+
+  it('should link but not resolve bugs the workflow cannot resolve', async () => {
+    const bug = await createBug({ status: 'closed', closedAt: new Date() });
+
+    const res = await push({ commits: [commit('ddd444', 'Fixes WEB-1')] });
+
+    expect(res.body.linked[0]).toMatchObject({ bug: 'WEB-1', resolved: false });
+    const updated = await Bug.findById(bug._id);
+    expect(updated.status).toBe('closed');
+    expect(updated.commits).toHaveLength(1);
+  });
+});
+
+describe('POST /api/integrations/inbound-email', () => {
+  it('should create a bug in the addressed project from a new message', async () => {
+    const res = await sendEmail(email({
+      subject: 'Fwd: Checkout fails on Safari',
+      body: 'The pay button does nothing.\n\n-- \nReporter\nACME Corp',
+    }));
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ action: 'created', bug: 'WEB-1' });
+
+    const bug = await Bug.findOne({ key: 'WEB-1' });
+    expect(bug.title).toBe('Checkout fails on Safari');
+    expect(bug.description).toBe('The pay button does nothing.');
+    expect(String(bug.reportedBy)).toBe(String(reporter._id));
+  });
+
+  it('should read the project from messages with several To headers', async () => {
+    const res = await sendEmail(email({
+      to: 'someone@example.com',
+      headers: { To: 'bugs+web@example.com' },
+      subject: 'Checkout fails on Safari',
+      body: 'The pay button does nothing.',
+    }));
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ action: 'created', bug: 'WEB-1' });
+  });
+
+  it('should thread replies to notifications onto the bug as comments', async () => {
+    const bug = await createBug();
+
+    const res = await sendEmail(email({
+      subject: 'Re: Checkout fails',
+      headers: { 'In-Reply-To': `<bug-${bug._id}.a1b2@bugtracker.local>` },
+      body: 'Still happens after the update.\n\nOn Mon, 1 Jan 2024, Bug Tracker wrote:\n> maintainer moved WEB-1 to Resolved',
+    }));
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ action: 'commented', bug: 'WEB-1' });
+
+    const updated = await Bug.findById(bug._id);
+    expect(updated.comments).toHaveLength(1);
+    expect(updated.comments[0].text).toBe('Still happens after the update.');
+    expect(String(updated.comments[0].author)).toBe(String(reporter._id));
+  });
+
+  it('should thread messages whose subject names a bug key', async () => {
+    await createBug();
+
+    const res = await sendEmail(email({ subject: 'Re: [WEB-1] Checkout fails', body: 'Attaching more detail soon' }));
+
+    expect(res.body).toMatchObject({ action: 'commented', bug: 'WEB-1' });
+  });
+
+  it('should report new bugs whose subject only looks like it names one', async () => {
+    // A stray bug keyed like a project that does not exist
+    const stray = await createBug();
+    await Bug.collection.updateOne({ _id: stray._id }, { $set: { key: 'UTF-8' } });
+
+    const bare = await sendEmail(email({ subject: 'UTF-8 garbled in exports', body: 'Accents show as question marks.' }));
+    expect(bare.body).toEqual({ action: 'created', bug: 'WEB-2' });
+
+    const unknownProject = await sendEmail(email({ subject: '[UTF-8] garbled in exports', body: 'Accents show as question marks.' }));
+    expect(unknownProject.body).toEqual({ action: 'created', bug: 'WEB-3' });
+
+    expect(await Bug.countDocuments()).toBe(3);
+  });
+
+  it('should reject unknown senders and bad signatures, and ignore automatic replies', async () => {
+    const stranger = await sendEmail(email({
+      from: 'someone@elsewhere.com', subject: 'Your site is down', body: 'Nothing loads at all.',
+    }));
+    expect(stranger.status).toBe(422);
+
+    const forged = await sendEmail(email({ subject: 'Checkout fails', body: 'Nothing loads at all.' }), 'wrong');
+    expect(forged.status).toBe(401);
+
+    const autoReply = await sendEmail(email({
+      subject: 'Out of office', body: 'I am away until Monday.', headers: { 'Auto-Submitted': 'auto-replied' },
+    }));
+    expect(autoReply.body).toEqual({ action: 'ignored', reason: 'Automatic reply' });
+    expect(await Bug.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,160 @@
+// migrations.test.js - Integration tests for data migrations
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Bug = require('../../src/models/Bug');
+const Counter = require('../../src/models/Counter');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { DEFAULT_PROJECT, runMigrations } = require('../../src/utils/migrations');
+const PRIORITIES = require('../../src/config/bugPriorities');
+
+let mongoServer;
+let reporter;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  reporter = await User.create({
+    username: 'reporter',
+    email: 'reporter@example.com',
+    password: 'Password123',
+    role: 'reporter',
+  });
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Keep the users, remove everything else between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await Project.deleteMany({});
+  await Counter.deleteMany({});
+});
+
+/**
+ * Insert a bug the way an older version stored it, bypassing the model
+ */
+const insertLegacyBug = async (fields = {}) => {
+  const { insertedId } = await Bug.collection.insertOne({
+    title: 'Legacy bug report',
+    description: 'Stored before the current models',
+    status: 'open',
+    priority: 'medium',
+    reportedBy: reporter._id,
+    watchers: [],
+    comments: [],
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...fields,
+  });
+  return insertedId;
+};
+
+describe('lowercase-tags', () => {
+  it('should lower-case tags stored with capitals', async () => {
+    const project = await Project.create({ name: 'Website', key: 'WEB' });
+    const id = await insertLegacyBug({ project: project._id, key: 'WEB-1', tags: ['UI', ' Frontend', 'api'] });
+
+    const results = await runMigrations();
+
+    expect(results['lowercase-tags']).toBe(1);
+    expect((await Bug.collection.findOne({ _id: id })).tags).toEqual(['ui', 'frontend', 'api']);
+    expect((await runMigrations())['lowercase-tags']).toBe(0);
+  });
+});
+
+describe('set-priority-ranks', () => {
+  it('should rank bugs saved before priorityRank existed by severity', async () => {
+    const project = await Project.create({ name: 'Website', key: 'WEB' });
+    const critical = await insertLegacyBug({ project: project._id, key: 'WEB-1', priority: 'critical' });
+    const low = await insertLegacyBug({ project: project._id, key: 'WEB-2', priority: 'low' });
+
+    const results = await runMigrations();
+
+    expect(results['set-priority-ranks']).toBe(2);
+    expect((await Bug.collection.findOne({ _id: critical })).priorityRank).toBe(PRIORITIES.indexOf('critical'));
+    expect((await Bug.collection.findOne({ _id: low })).priorityRank).toBe(PRIORITIES.indexOf('low'));
+    expect((await runMigrations())['set-priority-ranks']).toBe(0);
+  });
+});
+
+describe('assign-orphan-bugs and assign-missing-keys', () => {
+  it('should file bugs without a project under the default project, with keys', async () => {
+    const older = await insertLegacyBug({ createdAt: new Date('2025-01-01') });
+    const newer = await insertLegacyBug({ createdAt: new Date('2025-02-01') });
+
+    const results = await runMigrations();
+
+    const project = await Project.findOne({ key: DEFAULT_PROJECT.key });
+    expect(project.name).toBe(DEFAULT_PROJECT.name);
+    expect(results['assign-orphan-bugs']).toBe(2);
+    expect(results['assign-missing-keys']).toBe(2);
+
+    const bugs = await Bug.find({ _id: { $in: [older, newer] } }).sort({ createdAt: 1 });
+    expect(bugs.map((bug) => String(bug.project))).toEqual([String(project._id), String(project._id)]);
+    expect(bugs.map((bug) => bug.key)).toEqual(['LEGACY-1', 'LEGACY-2']);
+  });
+
+  it('should continue the sequence of an existing project', async () => {
+    const project = await Project.create({ name: 'Website', key: 'WEB' });
+    await Bug.create({
+      project: project._id,
+      title: 'Keyed bug report',
+      description: 'Created with the current model',
+      reportedBy: reporter._id,
+    });
+    const id = await insertLegacyBug({ project: project._id });
+
+    await runMigrations();
+
+    expect((await Bug.findById(id)).key).toBe('WEB-2');
+  });
+
+  it('should do nothing when every bug has a project and a key', async () => {
+    const results = await runMigrations();
+
+    expect(results).toEqual({
+      'lowercase-tags': 0,
+      'set-priority-ranks': 0,
+      'assign-orphan-bugs': 0,
+      'assign-missing-keys': 0,
+      'relink-bug-references': 0,
+    });
+    expect(await Project.countDocuments()).toBe(0);
+  });
+});
+
+describe('relink-bug-references', () => {
+  it('should render title-search bug links again as key links', async () => {
+    const project = await Project.create({ name: 'Website', key: 'WEB' });
+    await insertLegacyBug({ project: project._id, key: 'WEB-1', title: 'Login broken' });
+    const oldLink = '<p>Same as <a href="/?q=%22Login%20broken%22" class="bug-ref" title="Login broken">#WEB-1</a></p>\n';
+    const updatedAt = new Date('2025-01-01');
+    const id = await insertLegacyBug({
+      project: project._id,
+      key: 'WEB-2',
+      description: 'Same as #WEB-1',
+      descriptionHtml: oldLink,
+      comments: [{
+        _id: new mongoose.Types.ObjectId(), text: 'See #WEB-1', textHtml: oldLink, author: reporter._id,
+      }],
+      updatedAt,
+    });
+
+    const results = await runMigrations();
+
+    const bug = await Bug.collection.findOne({ _id: id });
+    expect(results['relink-bug-references']).toBe(1);
+    expect(bug.descriptionHtml).toContain('href="/?query=key%3AWEB-1" class="bug-ref"');
+    expect(bug.comments[0].textHtml).toContain('href="/?query=key%3AWEB-1" class="bug-ref"');
+    expect(bug.updatedAt).toEqual(updatedAt);
+    expect((await runMigrations())['relink-bug-references']).toBe(0);
+  });
+});
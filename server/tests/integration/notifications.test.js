@@ -0,0 +1,186 @@
+// notifications.test.js - Integration tests for bug watchers and notifications
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let maintainer;
+let reporterToken;
+let maintainerToken;
+let watcherToken;
+
+/**
+ * Report a bug in the WEB project as the reporter
+ */
+const createBug = async () => {
+  const res = await request(app)
+    .post('/api/bugs')
+    .set('Authorization', `Bearer ${reporterToken}`)
+    .send({ project: 'WEB', title: 'Login button broken', description: 'Clicking login does nothing' });
+  return res.body;
+};
+
+/**
+ * List a user's notifications
+ */
+const listNotifications = (token, query = '') => request(app)
+  .get(`/api/notifications${query}`)
+  .set('Authorization', `Bearer ${token}`);
+
+// Setup in-memory MongoDB server, users and project before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  let reporter;
+  let watcher;
+  [reporter, maintainer, watcher] = await User.create([
+    { username: 'reporter', email: 'reporter@example.com', password: 'Password123', role: 'reporter' },
+    { username: 'maintainer', email: 'maintainer@example.com', password: 'Password123', role: 'maintainer' },
+    { username: 'watcher', email: 'watcher@example.com', password: 'Password123', role: 'reporter' },
+  ]);
+  reporterToken = generateToken(reporter);
+  maintainerToken = generateToken(maintainer);
+  watcherToken = generateToken(watcher);
+
+  await Project.create({ name: 'Website', key: 'WEB' });
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Keep the users and project, remove everything else between tests
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    if (!['users', 'projects'].includes(collections[key].collectionName)) {
+      await collections[key].deleteMany({});
+    }
+  }
+});
+
+describe('Bug watchers', () => {
+  it('should make the reporter and assignee watchers', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .post(`/api/bugs/${bug.key}/assign`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ userId: String(maintainer._id) });
+
+    expect(res.body.watchers.map(String)).toEqual([bug.reportedBy._id, String(maintainer._id)]);
+  });
+
+  it('should let users watch and unwatch a bug', async () => {
+    const bug = await createBug();
+
+    const watch = await request(app)
+      .post(`/api/bugs/${bug.key}/watch`)
+      .set('Authorization', `Bearer ${watcherToken}`);
+    expect(watch.status).toBe(200);
+    expect(watch.body.watching).toBe(true);
+    expect(watch.body.watchers).toHaveLength(2);
+
+    const unwatch = await request(app)
+      .delete(`/api/bugs/${bug.key}/watch`)
+      .set('Authorization', `Bearer ${watcherToken}`);
+    expect(unwatch.body.watching).toBe(false);
+    expect(unwatch.body.watchers).toHaveLength(1);
+  });
+});
+
+describe('/api/notifications', () => {
+  it('should notify watchers but not the user who made the change', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ status: 'triaged' });
+
+    const reporterList = await listNotifications(reporterToken);
+    expect(reporterList.status).toBe(200);
+    expect(reporterList.body.unreadCount).toBe(1);
+    expect(reporterList.body.notifications[0]).toMatchObject({
+      type: 'status',
+      message: 'maintainer moved WEB-1 to Triaged',
+      read: false,
+      bug: { key: 'WEB-1' },
+      actor: { username: 'maintainer' },
+    });
+
+    const maintainerList = await listNotifications(maintainerToken);
+    expect(maintainerList.body.notifications).toHaveLength(0);
+  });
+
+  it('should notify opted-in watchers of comments', async () => {
+    const bug = await createBug();
+    await request(app)
+      .post(`/api/bugs/${bug._id}/watch`)
+      .set('Authorization', `Bearer ${watcherToken}`);
+
+    await request(app)
+      .post(`/api/bugs/${bug._id}/comments`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ text: 'Still happens on Firefox' });
+
+    const res = await listNotifications(watcherToken);
+    expect(res.body.notifications[0].message)
+      .toBe('reporter commented on WEB-1: "Still happens on Firefox"');
+
+    const reporterList = await listNotifications(reporterToken);
+    expect(reporterList.body.notifications).toHaveLength(0);
+  });
+
+  it('should track read state per notification and for all', async () => {
+    const bug = await createBug();
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ status: 'triaged' });
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ status: 'in-progress' });
+
+    const list = await listNotifications(reporterToken);
+    const [newest] = list.body.notifications;
+
+    const other = await request(app)
+      .patch(`/api/notifications/${newest._id}`)
+      .set('Authorization', `Bearer ${watcherToken}`)
+      .send({ read: true });
+    expect(other.status).toBe(404);
+
+    const read = await request(app)
+      .patch(`/api/notifications/${newest._id}`)
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ read: true });
+    expect(read.status).toBe(200);
+    expect(read.body.read).toBe(true);
+
+    const unread = await listNotifications(reporterToken, '?unread=true');
+    expect(unread.body.notifications).toHaveLength(1);
+
+    await request(app)
+      .post('/api/notifications/read-all')
+      .set('Authorization', `Bearer ${reporterToken}`);
+    const count = await request(app)
+      .get('/api/notifications/unread-count')
+      .set('Authorization', `Bearer ${reporterToken}`);
+    expect(count.body.count).toBe(0);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/notifications');
+    expect(res.status).toBe(401);
+  });
+});
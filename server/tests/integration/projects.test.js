@@ -0,0 +1,189 @@
+// projects.test.js - Integration tests for projects and project-scoped bug routes
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let reporter;
+let maintainer;
+let reporterToken;
+let maintainerToken;
+let adminToken;
+
+/**
+ * Create a project through the API as the admin
+ */
+const createProject = (body) => request(app)
+  .post('/api/projects')
+  .set('Authorization', `Bearer ${adminToken}`)
+  .send(body);
+
+/**
+ * Report a bug in a project as the reporter
+ */
+const reportBug = (projectKey, title) => request(app)
+  .post(`/api/projects/${projectKey}/bugs`)
+  .set('Authorization', `Bearer ${reporterToken}`)
+  .send({ title, description: 'Something is broken here' });
+
+// Setup in-memory MongoDB server and users before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  let admin;
+  [reporter, maintainer, admin] = await User.create([
+    { username: 'reporter', email: 'reporter@example.com', password: 'Password123', role: 'reporter' },
+    { username: 'maintainer', email: 'maintainer@example.com', password: 'Password123', role: 'maintainer' },
+    { username: 'admin', email: 'admin@example.com', password: 'Password123', role: 'admin' },
+  ]);
+  reporterToken = generateToken(reporter);
+  maintainerToken = generateToken(maintainer);
+  adminToken = generateToken(admin);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Keep the users, remove everything else between tests
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    if (collections[key].collectionName !== 'users') {
+      await collections[key].deleteMany({});
+    }
+  }
+});
+
+describe('POST /api/projects', () => {
+  it('should create a project with an upper-case key', async () => {
+    const res = await createProject({
+      name: 'Website',
+      key: 'web',
+      members: [String(maintainer._id)],
+      defaultAssignee: String(maintainer._id),
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.key).toBe('WEB');
+    expect(res.body.defaultAssignee.username).toBe('maintainer');
+  });
+
+  it('should only let admins create projects', async () => {
+    const res = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ name: 'Website', key: 'WEB' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject bad keys, duplicates and outside default assignees', async () => {
+    const badKey = await createProject({ name: 'Website', key: '1-bad' });
+    expect(badKey.status).toBe(400);
+    expect(badKey.body.errors.key).toBeDefined();
+
+    const outsider = await createProject({
+      name: 'Website',
+      key: 'WEB',
+      defaultAssignee: String(maintainer._id),
+    });
+    expect(outsider.status).toBe(400);
+    expect(outsider.body.errors.defaultAssignee).toMatch(/member/);
+
+    await createProject({ name: 'Website', key: 'WEB' });
+    const duplicate = await createProject({ name: 'Other site', key: 'WEB' });
+    expect(duplicate.status).toBe(409);
+  });
+});
+
+describe('PATCH /api/projects/:key', () => {
+  it('should update members but not the key', async () => {
+    await createProject({ name: 'Website', key: 'WEB' });
+
+    const res = await request(app)
+      .patch('/api/projects/web')
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ members: [String(reporter._id)] });
+    expect(res.status).toBe(200);
+    expect(res.body.members.map((member) => member.username)).toEqual(['reporter']);
+
+    const rename = await request(app)
+      .patch('/api/projects/WEB')
+      .set('Authorization', `Bearer ${maintainerToken}`)
+      .send({ key: 'SITE' });
+    expect(rename.status).toBe(400);
+  });
+});
+
+describe('/api/projects/:key/bugs', () => {
+  beforeEach(async () => {
+    await createProject({
+      name: 'Website',
+      key: 'WEB',
+      members: [String(maintainer._id)],
+      defaultAssignee: String(maintainer._id),
+    });
+    await createProject({ name: 'Mobile app', key: 'APP' });
+  });
+
+  it('should key bugs per project and assign the default assignee', async () => {
+    const web = await reportBug('WEB', 'Website header overlaps');
+    const app1 = await reportBug('app', 'App crashes on launch');
+    const app2 = await reportBug('APP', 'App loses the session');
+
+    expect(web.status).toBe(201);
+    expect(web.body.key).toBe('WEB-1');
+    expect(web.body.assignedTo.username).toBe('maintainer');
+    expect(app1.body.key).toBe('APP-1');
+    expect(app2.body.key).toBe('APP-2');
+    expect(app1.body.assignedTo).toBeNull();
+  });
+
+  it('should only list and find the project\'s own bugs', async () => {
+    await reportBug('WEB', 'Website header overlaps');
+    await reportBug('APP', 'App crashes on launch');
+
+    const list = await request(app).get('/api/projects/WEB/bugs');
+    expect(list.body.total).toBe(1);
+    expect(list.body.bugs[0].key).toBe('WEB-1');
+
+    const own = await request(app).get('/api/projects/APP/bugs/APP-1');
+    expect(own.status).toBe(200);
+
+    const other = await request(app).get('/api/projects/WEB/bugs/APP-1');
+    expect(other.status).toBe(404);
+  });
+
+  it('should require a project when reporting through /api/bugs', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${reporterToken}`)
+      .send({ title: 'No project bug', description: 'Something is broken here' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Project is required');
+  });
+
+  it('should 404 unknown projects', async () => {
+    const res = await request(app).get('/api/projects/NOPE/bugs');
+    expect(res.status).toBe(404);
+  });
+
+  it('should not delete projects that still have bugs', async () => {
+    await reportBug('WEB', 'Website header overlaps');
+
+    const res = await request(app)
+      .delete('/api/projects/WEB')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+  });
+});
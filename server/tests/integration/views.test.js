@@ -0,0 +1,154 @@
+// views.test.js - Integration tests for saved view endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let aliceToken;
+let bobToken;
+let adminToken;
+
+/**
+ * Save a view through the API
+ */
+const saveView = (token, body) => request(app)
+  .post('/api/views')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+// Setup in-memory MongoDB server and users before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const [alice, bob, admin] = await User.create([
+    { username: 'alice', email: 'alice@example.com', password: 'Password123', role: 'reporter' },
+    { username: 'bob', email: 'bob@example.com', password: 'Password123', role: 'maintainer' },
+    { username: 'admin', email: 'admin@example.com', password: 'Password123', role: 'admin' },
+  ]);
+  aliceToken = generateToken(alice);
+  bobToken = generateToken(bob);
+  adminToken = generateToken(admin);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Keep the users, remove the views between tests
+afterEach(async () => {
+  await mongoose.connection.collection('savedviews').deleteMany({});
+});
+
+describe('POST /api/views', () => {
+  it('should save a view with defaults', async () => {
+    const res = await saveView(aliceToken, {
+      name: 'Triage',
+      query: 'status:open priority:>=high',
+      sort: '-priority,createdAt',
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual(expect.objectContaining({
+      name: 'Triage',
+      shared: false,
+      query: 'status:open priority:>=high',
+      sort: '-priority,createdAt',
+    }));
+    expect(res.body.owner.username).toBe('alice');
+    expect(res.body.columns).toContain('priority');
+  });
+
+  it('should reject invalid queries, sorts and columns', async () => {
+    const res = await saveView(aliceToken, {
+      name: 'Broken',
+      query: 'colour:red',
+      sort: '-password',
+      columns: ['secret'],
+    });
+
+    expect(res.status).toBe(400);
+    expect(Object.keys(res.body.errors).sort()).toEqual(['columns', 'query', 'sort']);
+  });
+
+  it('should reject a duplicate name for the same user', async () => {
+    await saveView(aliceToken, { name: 'Triage' });
+
+    const duplicate = await saveView(aliceToken, { name: 'Triage' });
+    const otherUser = await saveView(bobToken, { name: 'Triage' });
+
+    expect(duplicate.status).toBe(409);
+    expect(otherUser.status).toBe(201);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).post('/api/views').send({ name: 'Anon' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/views', () => {
+  it('should list own views and views shared by others', async () => {
+    await saveView(aliceToken, { name: 'Mine' });
+    await saveView(bobToken, { name: 'Team board', shared: true });
+    await saveView(bobToken, { name: 'Bob private' });
+
+    const res = await request(app)
+      .get('/api/views')
+      .set('Authorization', `Bearer ${aliceToken}`);
+
+    expect(res.body.map((view) => view.name)).toEqual(['Mine', 'Team board']);
+  });
+
+  it('should hide other users\' private views', async () => {
+    const created = await saveView(bobToken, { name: 'Bob private' });
+
+    const res = await request(app)
+      .get(`/api/views/${created.body._id}`)
+      .set('Authorization', `Bearer ${aliceToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PATCH and DELETE /api/views/:id', () => {
+  it('should let the owner update a view', async () => {
+    const created = await saveView(aliceToken, { name: 'Mine' });
+
+    const res = await request(app)
+      .patch(`/api/views/${created.body._id}`)
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ shared: true, query: 'tag:ui' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ shared: true, query: 'tag:ui' }));
+  });
+
+  it('should not let others change a shared view', async () => {
+    const created = await saveView(bobToken, { name: 'Team board', shared: true });
+
+    const res = await request(app)
+      .delete(`/api/views/${created.body._id}`)
+      .set('Authorization', `Bearer ${aliceToken}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.permission).toBe('view:delete');
+  });
+
+  it('should let an admin delete a shared view', async () => {
+    const created = await saveView(bobToken, { name: 'Team board', shared: true });
+
+    const res = await request(app)
+      .delete(`/api/views/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+  });
+});
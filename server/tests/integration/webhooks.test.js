@@ -0,0 +1,209 @@
+// webhooks.test.js - Integration tests for webhooks against a local HTTP receiver
+
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const { generateToken } = require('../../src/utils/auth');
+
+const SECRET = 'receiver-test-secret';
+
+let mongoServer;
+let receiver;
+let receiverUrl;
+let adminToken;
+let maintainerToken;
+
+// Requests the receiver got, and the status codes it will answer with next
+let received;
+let responses;
+let waiting;
+
+/**
+ * Resolve once the receiver has handled `count` requests
+ */
+const waitForRequests = (count) => new Promise((resolve) => {
+  const check = () => {
+    if (received.length >= count) {
+      resolve(received);
+    } else {
+      waiting = check;
+    }
+  };
+  check();
+});
+
+/**
+ * Register a webhook pointing at the receiver
+ */
+const createWebhook = (body = {}) => request(app)
+  .post('/api/webhooks')
+  .set('Authorization', `Bearer ${adminToken}`)
+  .send({ url: receiverUrl, secret: SECRET, ...body });
+
+/**
+ * Report a bug as the maintainer
+ */
+const createBug = () => request(app)
+  .post('/api/bugs')
+  .set('Authorization', `Bearer ${maintainerToken}`)
+  .send({ project: 'WEB', title: 'Checkout fails', description: 'Payment step errors out' });
+
+/**
+ * Poll a webhook's delivery log until the newest delivery is finished
+ */
+const waitForDelivery = async (webhookId) => {
+  for (;;) {
+    const res = await request(app)
+      .get(`/api/webhooks/${webhookId}/deliveries`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    const [delivery] = res.body.deliveries;
+    if (delivery && delivery.status !== 'pending') return delivery;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+// Start MongoDB and the receiver before all tests
+beforeAll(async () => {
+  process.env.WEBHOOK_RETRY_DELAY = '50';
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const [admin, maintainer] = await User.create([
+    { username: 'admin', email: 'admin@example.com', password: 'Password123', role: 'admin' },
+    { username: 'maintainer', email: 'maintainer@example.com', password: 'Password123', role: 'maintainer' },
+  ]);
+  adminToken = generateToken(admin);
+  maintainerToken = generateToken(maintainer);
+  await Project.create({ name: 'Website', key: 'WEB' });
+
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = responses.shift() || 200;
+      res.end('ok');
+      if (waiting) waiting();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  delete process.env.WEBHOOK_RETRY_DELAY;
+  receiver.closeAllConnections();
+  await new Promise((resolve) => receiver.close(resolve));
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(() => {
+  received = [];
+  responses = [];
+  waiting = null;
+});
+
+// Keep the users and project, remove everything else between tests
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    if (!['users', 'projects'].includes(collections[key].collectionName)) {
+      await collections[key].deleteMany({});
+    }
+  }
+});
+
+describe('/api/webhooks', () => {
+  it('should only let admins manage webhooks', async () => {
+    const res = await request(app)
+      .get('/api/webhooks')
+      .set('Authorization', `Bearer ${maintainerToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should validate the URL and events and hide the secret after creation', async () => {
+    const bad = await createWebhook({ url: 'ftp://example.com', events: ['exploded'] });
+    expect(bad.status).toBe(400);
+    expect(Object.keys(bad.body.errors)).toEqual(['url', 'events']);
+
+    const created = await createWebhook({ secret: undefined, events: ['created'] });
+    expect(created.status).toBe(201);
+    expect(created.body.secret).toMatch(/^[0-9a-f]{64}$/);
+
+    const fetched = await request(app)
+      .get(`/api/webhooks/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(fetched.body.secret).toBeUndefined();
+    expect(fetched.body.events).toEqual(['created']);
+  });
+});
+
+describe('Webhook deliveries', () => {
+  it('should POST signed bug events to subscribed webhooks', async () => {
+    const webhook = await createWebhook({ events: ['created'] });
+    await createBug();
+
+    const [delivery] = await waitForRequests(1);
+    const expected = crypto.createHmac('sha256', SECRET).update(delivery.body).digest('hex');
+
+    expect(delivery.headers['x-bugtracker-event']).toBe('created');
+    expect(delivery.headers['x-bugtracker-signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(delivery.body)).toMatchObject({
+      event: 'created',
+      bug: { key: 'WEB-1', title: 'Checkout fails' },
+      actor: { username: 'maintainer' },
+    });
+
+    const logged = await waitForDelivery(webhook.body._id);
+    expect(logged.status).toBe('succeeded');
+    expect(logged.attempts.map((attempt) => attempt.statusCode)).toEqual([200]);
+  });
+
+  it('should retry failed deliveries with backoff and log each response', async () => {
+    const webhook = await createWebhook({ events: ['created'] });
+    responses = [500, 503];
+
+    await createBug();
+    await waitForRequests(3);
+
+    const logged = await waitForDelivery(webhook.body._id);
+    expect(logged.status).toBe('succeeded');
+    expect(logged.attempts.map((attempt) => attempt.statusCode)).toEqual([500, 503, 200]);
+    expect(received[0].headers['x-bugtracker-delivery']).toBe(received[2].headers['x-bugtracker-delivery']);
+  });
+
+  it('should not send events the webhook is not subscribed to', async () => {
+    await createWebhook({ events: ['deleted'] });
+    await createBug();
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(received).toHaveLength(0);
+  });
+
+  it('should redeliver a delivery with the same payload', async () => {
+    const webhook = await createWebhook({ events: ['created'] });
+    await createBug();
+    await waitForRequests(1);
+    const original = await waitForDelivery(webhook.body._id);
+
+    const res = await request(app)
+      .post(`/api/webhooks/${webhook.body._id}/deliveries/${original._id}/redeliver`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(201);
+    expect(res.body.redeliveryOf).toBe(original._id);
+    expect(res.body.status).toBe('succeeded');
+    expect(received).toHaveLength(2);
+    expect(received[1].body).toBe(received[0].body);
+  });
+});